@@ -0,0 +1,563 @@
+/**
+ * @file Loader fetching textures, meshes and shaders, with cancellation,
+ * timeouts, progress reporting and caches shared between requests.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** Thrown (as a rejection) when an asset can't be loaded. */
+class AssetLoadError extends Error {
+    /**
+     * @param {string} message Description of the problem.
+     * @param {string} url Url of the asset.
+     * @param {object} details Optional details: reason, one of "http", "network",
+     * "timeout", "abort", "decode" or "parse", status, the HTTP status code, and
+     * cause, the underlying error.
+     */
+    constructor(message, url, details) {
+        super(message);
+        details = details || {};
+        this.name = "AssetLoadError";
+        this.url = url;
+        this.reason = details.reason || "network";
+        this.status = (details.status === undefined ? null : details.status);
+        this.cause = details.cause || null;
+    }
+}
+
+/**
+ * Decodes fetched image data with an Image element.
+ * @param {Blob} blob Image data.
+ * @param {string} url Url the data came from, for error messages.
+ * @return {promise} Promise to the decoded image.
+ */
+function decodeImageBlob(blob, url) {
+    return new Promise((resolve, reject) => {
+        let objectUrl = URL.createObjectURL(blob);
+        let image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(objectUrl);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(objectUrl);
+            reject(new AssetLoadError("Failed to decode image " + url, url, { reason: "decode" }));
+        };
+        image.src = objectUrl;
+    });
+}
+
+/** Order of the faces taken by Texture.cubemapFromUrl() */
+const CUBEMAP_FACE_NAMES = ["negX", "negY", "negZ", "posX", "posY", "posZ"];
+
+/**
+ * Loads assets over the network.  Concurrent requests for the same asset share
+ * a single fetch, and finished assets are cached by key until evicted, so
+ * loading something twice returns the same object.  Failed loads are never
+ * cached and can simply be retried.  Textures, meshes, glTF scenes and shaders
+ * belong to a WebGL context, so they are cached separately for each context,
+ * while text, binary data and images are shared between all of them.
+ *
+ * All load methods take an options object with: signal, an AbortSignal
+ * cancelling the load; timeout, in milliseconds (defaults to the loader's);
+ * key, the cache key to use in place of the default; cache, false to
+ * bypass the cache; and context, the WebGL context to create textures,
+ * meshes and shaders in, in place of the loader's.
+ */
+class AssetLoader {
+    /**
+     * @param {object} options Optional settings: fetch, the function used to
+     * make requests (defaults to the global fetch), decodeImage, a function
+     * (blob, url) returning a promise to an image (defaults to decoding with an
+     * Image element), timeout, the default timeout in milliseconds (0 for none),
+     * and context, the WebGL context textures, meshes and shaders are created in.
+     */
+    constructor(options) {
+        options = options || {};
+        this.fetchFunction = options.fetch || null;
+        this.decodeImage = options.decodeImage || decodeImageBlob;
+        this.timeout = options.timeout || 0;
+        this.context = options.context || null;
+
+        /* Entries of finished and in-flight loads, keyed by cache key */
+        this.cache = new Map();
+
+        /* Caches of the assets created in a context, keyed by the context */
+        this.contextCaches = new WeakMap();
+    }
+
+    /**
+     * Returns the cache of the assets created in a context.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the loader's.
+     * @return {Map} The context's cache, or the shared cache if there is no context.
+     */
+    cacheFor(context) {
+        let gl = resolveContext(context || this.context);
+        if (gl == null) {
+            return this.cache;
+        }
+        let cache = this.contextCaches.get(gl);
+        if (!cache) {
+            cache = new Map();
+            this.contextCaches.set(gl, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Whether an asset is cached or being loaded.
+     * @param {string} key Cache key, ex: "text:shaders/main.vert".
+     * @param {WebGLRenderingContext} context Optional context the asset was
+     * created in, defaults to the loader's.
+     * @return {boolean} True if there is an entry for the key.
+     */
+    has(key, context) {
+        return this.cache.has(key) || this.cacheFor(context).has(key);
+    }
+
+    /**
+     * Removes an asset from the cache.  In-flight loads still finish for whoever is waiting.
+     * @param {string} key Cache key.
+     * @param {WebGLRenderingContext} context Optional context the asset was
+     * created in, defaults to the loader's.
+     * @return {boolean} Whether there was an entry for the key.
+     */
+    evict(key, context) {
+        let shared = this.cache.delete(key);
+        return this.cacheFor(context).delete(key) || shared;
+    }
+
+    /**
+     * Empties the caches of every context.
+     */
+    clear() {
+        this.cache.clear();
+        this.contextCaches = new WeakMap();
+    }
+
+    /**
+     * Runs a load through the cache.  A load shared by several callers is
+     * only aborted once all of them have aborted.
+     * @param {string} key Cache key.
+     * @param {string} url Url of the asset, for error messages.
+     * @param {function} start Function (signal) returning a promise to the asset.
+     * @param {object} options Load options, see the class description.
+     * @param {boolean} perContext Whether the asset belongs to the context of
+     * the options, and is cached for that context only.
+     * @return {promise} Promise to the asset.
+     */
+    request(key, url, start, options, perContext) {
+        options = options || {};
+        key = options.key || key;
+
+        let cache = (perContext ? this.cacheFor(options.context) : this.cache);
+        let entry = (options.cache === false ? null : cache.get(key));
+        if (entry && entry.settled) {
+            return entry.promise;
+        }
+
+        /* Don't start a load nobody is waiting for */
+        let signal = options.signal;
+        if (signal && signal.aborted) {
+            return Promise.reject(new AssetLoadError("Loading " + url + " was aborted", url, { reason: "abort" }));
+        }
+
+        if (!entry) {
+            entry = this.startEntry(url, start, options);
+            if (options.cache !== false) {
+                cache.set(key, entry);
+                entry.promise.catch(() => {
+                    if (cache.get(key) === entry) {
+                        cache.delete(key);
+                    }
+                });
+            }
+        }
+
+        entry.waiters++;
+        return new Promise((resolve, reject) => {
+            let done = false;
+            let finish = () => {
+                done = true;
+                entry.waiters--;
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            };
+            let onAbort = () => {
+                if (done) {
+                    return;
+                }
+                finish();
+                if (entry.waiters == 0 && !entry.settled) {
+                    entry.controller.abort();
+                }
+                reject(new AssetLoadError("Loading " + url + " was aborted", url, { reason: "abort" }));
+            };
+
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+            entry.promise.then((value) => {
+                if (!done) {
+                    finish();
+                    resolve(value);
+                }
+            }, (error) => {
+                if (!done) {
+                    finish();
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Starts a load with its own abort controller and timeout.
+     * @param {string} url Url of the asset, for error messages.
+     * @param {function} start Function (signal) returning a promise to the asset.
+     * @param {object} options Load options.
+     * @return {object} Cache entry {promise, controller, waiters, settled}.
+     */
+    startEntry(url, start, options) {
+        let controller = new AbortController();
+        let timeout = (options.timeout === undefined ? this.timeout : options.timeout);
+        let timedOut = false;
+        let timer = null;
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        }
+
+        let entry = { controller: controller, waiters: 0, settled: false, promise: null };
+        entry.promise = Promise.resolve().then(() => start(controller.signal)).then((value) => {
+            clearTimeout(timer);
+            entry.settled = true;
+            return value;
+        }, (error) => {
+            clearTimeout(timer);
+            entry.settled = true;
+            if (timedOut) {
+                throw new AssetLoadError("Timed out after " + timeout + "ms loading " + url, url,
+                                         { reason: "timeout", cause: error });
+            }
+            if (controller.signal.aborted) {
+                throw new AssetLoadError("Loading " + url + " was aborted", url, { reason: "abort", cause: error });
+            }
+            throw error;
+        });
+        return entry;
+    }
+
+    /**
+     * Fetches a url, turning failures into AssetLoadErrors.
+     * @param {string} url Url to fetch.
+     * @param {AbortSignal} signal Signal cancelling the request.
+     * @return {promise} Promise to the successful Response.
+     */
+    fetchResponse(url, signal) {
+        let fetchFunction = this.fetchFunction || fetch;
+        return Promise.resolve().then(() => fetchFunction(url, { signal: signal })).then((response) => {
+            if (!response.ok) {
+                throw new AssetLoadError("Failed to load " + url + ": HTTP " + response.status +
+                                         (response.statusText ? " " + response.statusText : ""),
+                                         url, { reason: "http", status: response.status });
+            }
+            return response;
+        }, (error) => {
+            if (error instanceof AssetLoadError || signal.aborted) {
+                throw error;
+            }
+            throw new AssetLoadError("Failed to load " + url + ": " + (error && error.message || error), url,
+                                     { reason: "network", cause: error });
+        });
+    }
+
+    /**
+     * Loads a text file.
+     * @param {string} url Url of the file.
+     * @param {object} options Load options.
+     * @return {promise} Promise to the text.
+     */
+    loadText(url, options) {
+        return this.request("text:" + url, url, (signal) => {
+            return this.fetchResponse(url, signal).then((response) => response.text());
+        }, options);
+    }
+
+    /**
+     * Loads a binary file.
+     * @param {string} url Url of the file.
+     * @param {object} options Load options.
+     * @return {promise} Promise to an ArrayBuffer of the contents.
+     */
+    loadArrayBuffer(url, options) {
+        return this.request("arrayBuffer:" + url, url, (signal) => {
+            return this.fetchResponse(url, signal).then((response) => response.arrayBuffer());
+        }, options);
+    }
+
+    /**
+     * Loads and decodes an image.
+     * @param {string} url Url of the image.
+     * @param {object} options Load options.
+     * @return {promise} Promise to the image.
+     */
+    loadImage(url, options) {
+        return this.request("image:" + url, url, (signal) => {
+            return this.fetchResponse(url, signal).then((response) => response.blob())
+                .then((blob) => this.decodeImageData(blob, url));
+        }, options);
+    }
+
+    /**
+     * Loads a 2D texture.
+     * @param {string} url Url of the image.
+     * @param {object} options Load options, plus texture, the settings passed
+     * to Texture.fromImage().
+     * @return {promise} Promise to the Texture.
+     */
+    loadTexture(url, options) {
+        options = options || {};
+        let textureOptions = options.texture || {};
+        return this.request("texture:" + url + JSON.stringify(textureOptions), url, (signal) => {
+            return this.loadImage(url, { signal: signal, cache: false }).then((image) => {
+                return Texture.fromImage(image, textureOptions, options.context || this.context);
+            });
+        }, options, true);
+    }
+
+    /**
+     * Loads a cubemap texture from six images.
+     * @param {object} urls Urls of the faces as {negX, negY, negZ, posX, posY, posZ},
+     * or a list in that order.
+     * @param {object} options Load options, plus texture, the settings passed
+     * to Texture.fromCubemapImages().
+     * @return {promise} Promise to the Texture, rejected naming the face that failed.
+     */
+    loadCubemap(urls, options) {
+        options = options || {};
+        let textureOptions = options.texture || {};
+        let list = (Array.isArray(urls) ? urls : CUBEMAP_FACE_NAMES.map((name) => urls[name]));
+        return this.request("cubemap:" + list.join("|") + JSON.stringify(textureOptions), list.join(", "), (signal) => {
+            let faces = list.map((url) => this.loadImage(url, { signal: signal, cache: false }));
+            return Promise.all(faces).then((images) => {
+                return Texture.fromCubemapImages(images, textureOptions, options.context || this.context);
+            });
+        }, options, true);
+    }
+
+    /**
+     * Loads an OBJ mesh, along with the MTL material libraries it references,
+     * or a PLY mesh when the url ends in .ply.
+     * @param {string} url Url of the OBJ or PLY file.
+     * @param {object} options Load options, plus materials, false to skip loading
+     * the material libraries, and usage, the usage hint of the mesh's buffers.
+     * @return {promise} Promise to the Mesh.
+     */
+    loadMesh(url, options) {
+        options = options || {};
+        let key = "mesh:" + url + (options.usage ? "|" + options.usage : "");
+        if (/\.ply$/i.test(url.split(/[?#]/)[0])) {
+            return this.request(key, url, (signal) => {
+                return this.loadArrayBuffer(url, { signal: signal, cache: false }).then((data) => {
+                    return this.parseAsset(url, () => Mesh.fromPly(data, options.context || this.context, { usage: options.usage }));
+                });
+            }, options, true);
+        }
+
+        return this.request(key, url, (signal) => {
+            return this.loadText(url, { signal: signal, cache: false }).then((text) => {
+                let libraries = [];
+                if (options.materials !== false) {
+                    let pattern = /^\s*mtllib\s+(.+?)\s*$/gm;
+                    let match;
+                    while ((match = pattern.exec(text)) != null) {
+                        libraries.push(resolveIncludePath(match[1], url));
+                    }
+                }
+
+                let loads = libraries.map((library) => this.loadText(library, { signal: signal }));
+                return Promise.all(loads).then((mtlTexts) => {
+                    return this.parseAsset(url, () => Mesh.fromObj(text, mtlTexts.join("\n"), options.context || this.context, { usage: options.usage }));
+                });
+            });
+        }, options, true);
+    }
+
+    /**
+     * Loads a glTF 2.0 model, .gltf or .glb, along with its external buffers
+     * and images.  The model is parsed with GLTFModel and its meshes,
+     * textures, nodes and cameras created with GLTFModel.createScene().
+     * @param {string} url Url of the .gltf or .glb file.
+     * @param {object} options Load options.
+     * @return {promise} Promise to the result of createScene(), plus model,
+     * the GLTFModel.
+     */
+    loadGLTF(url, options) {
+        options = options || {};
+        return this.request("gltf:" + url, url, (signal) => {
+            return this.loadArrayBuffer(url, { signal: signal, cache: false }).then((data) => {
+                let container = this.parseAsset(url, () => GLTFModel.parseContainer(data));
+                let buffers = (container.json.buffers || []).map((buffer, i) => {
+                    if (buffer.uri === undefined) {
+                        return (i == 0 ? container.binary : null);
+                    }
+                    let embedded = decodeDataUri(buffer.uri);
+                    if (embedded != null) {
+                        return embedded.data;
+                    }
+                    return this.loadArrayBuffer(resolveIncludePath(buffer.uri, url), { signal: signal });
+                });
+
+                return Promise.all(buffers).then((buffers) => {
+                    let model = this.parseAsset(url, () => new GLTFModel(container.json, buffers, url));
+                    let images = model.images.map((image) => {
+                        if (image.data != null) {
+                            let blob = new Blob([image.data], { type: image.mimeType || "" });
+                            return this.decodeImageData(blob, url + " (" + image.name + ")");
+                        }
+                        return (image.url ? this.loadImage(image.url, { signal: signal }) : null);
+                    });
+                    return Promise.all(images).then((images) => {
+                        let scene = this.parseAsset(url, () => model.createScene(images, options.context || this.context));
+                        return Object.assign(scene, { model: model });
+                    });
+                });
+            });
+        }, options, true);
+    }
+
+    /**
+     * Decodes image data with the loader's decodeImage function, reporting
+     * its errors as decode failures.
+     * @param {Blob} blob Image data.
+     * @param {string} url Url the data came from.
+     * @return {promise} Promise to the image.
+     */
+    decodeImageData(blob, url) {
+        return Promise.resolve().then(() => this.decodeImage(blob, url)).catch((error) => {
+            if (error instanceof AssetLoadError) {
+                throw error;
+            }
+            throw new AssetLoadError("Failed to decode image " + url, url, { reason: "decode", cause: error });
+        });
+    }
+
+    /**
+     * Runs a parser, reporting its errors as parse failures.
+     * @param {string} url Url of the file parsed.
+     * @param {function} parse Function returning the parsed asset.
+     * @return {object} The asset.
+     * @throws {AssetLoadError} If parsing fails.
+     */
+    parseAsset(url, parse) {
+        try {
+            return parse();
+        } catch (error) {
+            throw new AssetLoadError("Failed to parse " + url + ": " + error.message, url,
+                                     { reason: "parse", cause: error });
+        }
+    }
+
+    /**
+     * Loads, preprocesses, compiles and links a shader program.  Includes that
+     * aren't registered with the preprocessor are loaded relative to the including file.
+     * @param {string} vertUrl Url of the vertex shader.
+     * @param {string} fragUrl Url of the fragment shader.
+     * @param {object} options Load options, plus the settings of Shader.fromSource().
+     * @return {promise} Promise to the Shader.
+     */
+    loadShader(vertUrl, fragUrl, options) {
+        options = options || {};
+        let base = options.preprocessor || ShaderPreprocessor.shared;
+        let key = "shader:" + vertUrl + "|" + fragUrl + JSON.stringify(options.defines || {});
+
+        return this.request(key, vertUrl + ", " + fragUrl, (signal) => {
+            let loader = (name) => this.loadText(name, { signal: signal });
+            let preprocessor = new ShaderPreprocessor({ includes: base.includes, loader: loader });
+            return Promise.all([loader(vertUrl), loader(fragUrl)]).then((sources) => {
+                return preprocessor.processAsync(sources[0], { name: vertUrl, defines: options.defines }).then((vert) => {
+                    return preprocessor.processAsync(sources[1], { name: fragUrl, defines: options.defines }).then((frag) => {
+                        return Shader.fromPreprocessed(vert, frag, options.context || this.context);
+                    });
+                });
+            });
+        }, options, true);
+    }
+
+    /**
+     * Loads one asset described by a plain object.
+     * @param {object} asset {type, url, options}, type being "text", "arrayBuffer",
+     * "image", "texture", "cubemap" (with urls in place of url), "mesh",
+     * "gltf" or "shader" (with vertUrl and fragUrl).
+     * @param {object} options Load options, merged under the asset's own.
+     * @return {promise} Promise to the asset.
+     */
+    load(asset, options) {
+        let merged = Object.assign({}, options, asset.options);
+        switch (asset.type) {
+        case "text":
+            return this.loadText(asset.url, merged);
+        case "arrayBuffer":
+            return this.loadArrayBuffer(asset.url, merged);
+        case "image":
+            return this.loadImage(asset.url, merged);
+        case "texture":
+            return this.loadTexture(asset.url, merged);
+        case "cubemap":
+            return this.loadCubemap(asset.urls, merged);
+        case "mesh":
+            return this.loadMesh(asset.url, merged);
+        case "gltf":
+            return this.loadGLTF(asset.url, merged);
+        case "shader":
+            return this.loadShader(asset.vertUrl, asset.fragUrl, merged);
+        default:
+            return Promise.reject(new Error("Unknown asset type " + asset.type));
+        }
+    }
+
+    /**
+     * Loads a batch of assets, reporting progress as each one finishes.
+     * @param {object} assets List or object of asset descriptions, see load().
+     * @param {object} options Load options applied to every asset, plus
+     * onProgress, called with {loaded, total, fraction, key, asset} after each
+     * asset loads, key being its index or property name.
+     * @return {promise} Promise to the loaded assets in the same shape as the
+     * descriptions, rejected with the first failure.
+     */
+    loadAll(assets, options) {
+        options = options || {};
+        let onProgress = options.onProgress || null;
+        let loadOptions = Object.assign({}, options);
+        delete loadOptions.onProgress;
+
+        let keys = Object.keys(assets);
+        let total = keys.length;
+        let loaded = 0;
+
+        let loads = keys.map((key) => this.load(assets[key], loadOptions).then((asset) => {
+            loaded++;
+            if (onProgress) {
+                onProgress({ loaded: loaded, total: total, fraction: loaded / total, key: key, asset: asset });
+            }
+            return asset;
+        }));
+
+        return Promise.all(loads).then((values) => {
+            if (Array.isArray(assets)) {
+                return values;
+            }
+            let result = {};
+            keys.forEach((key, i) => {
+                result[key] = values[i];
+            });
+            return result;
+        });
+    }
+}
+
+/** Loader used by the url factories of Texture, Mesh and Shader */
+AssetLoader.shared = new AssetLoader();
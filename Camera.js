@@ -3,6 +3,74 @@
  *  @author Nicolas Nytko <nnytko2@illinois.edu>
  */
 
+/**
+ * Transforms an axis-aligned box, returning the box around the transformed corners.
+ * @param {object} aabb Box as {min, max}.
+ * @param {mat4} matrix Transform to apply.
+ * @return {object} The transformed box as {min, max}.
+ */
+function transformAABB(aabb, matrix) {
+    var min = vec3.fromValues(Infinity, Infinity, Infinity);
+    var max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+    var corner = vec3.create();
+
+    for (var i = 0; i < 8; i++) {
+        vec3.set(corner,
+                 (i & 1) ? aabb.max[0] : aabb.min[0],
+                 (i & 2) ? aabb.max[1] : aabb.min[1],
+                 (i & 4) ? aabb.max[2] : aabb.min[2]);
+        vec3.transformMat4(corner, corner, matrix);
+        vec3.min(min, min, corner);
+        vec3.max(max, max, corner);
+    }
+    return { min: min, max: max };
+}
+
+/**
+ * Computes the view matrix a camera state describes.
+ * @param {object} state Either a state returned by Camera.toJSON(), or a
+ * pose given as {position, target, up}.
+ * @return {mat4} The view matrix.
+ */
+function viewMatrixFromState(state) {
+    var view = mat4.create();
+    if (state.rotation) {
+        var viewPoint = vec3.create();
+        vec3.add(viewPoint, state.eyePoint, state.lookDirection);
+        var lookAtMatrix = mat4.create();
+        mat4.lookAt(lookAtMatrix, state.eyePoint, viewPoint, state.up || vec3.fromValues(0.0, 1.0, 0.0));
+
+        var trans = mat4.create();
+        mat4.fromTranslation(trans, state.translation || vec3.create());
+        mat4.fromQuat(view, state.rotation);
+        mat4.multiply(view, view, trans);
+        mat4.multiply(view, view, lookAtMatrix);
+    } else {
+        mat4.lookAt(view, state.position, state.target, state.up || vec3.fromValues(0.0, 1.0, 0.0));
+    }
+    return view;
+}
+
+/**
+ * Splits a rigid view matrix into the camera's orientation and world position.
+ * @param {mat4} view View matrix.
+ * @return {object} {rotation, position}, rotation being the quaternion of the view matrix.
+ */
+function decomposeViewMatrix(view) {
+    var rot = mat3.create();
+    mat3.fromMat4(rot, view);
+    var rotation = quat.create();
+    quat.fromMat3(rotation, rot);
+    quat.normalize(rotation, rotation);
+
+    var inverse = mat4.create();
+    mat4.invert(inverse, view);
+    return {
+        rotation: rotation,
+        position: vec3.fromValues(inverse[12], inverse[13], inverse[14])
+    };
+}
+
 /** Class implementing a 3D Camera */
 class Camera {
     constructor(origin, lookDirection) {
@@ -17,6 +85,184 @@ class Camera {
         
         this.lookAtMatrix = mat4.create();
         mat4.lookAt(this.lookAtMatrix, this.eyePoint, this.viewPoint, this.up);
+
+        /* Projection parameters, angles are in degrees */
+        this.projectionType = "perspective";
+        this.fov = 45.0;
+        this.aspect = 1.0;
+        this.near = 0.1;
+        this.far = 100.0;
+        this.orthoBounds = { left: -1.0, right: 1.0, bottom: -1.0, top: 1.0 };
+
+        /* Transition started by animateTo(), advanced by update() */
+        this.animation = null;
+    }
+
+    /**
+     * Use a perspective projection.
+     * @param {number} fov Vertical field of view in degrees.
+     * @param {number} aspect Aspect ratio, width / height.
+     * @param {number} near Distance to the near clipping plane.
+     * @param {number} far Distance to the far clipping plane.
+     */
+    setPerspective(fov, aspect, near, far) {
+        this.projectionType = "perspective";
+        this.fov = fov;
+        this.aspect = aspect;
+        this.near = near;
+        this.far = far;
+    }
+
+    /**
+     * Use an orthographic projection.
+     * @param {number} left Left edge of the view volume.
+     * @param {number} right Right edge of the view volume.
+     * @param {number} bottom Bottom edge of the view volume.
+     * @param {number} top Top edge of the view volume.
+     * @param {number} near Distance to the near clipping plane.
+     * @param {number} far Distance to the far clipping plane.
+     */
+    setOrthographic(left, right, bottom, top, near, far) {
+        this.projectionType = "orthographic";
+        this.orthoBounds = { left: left, right: right, bottom: bottom, top: top };
+        this.aspect = (right - left) / (top - bottom);
+        this.near = near;
+        this.far = far;
+    }
+
+    /**
+     * Keeps the projection in sync with the size of the canvas.  Perspective
+     * cameras update their aspect ratio, orthographic cameras keep their
+     * vertical extent and widen or narrow the horizontal one around its center.
+     * @param {number} width Width of the canvas in pixels.
+     * @param {number} height Height of the canvas in pixels.
+     */
+    resize(width, height) {
+        this.aspect = width / height;
+
+        if (this.projectionType == "orthographic") {
+            var bounds = this.orthoBounds;
+            var centerX = (bounds.left + bounds.right) / 2;
+            var halfWidth = (bounds.top - bounds.bottom) / 2 * this.aspect;
+            bounds.left = centerX - halfWidth;
+            bounds.right = centerX + halfWidth;
+        }
+    }
+
+    /**
+     * Returns the projection matrix of the camera.
+     * @param {Matrix} outMatrix Matrix to store the result in.
+     */
+    getProjectionMatrix(outMatrix) {
+        if (this.projectionType == "orthographic") {
+            var bounds = this.orthoBounds;
+            mat4.ortho(outMatrix, bounds.left, bounds.right, bounds.bottom, bounds.top, this.near, this.far);
+        } else {
+            mat4.perspective(outMatrix, degToRad(this.fov), this.aspect, this.near, this.far);
+        }
+    }
+
+    /**
+     * Returns the projection matrix multiplied by the view matrix.
+     * @param {Matrix} outMatrix Matrix to store the result in.
+     */
+    getViewProjectionMatrix(outMatrix) {
+        var view = mat4.create();
+        this.getViewMatrix(view);
+        this.getProjectionMatrix(outMatrix);
+        mat4.multiply(outMatrix, outMatrix, view);
+    }
+
+    /**
+     * Extracts the six planes of the view frustum in world coordinates.
+     * Each plane is [a, b, c, d] with a unit normal (a, b, c) pointing into
+     * the frustum, so points inside satisfy a*x + b*y + c*z + d >= 0.
+     * @param {mat4} viewProjectionMatrix Optional combined projection and view
+     * matrix to extract the planes from, defaults to the camera's.
+     * @return {array} Planes in the order left, right, bottom, top, near, far.
+     */
+    getFrustumPlanes(viewProjectionMatrix) {
+        var m = viewProjectionMatrix;
+        if (!m) {
+            m = mat4.create();
+            this.getViewProjectionMatrix(m);
+        }
+
+        /* Row i of the column-major matrix is (m[i], m[4 + i], m[8 + i], m[12 + i]) */
+        var row = (i) => [m[i], m[4 + i], m[8 + i], m[12 + i]];
+        var r0 = row(0), r1 = row(1), r2 = row(2), r3 = row(3);
+        var combine = (a, b, sign) => a.map((x, i) => x + sign * b[i]);
+
+        var planes = [
+            combine(r3, r0, 1), combine(r3, r0, -1),
+            combine(r3, r1, 1), combine(r3, r1, -1),
+            combine(r3, r2, 1), combine(r3, r2, -1)
+        ];
+
+        for (var i = 0; i < planes.length; i++) {
+            var length = Math.hypot(planes[i][0], planes[i][1], planes[i][2]);
+            planes[i] = vec4.fromValues(planes[i][0] / length, planes[i][1] / length,
+                                        planes[i][2] / length, planes[i][3] / length);
+        }
+        return planes;
+    }
+
+    /**
+     * Tests whether an axis-aligned box is at least partly inside the view frustum.
+     * The test is conservative: boxes near the frustum corners may be reported
+     * visible when they are not, but visible boxes are never rejected.
+     * @param {object} aabb Box as {min, max}, ex: from Mesh.getAABB().
+     * @param {mat4} modelMatrix Optional transform from the box's space to world space.
+     * @param {array} planes Optional planes from getFrustumPlanes(), to reuse
+     * them when testing many boxes.
+     * @return {boolean} False if the box is entirely outside the frustum.
+     */
+    containsAABB(aabb, modelMatrix, planes) {
+        var min = aabb.min, max = aabb.max;
+        if (modelMatrix) {
+            var box = transformAABB(aabb, modelMatrix);
+            min = box.min;
+            max = box.max;
+        }
+        planes = planes || this.getFrustumPlanes();
+
+        for (var i = 0; i < planes.length; i++) {
+            var plane = planes[i];
+
+            /* Corner of the box furthest along the plane normal */
+            var x = (plane[0] >= 0 ? max[0] : min[0]);
+            var y = (plane[1] >= 0 ? max[1] : min[1]);
+            var z = (plane[2] >= 0 ? max[2] : min[2]);
+            if (plane[0] * x + plane[1] * y + plane[2] * z + plane[3] < 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Returns the ray through a point on the canvas, for picking.
+     * @param {number} x Horizontal position in pixels from the left edge.
+     * @param {number} y Vertical position in pixels from the top edge.
+     * @param {number} width Width of the canvas in pixels.
+     * @param {number} height Height of the canvas in pixels.
+     * @return {Ray} World space ray starting on the near plane.
+     */
+    screenPointToRay(x, y, width, height) {
+        var inverse = mat4.create();
+        this.getViewProjectionMatrix(inverse);
+        mat4.invert(inverse, inverse);
+
+        var ndcX = 2.0 * x / width - 1.0;
+        var ndcY = 1.0 - 2.0 * y / height;
+        var near = vec3.fromValues(ndcX, ndcY, -1.0);
+        var far = vec3.fromValues(ndcX, ndcY, 1.0);
+        vec3.transformMat4(near, near, inverse);
+        vec3.transformMat4(far, far, inverse);
+
+        var direction = vec3.create();
+        vec3.subtract(direction, far, near);
+        return new Ray(near, direction);
     }
 
     /**
@@ -35,6 +281,62 @@ class Camera {
         mat4.multiply(outMatrix, outMatrix, this.lookAtMatrix);
     }
 
+    /**
+     * Sets the camera transformation so that it produces a given view matrix.
+     * @param {mat4} viewMatrix Rigid (rotation and translation only) view matrix.
+     */
+    setViewMatrix(viewMatrix) {
+        /* The view matrix is rot * trans * lookAtMatrix, solve for rot * trans */
+        var rotTrans = mat4.create();
+        mat4.invert(rotTrans, this.lookAtMatrix);
+        mat4.multiply(rotTrans, viewMatrix, rotTrans);
+
+        var rot = mat3.create();
+        mat3.fromMat4(rot, rotTrans);
+        quat.fromMat3(this.rotation, rot);
+        quat.normalize(this.rotation, this.rotation);
+
+        /* rot * trans has translation rot * this.translation */
+        var conj = quat.create();
+        quat.conjugate(conj, this.rotation);
+        vec3.transformQuat(this.translation, vec3.fromValues(rotTrans[12], rotTrans[13], rotTrans[14]), conj);
+    }
+
+    /**
+     * Places the camera at a point looking towards a target.
+     * @param {vec3} eye Position of the camera in world coordinates.
+     * @param {vec3} target Point to look at.
+     * @param {vec3} up Up direction, defaults to the world Y axis.
+     */
+    lookAt(eye, target, up) {
+        var view = mat4.create();
+        mat4.lookAt(view, eye, target, up || vec3.fromValues(0.0, 1.0, 0.0));
+        this.setViewMatrix(view);
+    }
+
+    /**
+     * Returns the position of the camera in world coordinates.
+     * @return {vec3} Camera position.
+     */
+    getPosition() {
+        var inverseView = mat4.create();
+        this.getViewMatrix(inverseView);
+        mat4.invert(inverseView, inverseView);
+        return vec3.fromValues(inverseView[12], inverseView[13], inverseView[14]);
+    }
+
+    /**
+     * Returns the direction the camera is looking in, in world coordinates.
+     * @return {vec3} Unit view direction.
+     */
+    getDirection() {
+        var inverseView = mat4.create();
+        this.getViewMatrix(inverseView);
+        mat4.invert(inverseView, inverseView);
+        var direction = vec3.fromValues(-inverseView[8], -inverseView[9], -inverseView[10]);
+        return vec3.normalize(direction, direction);
+    }
+
     /**
      * Rotates a vector relative to the camera.
      * @param {number} x coordinate
@@ -140,4 +442,274 @@ class Camera {
         vec3.transformQuat(amt, amt, conj);
         vec3.subtract(this.translation, this.translation, amt);        
     }
+
+    /**
+     * Returns the state of the camera as plain data that can be stored with
+     * JSON.stringify() and restored with Camera.fromJSON() or setState().
+     * @return {object} The camera state.
+     */
+    toJSON() {
+        return {
+            eyePoint: Array.from(this.eyePoint),
+            lookDirection: Array.from(this.lookDirection),
+            up: Array.from(this.up),
+            translation: Array.from(this.translation),
+            rotation: Array.from(this.rotation),
+            projectionType: this.projectionType,
+            fov: this.fov,
+            aspect: this.aspect,
+            near: this.near,
+            far: this.far,
+            orthoBounds: Object.assign({}, this.orthoBounds)
+        };
+    }
+
+    /**
+     * Creates a camera from a state returned by toJSON().
+     * @param {object} json The camera state, or a JSON string of it.
+     * @return {Camera} The restored camera.
+     */
+    static fromJSON(json) {
+        if (typeof json == "string") {
+            json = JSON.parse(json);
+        }
+        if (!json || !json.eyePoint || !json.lookDirection) {
+            throw new Error("Camera state needs an eyePoint and a lookDirection");
+        }
+
+        var camera = new Camera(json.eyePoint, json.lookDirection);
+        camera.setState(json);
+        return camera;
+    }
+
+    /**
+     * Jumps to a state, stopping any running animation.
+     * @param {object} state Either a state returned by toJSON(), or a pose given
+     * as {position, target, up}.  Both may also hold any of the projection
+     * settings projectionType, fov, aspect, near, far and orthoBounds.
+     */
+    setState(state) {
+        this.stopAnimation();
+
+        if (state.rotation) {
+            this.eyePoint = vec3.clone(state.eyePoint);
+            this.lookDirection = vec3.clone(state.lookDirection);
+            this.up = vec3.clone(state.up || [0.0, 1.0, 0.0]);
+            vec3.add(this.viewPoint, this.eyePoint, this.lookDirection);
+            mat4.lookAt(this.lookAtMatrix, this.eyePoint, this.viewPoint, this.up);
+
+            vec3.copy(this.translation, state.translation || [0.0, 0.0, 0.0]);
+            quat.copy(this.rotation, state.rotation);
+        } else {
+            this.setViewMatrix(viewMatrixFromState(state));
+        }
+
+        var keys = ["projectionType", "fov", "aspect", "near", "far"];
+        for (var i = 0; i < keys.length; i++) {
+            if (state[keys[i]] !== undefined) {
+                this[keys[i]] = state[keys[i]];
+            }
+        }
+        if (state.orthoBounds) {
+            this.orthoBounds = Object.assign({}, state.orthoBounds);
+        }
+    }
+
+    /**
+     * Smoothly moves the camera to another state.  The position is eased and
+     * the orientation interpolated with quaternion slerp, along with the
+     * field of view, clipping planes and orthographic bounds.  The projection
+     * type, if it changes, switches at the end.  The animation only advances
+     * when update() is called.
+     * @param {object} state Target state, see setState().
+     * @param {number} duration Length of the transition in seconds.
+     * @param {function|string} easing Easing function mapping [0, 1] to [0, 1],
+     * or the name of one in Camera.easings.  Defaults to "easeInOutCubic".
+     * @return {promise} Promise resolving to true when the camera arrives, or
+     * to false if the animation is stopped or replaced before then.
+     */
+    animateTo(state, duration, easing) {
+        this.stopAnimation();
+
+        if (typeof easing == "string" || easing === undefined) {
+            var name = easing || "easeInOutCubic";
+            easing = Camera.easings[name];
+            if (!easing) {
+                throw new Error("Unknown easing " + name);
+            }
+        }
+
+        if (!(duration > 0)) {
+            this.setState(state);
+            return Promise.resolve(true);
+        }
+
+        var view = mat4.create();
+        this.getViewMatrix(view);
+
+        return new Promise((resolve) => {
+            this.animation = {
+                state: state,
+                duration: duration,
+                easing: easing,
+                time: 0.0,
+                from: decomposeViewMatrix(view),
+                to: decomposeViewMatrix(viewMatrixFromState(state)),
+                fromProjection: {
+                    fov: this.fov,
+                    near: this.near,
+                    far: this.far,
+                    orthoBounds: Object.assign({}, this.orthoBounds)
+                },
+                resolve: resolve
+            };
+        });
+    }
+
+    /**
+     * Advances the running animation, if any.
+     * @param {number} dt Time since the last update in seconds.
+     * @return {boolean} Whether an animation is still running.
+     */
+    update(dt) {
+        var animation = this.animation;
+        if (animation == null) {
+            return false;
+        }
+
+        animation.time += dt;
+        if (animation.time >= animation.duration) {
+            /* Land exactly on the target state */
+            var resolve = animation.resolve;
+            animation.resolve = null;
+            this.setState(animation.state);
+            resolve(true);
+            return false;
+        }
+
+        var t = animation.easing(animation.time / animation.duration);
+        var from = animation.from, to = animation.to;
+
+        var rotation = quat.create();
+        quat.slerp(rotation, from.rotation, to.rotation, t);
+        quat.normalize(rotation, rotation);
+        var position = vec3.create();
+        vec3.lerp(position, from.position, to.position, t);
+
+        /* The view matrix translates by -(rotation * position) */
+        var offset = vec3.create();
+        vec3.transformQuat(offset, position, rotation);
+        vec3.negate(offset, offset);
+        var view = mat4.create();
+        mat4.fromRotationTranslation(view, rotation, offset);
+        this.setViewMatrix(view);
+
+        var lerp = (a, b) => (b === undefined ? a : a + (b - a) * t);
+        var state = animation.state, start = animation.fromProjection;
+        this.fov = lerp(start.fov, state.fov);
+        this.near = lerp(start.near, state.near);
+        this.far = lerp(start.far, state.far);
+        if (state.orthoBounds) {
+            for (var side in start.orthoBounds) {
+                this.orthoBounds[side] = lerp(start.orthoBounds[side], state.orthoBounds[side]);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Whether an animation started by animateTo() is running.
+     * @return {boolean} True while animating.
+     */
+    isAnimating() {
+        return this.animation != null;
+    }
+
+    /**
+     * Stops the running animation where it is.  Its promise resolves to false.
+     */
+    stopAnimation() {
+        var animation = this.animation;
+        this.animation = null;
+        if (animation != null && animation.resolve != null) {
+            animation.resolve(false);
+        }
+    }
+
+    /**
+     * Computes a state that fits a box in view, keeping the current view
+     * direction and roll.  Perspective cameras back away until the box's
+     * bounding sphere fits in the field of view, orthographic cameras resize
+     * their bounds around it.  The clipping planes are left alone.
+     * @param {object} aabb Box as {min, max}, ex: from Mesh.getAABB().
+     * @param {object} options Optional settings: modelMatrix, the transform from
+     * the box's space to world space, and padding, a factor to leave room around
+     * the box (defaults to 1.1).
+     * @return {object} State for setState() or animateTo().
+     */
+    getFramingState(aabb, options) {
+        options = options || {};
+        var padding = (options.padding === undefined ? 1.1 : options.padding);
+        var box = (options.modelMatrix ? transformAABB(aabb, options.modelMatrix) : aabb);
+
+        var center = vec3.create();
+        vec3.add(center, box.min, box.max);
+        vec3.scale(center, center, 0.5);
+        var radius = vec3.distance(box.min, box.max) / 2;
+        radius = Math.max(radius, this.near) * padding;
+
+        var view = mat4.create();
+        this.getViewMatrix(view);
+        var up = vec3.fromValues(view[1], view[5], view[9]);
+        var direction = this.getDirection();
+        var position = vec3.create();
+
+        if (this.projectionType == "orthographic") {
+            vec3.scaleAndAdd(position, center, direction, -(this.near + radius));
+
+            var halfWidth = radius, halfHeight = radius;
+            if (this.aspect >= 1.0) {
+                halfWidth = radius * this.aspect;
+            } else {
+                halfHeight = radius / this.aspect;
+            }
+            return {
+                position: position,
+                target: center,
+                up: up,
+                orthoBounds: { left: -halfWidth, right: halfWidth, bottom: -halfHeight, top: halfHeight }
+            };
+        }
+
+        /* Fit the sphere in the narrower of the vertical and horizontal fields of view */
+        var halfFov = degToRad(this.fov) / 2;
+        halfFov = Math.min(halfFov, Math.atan(Math.tan(halfFov) * this.aspect));
+        vec3.scaleAndAdd(position, center, direction, -radius / Math.sin(halfFov));
+        return { position: position, target: center, up: up };
+    }
+
+    /**
+     * Fits a box in view, see getFramingState().
+     * @param {object} aabb Box as {min, max}, ex: from Mesh.getAABB().
+     * @param {number} duration Optional length of the transition in seconds,
+     * the camera jumps there when it is 0 or missing.
+     * @param {object} options Optional settings, see getFramingState(), plus
+     * easing, see animateTo().
+     * @return {promise} Promise resolving when the camera arrives, see animateTo().
+     */
+    frameAABB(aabb, duration, options) {
+        options = options || {};
+        return this.animateTo(this.getFramingState(aabb, options), duration || 0, options.easing);
+    }
 }
+
+/** Easing functions for animateTo(), each mapping [0, 1] to [0, 1] */
+Camera.easings = {
+    linear: (t) => t,
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => t * (2 - t),
+    easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - 4 * Math.pow(1 - t, 3))
+};
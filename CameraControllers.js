@@ -0,0 +1,512 @@
+/**
+ * @file Controllers driving a Camera from pointer, wheel and keyboard input:
+ * orbit, fly and first-person.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Input source reading DOM events.  Pointer and wheel events are read from
+ * the element, keyboard events from its window.  Events are passed on as
+ * plain objects: {type, x, y, dx, dy, button, buttons, deltaY, key, shiftKey}.
+ */
+class DOMInputSource {
+    constructor() {
+        this.element = null;
+        this.listeners = [];
+        this.lastX = 0;
+        this.lastY = 0;
+    }
+
+    /**
+     * Starts listening for events.
+     * @param {Element} element Element to read pointer and wheel events from.
+     * @param {function} handler Function called with each normalized event.
+     */
+    connect(element, handler) {
+        this.disconnect();
+        this.element = element;
+        let win = (element.ownerDocument && element.ownerDocument.defaultView) || window;
+
+        let pointer = (type) => (e) => {
+            let dx = (type == "pointerdown" ? 0 : e.clientX - this.lastX);
+            let dy = (type == "pointerdown" ? 0 : e.clientY - this.lastY);
+            this.lastX = e.clientX;
+            this.lastY = e.clientY;
+
+            if (type == "pointerdown" && element.setPointerCapture) {
+                element.setPointerCapture(e.pointerId);
+            }
+            handler({
+                type: type, x: e.clientX, y: e.clientY, dx: dx, dy: dy,
+                button: e.button, buttons: e.buttons, shiftKey: e.shiftKey
+            });
+        };
+        let key = (type) => (e) => {
+            handler({ type: type, key: e.code || e.key, shiftKey: e.shiftKey });
+        };
+
+        this.listen(element, "pointerdown", pointer("pointerdown"));
+        this.listen(element, "pointermove", pointer("pointermove"));
+        this.listen(element, "pointerup", pointer("pointerup"));
+        this.listen(element, "pointercancel", pointer("pointerup"));
+        this.listen(element, "wheel", (e) => {
+            e.preventDefault();
+            /* Normalize line and page scrolling to pixels */
+            let scale = (e.deltaMode == 1 ? 16 : (e.deltaMode == 2 ? 400 : 1));
+            handler({ type: "wheel", deltaY: e.deltaY * scale, shiftKey: e.shiftKey });
+        }, { passive: false });
+        this.listen(element, "contextmenu", (e) => e.preventDefault());
+        this.listen(win, "keydown", key("keydown"));
+        this.listen(win, "keyup", key("keyup"));
+        this.listen(win, "blur", () => handler({ type: "blur" }));
+    }
+
+    /**
+     * Adds an event listener, remembering it for disconnect().
+     * @param {EventTarget} target Object to listen on.
+     * @param {string} type Event type.
+     * @param {function} listener Event listener.
+     * @param {object} options Optional addEventListener options.
+     */
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.listeners.push({ target: target, type: type, listener: listener, options: options });
+    }
+
+    /**
+     * Stops listening for events.
+     */
+    disconnect() {
+        for (let i = 0; i < this.listeners.length; i++) {
+            let l = this.listeners[i];
+            l.target.removeEventListener(l.type, l.listener, l.options);
+        }
+        this.listeners = [];
+        this.element = null;
+    }
+}
+
+/**
+ * Input source fed by hand, for driving controllers from tests or recorded input.
+ */
+class SyntheticInputSource {
+    constructor() {
+        this.handler = null;
+    }
+
+    connect(element, handler) {
+        this.handler = handler;
+    }
+
+    disconnect() {
+        this.handler = null;
+    }
+
+    /**
+     * Sends an event to the connected controller.
+     * @param {object} event Normalized event, see DOMInputSource.
+     */
+    emit(event) {
+        if (this.handler != null) {
+            this.handler(Object.assign({ dx: 0, dy: 0, buttons: 0, button: 0, deltaY: 0, shiftKey: false }, event));
+        }
+    }
+}
+
+/**
+ * Moves a value towards zero the way damped motion settles.
+ * @param {number} damping Fraction of the motion left after 1/60th of a second,
+ * 0 applies all motion at once.
+ * @param {number} dt Time step in seconds.
+ * @return {number} Fraction of the remaining motion to apply in this step.
+ */
+function dampingStep(damping, dt) {
+    if (damping <= 0) {
+        return 1.0;
+    }
+    return 1.0 - Math.pow(damping, dt * 60.0);
+}
+
+/**
+ * Base class of the camera controllers.  Tracks pressed keys and pointer
+ * drags, and forwards input to the on* methods of subclasses.  Controllers
+ * only touch the camera in update(), which should be called once per frame.
+ */
+class CameraController {
+    /**
+     * @param {Camera} camera Camera to drive.
+     * @param {object} options Settings, see the subclasses.  All controllers take
+     * damping, the fraction of motion left after 1/60th of a second (0 for none),
+     * and keys, an object mapping actions to lists of key codes.
+     */
+    constructor(camera, options) {
+        this.camera = camera;
+        this.options = Object.assign({ damping: 0.8 }, options);
+        this.keys = Object.assign({}, this.constructor.defaultKeys, this.options.keys);
+
+        this.pressed = new Set();
+        this.dragButton = -1;
+        this.source = null;
+        this.handler = (event) => this.handleInput(event);
+    }
+
+    /**
+     * Starts reading input from an element.
+     * @param {Element} element Element to read input from.
+     * @param {object} source Optional input source, defaults to a DOMInputSource.
+     */
+    attach(element, source) {
+        this.detach();
+        this.source = source || new DOMInputSource();
+        this.source.connect(element, this.handler);
+    }
+
+    /**
+     * Stops reading input.
+     */
+    detach() {
+        if (this.source != null) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.pressed.clear();
+        this.dragButton = -1;
+    }
+
+    /**
+     * Whether any key bound to an action is held down.
+     * @param {string} action Action name, ex: "forward".
+     * @return {boolean} True if the action is active.
+     */
+    isActive(action) {
+        let codes = this.keys[action] || [];
+        return codes.some((code) => this.pressed.has(code));
+    }
+
+    /**
+     * Returns +1, -1 or 0 depending on which of two opposing actions is active.
+     * @param {string} positive Action adding to the axis.
+     * @param {string} negative Action subtracting from the axis.
+     * @return {number} Axis value.
+     */
+    axis(positive, negative) {
+        return (this.isActive(positive) ? 1 : 0) - (this.isActive(negative) ? 1 : 0);
+    }
+
+    /**
+     * Handles one normalized input event.
+     * @param {object} event Event from the input source.
+     */
+    handleInput(event) {
+        switch (event.type) {
+        case "pointerdown":
+            this.dragButton = event.button;
+            break;
+        case "pointermove":
+            if (this.dragButton >= 0) {
+                this.onDrag(event.dx, event.dy, this.dragButton, event);
+            }
+            break;
+        case "pointerup":
+            this.dragButton = -1;
+            break;
+        case "wheel":
+            this.onWheel(event.deltaY, event);
+            break;
+        case "keydown":
+            this.pressed.add(event.key);
+            break;
+        case "keyup":
+            this.pressed.delete(event.key);
+            break;
+        case "blur":
+            this.pressed.clear();
+            this.dragButton = -1;
+            break;
+        }
+    }
+
+    /**
+     * Called when the pointer moves with a button held.
+     * @param {number} dx Horizontal movement in pixels.
+     * @param {number} dy Vertical movement in pixels.
+     * @param {number} button Button that started the drag, 0 left, 1 middle, 2 right.
+     * @param {object} event The input event.
+     */
+    onDrag(dx, dy, button, event) {
+    }
+
+    /**
+     * Called when the wheel is scrolled.
+     * @param {number} deltaY Scroll amount in pixels, positive away from the user.
+     * @param {object} event The input event.
+     */
+    onWheel(deltaY, event) {
+    }
+
+    /**
+     * Applies the input received since the last update to the camera.
+     * @param {number} dt Time since the last update in seconds.
+     */
+    update(dt) {
+    }
+}
+
+/**
+ * Orbits the camera around a target point.  Drag with the left button to
+ * rotate, with the right or middle button (or shift + left) to pan, and
+ * scroll to zoom.
+ */
+class OrbitController extends CameraController {
+    /**
+     * @param {Camera} camera Camera to drive.
+     * @param {object} options Optional settings: target (default origin),
+     * rotateSpeed in degrees per pixel, panSpeed as a fraction of the distance
+     * per pixel, zoomSpeed as the zoom factor per 100 pixels of scrolling,
+     * minDistance/maxDistance, minPitch/maxPitch in degrees, panBounds, a box
+     * {min, max} the target is kept in, and damping.
+     */
+    constructor(camera, options) {
+        super(camera, Object.assign({
+            target: [0, 0, 0],
+            rotateSpeed: 0.3,
+            panSpeed: 0.0015,
+            zoomSpeed: 1.1,
+            minDistance: 0.01,
+            maxDistance: Infinity,
+            minPitch: -89,
+            maxPitch: 89,
+            panBounds: null
+        }, options));
+
+        this.target = vec3.clone(this.options.target);
+
+        /* Start from wherever the camera currently is */
+        let offset = vec3.create();
+        vec3.subtract(offset, camera.getPosition(), this.target);
+        this.distance = Math.max(vec3.length(offset), this.options.minDistance);
+        this.yaw = Math.atan2(offset[0], offset[2]) * 180 / Math.PI;
+        this.pitch = Math.asin(Math.max(-1, Math.min(1, offset[1] / this.distance))) * 180 / Math.PI;
+
+        /* Motion still to be applied */
+        this.pendingYaw = 0;
+        this.pendingPitch = 0;
+        this.pendingZoom = 0;
+        this.pendingPan = vec3.create();
+
+        this.apply();
+    }
+
+    onDrag(dx, dy, button, event) {
+        if (button == 0 && !event.shiftKey) {
+            this.pendingYaw -= dx * this.options.rotateSpeed;
+            this.pendingPitch += dy * this.options.rotateSpeed;
+        } else {
+            /* Pan in the camera's screen plane */
+            let scale = this.distance * this.options.panSpeed;
+            let view = mat4.create();
+            this.camera.getViewMatrix(view);
+            let right = vec3.fromValues(view[0], view[4], view[8]);
+            let up = vec3.fromValues(view[1], view[5], view[9]);
+            vec3.scaleAndAdd(this.pendingPan, this.pendingPan, right, -dx * scale);
+            vec3.scaleAndAdd(this.pendingPan, this.pendingPan, up, dy * scale);
+        }
+    }
+
+    onWheel(deltaY) {
+        /* Zoom is accumulated in log space so it composes multiplicatively */
+        this.pendingZoom += Math.log(this.options.zoomSpeed) * deltaY / 100;
+    }
+
+    update(dt) {
+        let f = dampingStep(this.options.damping, dt);
+
+        this.yaw += this.pendingYaw * f;
+        this.pitch += this.pendingPitch * f;
+        this.distance *= Math.exp(this.pendingZoom * f);
+        vec3.scaleAndAdd(this.target, this.target, this.pendingPan, f);
+
+        this.pendingYaw *= 1 - f;
+        this.pendingPitch *= 1 - f;
+        this.pendingZoom *= 1 - f;
+        vec3.scale(this.pendingPan, this.pendingPan, 1 - f);
+
+        this.apply();
+    }
+
+    /**
+     * Clamps the orbit to its limits and positions the camera.
+     */
+    apply() {
+        let o = this.options;
+        this.pitch = Math.max(o.minPitch, Math.min(o.maxPitch, this.pitch));
+        this.distance = Math.max(o.minDistance, Math.min(o.maxDistance, this.distance));
+        if (o.panBounds) {
+            vec3.max(this.target, this.target, o.panBounds.min);
+            vec3.min(this.target, this.target, o.panBounds.max);
+        }
+
+        let yaw = degToRad(this.yaw), pitch = degToRad(this.pitch);
+        let eye = vec3.fromValues(Math.cos(pitch) * Math.sin(yaw),
+                                  Math.sin(pitch),
+                                  Math.cos(pitch) * Math.cos(yaw));
+        vec3.scaleAndAdd(eye, this.target, eye, this.distance);
+        this.camera.lookAt(eye, this.target);
+    }
+}
+
+/** Default key bindings of the orbit controller, which has none */
+OrbitController.defaultKeys = {};
+
+/**
+ * Free six degrees of freedom flight.  Drag to look around, move with
+ * WASD, rise and sink with R/F and roll with Q/E.  All rotation is about
+ * the camera's own axes, so the camera can turn upside down.
+ */
+class FlyController extends CameraController {
+    /**
+     * @param {Camera} camera Camera to drive.
+     * @param {object} options Optional settings: moveSpeed in units per second,
+     * lookSpeed in degrees per pixel, rollSpeed in degrees per second, keys and damping.
+     */
+    constructor(camera, options) {
+        super(camera, Object.assign({
+            moveSpeed: 5.0,
+            lookSpeed: 0.2,
+            rollSpeed: 60.0
+        }, options));
+
+        this.velocity = vec3.create();
+        this.rollVelocity = 0;
+        this.pendingYaw = 0;
+        this.pendingPitch = 0;
+    }
+
+    onDrag(dx, dy) {
+        this.pendingYaw -= dx * this.options.lookSpeed;
+        this.pendingPitch -= dy * this.options.lookSpeed;
+    }
+
+    update(dt) {
+        let f = dampingStep(this.options.damping, dt);
+
+        /* Velocity eases towards the one requested by the keys */
+        let wanted = vec3.fromValues(this.axis("right", "left"),
+                                     this.axis("up", "down"),
+                                     this.axis("back", "forward"));
+        if (vec3.length(wanted) > 0) {
+            vec3.normalize(wanted, wanted);
+        }
+        vec3.scale(wanted, wanted, this.options.moveSpeed);
+        vec3.lerp(this.velocity, this.velocity, wanted, f);
+        this.rollVelocity += (this.axis("rollRight", "rollLeft") * this.options.rollSpeed - this.rollVelocity) * f;
+
+        let yaw = this.pendingYaw * f, pitch = this.pendingPitch * f;
+        this.pendingYaw -= yaw;
+        this.pendingPitch -= pitch;
+
+        this.camera.rotateLocalY(yaw);
+        this.camera.rotateLocalX(pitch);
+        this.camera.rotateLocalZ(this.rollVelocity * dt);
+        this.camera.translateLocal(this.velocity[0] * dt, this.velocity[1] * dt, this.velocity[2] * dt);
+    }
+}
+
+FlyController.defaultKeys = {
+    forward: ["KeyW", "ArrowUp"],
+    back: ["KeyS", "ArrowDown"],
+    left: ["KeyA", "ArrowLeft"],
+    right: ["KeyD", "ArrowRight"],
+    up: ["KeyR"],
+    down: ["KeyF"],
+    rollLeft: ["KeyQ"],
+    rollRight: ["KeyE"]
+};
+
+/**
+ * First-person walking camera.  Drag to look around, move with WASD on
+ * the horizontal plane.  Pitch is clamped so the view never flips over.
+ */
+class FirstPersonController extends CameraController {
+    /**
+     * @param {Camera} camera Camera to drive.
+     * @param {object} options Optional settings: moveSpeed in units per second,
+     * runMultiplier applied while shift is held, lookSpeed in degrees per pixel,
+     * maxPitch in degrees, keys and damping.
+     */
+    constructor(camera, options) {
+        super(camera, Object.assign({
+            moveSpeed: 3.0,
+            runMultiplier: 2.0,
+            lookSpeed: 0.2,
+            maxPitch: 89
+        }, options));
+
+        this.position = camera.getPosition();
+        let direction = camera.getDirection();
+        this.yaw = Math.atan2(-direction[0], -direction[2]) * 180 / Math.PI;
+        this.pitch = Math.asin(Math.max(-1, Math.min(1, direction[1]))) * 180 / Math.PI;
+
+        this.velocity = vec3.create();
+        this.pendingYaw = 0;
+        this.pendingPitch = 0;
+
+        this.apply();
+    }
+
+    onDrag(dx, dy) {
+        this.pendingYaw -= dx * this.options.lookSpeed;
+        this.pendingPitch -= dy * this.options.lookSpeed;
+    }
+
+    update(dt) {
+        let f = dampingStep(this.options.damping, dt);
+
+        let yaw = this.pendingYaw * f, pitch = this.pendingPitch * f;
+        this.pendingYaw -= yaw;
+        this.pendingPitch -= pitch;
+        this.yaw += yaw;
+        this.pitch += pitch;
+
+        /* Walk relative to the heading, ignoring pitch */
+        let heading = degToRad(this.yaw);
+        let forward = vec3.fromValues(-Math.sin(heading), 0, -Math.cos(heading));
+        let right = vec3.fromValues(Math.cos(heading), 0, -Math.sin(heading));
+
+        let wanted = vec3.create();
+        vec3.scaleAndAdd(wanted, wanted, forward, this.axis("forward", "back"));
+        vec3.scaleAndAdd(wanted, wanted, right, this.axis("right", "left"));
+        if (vec3.length(wanted) > 0) {
+            vec3.normalize(wanted, wanted);
+        }
+        let speed = this.options.moveSpeed * (this.isActive("run") ? this.options.runMultiplier : 1);
+        vec3.scale(wanted, wanted, speed);
+        vec3.lerp(this.velocity, this.velocity, wanted, f);
+        vec3.scaleAndAdd(this.position, this.position, this.velocity, dt);
+
+        this.apply();
+    }
+
+    /**
+     * Clamps the pitch and positions the camera.
+     */
+    apply() {
+        let maxPitch = this.options.maxPitch;
+        this.pitch = Math.max(-maxPitch, Math.min(maxPitch, this.pitch));
+
+        let yaw = degToRad(this.yaw), pitch = degToRad(this.pitch);
+        let target = vec3.fromValues(-Math.cos(pitch) * Math.sin(yaw),
+                                     Math.sin(pitch),
+                                     -Math.cos(pitch) * Math.cos(yaw));
+        vec3.add(target, target, this.position);
+        this.camera.lookAt(this.position, target);
+    }
+}
+
+FirstPersonController.defaultKeys = {
+    forward: ["KeyW", "ArrowUp"],
+    back: ["KeyS", "ArrowDown"],
+    left: ["KeyA", "ArrowLeft"],
+    right: ["KeyD", "ArrowRight"],
+    run: ["ShiftLeft", "ShiftRight"]
+};
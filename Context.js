@@ -0,0 +1,102 @@
+/**
+ * @file Helpers for choosing which WebGL context a GL resource belongs to.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Returns the context to use for a GL resource.  An explicitly passed
+ * context always wins, otherwise the global gl is used as a fallback.
+ * @param {WebGLRenderingContext} context Optional explicit context.
+ * @return {WebGLRenderingContext} The context to use, or null if there is none.
+ */
+function resolveContext(context) {
+    if (context) {
+        return context;
+    }
+    if (typeof gl !== "undefined" && gl) {
+        return gl;
+    }
+    return null;
+}
+
+/**
+ * Returns the vertex array object functions of a context, from WebGL2
+ * itself or the OES_vertex_array_object extension on WebGL1.
+ * @param {WebGLRenderingContext} gl The context.
+ * @return {object} {create, bind, remove} functions, or null if VAOs are unsupported.
+ */
+function getVertexArrayFunctions(gl) {
+    if (typeof gl.createVertexArray == "function") {
+        return {
+            create: () => gl.createVertexArray(),
+            bind: (vao) => gl.bindVertexArray(vao),
+            remove: (vao) => gl.deleteVertexArray(vao)
+        };
+    }
+
+    let ext = gl.getExtension("OES_vertex_array_object");
+    if (ext == null) {
+        return null;
+    }
+    return {
+        create: () => ext.createVertexArrayOES(),
+        bind: (vao) => ext.bindVertexArrayOES(vao),
+        remove: (vao) => ext.deleteVertexArrayOES(vao)
+    };
+}
+
+/**
+ * Whether a context is a WebGL2 context.
+ * @param {WebGLRenderingContext} gl The context.
+ * @return {boolean} True for WebGL2.
+ */
+function isWebGL2(gl) {
+    return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+}
+
+/**
+ * Returns the function selecting the color attachments drawn to, from
+ * WebGL2 itself or the WEBGL_draw_buffers extension on WebGL1.
+ * @param {WebGLRenderingContext} gl The context.
+ * @return {function} Function taking a list of attachment enums, or null if
+ * multiple render targets are unsupported.
+ */
+function getDrawBuffersFunction(gl) {
+    if (typeof gl.drawBuffers == "function") {
+        return (buffers) => gl.drawBuffers(buffers);
+    }
+
+    let ext = gl.getExtension("WEBGL_draw_buffers");
+    if (ext == null) {
+        return null;
+    }
+    return (buffers) => ext.drawBuffersWEBGL(buffers);
+}
+
+/**
+ * Returns the instanced drawing functions of a context, from WebGL2 itself
+ * or the ANGLE_instanced_arrays extension on WebGL1.
+ * @param {WebGLRenderingContext} gl The context.
+ * @return {object} {drawElements, drawArrays, divisor} functions taking the
+ * arguments of drawElementsInstanced, drawArraysInstanced and
+ * vertexAttribDivisor, or null if instancing is unsupported.
+ */
+function getInstancingFunctions(gl) {
+    if (typeof gl.drawElementsInstanced == "function") {
+        return {
+            drawElements: (mode, count, type, offset, instances) => gl.drawElementsInstanced(mode, count, type, offset, instances),
+            drawArrays: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances),
+            divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor)
+        };
+    }
+
+    let ext = gl.getExtension("ANGLE_instanced_arrays");
+    if (ext == null) {
+        return null;
+    }
+    return {
+        drawElements: (mode, count, type, offset, instances) => ext.drawElementsInstancedANGLE(mode, count, type, offset, instances),
+        drawArrays: (mode, first, count, instances) => ext.drawArraysInstancedANGLE(mode, first, count, instances),
+        divisor: (location, divisor) => ext.vertexAttribDivisorANGLE(location, divisor)
+    };
+}
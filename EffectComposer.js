@@ -0,0 +1,805 @@
+/**
+ * @file Post processing: a chain of full screen passes run over the rendered scene.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** Vertex shader of the full screen passes, drawing the triangle from createFullscreenTriangle() */
+const EFFECT_VERTEX_SOURCE = `
+attribute vec3 aVertexPosition;
+varying vec2 vTexCoord;
+
+void main() {
+    vTexCoord = aVertexPosition.xy * 0.5 + 0.5;
+    gl_Position = vec4(aVertexPosition.xy, 0.0, 1.0);
+}
+`;
+
+/**
+ * Put in front of the fragment shader of every ShaderPass.  uInput is the
+ * result of the previous pass and uTexelSize the size of one of its pixels,
+ * uResolution is the size in pixels of the pass's output, and uTime the
+ * seconds passed to EffectComposer.render() so far.
+ */
+const EFFECT_FRAGMENT_HEADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+uniform sampler2D uInput;
+uniform vec2 uTexelSize;
+uniform vec2 uResolution;
+uniform float uTime;
+varying vec2 vTexCoord;
+`;
+
+/** Tone mapping with exposure and gamma encoding, see ToneMappingPass */
+const TONE_MAPPING_FRAGMENT_SOURCE = `
+uniform float uExposure;
+uniform float uGamma;
+uniform int uOperator;
+
+vec3 acesFilm(vec3 x) {
+    return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+}
+
+void main() {
+    vec4 texel = texture2D(uInput, vTexCoord);
+    vec3 color = texel.rgb * uExposure;
+    if (uOperator == 1) {
+        color = color / (1.0 + color);
+    } else if (uOperator == 2) {
+        color = acesFilm(color);
+    }
+    gl_FragColor = vec4(pow(clamp(color, 0.0, 1.0), vec3(1.0 / uGamma)), texel.a);
+}
+`;
+
+/** Fast approximate anti-aliasing, after Timothy Lottes' FXAA */
+const FXAA_FRAGMENT_SOURCE = `
+#define FXAA_REDUCE_MIN (1.0 / 128.0)
+#define FXAA_REDUCE_MUL (1.0 / 8.0)
+#define FXAA_SPAN_MAX 8.0
+
+void main() {
+    vec3 rgbNW = texture2D(uInput, vTexCoord + vec2(-1.0, -1.0) * uTexelSize).rgb;
+    vec3 rgbNE = texture2D(uInput, vTexCoord + vec2(1.0, -1.0) * uTexelSize).rgb;
+    vec3 rgbSW = texture2D(uInput, vTexCoord + vec2(-1.0, 1.0) * uTexelSize).rgb;
+    vec3 rgbSE = texture2D(uInput, vTexCoord + vec2(1.0, 1.0) * uTexelSize).rgb;
+    vec4 texelM = texture2D(uInput, vTexCoord);
+
+    vec3 luma = vec3(0.299, 0.587, 0.114);
+    float lumaNW = dot(rgbNW, luma);
+    float lumaNE = dot(rgbNE, luma);
+    float lumaSW = dot(rgbSW, luma);
+    float lumaSE = dot(rgbSE, luma);
+    float lumaM = dot(texelM.rgb, luma);
+    float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+    float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+    /* Blur along the edge, found from the luma gradient */
+    vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+    float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * (0.25 * FXAA_REDUCE_MUL), FXAA_REDUCE_MIN);
+    float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+    dir = clamp(dir * rcpDirMin, vec2(-FXAA_SPAN_MAX), vec2(FXAA_SPAN_MAX)) * uTexelSize;
+
+    vec3 rgbA = 0.5 * (texture2D(uInput, vTexCoord + dir * (1.0 / 3.0 - 0.5)).rgb +
+                       texture2D(uInput, vTexCoord + dir * (2.0 / 3.0 - 0.5)).rgb);
+    vec3 rgbB = rgbA * 0.5 + 0.25 * (texture2D(uInput, vTexCoord - dir * 0.5).rgb +
+                                     texture2D(uInput, vTexCoord + dir * 0.5).rgb);
+
+    /* The wider blur is used unless it reached past the local contrast */
+    float lumaB = dot(rgbB, luma);
+    gl_FragColor = vec4((lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB, texelM.a);
+}
+`;
+
+/** Darkens the corners, see VignettePass */
+const VIGNETTE_FRAGMENT_SOURCE = `
+uniform float uOffset;
+uniform float uDarkness;
+
+void main() {
+    vec4 texel = texture2D(uInput, vTexCoord);
+    vec2 uv = (vTexCoord - 0.5) * uOffset;
+    gl_FragColor = vec4(mix(texel.rgb, vec3(1.0 - uDarkness), dot(uv, uv)), texel.a);
+}
+`;
+
+/** Brightness, contrast and saturation, and an optional color lookup table, see ColorGradingPass */
+const COLOR_GRADING_FRAGMENT_SOURCE = `
+uniform float uBrightness;
+uniform float uContrast;
+uniform float uSaturation;
+
+#ifdef USE_LUT
+uniform sampler2D uLut;
+
+/* Looks a color up in a strip of LUT_SIZE slices, one per blue value, of red across by green up */
+vec3 lookupColor(vec3 color) {
+    float blue = color.b * (LUT_SIZE - 1.0);
+    float slice0 = floor(blue);
+    float slice1 = min(slice0 + 1.0, LUT_SIZE - 1.0);
+    float x = (color.r * (LUT_SIZE - 1.0) + 0.5) / (LUT_SIZE * LUT_SIZE);
+    float y = (color.g * (LUT_SIZE - 1.0) + 0.5) / LUT_SIZE;
+    vec3 lower = texture2D(uLut, vec2(x + slice0 / LUT_SIZE, y)).rgb;
+    vec3 upper = texture2D(uLut, vec2(x + slice1 / LUT_SIZE, y)).rgb;
+    return mix(lower, upper, blue - slice0);
+}
+#endif
+
+void main() {
+    vec4 texel = texture2D(uInput, vTexCoord);
+    vec3 color = texel.rgb + uBrightness;
+    color = (color - 0.5) * uContrast + 0.5;
+    float gray = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    color = clamp(mix(vec3(gray), color, uSaturation), 0.0, 1.0);
+#ifdef USE_LUT
+    color = lookupColor(color);
+#endif
+    gl_FragColor = vec4(color, texel.a);
+}
+`;
+
+/** Keeps the parts of the image brighter than a threshold, the first step of BloomPass */
+const BLOOM_THRESHOLD_FRAGMENT_SOURCE = `
+uniform float uThreshold;
+
+void main() {
+    vec3 color = texture2D(uInput, vTexCoord).rgb;
+    float brightness = max(color.r, max(color.g, color.b));
+    gl_FragColor = vec4(color * (max(brightness - uThreshold, 0.0) / max(brightness, 0.0001)), 1.0);
+}
+`;
+
+/** 9 tap gaussian blur along one axis, using linear filtering to read two taps at once */
+const BLOOM_BLUR_FRAGMENT_SOURCE = `
+uniform vec2 uDirection;
+
+void main() {
+    vec2 offset1 = uDirection * uTexelSize * 1.3846153846;
+    vec2 offset2 = uDirection * uTexelSize * 3.2307692308;
+    vec3 color = texture2D(uInput, vTexCoord).rgb * 0.2270270270;
+    color += (texture2D(uInput, vTexCoord + offset1).rgb + texture2D(uInput, vTexCoord - offset1).rgb) * 0.3162162162;
+    color += (texture2D(uInput, vTexCoord + offset2).rgb + texture2D(uInput, vTexCoord - offset2).rgb) * 0.0702702703;
+    gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+/** Adds the blurred highlights back onto the image, the last step of BloomPass */
+const BLOOM_COMPOSITE_FRAGMENT_SOURCE = `
+uniform sampler2D uBloom;
+uniform float uStrength;
+
+void main() {
+    vec4 texel = texture2D(uInput, vTexCoord);
+    gl_FragColor = vec4(texel.rgb + texture2D(uBloom, vTexCoord).rgb * uStrength, texel.a);
+}
+`;
+
+/** Values of the uOperator uniform of the tone mapping shader, keyed by operator name */
+const TONE_MAPPING_OPERATORS = {
+    linear: 0,
+    reinhard: 1,
+    aces: 2
+};
+
+/**
+ * Creates a single triangle covering the whole viewport, from -1 to 3 in x
+ * and y, so no pixels are shaded twice along a diagonal as with a quad.
+ * @param {WebGLRenderingContext} gl Context to create the mesh in.
+ * @return {Mesh} The triangle.
+ */
+function createFullscreenTriangle(gl) {
+    let mesh = new Mesh(gl);
+    mesh.vertices = [-1.0, -1.0, 0.0, 3.0, -1.0, 0.0, -1.0, 3.0, 0.0];
+    mesh.faces = [0, 1, 2];
+    mesh.build();
+    return mesh;
+}
+
+/**
+ * Compiles the shader of a full screen pass.
+ * @param {string} fragmentSource Body of the fragment shader, EFFECT_FRAGMENT_HEADER is put in front.
+ * @param {string} name Name of the pass, used for the file name shown in errors.
+ * @param {object} options Optional defines and preprocessor, see Shader.fromSource().
+ * @param {WebGLRenderingContext} gl Context to create the shader in.
+ * @return {Shader} The shader.
+ */
+function createEffectShader(fragmentSource, name, options, gl) {
+    return Shader.fromSource(EFFECT_VERTEX_SOURCE, EFFECT_FRAGMENT_HEADER + fragmentSource, gl, {
+        defines: options.defines,
+        preprocessor: options.preprocessor,
+        vertName: "effect.vert",
+        fragName: (name || "effect") + ".frag"
+    });
+}
+
+/**
+ * Base class of the passes of an EffectComposer.  A pass draws into the
+ * output it is given, reading the result of the passes before it from
+ * the input.
+ */
+class EffectPass {
+    /**
+     * @param {string} name Optional name of the pass, used by EffectComposer.getPass().
+     */
+    constructor(name) {
+        this.name = name || "";
+
+        /* Disabled passes are skipped, and the next pass reads what the one before wrote */
+        this.enabled = true;
+
+        /* Whether the pass writes its output, so the next pass reads from it */
+        this.needsSwap = true;
+    }
+
+    /**
+     * Called when the pass is added to a composer and when the composer is resized.
+     * @param {number} width Width of the composer's render targets in pixels.
+     * @param {number} height Height of the composer's render targets in pixels.
+     */
+    setSize(width, height) {
+    }
+
+    /**
+     * Runs the pass.
+     * @param {EffectComposer} composer Composer running the pass.
+     * @param {RenderTarget} input Result of the passes before.
+     * @param {RenderTarget} output Target to draw into, null for the screen.
+     */
+    render(composer, input, output) {
+        throw new Error("Pass \"" + this.name + "\" doesn't implement render()");
+    }
+
+    /**
+     * Deletes the GL resources the pass owns.
+     */
+    dispose() {
+    }
+}
+
+/**
+ * Pass drawing the scene, usually the first one.  Its output is cleared
+ * first, and it is drawn with the depth test on.
+ */
+class RenderPass extends EffectPass {
+    /**
+     * @param {SceneGraph|function} scene Scene to draw, or a function called
+     * with the composer to draw with, ex: for a scene that isn't a SceneGraph.
+     * @param {Camera} camera Camera to draw a SceneGraph from.
+     * @param {Shader} shader Shader for the scene's nodes whose material doesn't have one.
+     * @param {object} options Optional settings: name; clearColor, the RGBA
+     * color the output is cleared to, defaults to transparent black; and clear,
+     * false to draw over the output without clearing it.
+     */
+    constructor(scene, camera, shader, options) {
+        options = options || {};
+        super(options.name || "render");
+        this.scene = scene;
+        this.camera = camera || null;
+        this.shader = shader || null;
+        this.clearColor = options.clearColor || [0.0, 0.0, 0.0, 0.0];
+        this.clear = (options.clear === undefined ? true : !!options.clear);
+    }
+
+    /**
+     * Draws the scene into the output.
+     * @param {EffectComposer} composer Composer running the pass.
+     * @param {RenderTarget} input Result of the passes before, unused.
+     * @param {RenderTarget} output Target to draw into, null for the screen.
+     */
+    render(composer, input, output) {
+        let gl = composer.gl;
+        composer.bindOutput(output);
+        gl.enable(gl.DEPTH_TEST);
+        if (this.clear) {
+            gl.clearColor(this.clearColor[0], this.clearColor[1], this.clearColor[2], this.clearColor[3]);
+            gl.depthMask(true);
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        }
+
+        if (typeof this.scene == "function") {
+            this.scene(composer);
+        } else {
+            this.scene.render(this.camera, this.shader);
+        }
+    }
+}
+
+/**
+ * Pass running a fragment shader over every pixel.  Only the fragment
+ * shader is written; EFFECT_FRAGMENT_HEADER in front of it declares the
+ * input, its texel size, the output resolution, the time and vTexCoord.
+ */
+class ShaderPass extends EffectPass {
+    /**
+     * @param {string} fragmentSource Fragment shader, without the header.
+     * @param {object} options Optional settings: name; uniforms, an object of
+     * uniform values keyed by uniform name; textures, an object of extra
+     * Textures keyed by sampler uniform name; and defines and preprocessor,
+     * see Shader.fromSource().
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @throws {ShaderPreprocessError|ShaderCompileError|ShaderLinkError} If the shader doesn't build.
+     */
+    constructor(fragmentSource, options, context) {
+        options = options || {};
+        super(options.name);
+        this.gl = resolveContext(context);
+        this.shader = createEffectShader(fragmentSource, this.name, options, this.gl);
+        this.uniforms = Object.assign({}, options.uniforms);
+        this.textures = Object.assign({}, options.textures);
+    }
+
+    /**
+     * Returns the uniform values the pass type sets itself.  Values in
+     * this.uniforms take precedence.
+     * @return {object} Uniform values keyed by uniform name.
+     */
+    getUniforms() {
+        return {};
+    }
+
+    /**
+     * Draws the shader over the output.
+     * @param {EffectComposer} composer Composer running the pass.
+     * @param {RenderTarget} input Result of the passes before.
+     * @param {RenderTarget} output Target to draw into, null for the screen.
+     */
+    render(composer, input, output) {
+        composer.renderShader(this.shader, input, output, Object.assign(this.getUniforms(), this.uniforms), this.textures);
+    }
+
+    /**
+     * Deletes the pass's shader.
+     */
+    dispose() {
+        this.shader.dispose();
+    }
+}
+
+/**
+ * Maps high dynamic range colors, ex: from materials with linearOutput
+ * drawn into HALF_FLOAT targets, to the displayable range and gamma encodes them.
+ */
+class ToneMappingPass extends ShaderPass {
+    /**
+     * @param {object} options Optional settings: exposure, the factor colors
+     * are scaled by first; operator, "aces", "reinhard" or "linear" (which
+     * only clamps); and gamma, 1 to leave colors linear.  Plus those of ShaderPass.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        options = options || {};
+        super(TONE_MAPPING_FRAGMENT_SOURCE, Object.assign({ name: "toneMapping" }, options), context);
+        this.exposure = (options.exposure === undefined ? 1.0 : options.exposure);
+        this.operator = options.operator || "aces";
+        this.gamma = options.gamma || 2.2;
+    }
+
+    /**
+     * Returns the exposure, operator and gamma.
+     * @return {object} Uniform values keyed by uniform name.
+     * @throws {Error} If the operator is unknown.
+     */
+    getUniforms() {
+        if (!TONE_MAPPING_OPERATORS.hasOwnProperty(this.operator)) {
+            throw new Error("Unknown tone mapping operator " + this.operator);
+        }
+        return {
+            uExposure: this.exposure,
+            uOperator: TONE_MAPPING_OPERATORS[this.operator],
+            uGamma: this.gamma
+        };
+    }
+}
+
+/**
+ * Smooths jagged edges, best run last on gamma encoded colors.
+ */
+class FXAAPass extends ShaderPass {
+    /**
+     * @param {object} options Optional settings of ShaderPass.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        super(FXAA_FRAGMENT_SOURCE, Object.assign({ name: "fxaa" }, options), context);
+    }
+}
+
+/**
+ * Darkens the image towards its corners.
+ */
+class VignettePass extends ShaderPass {
+    /**
+     * @param {object} options Optional settings: offset, how far the
+     * vignette reaches in, larger values reaching further; and darkness, how
+     * dark the corners get.  Plus those of ShaderPass.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        options = options || {};
+        super(VIGNETTE_FRAGMENT_SOURCE, Object.assign({ name: "vignette" }, options), context);
+        this.offset = (options.offset === undefined ? 1.0 : options.offset);
+        this.darkness = (options.darkness === undefined ? 1.0 : options.darkness);
+    }
+
+    /**
+     * Returns the offset and darkness.
+     * @return {object} Uniform values keyed by uniform name.
+     */
+    getUniforms() {
+        return {
+            uOffset: this.offset,
+            uDarkness: this.darkness
+        };
+    }
+}
+
+/**
+ * Adjusts brightness, contrast and saturation, then optionally maps colors
+ * through a lookup table.
+ */
+class ColorGradingPass extends ShaderPass {
+    /**
+     * @param {object} options Optional settings: brightness, added to colors,
+     * defaults to 0; contrast and saturation, 1 leaving colors as they are;
+     * lut, a Texture of lutSize slices of lutSize by lutSize side by side, one
+     * per blue value, with red growing to the right and green upwards; and
+     * lutSize, defaulting to 16.  Plus those of ShaderPass.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        options = options || {};
+        let lutDefines = {
+            USE_LUT: options.lut != null,
+            LUT_SIZE: (options.lutSize || 16).toFixed(1)
+        };
+        super(COLOR_GRADING_FRAGMENT_SOURCE, Object.assign({ name: "colorGrading" }, options, {
+            defines: Object.assign(lutDefines, options.defines),
+            textures: Object.assign({ uLut: options.lut || null }, options.textures)
+        }), context);
+
+        this.brightness = options.brightness || 0.0;
+        this.contrast = (options.contrast === undefined ? 1.0 : options.contrast);
+        this.saturation = (options.saturation === undefined ? 1.0 : options.saturation);
+    }
+
+    /**
+     * Returns the brightness, contrast and saturation.
+     * @return {object} Uniform values keyed by uniform name.
+     */
+    getUniforms() {
+        return {
+            uBrightness: this.brightness,
+            uContrast: this.contrast,
+            uSaturation: this.saturation
+        };
+    }
+}
+
+/**
+ * Makes bright parts of the image glow: the pixels above a threshold are
+ * blurred at a reduced resolution and added back.  Works best on high
+ * dynamic range input, before tone mapping.
+ */
+class BloomPass extends EffectPass {
+    /**
+     * @param {object} options Optional settings, see BloomPass.defaultOptions, plus name.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        let o = Object.assign({}, BloomPass.defaultOptions, options);
+        super(o.name || "bloom");
+        this.gl = resolveContext(context);
+        this.threshold = o.threshold;
+        this.strength = o.strength;
+        this.radius = o.radius;
+        this.iterations = o.iterations;
+        this.resolutionScale = o.resolutionScale;
+
+        this.thresholdShader = createEffectShader(BLOOM_THRESHOLD_FRAGMENT_SOURCE, "bloomThreshold", {}, this.gl);
+        this.blurShader = createEffectShader(BLOOM_BLUR_FRAGMENT_SOURCE, "bloomBlur", {}, this.gl);
+        this.compositeShader = createEffectShader(BLOOM_COMPOSITE_FRAGMENT_SOURCE, "bloomComposite", {}, this.gl);
+
+        /* Reduced resolution targets the highlights are blurred back and forth between */
+        let targetOptions = { color: [{ type: o.type }], depth: false };
+        this.targets = [new RenderTarget(1, 1, targetOptions, this.gl), new RenderTarget(1, 1, targetOptions, this.gl)];
+    }
+
+    /**
+     * Resizes the blur targets to the composer's size times the resolution scale.
+     * @param {number} width Width of the composer's render targets in pixels.
+     * @param {number} height Height of the composer's render targets in pixels.
+     */
+    setSize(width, height) {
+        this.targets.forEach((target) => target.resize(width * this.resolutionScale, height * this.resolutionScale));
+    }
+
+    /**
+     * Extracts, blurs and adds back the highlights of the input.
+     * @param {EffectComposer} composer Composer running the pass.
+     * @param {RenderTarget} input Result of the passes before.
+     * @param {RenderTarget} output Target to draw into, null for the screen.
+     */
+    render(composer, input, output) {
+        let targets = this.targets;
+        composer.renderShader(this.thresholdShader, input, targets[0], { uThreshold: this.threshold });
+        for (let i = 0; i < this.iterations; i++) {
+            composer.renderShader(this.blurShader, targets[0], targets[1], { uDirection: [this.radius, 0.0] });
+            composer.renderShader(this.blurShader, targets[1], targets[0], { uDirection: [0.0, this.radius] });
+        }
+        composer.renderShader(this.compositeShader, input, output, { uStrength: this.strength },
+                              { uBloom: targets[0].getTexture() });
+    }
+
+    /**
+     * Deletes the pass's shaders and blur targets.
+     */
+    dispose() {
+        this.thresholdShader.dispose();
+        this.blurShader.dispose();
+        this.compositeShader.dispose();
+        this.targets.forEach((target) => target.dispose());
+    }
+}
+
+/**
+ * Default settings of BloomPass: threshold, the brightness above which
+ * pixels glow, which must stay below 1 on low dynamic range chains, ex: with
+ * "UNSIGNED_BYTE" targets, as their colors never go over 1; strength, the
+ * factor the glow is added with; radius, the spacing of the blur taps in
+ * pixels of the blur targets; iterations, the number of times the highlights
+ * are blurred; resolutionScale, the size of the blur targets relative to the
+ * composer's; and type, the GL enum name of their texel type, ex:
+ * "HALF_FLOAT" to keep bright highlights.
+ */
+BloomPass.defaultOptions = {
+    threshold: 0.8,
+    strength: 1.0,
+    radius: 1.0,
+    iterations: 2,
+    resolutionScale: 0.5,
+    type: "UNSIGNED_BYTE"
+};
+
+/**
+ * Runs an ordered list of passes, ex: drawing the scene, bloom, tone mapping
+ * and FXAA.  Each pass writes into one of two off-screen render targets and
+ * the next pass reads from it, the two swapping places after each pass.
+ * The last enabled pass draws to the screen, or to outputTarget if set.
+ */
+class EffectComposer {
+    /**
+     * @param {object} options Optional settings, see EffectComposer.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @throws {FramebufferError} If the render targets can't be made, ex: of an unsupported type.
+     */
+    constructor(options, context) {
+        this.gl = resolveContext(context);
+        this.options = Object.assign({}, EffectComposer.defaultOptions, options);
+
+        /* Without a size, the composer follows the size of the drawing buffer */
+        this.autoResize = (this.options.width == null || this.options.height == null);
+        this.width = (this.autoResize ? this.gl.drawingBufferWidth : this.options.width);
+        this.height = (this.autoResize ? this.gl.drawingBufferHeight : this.options.height);
+
+        let targetOptions = {
+            color: [{ type: this.options.type, filter: this.options.filter }],
+            depth: this.options.depth,
+            stencil: this.options.stencil
+        };
+        this.readTarget = new RenderTarget(this.width, this.height, targetOptions, this.gl);
+        this.writeTarget = new RenderTarget(this.width, this.height, targetOptions, this.gl);
+
+        this.passes = [];
+        this.triangle = createFullscreenTriangle(this.gl);
+
+        /* Render target to draw the last pass into instead of the screen */
+        this.outputTarget = null;
+
+        /* Seconds passed to render() so far, given to shaders as uTime */
+        this.time = 0.0;
+
+        /* Framebuffer bound before render(), which stands for the screen */
+        this.screenFramebuffer = null;
+    }
+
+    /**
+     * Adds a pass, by default at the end of the chain.
+     * @param {EffectPass} pass The pass.
+     * @param {number} index Optional position to insert the pass at.
+     * @return {EffectPass} The pass.
+     */
+    addPass(pass, index) {
+        if (index === undefined) {
+            this.passes.push(pass);
+        } else {
+            this.passes.splice(index, 0, pass);
+        }
+        pass.setSize(this.width, this.height);
+        return pass;
+    }
+
+    /**
+     * Removes a pass from the chain.  The pass isn't disposed.
+     * @param {EffectPass} pass The pass.
+     * @return {boolean} False if the pass wasn't in the chain.
+     */
+    removePass(pass) {
+        let index = this.passes.indexOf(pass);
+        if (index < 0) {
+            return false;
+        }
+        this.passes.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Finds the first pass with a given name.
+     * @param {string} name Name to look for.
+     * @return {EffectPass} The pass, or null if there is none.
+     */
+    getPass(name) {
+        return this.passes.find((pass) => pass.name == name) || null;
+    }
+
+    /**
+     * Resizes the render targets and tells the passes.  Does nothing if the size is the same.
+     * @param {number} width New width in pixels.
+     * @param {number} height New height in pixels.
+     * @throws {FramebufferError} If the render targets are incomplete at the new size.
+     */
+    setSize(width, height) {
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
+        if (width == this.width && height == this.height) {
+            return;
+        }
+        this.width = width;
+        this.height = height;
+        this.readTarget.resize(width, height);
+        this.writeTarget.resize(width, height);
+        this.passes.forEach((pass) => pass.setSize(width, height));
+    }
+
+    /**
+     * Swaps the read and write targets, after a pass wrote into the write target.
+     */
+    swapTargets() {
+        let target = this.readTarget;
+        this.readTarget = this.writeTarget;
+        this.writeTarget = target;
+    }
+
+    /**
+     * Directs rendering into a pass's output and sets the viewport to cover it.
+     * @param {RenderTarget} output Target to draw into, null for the screen.
+     */
+    bindOutput(output) {
+        let gl = this.gl;
+        if (output != null) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
+            gl.viewport(0, 0, output.width, output.height);
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.screenFramebuffer);
+            gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        }
+    }
+
+    /**
+     * Draws a full screen shader made with EFFECT_FRAGMENT_HEADER into an
+     * output, with the depth test, blending and culling off.  The input is
+     * bound to texture unit 0 and the extra textures to the units after it.
+     * @param {Shader} shader The shader.
+     * @param {RenderTarget} input Target whose first color attachment is read as uInput, or null.
+     * @param {RenderTarget} output Target to draw into, null for the screen.
+     * @param {object} uniforms Optional uniform values keyed by uniform name.
+     * @param {object} textures Optional extra Textures keyed by sampler uniform name.
+     */
+    renderShader(shader, input, output, uniforms, textures) {
+        let gl = this.gl;
+        this.bindOutput(output);
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        gl.disable(gl.CULL_FACE);
+
+        shader.use();
+        let unit = 0;
+        if (input != null) {
+            input.getTexture().bind(gl.TEXTURE0);
+            shader.setUniform("uInput", 0);
+            shader.setUniform("uTexelSize", [1.0 / input.width, 1.0 / input.height]);
+            unit++;
+        }
+        textures = textures || {};
+        for (let name in textures) {
+            if (textures[name] == null || !shader.info.uniforms.hasOwnProperty(name)) {
+                continue;
+            }
+            textures[name].bind(gl.TEXTURE0 + unit);
+            shader.setUniform(name, unit);
+            unit++;
+        }
+
+        shader.setUniform("uResolution", (output != null ? [output.width, output.height] :
+                                          [gl.drawingBufferWidth, gl.drawingBufferHeight]));
+        shader.setUniform("uTime", this.time);
+        uniforms = uniforms || {};
+        for (let name in uniforms) {
+            shader.setUniform(name, uniforms[name]);
+        }
+        this.triangle.draw(shader);
+    }
+
+    /**
+     * Runs the enabled passes in order.  The framebuffer, viewport, depth
+     * mask, and depth test, blending, culling and scissor states in use before
+     * are restored afterwards.
+     * @param {number} deltaTime Optional seconds since the last frame, added to this.time.
+     */
+    render(deltaTime) {
+        let gl = this.gl;
+        if (this.autoResize) {
+            this.setSize(gl.drawingBufferWidth, gl.drawingBufferHeight);
+        }
+        this.time += deltaTime || 0.0;
+
+        let passes = this.passes.filter((pass) => pass.enabled);
+        let previousViewport = gl.getParameter(gl.VIEWPORT);
+        let capabilities = [gl.DEPTH_TEST, gl.BLEND, gl.CULL_FACE, gl.SCISSOR_TEST];
+        let enabled = capabilities.map((capability) => gl.isEnabled(capability));
+        let depthMask = gl.getParameter(gl.DEPTH_WRITEMASK);
+        this.screenFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.disable(gl.SCISSOR_TEST);
+
+        try {
+            for (let i = 0; i < passes.length; i++) {
+                let isLast = (i == passes.length - 1);
+                passes[i].render(this, this.readTarget, (isLast ? this.outputTarget : this.writeTarget));
+                if (passes[i].needsSwap && !isLast) {
+                    this.swapTargets();
+                }
+            }
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.screenFramebuffer);
+            gl.viewport(previousViewport[0], previousViewport[1], previousViewport[2], previousViewport[3]);
+            capabilities.forEach((capability, i) => {
+                if (enabled[i]) {
+                    gl.enable(capability);
+                } else {
+                    gl.disable(capability);
+                }
+            });
+            gl.depthMask(depthMask);
+            this.screenFramebuffer = null;
+        }
+    }
+
+    /**
+     * Deletes the render targets, the full screen triangle and every pass.
+     */
+    dispose() {
+        this.readTarget.dispose();
+        this.writeTarget.dispose();
+        this.triangle.dispose();
+        this.passes.forEach((pass) => pass.dispose());
+        this.passes = [];
+    }
+}
+
+/**
+ * Default settings of EffectComposer: width and height of the render
+ * targets, null to follow the drawing buffer; type, the GL enum name of
+ * their texel type, ex: "HALF_FLOAT" for high dynamic range; filter, their
+ * sampling filter; and depth and stencil, whether they have those attachments.
+ */
+EffectComposer.defaultOptions = {
+    width: null,
+    height: null,
+    type: "UNSIGNED_BYTE",
+    filter: "LINEAR",
+    depth: true,
+    stencil: false
+};
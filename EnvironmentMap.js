@@ -0,0 +1,753 @@
+/**
+ * @file Environment maps for image-based lighting: conversion of
+ * equirectangular panoramas to cubemaps, and prefiltering of a cubemap into
+ * diffuse irradiance and specular mip levels.  Every GPU pass has a CPU
+ * counterpart computing the same thing, to check results without a GPU.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Axes of the cubemap faces in the order -X, -Y, -Z, +X, +Y, +Z.  The
+ * direction through face coordinates (s, t), both in [-1, 1] and t = -1 at
+ * the first row of texels, is axis + s * u + t * v.
+ */
+const CUBEMAP_FACE_AXES = [
+    { axis: [-1, 0, 0], u: [0, 0, 1], v: [0, -1, 0] },
+    { axis: [0, -1, 0], u: [1, 0, 0], v: [0, 0, -1] },
+    { axis: [0, 0, -1], u: [-1, 0, 0], v: [0, -1, 0] },
+    { axis: [1, 0, 0], u: [0, 0, -1], v: [0, -1, 0] },
+    { axis: [0, 1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+    { axis: [0, 0, 1], u: [1, 0, 0], v: [0, -1, 0] }
+];
+
+/** Vertex shader of the passes rendering a cubemap face, drawn with a full screen quad */
+const ENVIRONMENT_VERTEX_SOURCE = `
+attribute vec3 aVertexPosition;
+varying vec2 vFaceCoord;
+
+void main() {
+    vFaceCoord = aVertexPosition.xy;
+    gl_Position = vec4(aVertexPosition.xy, 0.0, 1.0);
+}
+`;
+
+/** Start of the fragment shaders rendering a cubemap face, set up with the face's CUBEMAP_FACE_AXES */
+const ENVIRONMENT_FRAGMENT_HEADER = `
+precision highp float;
+
+const float PI = 3.14159265358979;
+
+uniform vec3 uFaceAxis;
+uniform vec3 uFaceU;
+uniform vec3 uFaceV;
+varying vec2 vFaceCoord;
+
+vec3 faceDirection() {
+    return normalize(uFaceAxis + vFaceCoord.x * uFaceU + vFaceCoord.y * uFaceV);
+}
+
+void tangentFrame(vec3 normal, out vec3 tangent, out vec3 bitangent) {
+    vec3 up = (abs(normal.z) < 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0));
+    tangent = normalize(cross(up, normal));
+    bitangent = cross(normal, tangent);
+}
+`;
+
+/**
+ * Samples an equirectangular panorama.  Lookups are biased to the top level,
+ * as the mip level picked from derivatives is wrong at the seam.
+ */
+const EQUIRECT_FRAGMENT_SOURCE = ENVIRONMENT_FRAGMENT_HEADER + `
+uniform sampler2D uSource;
+
+void main() {
+    vec3 direction = faceDirection();
+    vec2 uv = vec2(0.5 + atan(direction.x, -direction.z) / (2.0 * PI),
+                   0.5 - asin(clamp(direction.y, -1.0, 1.0)) / PI);
+    gl_FragColor = texture2D(uSource, uv, -16.0);
+}
+`;
+
+/** Integrates the cosine weighted radiance over the hemisphere with a grid of AZIMUTH_STEPS by ZENITH_STEPS samples */
+const IRRADIANCE_FRAGMENT_SOURCE = ENVIRONMENT_FRAGMENT_HEADER + `
+uniform samplerCube uSource;
+
+void main() {
+    vec3 normal = faceDirection();
+    vec3 tangent, bitangent;
+    tangentFrame(normal, tangent, bitangent);
+
+    vec3 sum = vec3(0.0);
+    for (int i = 0; i < AZIMUTH_STEPS; i++) {
+        float phi = (float(i) + 0.5) * 2.0 * PI / float(AZIMUTH_STEPS);
+        for (int j = 0; j < ZENITH_STEPS; j++) {
+            float theta = (float(j) + 0.5) * 0.5 * PI / float(ZENITH_STEPS);
+            vec3 direction = sin(theta) * (cos(phi) * tangent + sin(phi) * bitangent) + cos(theta) * normal;
+            sum += textureCube(uSource, direction, -16.0).rgb * cos(theta) * sin(theta);
+        }
+    }
+    gl_FragColor = vec4(PI * sum / float(AZIMUTH_STEPS * ZENITH_STEPS), 1.0);
+}
+`;
+
+/** Convolves the radiance with the GGX lobe of uRoughness, importance sampled with SAMPLE_COUNT Hammersley points */
+const SPECULAR_FRAGMENT_SOURCE = ENVIRONMENT_FRAGMENT_HEADER + `
+uniform samplerCube uSource;
+uniform float uRoughness;
+
+float radicalInverse(int index) {
+    float n = float(index);
+    float result = 0.0;
+    float scale = 0.5;
+    for (int bit = 0; bit < 16; bit++) {
+        result += scale * mod(n, 2.0);
+        n = floor(n * 0.5);
+        scale *= 0.5;
+    }
+    return result;
+}
+
+void main() {
+    vec3 normal = faceDirection();
+    vec3 tangent, bitangent;
+    tangentFrame(normal, tangent, bitangent);
+    float alpha = uRoughness * uRoughness;
+
+    vec3 sum = vec3(0.0);
+    float weight = 0.0;
+    for (int i = 0; i < SAMPLE_COUNT; i++) {
+        float phi = 2.0 * PI * float(i) / float(SAMPLE_COUNT);
+        float y = radicalInverse(i);
+        float cosTheta = sqrt((1.0 - y) / (1.0 + (alpha * alpha - 1.0) * y));
+        float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+        vec3 halfway = sinTheta * (cos(phi) * tangent + sin(phi) * bitangent) + cosTheta * normal;
+        vec3 light = 2.0 * dot(normal, halfway) * halfway - normal;
+        float nDotL = dot(normal, light);
+        if (nDotL > 0.0) {
+            sum += textureCube(uSource, light, -16.0).rgb * nDotL;
+            weight += nDotL;
+        }
+    }
+    gl_FragColor = vec4(sum / max(weight, 0.0001), 1.0);
+}
+`;
+
+/**
+ * Returns the largest power of two not above a size.
+ * @param {number} size Size in pixels.
+ * @return {number} The power of two, at least 1.
+ */
+function floorPowerOfTwo(size) {
+    return Math.pow(2, Math.max(0, Math.floor(Math.log2(size))));
+}
+
+/**
+ * Returns the direction through a point of a cubemap face, as the face passes compute it.
+ * @param {number} face Face index, see CUBEMAP_FACE_AXES.
+ * @param {number} s Horizontal face coordinate in [-1, 1].
+ * @param {number} t Vertical face coordinate in [-1, 1].
+ * @param {vec3} out Vector to store the normalized direction in.
+ * @return {vec3} out.
+ */
+function cubemapFaceDirection(face, s, t, out) {
+    let axes = CUBEMAP_FACE_AXES[face];
+    for (let i = 0; i < 3; i++) {
+        out[i] = axes.axis[i] + s * axes.u[i] + t * axes.v[i];
+    }
+    return vec3.normalize(out, out);
+}
+
+/**
+ * Fills every texel of CPU cubemap faces from a function of the direction
+ * through the texel's center.
+ * @param {number} size Width and height of the faces.
+ * @param {function} shade Function (direction, out) writing the RGBA value to out.
+ * @return {array} The 6 faces as RGBA Float32Arrays.
+ */
+function shadeCubemapFaces(size, shade) {
+    let direction = vec3.create();
+    let color = new Float64Array(4);
+    let faces = [];
+    for (let face = 0; face < 6; face++) {
+        let data = new Float32Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                cubemapFaceDirection(face, 2.0 * (x + 0.5) / size - 1.0, 2.0 * (y + 0.5) / size - 1.0, direction);
+                shade(direction, color);
+                data.set(color, 4 * (y * size + x));
+            }
+        }
+        faces.push(data);
+    }
+    return faces;
+}
+
+/**
+ * Returns the tangent frame the face passes sample around a normal.
+ * @param {vec3} normal The normal.
+ * @return {object} {tangent, bitangent}.
+ */
+function environmentTangentFrame(normal) {
+    let up = (Math.abs(normal[2]) < 0.999 ? vec3.fromValues(0, 0, 1) : vec3.fromValues(1, 0, 0));
+    let tangent = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), up, normal));
+    let bitangent = vec3.cross(vec3.create(), normal, tangent);
+    return { tangent: tangent, bitangent: bitangent };
+}
+
+/**
+ * Van der Corput radical inverse of the low 16 bits of an index, as computed
+ * by the specular shader.
+ * @param {number} index Sample index.
+ * @return {number} Value in [0, 1).
+ */
+function radicalInverse(index) {
+    let result = 0.0;
+    let scale = 0.5;
+    for (let bit = 0; bit < 16; bit++) {
+        result += scale * ((index >> bit) & 1);
+        scale *= 0.5;
+    }
+    return result;
+}
+
+/**
+ * Converts CPU texel data to the array type of a texture type.
+ * @param {Float32Array} data RGBA values.
+ * @param {string} type "FLOAT" or "UNSIGNED_BYTE".
+ * @return {ArrayBufferView} Data to upload.
+ * @throws {Error} For other types.
+ */
+function toEnvironmentTexels(data, type) {
+    if (type == "FLOAT") {
+        return data;
+    } else if (type == "UNSIGNED_BYTE") {
+        let bytes = new Uint8Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            bytes[i] = Math.round(Math.min(Math.max(data[i], 0.0), 1.0) * 255.0);
+        }
+        return bytes;
+    }
+    throw new Error("Environment map data can only be uploaded as FLOAT or UNSIGNED_BYTE, not " + type);
+}
+
+/**
+ * Renders a full screen pass into every face of one mip level of a cubemap,
+ * setting the face's axes on the shader before each face.  The framebuffer,
+ * viewport, and depth test, blending, culling and scissor states in use
+ * before are restored afterwards.
+ * @param {Texture} target Cubemap to render into.
+ * @param {number} level Mip level to render into.
+ * @param {Shader} shader Shader of the pass, in use and with its other uniforms set.
+ * @param {Mesh} quad Full screen quad to draw.
+ * @throws {FramebufferError} If the cubemap can't be rendered into, ex: a
+ * float cubemap without the color buffer extension.
+ */
+function renderCubemapFaces(target, level, shader, quad) {
+    let gl = target.gl;
+    let size = Math.max(1, target.width >> level);
+    let targets = getCubemapFaceTargets(gl);
+
+    let previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    let previousViewport = gl.getParameter(gl.VIEWPORT);
+    let capabilities = [gl.DEPTH_TEST, gl.BLEND, gl.CULL_FACE, gl.SCISSOR_TEST];
+    let enabled = capabilities.map((capability) => gl.isEnabled(capability));
+    capabilities.forEach((capability) => gl.disable(capability));
+
+    let framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, size, size);
+    try {
+        for (let i = 0; i < targets.length; i++) {
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, targets[i], target.texture, level);
+            if (i == 0) {
+                let status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+                if (status != gl.FRAMEBUFFER_COMPLETE) {
+                    let statusName = FRAMEBUFFER_STATUS_NAMES.find((name) => gl[name] !== undefined && gl[name] == status) ||
+                                     "0x" + status.toString(16);
+                    throw new FramebufferError("Can't render into " + target.options.type + " cubemap (" + statusName + ")",
+                                               status, statusName);
+                }
+            }
+
+            let face = CUBEMAP_FACE_AXES[i];
+            shader.uFaceAxis = face.axis;
+            shader.uFaceU = face.u;
+            shader.uFaceV = face.v;
+            quad.draw(shader);
+        }
+    } finally {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+        gl.deleteFramebuffer(framebuffer);
+        gl.viewport(previousViewport[0], previousViewport[1], previousViewport[2], previousViewport[3]);
+        capabilities.forEach((capability, i) => {
+            if (enabled[i]) {
+                gl.enable(capability);
+            }
+        });
+    }
+}
+
+/**
+ * Renders an equirectangular panorama into the top level of a cubemap and
+ * makes its mipmaps.
+ * @param {Texture} source The panorama.
+ * @param {Texture} target The cubemap.
+ */
+function renderEquirectToCubemap(source, target) {
+    let gl = target.gl;
+    let quad = Mesh.fromPlane("z", gl);
+    let shader = Shader.fromSource(ENVIRONMENT_VERTEX_SOURCE, EQUIRECT_FRAGMENT_SOURCE, gl,
+                                   { vertName: "environment.vert", fragName: "equirect.frag" });
+    try {
+        shader.use();
+        source.bind(gl.TEXTURE0);
+        shader.uSource = 0;
+        renderCubemapFaces(target, 0, shader, quad);
+    } finally {
+        shader.dispose();
+        quad.dispose();
+    }
+    target.applySampler();
+}
+
+/**
+ * A cubemap of the light around a scene, with the maps shading needs for
+ * image-based lighting: irradiance, the cosine weighted average of the
+ * incoming light, for diffuse lighting, and specular, the light convolved
+ * with GGX lobes of increasing roughness, one mip level per roughness from
+ * 0 at level 0 to 1 at the 1x1 level (roughness = level / (levels - 1)).
+ *
+ * The maps are rendered by render(), or computed on the CPU by fromData().
+ * The static *Data() methods are the CPU versions of the GPU passes,
+ * working on faces as RGBA Float32Arrays in the order -X, -Y, -Z, +X, +Y,
+ * +Z with rows from t = 0 up, as uploaded by Texture.setCubemapData().
+ *
+ * The irradiance and specular maps belong to the environment map, as does
+ * the cubemap when the environment map made it.  They are counted, disposed
+ * and restored after a context loss with it.
+ */
+class EnvironmentMap {
+    /**
+     * @param {Texture} cubemap Cubemap of the incoming light.
+     * @param {object} options Optional settings, see EnvironmentMap.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the cubemap's.
+     */
+    constructor(cubemap, options, context) {
+        this.gl = resolveContext(context || cubemap.gl);
+        this.options = Object.assign({}, EnvironmentMap.defaultOptions, options);
+        this.cubemap = cubemap;
+        this.irradiance = null;
+        this.specular = null;
+        this.specularLevels = 0;
+
+        /* Panorama the cubemap was made from, and whether the cubemap belongs to this map */
+        this.equirect = null;
+        this.ownsCubemap = false;
+
+        /* Whether the maps come from render(), and so have to be rendered again after a context loss */
+        this.rendered = false;
+
+        ResourceTracker.forContext(this.gl).track(this);
+    }
+
+    /**
+     * Makes the irradiance and specular maps of a cubemap on the GPU.
+     * @param {Texture} cubemap Cubemap of the incoming light.
+     * @param {object} options Optional settings, see EnvironmentMap.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the cubemap's.
+     * @return {EnvironmentMap} The environment map.
+     */
+    static fromCubemap(cubemap, options, context) {
+        let map = new EnvironmentMap(cubemap, options, context);
+        try {
+            map.render();
+        } catch (e) {
+            map.dispose();
+            throw e;
+        }
+        return map;
+    }
+
+    /**
+     * Makes a cubemap out of an equirectangular panorama, and its irradiance
+     * and specular maps, on the GPU.  See equirectToCubemap().
+     * @param {Texture} texture The panorama.
+     * @param {object} options Optional settings, see EnvironmentMap.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the texture's.
+     * @return {EnvironmentMap} The environment map, owning the cubemap.
+     */
+    static fromEquirect(texture, options, context) {
+        let gl = resolveContext(context || texture.gl);
+        let o = Object.assign({}, EnvironmentMap.defaultOptions, options);
+        let size = o.cubemapSize || floorPowerOfTwo(texture.width / 4);
+        let cubemap = EnvironmentMap.equirectToCubemap(texture, size, { type: o.type || texture.options.type }, gl);
+        ResourceTracker.forContext(gl).untrack(cubemap);
+
+        let map = new EnvironmentMap(cubemap, options, gl);
+        map.equirect = texture;
+        map.ownsCubemap = true;
+        try {
+            map.render();
+        } catch (e) {
+            map.dispose();
+            throw e;
+        }
+        return map;
+    }
+
+    /**
+     * Makes an environment map from CPU cubemap faces, computing the
+     * irradiance and specular maps on the CPU, ex: on WebGL1, which can't
+     * render the specular levels.
+     * @param {array} faces The 6 faces as RGBA Float32Arrays.
+     * @param {number} size Width and height of the faces.
+     * @param {object} options Optional settings, see EnvironmentMap.defaultOptions.
+     * The type must be "FLOAT" (the default here) or "UNSIGNED_BYTE".
+     * @param {WebGLRenderingContext} context Optional context to create the textures in.
+     * @return {EnvironmentMap} The environment map, owning a cubemap made from the faces.
+     */
+    static fromData(faces, size, options, context) {
+        let gl = resolveContext(context);
+        let o = Object.assign({}, EnvironmentMap.defaultOptions, options);
+        let type = o.type || "FLOAT";
+        let upload = (levels, levelSize, textureOptions) => {
+            let data = levels.map((levelFaces) => levelFaces.map((face) => toEnvironmentTexels(face, type)));
+            let texture = Texture.fromCubemapData(data, levelSize, Object.assign({ type: type }, textureOptions), gl);
+            ResourceTracker.forContext(gl).untrack(texture);
+            return texture;
+        };
+
+        let map = new EnvironmentMap(upload([faces], size, {}), options, gl);
+        map.ownsCubemap = true;
+        map.irradiance = upload([EnvironmentMap.irradianceData(faces, size, o.irradianceSize, o)], o.irradianceSize,
+                                { mipmaps: false });
+
+        let specularSize = floorPowerOfTwo(Math.min(o.specularSize, size));
+        let levels = EnvironmentMap.specularData(faces, size, specularSize, o);
+        map.specular = upload(levels, specularSize, {});
+        map.specularLevels = levels.length;
+        return map;
+    }
+
+    /**
+     * Renders an equirectangular panorama into a new cubemap.  The panorama's
+     * first row is its top, as images upload without flipY, and its center
+     * looks down -Z with +X to the right.
+     * @param {Texture} texture The panorama, REPEAT wrapped horizontally to avoid a seam.
+     * @param {number} size Width and height of the cubemap faces.
+     * @param {object} options Optional upload and sampler settings of the cubemap, see
+     * Texture.defaultOptions.  The type defaults to the panorama's.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the texture's.
+     * @return {Texture} The cubemap.
+     * @throws {FramebufferError} If the cubemap can't be rendered into.
+     */
+    static equirectToCubemap(texture, size, options, context) {
+        let gl = resolveContext(context || texture.gl);
+        let cubemap = Texture.fromCubemapData(1, size, Object.assign({ type: texture.options.type }, options), gl);
+        try {
+            renderEquirectToCubemap(texture, cubemap);
+        } catch (e) {
+            cubemap.dispose();
+            throw e;
+        }
+        return cubemap;
+    }
+
+    /**
+     * Renders the irradiance and specular maps from the cubemap, ex: again
+     * after the cubemap changed.
+     * @throws {Error} If specular levels are asked for on WebGL1, which can't render into mip levels.
+     * @throws {FramebufferError} If the maps' type can't be rendered into.
+     */
+    render() {
+        let gl = this.gl;
+        let o = this.options;
+        let type = o.type || this.cubemap.options.type;
+        let specular = (o.specular == null ? isWebGL2(gl) : o.specular);
+        if (specular && !isWebGL2(gl)) {
+            throw new Error("Rendering specular mip levels needs WebGL2, use EnvironmentMap.fromData() or specular: false");
+        }
+
+        let tracker = ResourceTracker.forContext(gl);
+        if (this.irradiance == null) {
+            this.irradiance = Texture.fromCubemapData(1, o.irradianceSize, { type: type, mipmaps: false }, gl);
+            tracker.untrack(this.irradiance);
+        }
+        if (specular && this.specular == null) {
+            let specularSize = floorPowerOfTwo(Math.min(o.specularSize, this.cubemap.width));
+            this.specularLevels = Math.log2(specularSize) + 1;
+            this.specular = Texture.fromCubemapData(this.specularLevels, specularSize, { type: type }, gl);
+            tracker.untrack(this.specular);
+        }
+
+        let quad = Mesh.fromPlane("z", gl);
+        let shader = null;
+        try {
+            shader = Shader.fromSource(ENVIRONMENT_VERTEX_SOURCE, IRRADIANCE_FRAGMENT_SOURCE, gl, {
+                defines: { AZIMUTH_STEPS: o.azimuthSteps, ZENITH_STEPS: o.zenithSteps },
+                vertName: "environment.vert",
+                fragName: "irradiance.frag"
+            });
+            shader.use();
+            this.cubemap.bind(gl.TEXTURE0);
+            shader.uSource = 0;
+            renderCubemapFaces(this.irradiance, 0, shader, quad);
+            shader.dispose();
+            shader = null;
+
+            if (this.specular != null) {
+                shader = Shader.fromSource(ENVIRONMENT_VERTEX_SOURCE, SPECULAR_FRAGMENT_SOURCE, gl, {
+                    defines: { SAMPLE_COUNT: o.specularSamples },
+                    vertName: "environment.vert",
+                    fragName: "specular.frag"
+                });
+                shader.use();
+                this.cubemap.bind(gl.TEXTURE0);
+                shader.uSource = 0;
+                for (let level = 0; level < this.specularLevels; level++) {
+                    shader.uRoughness = level / Math.max(1, this.specularLevels - 1);
+                    renderCubemapFaces(this.specular, level, shader, quad);
+                }
+            }
+        } finally {
+            if (shader != null) {
+                shader.dispose();
+            }
+            quad.dispose();
+        }
+        this.rendered = true;
+    }
+
+    /**
+     * Samples CPU cubemap faces bilinearly, clamping at the face edges.
+     * @param {array} faces The 6 faces as RGBA Float32Arrays.
+     * @param {number} size Width and height of the faces.
+     * @param {vec3} direction Direction to sample, needn't be normalized.
+     * @param {array} out Array to store the RGBA value in.
+     * @return {array} out.
+     */
+    static sampleData(faces, size, direction, out) {
+        let ax = Math.abs(direction[0]), ay = Math.abs(direction[1]), az = Math.abs(direction[2]);
+        let face, major;
+        if (ax >= ay && ax >= az) {
+            face = (direction[0] < 0 ? 0 : 3);
+            major = ax;
+        } else if (ay >= az) {
+            face = (direction[1] < 0 ? 1 : 4);
+            major = ay;
+        } else {
+            face = (direction[2] < 0 ? 2 : 5);
+            major = az;
+        }
+
+        let axes = CUBEMAP_FACE_AXES[face];
+        let s = vec3.dot(direction, axes.u) / major;
+        let t = vec3.dot(direction, axes.v) / major;
+        let x = Math.min(Math.max((s + 1.0) * 0.5 * size - 0.5, 0), size - 1);
+        let y = Math.min(Math.max((t + 1.0) * 0.5 * size - 0.5, 0), size - 1);
+        let x0 = Math.floor(x), y0 = Math.floor(y);
+        let x1 = Math.min(x0 + 1, size - 1), y1 = Math.min(y0 + 1, size - 1);
+        let fx = x - x0, fy = y - y0;
+
+        let data = faces[face];
+        for (let c = 0; c < 4; c++) {
+            let bottom = data[4 * (y0 * size + x0) + c] * (1 - fx) + data[4 * (y0 * size + x1) + c] * fx;
+            let top = data[4 * (y1 * size + x0) + c] * (1 - fx) + data[4 * (y1 * size + x1) + c] * fx;
+            out[c] = bottom * (1 - fy) + top * fy;
+        }
+        return out;
+    }
+
+    /**
+     * CPU version of equirectToCubemap().  The panorama is sampled
+     * bilinearly, wrapping horizontally.
+     * @param {object} image The panorama as {width, height, data}, data being
+     * RGBA values with the top row first, ex: an ImageData.  Byte data is
+     * scaled to [0, 1], as the GPU does.
+     * @param {number} size Width and height of the cubemap faces.
+     * @return {array} The 6 faces as RGBA Float32Arrays.
+     */
+    static equirectToCubemapData(image, size) {
+        let width = image.width, height = image.height, data = image.data;
+        let scale = (data instanceof Uint8Array || data instanceof Uint8ClampedArray ? 1.0 / 255.0 : 1.0);
+
+        return shadeCubemapFaces(size, (direction, out) => {
+            let u = 0.5 + Math.atan2(direction[0], -direction[2]) / (2.0 * Math.PI);
+            let v = 0.5 - Math.asin(Math.min(Math.max(direction[1], -1.0), 1.0)) / Math.PI;
+            let x = u * width - 0.5;
+            let y = Math.min(Math.max(v * height - 0.5, 0), height - 1);
+            let x0 = Math.floor(x), y0 = Math.floor(y);
+            let fx = x - x0, fy = y - y0;
+            let y1 = Math.min(y0 + 1, height - 1);
+            let x1 = ((x0 + 1) % width + width) % width;
+            x0 = (x0 % width + width) % width;
+
+            for (let c = 0; c < 4; c++) {
+                let first = data[4 * (y0 * width + x0) + c] * (1 - fx) + data[4 * (y0 * width + x1) + c] * fx;
+                let second = data[4 * (y1 * width + x0) + c] * (1 - fx) + data[4 * (y1 * width + x1) + c] * fx;
+                out[c] = (first * (1 - fy) + second * fy) * scale;
+            }
+        });
+    }
+
+    /**
+     * CPU version of the irradiance pass of render().
+     * @param {array} faces The 6 faces of the source as RGBA Float32Arrays.
+     * @param {number} size Width and height of the source faces.
+     * @param {number} outputSize Width and height of the irradiance faces.
+     * @param {object} options Optional azimuthSteps and zenithSteps, see EnvironmentMap.defaultOptions.
+     * @return {array} The 6 irradiance faces.
+     */
+    static irradianceData(faces, size, outputSize, options) {
+        let o = Object.assign({}, EnvironmentMap.defaultOptions, options);
+        let direction = vec3.create();
+        let sample = new Float64Array(4);
+
+        return shadeCubemapFaces(outputSize, (normal, out) => {
+            let frame = environmentTangentFrame(normal);
+            let sum = [0, 0, 0];
+            for (let i = 0; i < o.azimuthSteps; i++) {
+                let phi = (i + 0.5) * 2.0 * Math.PI / o.azimuthSteps;
+                for (let j = 0; j < o.zenithSteps; j++) {
+                    let theta = (j + 0.5) * 0.5 * Math.PI / o.zenithSteps;
+                    for (let k = 0; k < 3; k++) {
+                        direction[k] = Math.sin(theta) * (Math.cos(phi) * frame.tangent[k] + Math.sin(phi) * frame.bitangent[k]) +
+                                       Math.cos(theta) * normal[k];
+                    }
+                    EnvironmentMap.sampleData(faces, size, direction, sample);
+                    let weight = Math.cos(theta) * Math.sin(theta);
+                    for (let k = 0; k < 3; k++) {
+                        sum[k] += sample[k] * weight;
+                    }
+                }
+            }
+            for (let k = 0; k < 3; k++) {
+                out[k] = Math.PI * sum[k] / (o.azimuthSteps * o.zenithSteps);
+            }
+            out[3] = 1.0;
+        });
+    }
+
+    /**
+     * CPU version of the specular pass of render().
+     * @param {array} faces The 6 faces of the source as RGBA Float32Arrays.
+     * @param {number} size Width and height of the source faces.
+     * @param {number} outputSize Width and height of the top specular level, a power of two.
+     * @param {object} options Optional specularSamples, see EnvironmentMap.defaultOptions.
+     * @return {array} The faces of each mip level, down to 1x1.
+     */
+    static specularData(faces, size, outputSize, options) {
+        let o = Object.assign({}, EnvironmentMap.defaultOptions, options);
+        let levelCount = Math.log2(outputSize) + 1;
+        let light = vec3.create();
+        let halfway = vec3.create();
+        let sample = new Float64Array(4);
+
+        let levels = [];
+        for (let level = 0; level < levelCount; level++) {
+            let roughness = level / Math.max(1, levelCount - 1);
+            let alpha = roughness * roughness;
+            levels.push(shadeCubemapFaces(outputSize >> level, (normal, out) => {
+                let frame = environmentTangentFrame(normal);
+                let sum = [0, 0, 0];
+                let weight = 0.0;
+                for (let i = 0; i < o.specularSamples; i++) {
+                    let phi = 2.0 * Math.PI * i / o.specularSamples;
+                    let y = radicalInverse(i);
+                    let cosTheta = Math.sqrt((1.0 - y) / (1.0 + (alpha * alpha - 1.0) * y));
+                    let sinTheta = Math.sqrt(1.0 - cosTheta * cosTheta);
+                    for (let k = 0; k < 3; k++) {
+                        halfway[k] = sinTheta * (Math.cos(phi) * frame.tangent[k] + Math.sin(phi) * frame.bitangent[k]) +
+                                     cosTheta * normal[k];
+                    }
+                    let nDotH = vec3.dot(normal, halfway);
+                    for (let k = 0; k < 3; k++) {
+                        light[k] = 2.0 * nDotH * halfway[k] - normal[k];
+                    }
+                    let nDotL = vec3.dot(normal, light);
+                    if (nDotL > 0.0) {
+                        EnvironmentMap.sampleData(faces, size, light, sample);
+                        for (let k = 0; k < 3; k++) {
+                            sum[k] += sample[k] * nDotL;
+                        }
+                        weight += nDotL;
+                    }
+                }
+                for (let k = 0; k < 3; k++) {
+                    out[k] = sum[k] / Math.max(weight, 0.0001);
+                }
+                out[3] = 1.0;
+            }));
+        }
+        return levels;
+    }
+
+    /**
+     * Estimates the GPU memory used by the maps, and by the cubemap if it belongs to the environment map.
+     * @return {number} Size in bytes.
+     */
+    getByteSize() {
+        let textures = this.getOwnedTextures();
+        return textures.reduce((bytes, texture) => bytes + texture.getByteSize(), 0);
+    }
+
+    /**
+     * Returns the textures that belong to the environment map.
+     * @return {array} The Textures.
+     */
+    getOwnedTextures() {
+        return [(this.ownsCubemap ? this.cubemap : null), this.irradiance, this.specular].filter((texture) => texture != null);
+    }
+
+    /**
+     * Deletes the maps, and the cubemap if it belongs to the environment map.
+     */
+    dispose() {
+        this.getOwnedTextures().forEach((texture) => texture.dispose());
+        this.irradiance = null;
+        this.specular = null;
+        if (this.ownsCubemap) {
+            this.cubemap = null;
+        }
+        ResourceTracker.forContext(this.gl).untrack(this);
+    }
+
+    /**
+     * Re-creates the maps after the context was restored: maps computed on
+     * the CPU are uploaded again, rendered ones rendered again.
+     */
+    restore() {
+        this.getOwnedTextures().forEach((texture) => texture.restore());
+        if (this.equirect != null) {
+            renderEquirectToCubemap(this.equirect, this.cubemap);
+        }
+        if (this.rendered) {
+            this.render();
+        }
+    }
+}
+
+/** Type the environment map is counted under by ResourceTracker.getStats() */
+EnvironmentMap.resourceType = "environmentMap";
+
+/**
+ * Default settings.  irradianceSize and specularSize are the face sizes of
+ * the irradiance map and of the top specular level, the latter rounded down
+ * to a power of two and capped at the cubemap's size; cubemapSize is the
+ * face size fromEquirect() converts to, defaulting to a quarter of the
+ * panorama's width; specular is whether render() makes the specular levels,
+ * by default only on WebGL2; type is the texel type of the maps, defaulting
+ * to the cubemap's.  azimuthSteps by zenithSteps samples integrate the
+ * irradiance, and specularSamples samples each specular texel; both passes
+ * read the top level of the cubemap, so small bright spots need more samples.
+ */
+EnvironmentMap.defaultOptions = {
+    irradianceSize: 32,
+    specularSize: 128,
+    cubemapSize: null,
+    specular: null,
+    type: null,
+    azimuthSteps: 64,
+    zenithSteps: 16,
+    specularSamples: 128
+};
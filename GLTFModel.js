@@ -0,0 +1,676 @@
+/**
+ * @file glTF 2.0 model parsing, and creation of the meshes, textures and
+ * scene nodes it describes.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** Typed array of each accessor component type */
+const GLTF_COMPONENT_ARRAYS = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+
+/** Largest value of the integer component types, which normalized accessors divide by */
+const GLTF_NORMALIZED_MAX = {
+    5120: 127,
+    5121: 255,
+    5122: 32767,
+    5123: 65535
+};
+
+/** Number of components of each accessor type */
+const GLTF_TYPE_COMPONENTS = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+/** GL enum name of each sampler filter and wrap value */
+const GLTF_SAMPLER_ENUMS = {
+    9728: "NEAREST",
+    9729: "LINEAR",
+    9984: "NEAREST_MIPMAP_NEAREST",
+    9985: "LINEAR_MIPMAP_NEAREST",
+    9986: "NEAREST_MIPMAP_LINEAR",
+    9987: "LINEAR_MIPMAP_LINEAR",
+    33071: "CLAMP_TO_EDGE",
+    33648: "MIRRORED_REPEAT",
+    10497: "REPEAT"
+};
+
+/** Far plane distance given to perspective cameras without one, which glTF treats as infinite */
+const GLTF_DEFAULT_FAR = 1000.0;
+
+/**
+ * Decodes a data URI, ex: a buffer embedded in a .gltf file.
+ * @param {string} uri The URI.
+ * @return {object} {data, mimeType}, data being a Uint8Array, or null if the
+ * URI isn't a data URI.
+ */
+function decodeDataUri(uri) {
+    let match = /^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/.exec(uri);
+    if (match == null) {
+        return null;
+    }
+
+    let data;
+    if (/;base64$/i.test(match[2])) {
+        let text = atob(match[3]);
+        data = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            data[i] = text.charCodeAt(i);
+        }
+    } else {
+        data = new TextEncoder().encode(decodeURIComponent(match[3]));
+    }
+    return { data: data, mimeType: match[1] || "text/plain" };
+}
+
+/**
+ * Copies elements out of a buffer view, dropping the padding of interleaved views.
+ * @param {object} json The glTF JSON.
+ * @param {array} buffers Contents of the buffers as Uint8Arrays.
+ * @param {number} viewIndex Index of the buffer view.
+ * @param {number} byteOffset Offset of the first element in the view.
+ * @param {number} count Number of elements.
+ * @param {number} components Number of components per element.
+ * @param {number} componentType Accessor component type, ex: 5126 for floats.
+ * @return {TypedArray} The components, in the array type of the component type.
+ * @throws {Error} If the view or its buffer is missing, or too short.
+ */
+function readBufferView(json, buffers, viewIndex, byteOffset, count, components, componentType) {
+    let view = (json.bufferViews || [])[viewIndex];
+    if (view === undefined) {
+        throw new Error("glTF buffer view " + viewIndex + " doesn't exist");
+    }
+    let buffer = buffers[view.buffer];
+    if (buffer == null) {
+        throw new Error("glTF buffer " + view.buffer + " has no data");
+    }
+
+    let ArrayType = GLTF_COMPONENT_ARRAYS[componentType];
+    let elementSize = ArrayType.BYTES_PER_ELEMENT * components;
+    let stride = view.byteStride || elementSize;
+    let start = (view.byteOffset || 0) + (byteOffset || 0);
+    let viewEnd = (view.byteOffset || 0) + view.byteLength;
+    if (count > 0 && (start + stride * (count - 1) + elementSize > viewEnd || viewEnd > buffer.length)) {
+        throw new Error("glTF buffer view " + viewIndex + " is too short for " + count + " elements");
+    }
+
+    /* Copied byte by byte, as elements needn't be aligned in the buffer */
+    let values = new ArrayType(count * components);
+    let bytes = new Uint8Array(values.buffer);
+    if (stride == elementSize) {
+        bytes.set(buffer.subarray(start, start + count * elementSize));
+    } else {
+        for (let i = 0; i < count; i++) {
+            bytes.set(buffer.subarray(start + i * stride, start + i * stride + elementSize), i * elementSize);
+        }
+    }
+    return values;
+}
+
+/**
+ * Reads the values of an accessor, applying sparse substitutions.
+ * @param {object} json The glTF JSON.
+ * @param {array} buffers Contents of the buffers as Uint8Arrays.
+ * @param {number} index Index of the accessor.
+ * @return {TypedArray} count * components values: floats for normalized
+ * accessors, which are mapped to [0, 1] or [-1, 1], and otherwise values of
+ * the accessor's own component type.
+ * @throws {Error} If the accessor is missing or malformed.
+ */
+function readAccessor(json, buffers, index) {
+    let accessor = (json.accessors || [])[index];
+    if (accessor === undefined) {
+        throw new Error("glTF accessor " + index + " doesn't exist");
+    }
+    let ArrayType = GLTF_COMPONENT_ARRAYS[accessor.componentType];
+    let components = GLTF_TYPE_COMPONENTS[accessor.type];
+    if (ArrayType === undefined || components === undefined) {
+        throw new Error("glTF accessor " + index + " has unsupported type " + accessor.type + "/" + accessor.componentType);
+    }
+
+    /* Accessors without a buffer view start out as zeros */
+    let values;
+    if (accessor.bufferView !== undefined) {
+        values = readBufferView(json, buffers, accessor.bufferView, accessor.byteOffset, accessor.count,
+                                components, accessor.componentType);
+    } else {
+        values = new ArrayType(accessor.count * components);
+    }
+
+    if (accessor.sparse) {
+        let sparse = accessor.sparse;
+        let indices = readBufferView(json, buffers, sparse.indices.bufferView, sparse.indices.byteOffset,
+                                     sparse.count, 1, sparse.indices.componentType);
+        let substitutes = readBufferView(json, buffers, sparse.values.bufferView, sparse.values.byteOffset,
+                                         sparse.count, components, accessor.componentType);
+        for (let i = 0; i < sparse.count; i++) {
+            if (indices[i] >= accessor.count) {
+                throw new Error("glTF accessor " + index + " has a sparse index out of range");
+            }
+            values.set(substitutes.subarray(i * components, (i + 1) * components), indices[i] * components);
+        }
+    }
+
+    if (accessor.normalized && GLTF_NORMALIZED_MAX[accessor.componentType]) {
+        let max = GLTF_NORMALIZED_MAX[accessor.componentType];
+        let normalized = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            normalized[i] = Math.max(values[i] / max, -1.0);
+        }
+        return normalized;
+    }
+    return values;
+}
+
+/**
+ * Turns the indices of a primitive into triangle list indices.
+ * @param {number} mode Primitive mode: 4 for triangles, 5 for a strip, 6 for a fan.
+ * @param {array} indices Indices of the primitive.
+ * @return {array} Indices of the triangles.
+ */
+function primitiveTriangles(mode, indices) {
+    if (mode == 4) {
+        return indices.subarray(0, indices.length - indices.length % 3);
+    }
+
+    let triangles = [];
+    for (let i = 2; i < indices.length; i++) {
+        if (mode == 6) {
+            triangles.push(indices[0], indices[i - 1], indices[i]);
+        } else if (i % 2 == 0) {
+            triangles.push(indices[i - 2], indices[i - 1], indices[i]);
+        } else {
+            /* Every other strip triangle is reversed to keep the winding */
+            triangles.push(indices[i - 1], indices[i - 2], indices[i]);
+        }
+    }
+    return triangles;
+}
+
+/**
+ * Reads a texture reference of a material.
+ * @param {object} info The textureInfo of the material, or undefined.
+ * @param {string} factorName Name of the extra factor to read, ex: "scale".
+ * @return {object} {index, texCoord} and the factor, or null without a texture.
+ */
+function parseTextureInfo(info, factorName) {
+    if (info === undefined) {
+        return null;
+    }
+    let reference = { index: info.index, texCoord: info.texCoord || 0, texture: null };
+    if (factorName) {
+        reference[factorName] = (info[factorName] === undefined ? 1.0 : info[factorName]);
+    }
+    return reference;
+}
+
+/**
+ * Converts a sampler to texture settings, see Texture.defaultOptions.
+ * @param {object} sampler The glTF sampler, or undefined for the default one.
+ * @return {object} Texture settings.
+ */
+function samplerOptions(sampler) {
+    sampler = sampler || {};
+    let options = {
+        wrapS: GLTF_SAMPLER_ENUMS[sampler.wrapS] || "REPEAT",
+        wrapT: GLTF_SAMPLER_ENUMS[sampler.wrapT] || "REPEAT",
+        flipY: true
+    };
+    if (GLTF_SAMPLER_ENUMS[sampler.magFilter]) {
+        options.magFilter = GLTF_SAMPLER_ENUMS[sampler.magFilter];
+    }
+    if (GLTF_SAMPLER_ENUMS[sampler.minFilter]) {
+        options.minFilter = GLTF_SAMPLER_ENUMS[sampler.minFilter];
+        options.mipmaps = options.minFilter.includes("_MIPMAP_");
+    }
+    return options;
+}
+
+/**
+ * A glTF 2.0 model parsed into CPU-side data: mesh vertex data, materials,
+ * texture settings, cameras and nodes.  Parsing needs no WebGL context;
+ * createScene() then makes the Mesh, Texture, SceneNode and Camera objects.
+ * AssetLoader.loadGLTF() fetches a model and its buffers and images, and does both.
+ *
+ * Texture coordinates are flipped to the bottom left origin of OBJ files
+ * (v = 1 - v, with the tangent bitangent signs flipped to match), and
+ * textures are uploaded with flipY, so imported meshes work with the same
+ * shaders as loaded OBJs.  Animations and skins are not read.
+ */
+class GLTFModel {
+    /**
+     * @param {object} json The glTF JSON.
+     * @param {array} buffers Contents of each entry of json.buffers, as ArrayBuffers or Uint8Arrays.
+     * @param {string} url Optional url of the file, external images are resolved against it.
+     * @throws {Error} If the file isn't glTF 2.0, needs unsupported extensions or is malformed.
+     */
+    constructor(json, buffers, url) {
+        let version = (json.asset && json.asset.version) || "";
+        if (version.split(".")[0] != "2") {
+            throw new Error("Unsupported glTF version " + (version || "(none)"));
+        }
+        let required = json.extensionsRequired || [];
+        if (required.length > 0) {
+            throw new Error("glTF extensions " + required.join(", ") + " are required but not supported");
+        }
+
+        this.json = json;
+        this.url = url || "";
+        this.buffers = (buffers || []).map((buffer) => (buffer == null || buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)));
+
+        this.materials = [];
+        (json.materials || []).forEach((material, i) => this.materials.push(this.parseMaterial(material, i)));
+        this.textures = (json.textures || []).map((texture, i) => ({
+            name: texture.name || "texture" + i,
+            image: (texture.source === undefined ? null : texture.source),
+            options: samplerOptions((json.samplers || [])[texture.sampler])
+        }));
+        this.images = (json.images || []).map((image, i) => this.parseImage(image, i));
+        this.meshes = (json.meshes || []).map((mesh, i) => this.parseMesh(mesh, i));
+        this.cameras = (json.cameras || []).map((camera, i) => this.parseCamera(camera, i));
+        this.nodes = (json.nodes || []).map((node, i) => this.parseNode(node, i));
+
+        /* Files without scenes show every node that has no parent */
+        this.scenes = (json.scenes || []).map((scene, i) => ({ name: scene.name || "scene" + i, nodes: scene.nodes || [] }));
+        if (this.scenes.length == 0) {
+            let children = new Set();
+            this.nodes.forEach((node) => node.children.forEach((child) => children.add(child)));
+            this.scenes.push({ name: "scene0", nodes: this.nodes.map((node, i) => i).filter((i) => !children.has(i)) });
+        }
+        this.scene = json.scene || 0;
+    }
+
+    /**
+     * Splits a .glb file into its JSON and binary chunks.
+     * @param {ArrayBuffer} data Contents of the file.
+     * @return {object} {json, binary}, binary being a Uint8Array or null.
+     * @throws {Error} If the file isn't a version 2 binary glTF file.
+     */
+    static parseGlb(data) {
+        let view = new DataView(data);
+        if (data.byteLength < 12 || view.getUint32(0, true) != 0x46546C67) {
+            throw new Error("Not a binary glTF file");
+        }
+        if (view.getUint32(4, true) != 2) {
+            throw new Error("Unsupported binary glTF version " + view.getUint32(4, true));
+        }
+
+        let json = null, binary = null;
+        let length = Math.min(view.getUint32(8, true), data.byteLength);
+        for (let offset = 12; offset + 8 <= length;) {
+            let chunkLength = view.getUint32(offset, true);
+            let chunkType = view.getUint32(offset + 4, true);
+            if (offset + 8 + chunkLength > length) {
+                throw new Error("Binary glTF chunk runs past the end of the file");
+            }
+            if (chunkType == 0x4E4F534A && json == null) {
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, offset + 8, chunkLength)));
+            } else if (chunkType == 0x004E4942 && binary == null) {
+                binary = new Uint8Array(data, offset + 8, chunkLength);
+            }
+            offset += 8 + chunkLength;
+        }
+
+        if (json == null) {
+            throw new Error("Binary glTF file has no JSON chunk");
+        }
+        return { json: json, binary: binary };
+    }
+
+    /**
+     * Reads the JSON and binary chunk of a .gltf or .glb file.
+     * @param {ArrayBuffer} data Contents of the file.
+     * @return {object} {json, binary}, binary being null for .gltf files.
+     * @throws {Error} If the file is neither.
+     */
+    static parseContainer(data) {
+        if (data.byteLength >= 4 && new DataView(data).getUint32(0, true) == 0x46546C67) {
+            return GLTFModel.parseGlb(data);
+        }
+        return { json: JSON.parse(new TextDecoder().decode(new Uint8Array(data))), binary: null };
+    }
+
+    /**
+     * Reads the vertex data of a glTF mesh, one submesh per primitive.
+     * Primitives sharing their attributes share their vertices.  Points and
+     * lines are skipped.
+     * @param {object} mesh The glTF mesh.
+     * @param {number} index Index of the mesh.
+     * @return {object} {name, vertices, normals, texCoords, tangents, faces, submeshes}.
+     */
+    parseMesh(mesh, index) {
+        let json = this.json;
+        let primitives = (mesh.primitives || []).filter((primitive) => (primitive.mode === undefined ? 4 : primitive.mode) >= 4);
+        let data = {
+            name: mesh.name || "mesh" + index,
+            vertices: [],
+            normals: [],
+            texCoords: [],
+            tangents: [],
+            faces: [],
+            submeshes: []
+        };
+
+        /* Data only some primitives have is filled in or regenerated for the rest */
+        let has = (name) => primitives.every((primitive) => primitive.attributes[name] !== undefined);
+        let hasNormals = has("NORMAL");
+        let hasTexCoords = primitives.some((primitive) => primitive.attributes.TEXCOORD_0 !== undefined);
+        let hasTangents = has("TANGENT") && has("TEXCOORD_0");
+
+        let append = (target, values) => {
+            for (let i = 0; i < values.length; i++) {
+                target.push(values[i]);
+            }
+        };
+
+        let vertexSets = new Map();
+        primitives.forEach((primitive) => {
+            let attributes = primitive.attributes;
+            if (attributes.POSITION === undefined) {
+                throw new Error("glTF mesh " + data.name + " has a primitive without positions");
+            }
+
+            let key = [attributes.POSITION, attributes.NORMAL, attributes.TEXCOORD_0, attributes.TANGENT].join("/");
+            let set = vertexSets.get(key);
+            if (set === undefined) {
+                let positions = readAccessor(json, this.buffers, attributes.POSITION);
+                set = { first: data.vertices.length / 3, count: positions.length / 3 };
+                vertexSets.set(key, set);
+                append(data.vertices, positions);
+
+                if (hasNormals) {
+                    append(data.normals, readAccessor(json, this.buffers, attributes.NORMAL));
+                }
+                if (hasTexCoords) {
+                    let texCoords = (attributes.TEXCOORD_0 !== undefined ? Float32Array.from(readAccessor(json, this.buffers, attributes.TEXCOORD_0))
+                                                                        : new Float32Array(set.count * 2).fill(1.0));
+                    for (let i = 1; i < texCoords.length; i += 2) {
+                        texCoords[i] = 1.0 - texCoords[i];
+                    }
+                    append(data.texCoords, texCoords);
+                }
+                if (hasTangents) {
+                    let tangents = Float32Array.from(readAccessor(json, this.buffers, attributes.TANGENT));
+                    for (let i = 3; i < tangents.length; i += 4) {
+                        tangents[i] = -tangents[i];
+                    }
+                    append(data.tangents, tangents);
+                }
+            }
+
+            let indices;
+            if (primitive.indices !== undefined) {
+                indices = readAccessor(json, this.buffers, primitive.indices);
+            } else {
+                indices = new Uint32Array(set.count);
+                for (let i = 0; i < set.count; i++) {
+                    indices[i] = i;
+                }
+            }
+
+            let triangles = primitiveTriangles(primitive.mode === undefined ? 4 : primitive.mode, indices);
+            let start = data.faces.length;
+            for (let i = 0; i < triangles.length; i++) {
+                if (triangles[i] >= set.count) {
+                    throw new Error("glTF mesh " + data.name + " has an index out of range");
+                }
+                data.faces.push(triangles[i] + set.first);
+            }
+            data.submeshes.push({
+                name: data.name,
+                material: (this.materials[primitive.material] ? this.materials[primitive.material].name : ""),
+                start: start,
+                count: triangles.length
+            });
+        });
+        return data;
+    }
+
+    /**
+     * Reads a metallic-roughness material.  Texture references hold the index
+     * of the texture, and the Texture itself once createScene() has run.
+     * @param {object} material The glTF material.
+     * @param {number} index Index of the material.
+     * @return {object} The material.
+     */
+    parseMaterial(material, index) {
+        let pbr = material.pbrMetallicRoughness || {};
+        let name = material.name || "material" + index;
+
+        /* Submeshes refer to materials by name, which must be unique */
+        if (this.materials.some((other) => other.name == name)) {
+            name += "_" + index;
+        }
+
+        return {
+            name: name,
+            baseColorFactor: pbr.baseColorFactor || [1.0, 1.0, 1.0, 1.0],
+            baseColorTexture: parseTextureInfo(pbr.baseColorTexture),
+            metallicFactor: (pbr.metallicFactor === undefined ? 1.0 : pbr.metallicFactor),
+            roughnessFactor: (pbr.roughnessFactor === undefined ? 1.0 : pbr.roughnessFactor),
+            metallicRoughnessTexture: parseTextureInfo(pbr.metallicRoughnessTexture),
+            normalTexture: parseTextureInfo(material.normalTexture, "scale"),
+            occlusionTexture: parseTextureInfo(material.occlusionTexture, "strength"),
+            emissiveTexture: parseTextureInfo(material.emissiveTexture),
+            emissiveFactor: material.emissiveFactor || [0.0, 0.0, 0.0],
+            alphaMode: material.alphaMode || "OPAQUE",
+            alphaCutoff: (material.alphaCutoff === undefined ? 0.5 : material.alphaCutoff),
+            doubleSided: !!material.doubleSided
+        };
+    }
+
+    /**
+     * Locates the data of an image: embedded in a buffer view or data URI, or external.
+     * @param {object} image The glTF image.
+     * @param {number} index Index of the image.
+     * @return {object} {name, url, data, mimeType}: url is set for external
+     * images, data, a Uint8Array, for embedded ones.
+     */
+    parseImage(image, index) {
+        let result = { name: image.name || "image" + index, url: null, data: null, mimeType: image.mimeType || null };
+        if (image.bufferView !== undefined) {
+            let view = this.json.bufferViews[image.bufferView];
+            result.data = readBufferView(this.json, this.buffers, image.bufferView, 0, view ? view.byteLength : 0, 1, 5121);
+        } else if (image.uri !== undefined) {
+            let embedded = decodeDataUri(image.uri);
+            if (embedded != null) {
+                result.data = embedded.data;
+                result.mimeType = result.mimeType || embedded.mimeType;
+            } else {
+                result.url = resolveIncludePath(image.uri, this.url);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Reads a camera's projection.
+     * @param {object} camera The glTF camera.
+     * @param {number} index Index of the camera.
+     * @return {object} {name, type} plus yfov (in radians), aspectRatio, znear
+     * and zfar for perspective cameras or xmag, ymag, znear and zfar for
+     * orthographic ones.
+     */
+    parseCamera(camera, index) {
+        let result = { name: camera.name || "camera" + index, type: camera.type };
+        Object.assign(result, (camera.type == "orthographic" ? camera.orthographic : camera.perspective) || {});
+        return result;
+    }
+
+    /**
+     * Reads a node's transform and contents.  Matrices are split into
+     * translation, rotation and scale.
+     * @param {object} node The glTF node.
+     * @param {number} index Index of the node.
+     * @return {object} {name, mesh, camera, children, position, rotation, scale},
+     * mesh and camera being indices or null.
+     */
+    parseNode(node, index) {
+        let result = {
+            name: node.name || "node" + index,
+            mesh: (node.mesh === undefined ? null : node.mesh),
+            camera: (node.camera === undefined ? null : node.camera),
+            children: node.children || [],
+            position: vec3.fromValues(...(node.translation || [0, 0, 0])),
+            rotation: quat.fromValues(...(node.rotation || [0, 0, 0, 1])),
+            scale: vec3.fromValues(...(node.scale || [1, 1, 1]))
+        };
+
+        if (node.matrix) {
+            let matrix = mat4.clone(node.matrix);
+            mat4.getTranslation(result.position, matrix);
+            mat4.getScaling(result.scale, matrix);
+
+            /* Divide the scale out of the basis vectors before extracting the rotation */
+            let basis = mat3.create();
+            mat3.fromMat4(basis, matrix);
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    basis[3 * i + j] /= result.scale[i] || 1.0;
+                }
+            }
+            quat.fromMat3(result.rotation, basis);
+            quat.normalize(result.rotation, result.rotation);
+        }
+        return result;
+    }
+
+    /**
+     * Creates the meshes, textures, scene nodes and cameras of the model.
+     * Every scene gets its own SceneNode tree; meshes and textures are shared.
+     * @param {array} images Decoded image for each entry of this.images, ex:
+     * Image elements.  Textures whose image is missing are skipped.
+     * @param {WebGLRenderingContext} context Optional context to create the
+     * meshes and textures in.  Textures need one.
+     * @return {object} {scene, scenes, nodes, meshes, materials, textures,
+     * cameras}: scene is the root SceneNode of the default scene, scenes those
+     * of every scene, nodes the SceneNode of each glTF node in the default
+     * scene, and cameras a list of {name, node, camera}, each camera being a
+     * Camera placed at its node.
+     */
+    createScene(images, context) {
+        images = images || [];
+        let gl = resolveContext(context);
+
+        let textures = this.textures.map((texture) => {
+            let image = (texture.image === null ? null : images[texture.image]);
+            if (image == null || gl == null) {
+                return null;
+            }
+            return Texture.fromImage(image, texture.options, gl);
+        });
+
+        let resolveTexture = (reference) => (reference == null ? null : Object.assign({}, reference, { texture: textures[reference.index] || null }));
+        let materials = this.materials.map((material) => Object.assign({}, material, {
+            baseColorTexture: resolveTexture(material.baseColorTexture),
+            metallicRoughnessTexture: resolveTexture(material.metallicRoughnessTexture),
+            normalTexture: resolveTexture(material.normalTexture),
+            occlusionTexture: resolveTexture(material.occlusionTexture),
+            emissiveTexture: resolveTexture(material.emissiveTexture)
+        }));
+        let materialsByName = {};
+        materials.forEach((material) => {
+            materialsByName[material.name] = material;
+        });
+
+        let meshes = this.meshes.map((data) => {
+            let mesh = new Mesh(gl);
+            mesh.vertices = data.vertices;
+            mesh.normals = data.normals;
+            mesh.texCoords = data.texCoords;
+            mesh.tangents = data.tangents;
+            mesh.faces = data.faces;
+            mesh.submeshes = data.submeshes.map((submesh) => Object.assign({}, submesh));
+            data.submeshes.forEach((submesh) => {
+                if (submesh.material) {
+                    mesh.materials[submesh.material] = materialsByName[submesh.material];
+                }
+            });
+            mesh.build();
+            return mesh;
+        });
+
+        let scenes = this.scenes.map((scene, sceneIndex) => {
+            let nodes = [], cameras = [];
+            let createNode = (index, parent, depth) => {
+                let info = this.nodes[index];
+                if (info === undefined || depth > this.nodes.length) {
+                    throw new Error("glTF node " + index + " doesn't exist or is its own ancestor");
+                }
+                let node = new SceneNode(info.name, (info.mesh === null ? null : meshes[info.mesh]));
+                vec3.copy(node.position, info.position);
+                quat.copy(node.rotation, info.rotation);
+                vec3.copy(node.scale, info.scale);
+                node.markDirty();
+                parent.add(node);
+                nodes[index] = node;
+
+                if (info.camera !== null && this.cameras[info.camera]) {
+                    cameras.push({ name: this.cameras[info.camera].name, node: node, camera: null, info: this.cameras[info.camera] });
+                }
+                info.children.forEach((child) => createNode(child, node, depth + 1));
+            };
+
+            let root = new SceneNode(scene.name);
+            scene.nodes.forEach((index) => createNode(index, root, 0));
+
+            /* Cameras are placed once every node has its parent */
+            cameras.forEach((entry) => {
+                entry.camera = GLTFModel.createCamera(entry.info, entry.node.getWorldMatrix());
+                entry.node.camera = entry.camera;
+                delete entry.info;
+            });
+            return { root: root, nodes: nodes, cameras: cameras };
+        });
+
+        let main = scenes[this.scene] || scenes[0];
+        return {
+            scene: main.root,
+            scenes: scenes.map((scene) => scene.root),
+            nodes: main.nodes,
+            meshes: meshes,
+            materials: materials,
+            textures: textures,
+            cameras: main.cameras
+        };
+    }
+
+    /**
+     * Creates a Camera for a glTF camera.  glTF cameras look down their
+     * node's -Z axis with +Y up.
+     * @param {object} info The camera, from parseCamera().
+     * @param {mat4} worldMatrix World transform of the camera's node.
+     * @return {Camera} The camera.
+     */
+    static createCamera(info, worldMatrix) {
+        let eye = vec3.create();
+        mat4.getTranslation(eye, worldMatrix);
+        let basis = mat3.create();
+        mat3.fromMat4(basis, worldMatrix);
+        let direction = vec3.transformMat3(vec3.create(), vec3.fromValues(0, 0, -1), basis);
+        let up = vec3.transformMat3(vec3.create(), vec3.fromValues(0, 1, 0), basis);
+        vec3.normalize(direction, direction);
+        vec3.normalize(up, up);
+
+        let camera = new Camera(vec3.create(), vec3.fromValues(0, 0, -1));
+        camera.lookAt(eye, vec3.add(vec3.create(), eye, direction), up);
+        if (info.type == "orthographic") {
+            camera.setOrthographic(-info.xmag, info.xmag, -info.ymag, info.ymag, info.znear, info.zfar);
+        } else {
+            camera.setPerspective(info.yfov * 180.0 / Math.PI, info.aspectRatio || camera.aspect, info.znear,
+                                  info.zfar || GLTF_DEFAULT_FAR);
+        }
+        return camera;
+    }
+}
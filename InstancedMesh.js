@@ -0,0 +1,495 @@
+/**
+ * @file Many copies of one mesh drawn with a single instanced draw call.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Tests whether a box stored in a flat array is at least partly inside a
+ * frustum, see Camera.containsAABB().
+ * @param {array} planes Planes from Camera.getFrustumPlanes().
+ * @param {Float32Array} bounds Boxes stored as min x, y, z then max x, y, z.
+ * @param {number} offset Index of the box's min x.
+ * @return {boolean} False if the box is entirely outside the frustum.
+ */
+function boundsInFrustum(planes, bounds, offset) {
+    for (let i = 0; i < planes.length; i++) {
+        let plane = planes[i];
+        let x = bounds[offset + (plane[0] >= 0 ? 3 : 0)];
+        let y = bounds[offset + (plane[1] >= 0 ? 4 : 1)];
+        let z = bounds[offset + (plane[2] >= 0 ? 5 : 2)];
+        if (plane[0] * x + plane[1] * y + plane[2] * z + plane[3] < 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Draws a mesh many times with one instanced draw call.  Every instance has
+ * its own values of the instance attributes, by default a model matrix,
+ * kept interleaved in a single buffer that grows as instances are added.
+ *
+ * Instances are referred to by the id add() returns, which stays valid until
+ * the instance is removed.  Changes are sent to WebGL on the next draw, only
+ * for the range of instances that changed.
+ *
+ * A matching vertex shader reads the matrix as a mat4 attribute:
+ *
+ *     attribute mat4 aInstanceMatrix;
+ *     gl_Position = uProjectionMatrix * uViewMatrix * aInstanceMatrix * vec4(aVertexPosition, 1.0);
+ */
+class InstancedMesh {
+    /**
+     * @param {Mesh} mesh Mesh drawn for every instance, shared and not disposed with this.
+     * @param {object} options Optional settings:
+     * attributes, the instance attributes as a list of {name, components, type,
+     * normalized, value}, name being the shader attribute and value the default
+     * for new instances (defaults to InstancedMesh.defaultAttributes);
+     * matrixAttribute, the attribute holding each instance's model matrix, used
+     * to place its bounds for culling (defaults to "aInstanceMatrix");
+     * capacity, the number of instances to make room for up front (defaults to 16);
+     * usage, the usage hint of the instance buffer (defaults to "DYNAMIC_DRAW");
+     * frustumCulling, whether draw() skips instances outside the camera's view
+     * (defaults to true).
+     */
+    constructor(mesh, options) {
+        options = options || {};
+        this.mesh = mesh;
+        this.gl = mesh.gl;
+
+        let attributes = options.attributes || InstancedMesh.defaultAttributes;
+        this.layout = new VertexLayout(attributes, { interleaved: true });
+        this.defaults = {};
+        for (let i = 0; i < attributes.length; i++) {
+            let attribute = this.layout.attributes[i];
+            this.defaults[attribute.name] = attributes[i].value || new Array(attribute.components).fill(0);
+        }
+        this.matrixAttribute = (options.matrixAttribute === undefined ? "aInstanceMatrix" : options.matrixAttribute);
+        if (this.layout.getAttribute(this.matrixAttribute) == null) {
+            this.matrixAttribute = null;
+        }
+        this.usage = options.usage || "DYNAMIC_DRAW";
+        this.frustumCulling = (options.frustumCulling === undefined ? true : !!options.frustumCulling);
+
+        /* Instance ids in slot order, and the slot of each id */
+        this.count = 0;
+        this.ids = [];
+        this.slots = new Map();
+        this.nextId = 0;
+
+        /* Per attribute values and world bounds of each slot, and their packed copy */
+        this.capacity = 0;
+        this.data = {};
+        this.bounds = null;
+        this.contents = null;
+        this.culledContents = null;
+        this.resize(Math.max(1, options.capacity || 16));
+
+        /* Slots changed since the last upload, and whether the buffer holds a culled subset */
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = 0;
+        this.bufferStale = false;
+
+        this.buffer = null;
+        this.bufferCapacity = 0;
+        this.lastVisibleCount = 0;
+        if (this.gl != null) {
+            ResourceTracker.forContext(this.gl).track(this);
+        }
+    }
+
+    /**
+     * Changes the number of instances there is room for, keeping the existing ones.
+     * @param {number} capacity New capacity, at least this.count.
+     */
+    resize(capacity) {
+        let data = {};
+        for (let i = 0; i < this.layout.attributes.length; i++) {
+            let attribute = this.layout.attributes[i];
+            data[attribute.name] = new Float32Array(capacity * attribute.components);
+            if (this.data[attribute.name]) {
+                data[attribute.name].set(this.data[attribute.name].subarray(0, this.count * attribute.components));
+            }
+        }
+        let bounds = new Float32Array(capacity * 6);
+        if (this.bounds != null) {
+            bounds.set(this.bounds.subarray(0, this.count * 6));
+        }
+
+        this.data = data;
+        this.bounds = bounds;
+        this.capacity = capacity;
+        this.contents = this.layout.pack((name) => this.data[name], capacity);
+        this.culledContents = null;
+    }
+
+    /**
+     * Adds an instance.
+     * @param {object} values Optional values of the instance attributes keyed
+     * by attribute name, ex: {aInstanceMatrix: matrix}.  Missing ones take the
+     * attribute's default.
+     * @return {number} Id of the new instance.
+     */
+    add(values) {
+        if (this.count == this.capacity) {
+            this.resize(this.capacity * 2);
+        }
+
+        let id = this.nextId++;
+        let slot = this.count++;
+        this.ids[slot] = id;
+        this.slots.set(id, slot);
+        this.update(id, Object.assign({}, this.defaults, values));
+        return id;
+    }
+
+    /**
+     * Removes an instance.  The last instance takes its place, so the order
+     * of the instances in the buffer changes but their ids don't.
+     * @param {number} id Id of the instance.
+     * @return {boolean} Whether there was an instance with the id.
+     */
+    remove(id) {
+        let slot = this.slots.get(id);
+        if (slot === undefined) {
+            return false;
+        }
+
+        let last = this.count - 1;
+        if (slot != last) {
+            let lastId = this.ids[last];
+            this.copySlot(last, slot);
+            this.ids[slot] = lastId;
+            this.slots.set(lastId, slot);
+            this.markDirty(slot);
+        }
+        this.slots.delete(id);
+        this.ids.length = last;
+        this.count = last;
+        return true;
+    }
+
+    /**
+     * Removes every instance.
+     */
+    clear() {
+        this.count = 0;
+        this.ids = [];
+        this.slots.clear();
+    }
+
+    /**
+     * Whether an instance exists.
+     * @param {number} id Id of the instance.
+     * @return {boolean} True until the instance is removed.
+     */
+    has(id) {
+        return this.slots.has(id);
+    }
+
+    /**
+     * Changes the attribute values of an instance.
+     * @param {number} id Id of the instance.
+     * @param {object} values Values to change keyed by attribute name, ex: {aInstanceColor: [1, 0, 0, 1]}.
+     * @throws {Error} If the instance or an attribute doesn't exist.
+     */
+    update(id, values) {
+        let slot = this.getSlot(id);
+        for (let name in values) {
+            let attribute = this.layout.getAttribute(name);
+            if (attribute == null) {
+                throw new Error("Unknown instance attribute " + name);
+            }
+            let components = attribute.components;
+            let target = this.data[name];
+            for (let c = 0; c < components; c++) {
+                target[slot * components + c] = values[name][c] || 0;
+            }
+        }
+
+        if (this.matrixAttribute == null) {
+            /* Without a transform the instance can't be placed, so it is never culled */
+            this.bounds.fill(-Infinity, slot * 6, slot * 6 + 3);
+            this.bounds.fill(Infinity, slot * 6 + 3, slot * 6 + 6);
+        } else if (values.hasOwnProperty(this.matrixAttribute)) {
+            let box = transformAABB(this.mesh.getAABB(), this.data[this.matrixAttribute].subarray(16 * slot, 16 * slot + 16));
+            this.bounds.set(box.min, slot * 6);
+            this.bounds.set(box.max, slot * 6 + 3);
+        }
+        this.markDirty(slot);
+    }
+
+    /**
+     * Sets the model matrix of an instance.
+     * @param {number} id Id of the instance.
+     * @param {mat4} matrix Transform from the mesh's space to world space.
+     */
+    setMatrix(id, matrix) {
+        let values = {};
+        values[this.matrixAttribute] = matrix;
+        this.update(id, values);
+    }
+
+    /**
+     * Returns the value of an instance attribute.
+     * @param {number} id Id of the instance.
+     * @param {string} name Attribute name.
+     * @return {Float32Array} Copy of the value.
+     */
+    get(id, name) {
+        let slot = this.getSlot(id);
+        let components = this.layout.getAttribute(name).components;
+        return this.data[name].slice(slot * components, (slot + 1) * components);
+    }
+
+    /**
+     * Returns the world space bounding box of an instance.
+     * @param {number} id Id of the instance.
+     * @return {object} Box as {min, max}.
+     */
+    getInstanceAABB(id) {
+        let slot = this.getSlot(id);
+        return {
+            min: vec3.fromValues(this.bounds[6 * slot], this.bounds[6 * slot + 1], this.bounds[6 * slot + 2]),
+            max: vec3.fromValues(this.bounds[6 * slot + 3], this.bounds[6 * slot + 4], this.bounds[6 * slot + 5])
+        };
+    }
+
+    /**
+     * Returns the box around every instance, ex: for SceneGraph culling.
+     * Without a matrix attribute the box is infinite.
+     * @return {object} Box as {min, max}.
+     */
+    getAABB() {
+        let min = vec3.fromValues(Infinity, Infinity, Infinity);
+        let max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+        for (let slot = 0; slot < this.count; slot++) {
+            for (let j = 0; j < 3; j++) {
+                min[j] = Math.min(min[j], this.bounds[6 * slot + j]);
+                max[j] = Math.max(max[j], this.bounds[6 * slot + 3 + j]);
+            }
+        }
+        return { min: min, max: max };
+    }
+
+    /**
+     * Returns the slot of an instance.
+     * @param {number} id Id of the instance.
+     * @return {number} Index of the instance in the buffer.
+     * @throws {Error} If there is no instance with the id.
+     */
+    getSlot(id) {
+        let slot = this.slots.get(id);
+        if (slot === undefined) {
+            throw new Error("No instance with id " + id);
+        }
+        return slot;
+    }
+
+    /**
+     * Copies the values and bounds of one slot to another.
+     * @param {number} from Slot to copy.
+     * @param {number} to Slot to overwrite.
+     */
+    copySlot(from, to) {
+        for (let i = 0; i < this.layout.attributes.length; i++) {
+            let attribute = this.layout.attributes[i];
+            let components = attribute.components;
+            let data = this.data[attribute.name];
+            data.copyWithin(to * components, from * components, (from + 1) * components);
+        }
+        this.bounds.copyWithin(to * 6, from * 6, from * 6 + 6);
+    }
+
+    /**
+     * Flags a slot as needing to be sent again.
+     * @param {number} slot The slot.
+     */
+    markDirty(slot) {
+        this.dirtyStart = Math.min(this.dirtyStart, slot);
+        this.dirtyEnd = Math.max(this.dirtyEnd, slot + 1);
+    }
+
+    /**
+     * Packs the values of the slots changed since the last call into this.contents.
+     * @return {object} {start, count} of the packed slots.
+     */
+    packDirty() {
+        let end = Math.min(this.dirtyEnd, this.count);
+        let range = { start: this.dirtyStart, count: Math.max(0, end - this.dirtyStart) };
+        if (range.count > 0) {
+            this.layout.packRange((name) => this.data[name], this.contents, range.start, range.count);
+        }
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = 0;
+        return range;
+    }
+
+    /**
+     * Makes and binds the instance buffer, sending this.contents whole when
+     * the buffer is new or the capacity changed.
+     * @return {boolean} Whether the buffer was (re)allocated.
+     */
+    bindBuffer() {
+        let gl = this.gl;
+        if (this.buffer != null && this.bufferCapacity == this.capacity) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+            return false;
+        }
+
+        if (this.buffer != null) {
+            gl.deleteBuffer(this.buffer);
+        }
+        this.buffer = gl.createBuffer();
+        this.bufferCapacity = this.capacity;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.contents[0], gl[this.usage]);
+        this.bufferStale = false;
+        return true;
+    }
+
+    /**
+     * Sends the changed instances to WebGL, or every instance when the
+     * buffer last held a culled subset.
+     * @param {object} range {start, count} of the slots changed, from packDirty().
+     */
+    upload(range) {
+        let gl = this.gl;
+        if (this.bindBuffer()) {
+            return;
+        }
+
+        let stride = this.layout.stride;
+        if (this.bufferStale) {
+            range = { start: 0, count: this.count };
+            this.bufferStale = false;
+        }
+        if (range.count > 0) {
+            gl.bufferSubData(gl.ARRAY_BUFFER, range.start * stride,
+                             new Uint8Array(this.contents[0], range.start * stride, range.count * stride));
+        }
+    }
+
+    /**
+     * Sends the instances inside a frustum, packed to the front of the buffer.
+     * @param {array} planes Planes from Camera.getFrustumPlanes().
+     * @param {object} range {start, count} of the slots changed, from packDirty().
+     * @return {number} Number of instances sent.
+     */
+    uploadVisible(planes, range) {
+        let gl = this.gl;
+        let stride = this.layout.stride;
+        if (this.culledContents == null) {
+            this.culledContents = new Uint8Array(this.capacity * stride);
+        }
+
+        let source = new Uint8Array(this.contents[0]);
+        let visible = 0;
+        for (let slot = 0; slot < this.count; slot++) {
+            if (boundsInFrustum(planes, this.bounds, 6 * slot)) {
+                this.culledContents.set(source.subarray(slot * stride, (slot + 1) * stride), visible * stride);
+                visible++;
+            }
+        }
+
+        /* With nothing culled the buffer is in order, and only the changes need sending */
+        if (visible == this.count) {
+            this.upload(range);
+            return visible;
+        }
+
+        this.bindBuffer();
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.culledContents.subarray(0, visible * stride));
+        this.bufferStale = true;
+        return visible;
+    }
+
+    /**
+     * Draws every instance, skipping those outside the camera's view when
+     * frustum culling is on.
+     * @param {Shader} shader Shader to draw with.  Its view and projection
+     * uniforms must already be set.
+     * @param {object} options Optional settings: camera, the Camera used for
+     * culling (without one nothing is culled), planes, precomputed frustum
+     * planes to use instead, and attributeNames, see Mesh.bind().
+     * @return {number} Number of instances drawn.
+     */
+    draw(shader, options) {
+        options = options || {};
+        let planes = options.planes || null;
+        if (planes == null && options.camera && this.frustumCulling) {
+            planes = options.camera.getFrustumPlanes();
+        }
+
+        let gl = this.gl;
+        let range = this.packDirty();
+        if (gl.isContextLost()) {
+            return 0;
+        }
+
+        let visible = this.count;
+        if (planes != null && this.frustumCulling) {
+            visible = this.uploadVisible(planes, range);
+        } else {
+            this.upload(range);
+        }
+        this.lastVisibleCount = visible;
+        if (visible == 0) {
+            return 0;
+        }
+
+        let instanceAttributes = this.layout.attributes.map((attribute) => ({
+            name: attribute.name,
+            buffer: this.buffer,
+            components: attribute.components,
+            type: attribute.type,
+            normalized: attribute.normalized,
+            stride: this.layout.stride,
+            offset: attribute.offset,
+            divisor: 1
+        }));
+        this.mesh.drawInstanced(visible, shader, {
+            attributeNames: options.attributeNames,
+            instanceAttributes: instanceAttributes
+        });
+        return visible;
+    }
+
+    /**
+     * Estimates the GPU memory used by the instance buffer.
+     * @return {number} Size in bytes.
+     */
+    getByteSize() {
+        return (this.buffer != null ? this.bufferCapacity * this.layout.stride : 0);
+    }
+
+    /**
+     * Deletes the instance buffer.  The mesh is left alone, as it may be shared.
+     */
+    dispose() {
+        if (this.gl == null) {
+            return;
+        }
+        if (this.buffer != null) {
+            this.gl.deleteBuffer(this.buffer);
+            this.buffer = null;
+        }
+        ResourceTracker.forContext(this.gl).untrack(this);
+    }
+
+    /**
+     * Drops the lost instance buffer after the context was restored; it is
+     * made and sent again on the next draw.
+     */
+    restore() {
+        this.buffer = null;
+    }
+}
+
+/** Type the instanced mesh is counted under by ResourceTracker.getStats() */
+InstancedMesh.resourceType = "instancedMesh";
+
+/** Instance attributes used when none are given: a model matrix, identity by default */
+InstancedMesh.defaultAttributes = [
+    { name: "aInstanceMatrix", components: 16, value: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1] }
+];
@@ -0,0 +1,302 @@
+/**
+ * @file Directional, point and spot lights, and the shader code and uniforms to light a scene with them.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * GLSL declarations of the light uniforms, with falloff helpers and a loop
+ * summing the light reaching a surface.  The maximum number of each kind
+ * of light comes from the MAX_DIRECTIONAL_LIGHTS, MAX_POINT_LIGHTS and
+ * MAX_SPOT_LIGHTS defines, see LIGHT_DEFINE_NAMES, none if they aren't
+ * defined.  Lights are in view space.
+ *
+ * Before this code the including shader declares a Surface struct and the
+ * prototype of shadeLight(), which returns the light reflected towards the
+ * viewer from one light with direction L and radiance at the surface.
+ */
+const LIGHTS_SHADER_SOURCE = `
+struct DirectionalLight {
+    vec3 direction;
+    vec3 color;
+};
+
+struct PointLight {
+    vec3 position;
+    vec3 color;
+    float range;
+};
+
+struct SpotLight {
+    vec3 position;
+    vec3 direction;
+    vec3 color;
+    float range;
+    float innerCos;
+    float outerCos;
+};
+
+#ifndef MAX_DIRECTIONAL_LIGHTS
+#define MAX_DIRECTIONAL_LIGHTS 0
+#endif
+#ifndef MAX_POINT_LIGHTS
+#define MAX_POINT_LIGHTS 0
+#endif
+#ifndef MAX_SPOT_LIGHTS
+#define MAX_SPOT_LIGHTS 0
+#endif
+
+uniform vec3 uAmbientLight;
+
+#if MAX_DIRECTIONAL_LIGHTS > 0
+uniform DirectionalLight uDirectionalLights[MAX_DIRECTIONAL_LIGHTS];
+uniform int uDirectionalLightCount;
+#endif
+
+#if MAX_POINT_LIGHTS > 0
+uniform PointLight uPointLights[MAX_POINT_LIGHTS];
+uniform int uPointLightCount;
+#endif
+
+#if MAX_SPOT_LIGHTS > 0
+uniform SpotLight uSpotLights[MAX_SPOT_LIGHTS];
+uniform int uSpotLightCount;
+#endif
+
+/* Inverse square falloff, smoothly windowed to reach 0 at the range.  A range of 0 doesn't limit the light. */
+float distanceAttenuation(float lightDistance, float range) {
+    float falloff = 1.0 / max(lightDistance * lightDistance, 0.0001);
+    if (range > 0.0) {
+        float ratio = lightDistance / range;
+        float window = clamp(1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0);
+        falloff *= window * window;
+    }
+    return falloff;
+}
+
+/* Fades a spot light out between its inner and outer cone */
+float spotAttenuation(vec3 L, vec3 direction, float innerCos, float outerCos) {
+    return smoothstep(outerCos, innerCos, dot(-L, direction));
+}
+
+vec3 accumulateLights(Surface surface, vec3 position, vec3 N, vec3 V) {
+    vec3 total = vec3(0.0);
+
+#if MAX_DIRECTIONAL_LIGHTS > 0
+    for (int i = 0; i < MAX_DIRECTIONAL_LIGHTS; i++) {
+        if (i >= uDirectionalLightCount) {
+            break;
+        }
+        total += shadeLight(surface, N, V, -uDirectionalLights[i].direction, uDirectionalLights[i].color);
+    }
+#endif
+
+#if MAX_POINT_LIGHTS > 0
+    for (int i = 0; i < MAX_POINT_LIGHTS; i++) {
+        if (i >= uPointLightCount) {
+            break;
+        }
+        vec3 toLight = uPointLights[i].position - position;
+        float lightDistance = length(toLight);
+        vec3 radiance = uPointLights[i].color * distanceAttenuation(lightDistance, uPointLights[i].range);
+        total += shadeLight(surface, N, V, toLight / max(lightDistance, 0.0001), radiance);
+    }
+#endif
+
+#if MAX_SPOT_LIGHTS > 0
+    for (int i = 0; i < MAX_SPOT_LIGHTS; i++) {
+        if (i >= uSpotLightCount) {
+            break;
+        }
+        vec3 toLight = uSpotLights[i].position - position;
+        float lightDistance = length(toLight);
+        vec3 L = toLight / max(lightDistance, 0.0001);
+        vec3 radiance = uSpotLights[i].color * distanceAttenuation(lightDistance, uSpotLights[i].range) *
+            spotAttenuation(L, uSpotLights[i].direction, uSpotLights[i].innerCos, uSpotLights[i].outerCos);
+        total += shadeLight(surface, N, V, L, radiance);
+    }
+#endif
+
+    return total;
+}
+`;
+
+/** Names of the light uniform arrays, keyed by light type */
+const LIGHT_UNIFORM_NAMES = {
+    directional: "uDirectionalLights",
+    point: "uPointLights",
+    spot: "uSpotLights"
+};
+
+/** Names of the uniforms holding the number of lights of each type */
+const LIGHT_COUNT_UNIFORM_NAMES = {
+    directional: "uDirectionalLightCount",
+    point: "uPointLightCount",
+    spot: "uSpotLightCount"
+};
+
+/** Names of the defines setting the maximum number of lights of each type */
+const LIGHT_DEFINE_NAMES = {
+    directional: "MAX_DIRECTIONAL_LIGHTS",
+    point: "MAX_POINT_LIGHTS",
+    spot: "MAX_SPOT_LIGHTS"
+};
+
+/**
+ * Sets the light uniforms of LIGHTS_SHADER_SOURCE, moving the lights into
+ * view space.  Disabled lights are skipped, and lights past the maximum of
+ * their type are dropped in the order they are listed.
+ * @param {Shader} shader Shader to set the uniforms on, already in use.
+ * @param {array} lights Lights to set.
+ * @param {mat4} viewMatrix View matrix of the camera.
+ * @param {object} maxLights Maximum number of {directional, point, spot} lights the shader was made for.
+ * @param {vec3} ambientLight Optional color of the ambient light, defaults to black.
+ */
+function setLightUniforms(shader, lights, viewMatrix, maxLights, ambientLight) {
+    let counts = { directional: 0, point: 0, spot: 0 };
+    let position = vec3.create();
+    let direction = vec3.create();
+    let color = vec3.create();
+
+    (lights || []).forEach((light) => {
+        let type = light.type;
+        if (!light.enabled || !counts.hasOwnProperty(type) || counts[type] >= (maxLights[type] || 0)) {
+            return;
+        }
+        let prefix = LIGHT_UNIFORM_NAMES[type] + "[" + counts[type] + "].";
+        counts[type]++;
+
+        vec3.scale(color, light.color, light.intensity);
+        shader.setUniform(prefix + "color", color);
+
+        if (type != "directional") {
+            vec3.transformMat4(position, light.getWorldPosition(position), viewMatrix);
+            shader.setUniform(prefix + "position", position);
+            shader.setUniform(prefix + "range", light.range);
+        }
+        if (type != "point") {
+            light.getWorldDirection(direction);
+            vec3.set(direction,
+                     viewMatrix[0] * direction[0] + viewMatrix[4] * direction[1] + viewMatrix[8] * direction[2],
+                     viewMatrix[1] * direction[0] + viewMatrix[5] * direction[1] + viewMatrix[9] * direction[2],
+                     viewMatrix[2] * direction[0] + viewMatrix[6] * direction[1] + viewMatrix[10] * direction[2]);
+            vec3.normalize(direction, direction);
+            shader.setUniform(prefix + "direction", direction);
+        }
+        if (type == "spot") {
+            shader.setUniform(prefix + "innerCos", Math.cos(degToRad(Math.min(light.innerAngle, light.outerAngle))));
+            shader.setUniform(prefix + "outerCos", Math.cos(degToRad(light.outerAngle)));
+        }
+    });
+
+    for (let type in counts) {
+        shader.setUniform(LIGHT_COUNT_UNIFORM_NAMES[type], counts[type]);
+    }
+    shader.setUniform("uAmbientLight", ambientLight || [0.0, 0.0, 0.0]);
+}
+
+/**
+ * Base class of the lights.  A light is placed in world space by its own
+ * position and direction, or by a scene node it is attached to.
+ */
+class Light {
+    /**
+     * @param {string} type Type of light: "directional", "point" or "spot".
+     * @param {object} options Optional settings, see Light.defaultOptions.
+     */
+    constructor(type, options) {
+        let o = Object.assign({}, Light.defaultOptions, options);
+        this.type = type;
+        this.color = vec3.clone(o.color);
+        this.intensity = o.intensity;
+        this.enabled = true;
+
+        /* Scene node the light follows, ex: a lamp.  It shines down the node's -Z axis. */
+        this.node = o.node;
+    }
+
+    /**
+     * Returns the position of the light in world space.
+     * @param {vec3} out Vector receiving the position.
+     * @return {vec3} out.
+     */
+    getWorldPosition(out) {
+        if (this.node != null) {
+            return mat4.getTranslation(out, this.node.getWorldMatrix());
+        }
+        return vec3.copy(out, this.position || vec3.create());
+    }
+
+    /**
+     * Returns the direction the light shines in, in world space.
+     * @param {vec3} out Vector receiving the normalized direction.
+     * @return {vec3} out.
+     */
+    getWorldDirection(out) {
+        if (this.node != null) {
+            let world = this.node.getWorldMatrix();
+            vec3.set(out, -world[8], -world[9], -world[10]);
+        } else {
+            vec3.copy(out, this.direction || vec3.fromValues(0.0, 0.0, -1.0));
+        }
+        return vec3.normalize(out, out);
+    }
+}
+
+/** Settings shared by every light */
+Light.defaultOptions = {
+    color: [1.0, 1.0, 1.0],
+    intensity: 1.0,
+    node: null
+};
+
+/**
+ * Light coming from infinitely far away in a single direction, ex: the sun.
+ */
+class DirectionalLight extends Light {
+    /**
+     * @param {object} options Optional settings: direction, the direction the
+     * light travels in, defaulting to straight down, plus those of Light.defaultOptions.
+     */
+    constructor(options) {
+        options = options || {};
+        super("directional", options);
+        this.direction = vec3.clone(options.direction || [0.0, -1.0, 0.0]);
+    }
+}
+
+/**
+ * Light shining in every direction from a point, ex: a light bulb.
+ */
+class PointLight extends Light {
+    /**
+     * @param {object} options Optional settings: position; range, the distance
+     * where the light fades out completely, 0 for no limit; plus those of Light.defaultOptions.
+     */
+    constructor(options) {
+        options = options || {};
+        super("point", options);
+        this.position = vec3.clone(options.position || [0.0, 0.0, 0.0]);
+        this.range = options.range || 0.0;
+    }
+}
+
+/**
+ * Light shining in a cone from a point, ex: a flashlight.
+ */
+class SpotLight extends Light {
+    /**
+     * @param {object} options Optional settings: position; direction, the axis
+     * of the cone; range, as for PointLight; innerAngle and outerAngle, the
+     * angles in degrees from the axis where the light starts to fade and where
+     * it is gone; plus those of Light.defaultOptions.
+     */
+    constructor(options) {
+        options = options || {};
+        super("spot", options);
+        this.position = vec3.clone(options.position || [0.0, 0.0, 0.0]);
+        this.direction = vec3.clone(options.direction || [0.0, 0.0, -1.0]);
+        this.range = options.range || 0.0;
+        this.innerAngle = (options.innerAngle === undefined ? 0.0 : options.innerAngle);
+        this.outerAngle = (options.outerAngle === undefined ? 45.0 : options.outerAngle);
+    }
+}
@@ -0,0 +1,907 @@
+/**
+ * @file Materials bundling a shader with its uniforms, textures and render
+ * state, and the built-in Blinn-Phong and metallic-roughness PBR materials.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Vertex shader of the built-in materials.  Positions, normals and tangents
+ * are passed on in view space, where the lights are.
+ */
+const MATERIAL_VERTEX_SOURCE = `
+attribute vec3 aVertexPosition;
+attribute vec3 aVertexNormal;
+attribute vec2 aVertexTexCoord;
+
+uniform mat4 uModelMatrix;
+uniform mat4 uViewMatrix;
+uniform mat4 uProjectionMatrix;
+uniform mat3 uNormalMatrix;
+
+varying vec3 vPosition;
+varying vec3 vNormal;
+varying vec2 vTexCoord;
+
+#ifdef USE_TANGENTS
+attribute vec4 aVertexTangent;
+varying vec4 vTangent;
+#endif
+
+void main() {
+    vec4 viewPosition = uViewMatrix * uModelMatrix * vec4(aVertexPosition, 1.0);
+    vPosition = viewPosition.xyz;
+    vNormal = uNormalMatrix * aVertexNormal;
+    vTexCoord = aVertexTexCoord;
+#ifdef USE_TANGENTS
+    vTangent = vec4((uViewMatrix * uModelMatrix * vec4(aVertexTangent.xyz, 0.0)).xyz, aVertexTangent.w);
+#endif
+    gl_Position = uProjectionMatrix * viewPosition;
+}
+`;
+
+/** Precision, varyings and helpers shared by the fragment shaders of the built-in materials */
+const MATERIAL_COMMON_SOURCE = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+varying vec3 vPosition;
+varying vec3 vNormal;
+varying vec2 vTexCoord;
+
+#ifdef USE_TANGENTS
+varying vec4 vTangent;
+#endif
+
+/* Interpolated normal, flipped on back faces so double sided surfaces are lit from both sides */
+vec3 getNormal() {
+    vec3 N = normalize(vNormal);
+    return (gl_FrontFacing ? N : -N);
+}
+
+#ifdef USE_TANGENTS
+/* Bends a normal by a tangent space normal from a normal map */
+vec3 perturbNormal(vec3 N, vec3 mapNormal) {
+    vec3 T = normalize(vTangent.xyz - N * dot(N, vTangent.xyz));
+    vec3 B = vTangent.w * cross(N, T);
+    return normalize(mat3(T, B, N) * mapNormal);
+}
+#endif
+
+vec3 srgbToLinear(vec3 color) {
+    return pow(color, vec3(2.2));
+}
+
+/* Gamma encodes the final color unless the output stays linear, ex: for post processing */
+vec4 encodeOutput(vec3 color, float alpha) {
+#ifdef LINEAR_OUTPUT
+    return vec4(color, alpha);
+#else
+    return vec4(pow(max(color, vec3(0.0)), vec3(1.0 / 2.2)), alpha);
+#endif
+}
+`;
+
+/** Fragment shader of PhongMaterial */
+const PHONG_FRAGMENT_SOURCE = `
+#include "material/common.glsl"
+
+struct Surface {
+    vec3 diffuse;
+    vec3 specular;
+    float shininess;
+};
+
+vec3 shadeLight(Surface surface, vec3 N, vec3 V, vec3 L, vec3 radiance);
+
+#include "material/lights.glsl"
+
+uniform vec3 uDiffuse;
+uniform vec3 uSpecular;
+uniform float uShininess;
+uniform vec3 uEmissive;
+uniform float uOpacity;
+
+#ifdef USE_DIFFUSE_MAP
+uniform sampler2D uDiffuseMap;
+#endif
+#ifdef USE_SPECULAR_MAP
+uniform sampler2D uSpecularMap;
+#endif
+#ifdef USE_EMISSIVE_MAP
+uniform sampler2D uEmissiveMap;
+#endif
+#ifdef USE_NORMAL_MAP
+uniform sampler2D uNormalMap;
+#endif
+
+vec3 shadeLight(Surface surface, vec3 N, vec3 V, vec3 L, vec3 radiance) {
+    float NdotL = max(dot(N, L), 0.0);
+    if (NdotL <= 0.0) {
+        return vec3(0.0);
+    }
+    vec3 H = normalize(L + V);
+    float specular = pow(max(dot(N, H), 0.0), surface.shininess);
+    return radiance * (surface.diffuse * NdotL + surface.specular * specular);
+}
+
+void main() {
+    vec4 diffuse = vec4(uDiffuse, uOpacity);
+#ifdef USE_DIFFUSE_MAP
+    vec4 diffuseTexel = texture2D(uDiffuseMap, vTexCoord);
+    diffuse *= vec4(srgbToLinear(diffuseTexel.rgb), diffuseTexel.a);
+#endif
+
+    vec3 specular = uSpecular;
+#ifdef USE_SPECULAR_MAP
+    specular *= srgbToLinear(texture2D(uSpecularMap, vTexCoord).rgb);
+#endif
+
+    vec3 emissive = uEmissive;
+#ifdef USE_EMISSIVE_MAP
+    emissive *= srgbToLinear(texture2D(uEmissiveMap, vTexCoord).rgb);
+#endif
+
+    vec3 N = getNormal();
+#ifdef USE_NORMAL_MAP
+    N = perturbNormal(N, texture2D(uNormalMap, vTexCoord).xyz * 2.0 - 1.0);
+#endif
+    vec3 V = normalize(-vPosition);
+
+    Surface surface = Surface(diffuse.rgb, specular, max(uShininess, 1.0));
+    vec3 color = uAmbientLight * diffuse.rgb + accumulateLights(surface, vPosition, N, V) + emissive;
+    gl_FragColor = encodeOutput(color, diffuse.a);
+}
+`;
+
+/** Fragment shader of PBRMaterial */
+const PBR_FRAGMENT_SOURCE = `
+#ifdef USE_TEXTURE_LOD
+#extension GL_EXT_shader_texture_lod : enable
+#endif
+
+#include "material/common.glsl"
+
+struct Surface {
+    vec3 diffuse;
+    vec3 f0;
+    float roughness;
+};
+
+vec3 shadeLight(Surface surface, vec3 N, vec3 V, vec3 L, vec3 radiance);
+
+#include "material/lights.glsl"
+
+const float PI = 3.14159265359;
+
+uniform vec4 uBaseColor;
+uniform float uMetallic;
+uniform float uRoughness;
+uniform vec3 uEmissive;
+uniform float uNormalScale;
+uniform float uOcclusionStrength;
+
+#ifdef ALPHA_MASK
+uniform float uAlphaCutoff;
+#endif
+
+#ifdef USE_BASE_COLOR_MAP
+uniform sampler2D uBaseColorMap;
+#endif
+#ifdef USE_METALLIC_ROUGHNESS_MAP
+uniform sampler2D uMetallicRoughnessMap;
+#endif
+#ifdef USE_NORMAL_MAP
+uniform sampler2D uNormalMap;
+#endif
+#ifdef USE_OCCLUSION_MAP
+uniform sampler2D uOcclusionMap;
+#endif
+#ifdef USE_EMISSIVE_MAP
+uniform sampler2D uEmissiveMap;
+#endif
+
+#ifdef USE_ENVIRONMENT
+uniform mat3 uEnvironmentRotation;
+uniform samplerCube uIrradianceMap;
+uniform float uEnvironmentIntensity;
+
+#ifdef USE_SPECULAR_ENVIRONMENT
+uniform samplerCube uSpecularEnvironmentMap;
+uniform float uSpecularLevels;
+#endif
+
+/* Rotates a view space direction back into world space, where the cubemaps are */
+vec3 viewToWorld(vec3 v) {
+    return uEnvironmentRotation * v;
+}
+#endif
+
+vec3 fresnelSchlick(vec3 f0, float cosTheta) {
+    return f0 + (1.0 - f0) * pow(1.0 - cosTheta, 5.0);
+}
+
+float distributionGGX(float NdotH, float alpha) {
+    float alpha2 = alpha * alpha;
+    float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;
+    return alpha2 / (PI * d * d);
+}
+
+float geometrySchlickGGX(float NdotX, float k) {
+    return NdotX / (NdotX * (1.0 - k) + k);
+}
+
+vec3 shadeLight(Surface surface, vec3 N, vec3 V, vec3 L, vec3 radiance) {
+    float NdotL = max(dot(N, L), 0.0);
+    if (NdotL <= 0.0) {
+        return vec3(0.0);
+    }
+    vec3 H = normalize(L + V);
+    float NdotV = max(dot(N, V), 0.0001);
+    float NdotH = max(dot(N, H), 0.0);
+
+    vec3 F = fresnelSchlick(surface.f0, max(dot(V, H), 0.0));
+    float D = distributionGGX(NdotH, surface.roughness * surface.roughness);
+    float k = (surface.roughness + 1.0) * (surface.roughness + 1.0) / 8.0;
+    float G = geometrySchlickGGX(NdotV, k) * geometrySchlickGGX(NdotL, k);
+
+    vec3 specular = F * (D * G / (4.0 * NdotV * NdotL));
+    vec3 diffuse = (1.0 - F) * surface.diffuse / PI;
+    return (diffuse + specular) * radiance * NdotL;
+}
+
+/* Analytic fit of the split sum environment BRDF, scale and bias applied to f0 */
+vec2 environmentBRDF(float roughness, float NdotV) {
+    const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);
+    const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);
+    vec4 r = roughness * c0 + c1;
+    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;
+    return vec2(-1.04, 1.04) * a004 + r.zw;
+}
+
+#ifdef USE_SPECULAR_ENVIRONMENT
+/* Radiance of the specular cubemap level prefiltered for a roughness */
+vec3 prefilteredRadiance(vec3 R, float roughness) {
+    float lod = roughness * (uSpecularLevels - 1.0);
+#ifdef USE_TEXTURE_LOD
+    return textureCubeLodEXT(uSpecularEnvironmentMap, R, lod).rgb;
+#else
+    /* Without explicit lods the level is biased from the one picked by the derivatives, close to 0 on smooth surfaces */
+    return textureCube(uSpecularEnvironmentMap, R, lod).rgb;
+#endif
+}
+#endif
+
+void main() {
+    vec4 baseColor = uBaseColor;
+#ifdef USE_BASE_COLOR_MAP
+    vec4 baseTexel = texture2D(uBaseColorMap, vTexCoord);
+    baseColor *= vec4(srgbToLinear(baseTexel.rgb), baseTexel.a);
+#endif
+#ifdef ALPHA_MASK
+    if (baseColor.a < uAlphaCutoff) {
+        discard;
+    }
+#endif
+#ifndef ALPHA_BLEND
+    baseColor.a = 1.0;
+#endif
+
+    float metallic = uMetallic;
+    float roughness = uRoughness;
+#ifdef USE_METALLIC_ROUGHNESS_MAP
+    vec4 metallicRoughness = texture2D(uMetallicRoughnessMap, vTexCoord);
+    roughness *= metallicRoughness.g;
+    metallic *= metallicRoughness.b;
+#endif
+    roughness = clamp(roughness, 0.04, 1.0);
+    metallic = clamp(metallic, 0.0, 1.0);
+
+    vec3 emissive = uEmissive;
+#ifdef USE_EMISSIVE_MAP
+    emissive *= srgbToLinear(texture2D(uEmissiveMap, vTexCoord).rgb);
+#endif
+
+    float occlusion = 1.0;
+#ifdef USE_OCCLUSION_MAP
+    occlusion = mix(1.0, texture2D(uOcclusionMap, vTexCoord).r, uOcclusionStrength);
+#endif
+
+    vec3 N = getNormal();
+#ifdef USE_NORMAL_MAP
+    vec3 mapNormal = texture2D(uNormalMap, vTexCoord).xyz * 2.0 - 1.0;
+    N = perturbNormal(N, mapNormal * vec3(uNormalScale, uNormalScale, 1.0));
+#endif
+    vec3 V = normalize(-vPosition);
+
+    Surface surface = Surface(baseColor.rgb * (1.0 - metallic), mix(vec3(0.04), baseColor.rgb, metallic), roughness);
+    vec3 color = accumulateLights(surface, vPosition, N, V);
+    color += uAmbientLight * surface.diffuse * occlusion;
+
+#ifdef USE_ENVIRONMENT
+    float NdotV = max(dot(N, V), 0.0001);
+    vec2 brdf = environmentBRDF(roughness, NdotV);
+    vec3 specularColor = surface.f0 * brdf.x + brdf.y;
+
+    vec3 ambient = textureCube(uIrradianceMap, viewToWorld(N)).rgb * surface.diffuse * (1.0 - specularColor);
+#ifdef USE_SPECULAR_ENVIRONMENT
+    ambient += prefilteredRadiance(viewToWorld(reflect(-V, N)), roughness) * specularColor;
+#endif
+    color += ambient * occlusion * uEnvironmentIntensity;
+#endif
+
+    gl_FragColor = encodeOutput(color + emissive, baseColor.a);
+}
+`;
+
+/** Compiled shader variants of the built-in materials, a Map from variant key to Shader for each context */
+const MATERIAL_SHADER_CACHES = new WeakMap();
+
+/**
+ * Builds the cache key of a shader variant from its enabled defines.
+ * @param {string} type Name of the material type, ex: "phong".
+ * @param {object} defines Macro values, see ShaderPreprocessor.process().
+ * @return {string} Key that is the same for the same type and defines.
+ */
+function shaderVariantKey(type, defines) {
+    let entries = Object.keys(defines).filter((key) => {
+        return defines[key] !== false && defines[key] !== null && defines[key] !== undefined;
+    });
+    return type + ":" + entries.sort().map((key) => key + "=" + defines[key]).join(",");
+}
+
+/**
+ * Turns on or off a GL capability.
+ * @param {WebGLRenderingContext} gl The context.
+ * @param {GLenum} capability Capability, ex: gl.DEPTH_TEST.
+ * @param {boolean} enabled Whether to enable it.
+ */
+function setCapability(gl, capability, enabled) {
+    if (enabled) {
+        gl.enable(capability);
+    } else {
+        gl.disable(capability);
+    }
+}
+
+/**
+ * A material: the shader a mesh is drawn with, the values of its uniforms,
+ * the textures it samples and the render state it needs.  bind() sets all
+ * of these up in one call, so the mesh can be drawn right after.
+ *
+ * Any shader can be used.  Uniforms it doesn't have are skipped, so the
+ * same frame settings can be passed to every material of a scene.  Shaders
+ * declaring the light uniforms of LIGHTS_SHADER_SOURCE are given the lights.
+ */
+class Material {
+    /**
+     * @param {object} options Optional settings: name; shader; uniforms, an
+     * object of uniform values keyed by uniform name; textures, an object of
+     * Textures keyed by sampler uniform name; renderState, see
+     * Material.defaultRenderState; and maxLights, see Material.defaultMaxLights.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the shader's.
+     */
+    constructor(options, context) {
+        options = options || {};
+        this.gl = resolveContext(context || (options.shader && options.shader.gl));
+        this.name = options.name || "";
+        this.shader = options.shader || null;
+        this.uniforms = Object.assign({}, options.uniforms);
+        this.textures = Object.assign({}, options.textures);
+        this.renderState = Object.assign({}, Material.defaultRenderState, options.renderState);
+
+        /* Most lights of each type passed to the shader, built-in materials compile them in */
+        this.maxLights = Object.assign({}, Material.defaultMaxLights, options.maxLights);
+    }
+
+    /**
+     * Returns the shader to draw with.  Built-in materials pick a variant for
+     * their features and the frame.
+     * @param {object} frame Frame settings, see bind().
+     * @return {Shader} The shader.
+     */
+    getShader(frame) {
+        return this.shader;
+    }
+
+    /**
+     * Returns the uniform values the material type sets itself.  Values in
+     * this.uniforms take precedence.
+     * @param {object} frame Frame settings, see bind().
+     * @return {object} Uniform values keyed by uniform name.
+     */
+    getUniforms(frame) {
+        return {};
+    }
+
+    /**
+     * Returns the textures the material type binds itself.  Textures in
+     * this.textures take precedence.
+     * @param {object} frame Frame settings, see bind().
+     * @return {object} Textures keyed by sampler uniform name, null for none.
+     */
+    getTextures(frame) {
+        return {};
+    }
+
+    /**
+     * Applies the render state: depth test and writes, face culling and blending.
+     */
+    applyRenderState() {
+        let gl = this.gl;
+        let state = this.renderState;
+
+        setCapability(gl, gl.DEPTH_TEST, state.depthTest);
+        gl.depthMask(state.depthWrite);
+        gl.depthFunc(gl[state.depthFunc]);
+
+        setCapability(gl, gl.CULL_FACE, !!state.cullFace);
+        if (state.cullFace) {
+            gl.cullFace(gl[state.cullFace]);
+        }
+
+        setCapability(gl, gl.BLEND, state.blend);
+        if (state.blend) {
+            gl.blendFunc(gl[state.blendFunc[0]], gl[state.blendFunc[1]]);
+        }
+    }
+
+    /**
+     * Uses the material's shader, applies its render state and sets its
+     * uniforms and textures.  Textures are bound to texture units 0, 1, ...
+     * in the order they are listed.  The render state is left applied.
+     * @param {object} frame Optional settings of the frame and object being
+     * drawn: view, projection and model matrices, the normal matrix being
+     * computed from the view and model ones (see SceneGraph.uniformNames for
+     * the uniforms); lights, a list of Lights; ambientLight, a color; and
+     * environment, an EnvironmentMap lighting PBR materials.
+     * @return {Shader} The shader, ready to draw with.
+     * @throws {Error} If the material has no shader.
+     */
+    bind(frame) {
+        frame = frame || {};
+        let gl = this.gl;
+        let shader = this.getShader(frame);
+        if (shader == null) {
+            throw new Error("Material \"" + this.name + "\" has no shader");
+        }
+
+        shader.use();
+        this.applyRenderState();
+
+        let names = SceneGraph.uniformNames;
+        let view = frame.view || mat4.create();
+        shader.setUniform(names.view, view);
+        if (frame.projection) {
+            shader.setUniform(names.projection, frame.projection);
+        }
+        if (frame.model) {
+            let modelView = mat4.create();
+            let normalMatrix = mat3.create();
+            mat4.multiply(modelView, view, frame.model);
+            mat3.normalFromMat4(normalMatrix, modelView);
+            shader.setUniform(names.model, frame.model);
+            shader.setUniform(names.normal, normalMatrix);
+        }
+        setLightUniforms(shader, frame.lights, view, this.maxLights, frame.ambientLight);
+
+        let uniforms = Object.assign(this.getUniforms(frame), this.uniforms);
+        for (let name in uniforms) {
+            shader.setUniform(name, uniforms[name]);
+        }
+
+        let textures = Object.assign(this.getTextures(frame), this.textures);
+        let unit = 0;
+        for (let name in textures) {
+            if (textures[name] == null || !shader.info.uniforms.hasOwnProperty(name)) {
+                continue;
+            }
+            textures[name].bind(gl.TEXTURE0 + unit);
+            shader.setUniform(name, unit);
+            unit++;
+        }
+        return shader;
+    }
+
+    /**
+     * Returns the defines setting the maximum number of lights, see LIGHTS_SHADER_SOURCE.
+     * @return {object} Macro values keyed by define name.
+     */
+    getLightDefines() {
+        let defines = {};
+        for (let type in LIGHT_DEFINE_NAMES) {
+            defines[LIGHT_DEFINE_NAMES[type]] = this.maxLights[type] || 0;
+        }
+        return defines;
+    }
+
+    /**
+     * Returns the compiled variant of a shader for a set of defines, compiling
+     * it on first use.  Variants are cached per context and shared by every
+     * material using them.  Sources can include "material/common.glsl" and
+     * "material/lights.glsl", see Material.shaderIncludes().
+     * @param {string} type Name of the shader, ex: "phong".
+     * @param {string} vertexSource Source of the vertex shader.
+     * @param {string} fragmentSource Source of the fragment shader.
+     * @param {object} defines Macro values to #define, see ShaderPreprocessor.process().
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @return {Shader} The shader.
+     * @throws {ShaderPreprocessError|ShaderCompileError|ShaderLinkError} If the variant doesn't build.
+     */
+    static getShaderVariant(type, vertexSource, fragmentSource, defines, context) {
+        let gl = resolveContext(context);
+        let cache = MATERIAL_SHADER_CACHES.get(gl);
+        if (cache === undefined) {
+            cache = new Map();
+            MATERIAL_SHADER_CACHES.set(gl, cache);
+        }
+
+        let key = shaderVariantKey(type, defines);
+        let shader = cache.get(key);
+        if (shader === undefined || shader.program == null) {
+            shader = Shader.fromSource(vertexSource, fragmentSource, gl, {
+                defines: defines,
+                preprocessor: new ShaderPreprocessor({ includes: Material.shaderIncludes() }),
+                vertName: type + ".vert",
+                fragName: type + ".frag"
+            });
+            cache.set(key, shader);
+        }
+        return shader;
+    }
+
+    /**
+     * Returns the GLSL files the built-in materials include, so custom
+     * shaders can use them, ex: by registering them with ShaderPreprocessor.shared.
+     * @return {object} Sources keyed by include name.
+     */
+    static shaderIncludes() {
+        return {
+            "material/common.glsl": MATERIAL_COMMON_SOURCE,
+            "material/lights.glsl": LIGHTS_SHADER_SOURCE
+        };
+    }
+
+    /**
+     * Deletes the cached shader variants of a context.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    static clearShaderCache(context) {
+        let gl = resolveContext(context);
+        let cache = MATERIAL_SHADER_CACHES.get(gl);
+        if (cache !== undefined) {
+            cache.forEach((shader) => shader.dispose());
+            MATERIAL_SHADER_CACHES.delete(gl);
+        }
+    }
+}
+
+/**
+ * Default render state: depthFunc and cullFace ("BACK", "FRONT" or null
+ * for no culling) are names of GL enums, as are the source and destination
+ * factors of blendFunc.
+ */
+Material.defaultRenderState = {
+    depthTest: true,
+    depthWrite: true,
+    depthFunc: "LESS",
+    cullFace: "BACK",
+    blend: false,
+    blendFunc: ["SRC_ALPHA", "ONE_MINUS_SRC_ALPHA"]
+};
+
+/** Default maximum number of lights of each type */
+Material.defaultMaxLights = {
+    directional: 2,
+    point: 4,
+    spot: 2
+};
+
+/**
+ * Blinn-Phong material with diffuse, specular and emissive colors, each
+ * optionally multiplied by a texture, and an optional normal map.  Normal
+ * maps need the mesh to have tangents, see Mesh.generateTangents().
+ */
+class PhongMaterial extends Material {
+    /**
+     * @param {object} options Optional settings, see PhongMaterial.defaultOptions,
+     * plus those of Material.  Maps are Textures.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        super(options, context);
+        let o = Object.assign({}, PhongMaterial.defaultOptions, options);
+        this.diffuse = vec3.clone(o.diffuse);
+        this.specular = vec3.clone(o.specular);
+        this.shininess = o.shininess;
+        this.emissive = vec3.clone(o.emissive);
+        this.opacity = o.opacity;
+
+        this.diffuseMap = o.diffuseMap;
+        this.specularMap = o.specularMap;
+        this.emissiveMap = o.emissiveMap;
+        this.normalMap = o.normalMap;
+
+        /* Write linear colors, ex: to an HDR render target, instead of gamma encoding them */
+        this.linearOutput = o.linearOutput;
+    }
+
+    /**
+     * Returns the defines of the shader variant for the material's features.
+     * @return {object} Macro values keyed by define name.
+     */
+    getDefines() {
+        return Object.assign(this.getLightDefines(), {
+            USE_DIFFUSE_MAP: this.diffuseMap != null,
+            USE_SPECULAR_MAP: this.specularMap != null,
+            USE_EMISSIVE_MAP: this.emissiveMap != null,
+            USE_NORMAL_MAP: this.normalMap != null,
+            USE_TANGENTS: this.normalMap != null,
+            LINEAR_OUTPUT: this.linearOutput
+        });
+    }
+
+    /**
+     * Returns the shader variant for the material's features.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {Shader} The shader.
+     */
+    getShader(frame) {
+        return this.shader || Material.getShaderVariant("phong", MATERIAL_VERTEX_SOURCE, PHONG_FRAGMENT_SOURCE,
+                                                        this.getDefines(), this.gl);
+    }
+
+    /**
+     * Returns the colors of the material.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {object} Uniform values keyed by uniform name.
+     */
+    getUniforms(frame) {
+        return {
+            uDiffuse: this.diffuse,
+            uSpecular: this.specular,
+            uShininess: this.shininess,
+            uEmissive: this.emissive,
+            uOpacity: this.opacity
+        };
+    }
+
+    /**
+     * Returns the texture maps of the material.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {object} Textures keyed by sampler uniform name.
+     */
+    getTextures(frame) {
+        return {
+            uDiffuseMap: this.diffuseMap,
+            uSpecularMap: this.specularMap,
+            uEmissiveMap: this.emissiveMap,
+            uNormalMap: this.normalMap
+        };
+    }
+
+    /**
+     * Creates a material from an MTL material, see Mesh.parseMtl().  Materials
+     * that aren't fully opaque are blended and don't write depth.
+     * @param {object} material The MTL material.
+     * @param {object} textures Optional Textures keyed by map file name.  Maps
+     * whose file isn't in it are left out.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @return {PhongMaterial} The material.
+     */
+    static fromMtl(material, textures, context) {
+        textures = textures || {};
+        let maps = material.maps || {};
+        let texture = (map) => ((map && textures[map.file]) || null);
+        let transparent = (material.opacity < 1.0);
+
+        return new PhongMaterial({
+            name: material.name,
+            diffuse: material.diffuse,
+            specular: material.specular,
+            shininess: material.shininess,
+            emissive: material.emissive,
+            opacity: material.opacity,
+            diffuseMap: texture(maps.diffuse),
+            specularMap: texture(maps.specular),
+            emissiveMap: texture(maps.emissive),
+            normalMap: texture(maps.normal),
+            renderState: (transparent ? { blend: true, depthWrite: false } : {})
+        }, context);
+    }
+}
+
+/** Default settings of PhongMaterial */
+PhongMaterial.defaultOptions = {
+    diffuse: [1.0, 1.0, 1.0],
+    specular: [0.0, 0.0, 0.0],
+    shininess: 32.0,
+    emissive: [0.0, 0.0, 0.0],
+    opacity: 1.0,
+    diffuseMap: null,
+    specularMap: null,
+    emissiveMap: null,
+    normalMap: null,
+    linearOutput: false
+};
+
+/**
+ * Metallic-roughness PBR material, following the glTF 2.0 material model.
+ * Light intensities are radiometric: a white surface facing a white
+ * directional light of intensity PI reflects all of it.  With an
+ * EnvironmentMap in the frame, its irradiance and specular cubemaps light
+ * the surface too.  Normal maps need the mesh to have tangents.
+ */
+class PBRMaterial extends Material {
+    /**
+     * @param {object} options Optional settings, see PBRMaterial.defaultOptions,
+     * plus those of Material.  Maps are Textures.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     */
+    constructor(options, context) {
+        super(options, context);
+        let o = Object.assign({}, PBRMaterial.defaultOptions, options);
+        this.baseColor = vec4.clone(o.baseColor);
+        this.metallic = o.metallic;
+        this.roughness = o.roughness;
+        this.emissive = vec3.clone(o.emissive);
+        this.normalScale = o.normalScale;
+        this.occlusionStrength = o.occlusionStrength;
+
+        /* "OPAQUE", "MASK" to discard fragments with alpha below alphaCutoff, or "BLEND" */
+        this.alphaMode = o.alphaMode;
+        this.alphaCutoff = o.alphaCutoff;
+
+        this.baseColorMap = o.baseColorMap;
+        this.metallicRoughnessMap = o.metallicRoughnessMap;
+        this.normalMap = o.normalMap;
+        this.occlusionMap = o.occlusionMap;
+        this.emissiveMap = o.emissiveMap;
+
+        /* Factor the light from the frame's environment map is scaled by */
+        this.environmentIntensity = o.environmentIntensity;
+        this.linearOutput = o.linearOutput;
+    }
+
+    /**
+     * Returns the defines of the shader variant for the material's features
+     * and the environment lighting of the frame.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {object} Macro values keyed by define name.
+     */
+    getDefines(frame) {
+        let environment = (frame && frame.environment) || null;
+        let hasEnvironment = (environment != null && environment.irradiance != null);
+        let hasSpecular = (hasEnvironment && environment.specular != null);
+
+        return Object.assign(this.getLightDefines(), {
+            USE_BASE_COLOR_MAP: this.baseColorMap != null,
+            USE_METALLIC_ROUGHNESS_MAP: this.metallicRoughnessMap != null,
+            USE_NORMAL_MAP: this.normalMap != null,
+            USE_TANGENTS: this.normalMap != null,
+            USE_OCCLUSION_MAP: this.occlusionMap != null,
+            USE_EMISSIVE_MAP: this.emissiveMap != null,
+            ALPHA_MASK: this.alphaMode == "MASK",
+            ALPHA_BLEND: this.alphaMode == "BLEND",
+            USE_ENVIRONMENT: hasEnvironment,
+            USE_SPECULAR_ENVIRONMENT: hasSpecular,
+            USE_TEXTURE_LOD: hasSpecular && !isWebGL2(this.gl) && this.gl.getExtension("EXT_shader_texture_lod") != null,
+            LINEAR_OUTPUT: this.linearOutput
+        });
+    }
+
+    /**
+     * Returns the shader variant for the material's features and the frame.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {Shader} The shader.
+     */
+    getShader(frame) {
+        return this.shader || Material.getShaderVariant("pbr", MATERIAL_VERTEX_SOURCE, PBR_FRAGMENT_SOURCE,
+                                                        this.getDefines(frame), this.gl);
+    }
+
+    /**
+     * Returns the factors of the material and the environment lighting settings.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {object} Uniform values keyed by uniform name.
+     */
+    getUniforms(frame) {
+        let environment = (frame && frame.environment) || null;
+
+        /* The cubemaps are looked up in world space, with the inverse of the view's rotation */
+        let rotation = mat3.create();
+        if (frame && frame.view) {
+            mat3.fromMat4(rotation, frame.view);
+            mat3.transpose(rotation, rotation);
+        }
+        return {
+            uBaseColor: this.baseColor,
+            uMetallic: this.metallic,
+            uRoughness: this.roughness,
+            uEmissive: this.emissive,
+            uNormalScale: this.normalScale,
+            uOcclusionStrength: this.occlusionStrength,
+            uAlphaCutoff: this.alphaCutoff,
+            uEnvironmentIntensity: this.environmentIntensity,
+            uSpecularLevels: (environment ? environment.specularLevels : 0),
+            uEnvironmentRotation: rotation
+        };
+    }
+
+    /**
+     * Returns the texture maps of the material and the cubemaps of the frame's environment.
+     * @param {object} frame Frame settings, see Material.bind().
+     * @return {object} Textures keyed by sampler uniform name.
+     */
+    getTextures(frame) {
+        let environment = (frame && frame.environment) || null;
+        return {
+            uBaseColorMap: this.baseColorMap,
+            uMetallicRoughnessMap: this.metallicRoughnessMap,
+            uNormalMap: this.normalMap,
+            uOcclusionMap: this.occlusionMap,
+            uEmissiveMap: this.emissiveMap,
+            uIrradianceMap: (environment ? environment.irradiance : null),
+            uSpecularEnvironmentMap: (environment ? environment.specular : null)
+        };
+    }
+
+    /**
+     * Creates a material from a glTF material returned by GLTFModel.createScene(),
+     * whose texture references hold their Texture.  Double sided materials
+     * aren't culled, blended ones don't write depth.
+     * @param {object} material The glTF material.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @return {PBRMaterial} The material.
+     */
+    static fromGLTF(material, context) {
+        let texture = (reference) => ((reference && reference.texture) || null);
+        let renderState = {};
+        if (material.doubleSided) {
+            renderState.cullFace = null;
+        }
+        if (material.alphaMode == "BLEND") {
+            renderState.blend = true;
+            renderState.depthWrite = false;
+        }
+
+        return new PBRMaterial({
+            name: material.name,
+            baseColor: material.baseColorFactor,
+            metallic: material.metallicFactor,
+            roughness: material.roughnessFactor,
+            emissive: material.emissiveFactor,
+            normalScale: (material.normalTexture ? material.normalTexture.scale : 1.0),
+            occlusionStrength: (material.occlusionTexture ? material.occlusionTexture.strength : 1.0),
+            alphaMode: material.alphaMode,
+            alphaCutoff: material.alphaCutoff,
+            baseColorMap: texture(material.baseColorTexture),
+            metallicRoughnessMap: texture(material.metallicRoughnessTexture),
+            normalMap: texture(material.normalTexture),
+            occlusionMap: texture(material.occlusionTexture),
+            emissiveMap: texture(material.emissiveTexture),
+            renderState: renderState
+        }, context);
+    }
+}
+
+/** Default settings of PBRMaterial */
+PBRMaterial.defaultOptions = {
+    baseColor: [1.0, 1.0, 1.0, 1.0],
+    metallic: 1.0,
+    roughness: 1.0,
+    emissive: [0.0, 0.0, 0.0],
+    normalScale: 1.0,
+    occlusionStrength: 1.0,
+    alphaMode: "OPAQUE",
+    alphaCutoff: 0.5,
+    baseColorMap: null,
+    metallicRoughnessMap: null,
+    normalMap: null,
+    occlusionMap: null,
+    emissiveMap: null,
+    environmentIntensity: 1.0,
+    linearOutput: false
+};
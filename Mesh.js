@@ -4,34 +4,511 @@
  * Extended from Eric Shaffer's lab code.
  */
 
+/** Mesh array holding the data of each vertex attribute, keyed by attribute name */
+const MESH_ATTRIBUTE_ARRAYS = {
+    position: "vertices",
+    normal: "normals",
+    texCoord: "texCoords",
+    tangent: "tangents"
+};
+
+/** Typed array each mesh data array is stored in once the mesh is built */
+const MESH_TYPED_ARRAYS = {
+    vertices: Float32Array,
+    normals: Float32Array,
+    texCoords: Float32Array,
+    tangents: Float32Array,
+    faces: Uint32Array
+};
+
+/**
+ * Computes the normal of a triangle, scaled by twice its area.
+ * @param {array} vertices Flat vertex positions.
+ * @param {array} faces Flat face indices.
+ * @param {number} face Index of the triangle.
+ * @param {vec3} out Vector to store the normal in.
+ * @return {vec3} out.
+ */
+function faceAreaNormal(vertices, faces, face, out) {
+    let a = 3 * faces[3 * face], b = 3 * faces[3 * face + 1], c = 3 * faces[3 * face + 2];
+    let e1x = vertices[b] - vertices[a], e1y = vertices[b + 1] - vertices[a + 1], e1z = vertices[b + 2] - vertices[a + 2];
+    let e2x = vertices[c] - vertices[a], e2y = vertices[c + 1] - vertices[a + 1], e2z = vertices[c + 2] - vertices[a + 2];
+    out[0] = e1y * e2z - e1z * e2y;
+    out[1] = e1z * e2x - e1x * e2z;
+    out[2] = e1x * e2y - e1y * e2x;
+    return out;
+}
+
+/**
+ * Appends a flat, subdivided rectangle to a mesh.  The rectangle faces the
+ * cross product of its two axes, and is textured from (0, 0) at -uAxis, -vAxis
+ * to (1, 1) at +uAxis, +vAxis.
+ * @param {Mesh} mesh Mesh to add the vertices and faces to.
+ * @param {array} center Center of the rectangle.
+ * @param {array} uAxis Unit direction of the texture u axis.
+ * @param {array} vAxis Unit direction of the texture v axis.
+ * @param {number} uSize Size along uAxis.
+ * @param {number} vSize Size along vAxis.
+ * @param {number} uSegments Number of quads along uAxis.
+ * @param {number} vSegments Number of quads along vAxis.
+ */
+function appendGridPatch(mesh, center, uAxis, vAxis, uSize, vSize, uSegments, vSegments) {
+    let first = mesh.vertices.length / 3;
+    let normal = vec3.create();
+    vec3.cross(normal, uAxis, vAxis);
+
+    for (let j = 0; j <= vSegments; j++) {
+        for (let i = 0; i <= uSegments; i++) {
+            let u = i / uSegments, v = j / vSegments;
+            for (let k = 0; k < 3; k++) {
+                mesh.vertices.push(center[k] + uAxis[k] * (u - 0.5) * uSize + vAxis[k] * (v - 0.5) * vSize);
+            }
+            mesh.normals.push(normal[0], normal[1], normal[2]);
+            mesh.texCoords.push(u, v);
+        }
+    }
+
+    appendGridFaces(mesh, first, uSegments, vSegments);
+}
+
+/**
+ * Appends the faces connecting a grid of vertices, stored row by row.
+ * Triangles that collapse to a point or line, ex: at the poles of a
+ * sphere, are left out.
+ * @param {Mesh} mesh Mesh holding the vertices.
+ * @param {number} first Index of the first vertex of the grid.
+ * @param {number} columns Number of quads per row.
+ * @param {number} rows Number of rows of quads.
+ */
+function appendGridFaces(mesh, first, columns, rows) {
+    let addFace = (a, b, c) => {
+        let e1 = vec3.create(), e2 = vec3.create(), n = vec3.create();
+        vec3.subtract(e1, mesh.getVertex(b), mesh.getVertex(a));
+        vec3.subtract(e2, mesh.getVertex(c), mesh.getVertex(a));
+        vec3.cross(n, e1, e2);
+        if (vec3.length(n) > 1e-12) {
+            mesh.faces.push(a, b, c);
+        }
+    };
+
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < columns; i++) {
+            let a = first + j * (columns + 1) + i;
+            let b = a + 1;
+            let c = a + columns + 1;
+            let d = c + 1;
+            addFace(a, b, d);
+            addFace(a, d, c);
+        }
+    }
+}
+
+/**
+ * Appends a surface of revolution around the y axis to a mesh.
+ * @param {Mesh} mesh Mesh to add the vertices and faces to.
+ * @param {array} profile Points of the profile from bottom to top, as {radius, y,
+ * normal, v} where normal is the outward [radial, y] normal and v the texture v.
+ * @param {number} segments Number of segments around the axis.
+ * @param {boolean} planarUVs Whether to texture the surface as seen from above,
+ * ex: for a flat cap, instead of wrapping the texture around the axis.
+ */
+function appendLathe(mesh, profile, segments, planarUVs) {
+    let first = mesh.vertices.length / 3;
+    let maxRadius = Math.max(...profile.map((point) => point.radius));
+
+    for (let j = 0; j < profile.length; j++) {
+        let point = profile[j];
+        for (let i = 0; i <= segments; i++) {
+            let u = i / segments;
+            let phi = u * 2 * Math.PI;
+            let sin = Math.sin(phi), cos = Math.cos(phi);
+
+            mesh.vertices.push(point.radius * sin, point.y, point.radius * cos);
+            mesh.normals.push(point.normal[0] * sin, point.normal[1], point.normal[0] * cos);
+            if (planarUVs) {
+                mesh.texCoords.push(0.5 + 0.5 * point.radius * sin / maxRadius,
+                                    0.5 - 0.5 * point.radius * cos / maxRadius);
+            } else {
+                mesh.texCoords.push(u, point.v);
+            }
+        }
+    }
+
+    appendGridFaces(mesh, first, segments, profile.length - 1);
+}
+
+/** Number of values per vertex in each mesh vertex data array */
+const MESH_VERTEX_COMPONENTS = {
+    vertices: 3,
+    normals: 3,
+    texCoords: 2,
+    tangents: 4
+};
+
+/**
+ * Rebuilds the vertex data of a mesh from a list of its vertices, ex: after
+ * welding or splitting vertices.  Data arrays that don't hold a value for
+ * every vertex are emptied.  Faces are left alone.
+ * @param {Mesh} mesh The mesh.
+ * @param {array} sources Index of the old vertex each new vertex copies.
+ */
+function gatherVertices(mesh, sources) {
+    let numVertices = mesh.vertices.length / 3;
+    for (let name in MESH_VERTEX_COMPONENTS) {
+        let components = MESH_VERTEX_COMPONENTS[name];
+        let data = mesh[name];
+        if (data.length != numVertices * components || numVertices == 0) {
+            mesh[name] = [];
+            continue;
+        }
+
+        let gathered = new MESH_TYPED_ARRAYS[name](sources.length * components);
+        for (let i = 0; i < sources.length; i++) {
+            for (let c = 0; c < components; c++) {
+                gathered[i * components + c] = data[sources[i] * components + c];
+            }
+        }
+        mesh[name] = gathered;
+    }
+    mesh.numVertices = sources.length;
+}
+
+/**
+ * Keeps the faces of a mesh that pass a test, moving the submesh ranges to match.
+ * @param {Mesh} mesh The mesh.
+ * @param {function} keep Function given a face index, returning whether to keep the face.
+ * @return {number} Number of faces removed.
+ */
+function filterFaces(mesh, keep) {
+    let numFaces = mesh.faces.length / 3;
+    let faces = new Uint32Array(numFaces * 3);
+
+    /* Number of faces kept before each face, to move the submesh ranges */
+    let keptBefore = new Uint32Array(numFaces + 1);
+    for (let i = 0; i < numFaces; i++) {
+        keptBefore[i + 1] = keptBefore[i];
+        if (keep(i)) {
+            let j = keptBefore[i + 1]++;
+            faces[3 * j] = mesh.faces[3 * i];
+            faces[3 * j + 1] = mesh.faces[3 * i + 1];
+            faces[3 * j + 2] = mesh.faces[3 * i + 2];
+        }
+    }
+
+    mesh.submeshes.forEach((submesh) => {
+        let first = submesh.start / 3, last = (submesh.start + submesh.count) / 3;
+        submesh.start = 3 * keptBefore[first];
+        submesh.count = 3 * (keptBefore[last] - keptBefore[first]);
+    });
+    mesh.faces = faces.slice(0, 3 * keptBefore[numFaces]);
+    mesh.numFaces = keptBefore[numFaces];
+    return numFaces - mesh.numFaces;
+}
+
+/**
+ * Drops the vertices no face uses, keeping the order of the others.
+ * @param {Mesh} mesh The mesh.
+ * @return {number} Number of vertices removed.
+ */
+function removeUnusedVertices(mesh) {
+    let numVertices = mesh.vertices.length / 3;
+    let used = new Uint8Array(numVertices);
+    for (let i = 0; i < mesh.faces.length; i++) {
+        used[mesh.faces[i]] = 1;
+    }
+
+    let remap = new Uint32Array(numVertices);
+    let sources = [];
+    for (let v = 0; v < numVertices; v++) {
+        if (used[v]) {
+            remap[v] = sources.length;
+            sources.push(v);
+        }
+    }
+    if (sources.length == numVertices) {
+        return 0;
+    }
+
+    for (let i = 0; i < mesh.faces.length; i++) {
+        mesh.faces[i] = remap[mesh.faces[i]];
+    }
+    gatherVertices(mesh, sources);
+    return numVertices - sources.length;
+}
+
+/**
+ * Hashes the integer coordinates of a grid cell, see Mesh.weld().
+ * @param {number} x Cell x.
+ * @param {number} y Cell y.
+ * @param {number} z Cell z.
+ * @return {number} 32 bit hash.
+ */
+function hashCell(x, y, z) {
+    return ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791)) | 0;
+}
+
+/**
+ * Transforms vertex data in place: positions by a matrix, normals by its
+ * inverse transpose and tangents by its upper 3x3.  A mirroring matrix also
+ * reverses the winding of the faces and the bitangent signs, so front faces
+ * and normal maps stay the right way around.
+ * @param {object} data Object holding vertices, normals, tangents and faces arrays, ex: a Mesh.
+ * @param {mat4} matrix The transform.
+ */
+function transformVertexData(data, matrix) {
+    let v = vec3.create();
+    for (let i = 0; i < data.vertices.length; i += 3) {
+        vec3.set(v, data.vertices[i], data.vertices[i + 1], data.vertices[i + 2]);
+        vec3.transformMat4(v, v, matrix);
+        data.vertices[i] = v[0];
+        data.vertices[i + 1] = v[1];
+        data.vertices[i + 2] = v[2];
+    }
+
+    /* Singular matrices have no normal matrix, their normals are left as they are */
+    let normalMatrix = mat3.normalFromMat4(mat3.create(), matrix);
+    for (let i = 0; normalMatrix != null && i < data.normals.length; i += 3) {
+        vec3.set(v, data.normals[i], data.normals[i + 1], data.normals[i + 2]);
+        vec3.transformMat3(v, v, normalMatrix);
+        vec3.normalize(v, v);
+        data.normals[i] = v[0];
+        data.normals[i + 1] = v[1];
+        data.normals[i + 2] = v[2];
+    }
+
+    let linear = mat3.fromMat4(mat3.create(), matrix);
+    let mirrored = mat3.determinant(linear) < 0;
+    for (let i = 0; i < data.tangents.length; i += 4) {
+        vec3.set(v, data.tangents[i], data.tangents[i + 1], data.tangents[i + 2]);
+        vec3.transformMat3(v, v, linear);
+        vec3.normalize(v, v);
+        data.tangents[i] = v[0];
+        data.tangents[i + 1] = v[1];
+        data.tangents[i + 2] = v[2];
+        data.tangents[i + 3] = (mirrored ? -data.tangents[i + 3] : data.tangents[i + 3]);
+    }
+
+    for (let i = 0; mirrored && i < data.faces.length; i += 3) {
+        let swap = data.faces[i + 1];
+        data.faces[i + 1] = data.faces[i + 2];
+        data.faces[i + 2] = swap;
+    }
+}
+
+/** DataView getter, setter and size of each PLY property type */
+const PLY_TYPES = {
+    char: { size: 1, get: "getInt8", set: "setInt8" },
+    uchar: { size: 1, get: "getUint8", set: "setUint8" },
+    short: { size: 2, get: "getInt16", set: "setInt16" },
+    ushort: { size: 2, get: "getUint16", set: "setUint16" },
+    int: { size: 4, get: "getInt32", set: "setInt32" },
+    uint: { size: 4, get: "getUint32", set: "setUint32" },
+    float: { size: 4, get: "getFloat32", set: "setFloat32" },
+    double: { size: 8, get: "getFloat64", set: "setFloat64" },
+    int8: { size: 1, get: "getInt8", set: "setInt8" },
+    uint8: { size: 1, get: "getUint8", set: "setUint8" },
+    int16: { size: 2, get: "getInt16", set: "setInt16" },
+    uint16: { size: 2, get: "getUint16", set: "setUint16" },
+    int32: { size: 4, get: "getInt32", set: "setInt32" },
+    uint32: { size: 4, get: "getUint32", set: "setUint32" },
+    float32: { size: 4, get: "getFloat32", set: "setFloat32" },
+    float64: { size: 8, get: "getFloat64", set: "setFloat64" }
+};
+
+/** Names PLY files commonly give the texture coordinate properties */
+const PLY_TEXCOORD_NAMES = [["s", "t"], ["u", "v"], ["texture_u", "texture_v"], ["texture_s", "texture_t"]];
+
+/**
+ * Formats a number for a text mesh file, with enough digits to read back
+ * the same 32 bit float.
+ * @param {number} value The number.
+ * @return {string} Shortest text for the value at float precision.
+ */
+function formatFloat(value) {
+    return String(parseFloat(value.toPrecision(9)));
+}
+
+/**
+ * Splits a PLY file into its header and the offset of its body.
+ * @param {Uint8Array} bytes The file.
+ * @return {object} {format, elements, bodyOffset}, elements being a list of
+ * {name, count, properties} and properties a list of {name, type, countType},
+ * countType being set for list properties only.
+ * @throws {Error} If the file isn't PLY or the header is malformed.
+ */
+function parsePlyHeader(bytes) {
+    let marker = "end_header";
+    let end = -1;
+    for (let i = 0; i + marker.length <= bytes.length && end < 0; i++) {
+        let j = 0;
+        while (j < marker.length && bytes[i + j] == marker.charCodeAt(j)) {
+            j++;
+        }
+        if (j == marker.length) {
+            end = i + marker.length;
+        }
+    }
+    if (end < 0) {
+        throw new Error("PLY header has no end_header");
+    }
+
+    /* The body starts after the end_header line break, LF or CRLF */
+    let bodyOffset = end;
+    while (bodyOffset < bytes.length && bytes[bodyOffset] != 10) {
+        bodyOffset++;
+    }
+    bodyOffset++;
+
+    let lines = new TextDecoder().decode(bytes.subarray(0, end)).split(/\r?\n/);
+    if (lines[0].trim() != "ply") {
+        throw new Error("Not a PLY file");
+    }
+
+    let header = { format: null, elements: [], bodyOffset: bodyOffset };
+    let element = null;
+    let checkType = (type) => {
+        if (!PLY_TYPES.hasOwnProperty(type)) {
+            throw new Error("Unknown PLY property type " + type);
+        }
+        return type;
+    };
+    for (let i = 1; i < lines.length; i++) {
+        let split = lines[i].trim().split(/\s+/);
+        if (split[0] == "format") {
+            header.format = split[1];
+        } else if (split[0] == "element") {
+            element = { name: split[1], count: parseInt(split[2]), properties: [] };
+            header.elements.push(element);
+        } else if (split[0] == "property" && element != null) {
+            if (split[1] == "list") {
+                element.properties.push({ name: split[4], type: checkType(split[3]), countType: checkType(split[2]) });
+            } else {
+                element.properties.push({ name: split[2], type: checkType(split[1]) });
+            }
+        }
+    }
+
+    if (["ascii", "binary_little_endian", "binary_big_endian"].indexOf(header.format) < 0) {
+        throw new Error("Unsupported PLY format " + header.format);
+    }
+    return header;
+}
+
+/**
+ * Assembles a binary glTF file.
+ * @param {object} json The glTF JSON.
+ * @param {Uint8Array} binary Contents of the binary buffer.
+ * @return {ArrayBuffer} The .glb file.
+ */
+function packGlb(json, binary) {
+    let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    let jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    let binaryLength = Math.ceil(binary.length / 4) * 4;
+    let byteLength = 12 + 8 + jsonLength + (binaryLength > 0 ? 8 + binaryLength : 0);
+
+    let file = new ArrayBuffer(byteLength);
+    let view = new DataView(file);
+    let bytes = new Uint8Array(file);
+    view.setUint32(0, 0x46546C67, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, byteLength, true);
+
+    /* The JSON chunk is padded with spaces, the binary chunk with zeros */
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true);
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(jsonBytes, 20);
+
+    if (binaryLength > 0) {
+        let offset = 20 + jsonLength;
+        view.setUint32(offset, binaryLength, true);
+        view.setUint32(offset + 4, 0x004E4942, true);
+        bytes.set(binary, offset + 8);
+    }
+    return file;
+}
+
 /** Class implementing triangle surface mesh. */
 class Mesh {   
     /**
      * Initialize members of a TriMesh object
+     * @param {WebGLRenderingContext} context Context the mesh buffers are created in.
+     * Defaults to the global gl; without any context only CPU-side data is kept.
+     * @param {object} options Optional settings: usage, the GL usage hint of the
+     * vertex and index buffers, "STATIC_DRAW" (the default), "DYNAMIC_DRAW" for meshes
+     * updated often or "STREAM_DRAW" for meshes updated every frame.
      */
-    constructor() {
+    constructor(context, options) {
+        this.gl = resolveContext(context);
+        options = options || {};
+
         /* Allocate buffers */
         this.vertices = [];
         this.faces = [];
         this.normals = [];
+        this.texCoords = [];
+
+        /* Per-vertex tangents as (x, y, z, w), w being the bitangent sign */
+        this.tangents = [];
+
+        /* Index ranges of faces sharing a group/material, and the materials themselves */
+        this.submeshes = [];
+        this.materials = {};
+        this.materialLibraries = [];
 
         this.numFaces=0;
         this.numVertices=0;
+
+        /* Vertex layout used for the buffers, null for the default one */
+        this.layout = null;
+        this.bufferLayout = null;
+        this.buffers = [];
+        this.indexBuffer = null;
+        this.bufferBytes = 0;
+
+        /* Usage hint of the vertex buffers, and their packed contents kept for partial updates */
+        this.usage = options.usage || "STATIC_DRAW";
+        this.bufferContents = null;
+
+        /* Faces around each vertex, see getVertexFaces() */
+        this.vertexFaces = null;
+
+        /* Vertex array objects capturing the buffers for each shader */
+        this.vertexArrays = new Map();
+        this.vertexArrayFunctions = undefined;
+
+        /* Instanced drawing functions, looked up on first use by drawInstanced() */
+        this.instancingFunctions = undefined;
+
+        /* Triangle hierarchy for raycast(), built on first use */
+        this.bvh = null;
         
         /* AABB properties */
         this.minXYZ = [0,0,0];
         this.maxXYZ = [0,0,0];
         
         /* Get extension for 4 byte integer indices for drawElements */
-        if (gl.getExtension('OES_element_index_uint') == null) {
+        if (this.gl != null && this.gl.getExtension('OES_element_index_uint') == null) {
             alert("OES_element_index_uint is unsupported by your browser!");
         } 
+
+        if (this.gl != null) {
+            ResourceTracker.forContext(this.gl).track(this);
+        }
     }
     
     /**
      * Find a box defined by min and max XYZ coordinates
      */
     computeAABB() {
+        if (this.vertices.length == 0) {
+            this.minXYZ = [0,0,0];
+            this.maxXYZ = [0,0,0];
+            return;
+        }
+
+        this.minXYZ = [Infinity, Infinity, Infinity];
+        this.maxXYZ = [-Infinity, -Infinity, -Infinity];
         for (let i = 0; i < this.vertices.length; i += 3) {
             for (let j = 0; j < 3; j++) {
                 if (this.vertices[i + j] < this.minXYZ[j]) {
@@ -66,222 +543,2095 @@ class Mesh {
     }
 
     /**
-     * Draws the model using the face index buffer. Assumes that
-     * vertex data has already been sent to the shader.
+     * Returns the triangle hierarchy used by raycast(), building it if needed.
+     * It is rebuilt by build(); set this.bvh to null after changing vertices
+     * or faces without calling build().
+     * @return {MeshBVH} The hierarchy.
      */
-    draw() {
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.drawElements(gl.TRIANGLES, this.indexBuffer.numItems, gl.UNSIGNED_INT, 0);
+    getBVH() {
+        if (this.bvh == null) {
+            this.bvh = new MeshBVH(this);
+        }
+        return this.bvh;
     }
-    
+
     /**
-     * Load a mesh from OBJ file data.
-     * @param {string} text of an OBJ file
-     * @return {Mesh} Mesh object created from the OBJ.
+     * Finds the nearest triangle hit by a ray.
+     * @param {Ray} ray The ray, in world space when a model matrix is given,
+     * otherwise in the mesh's space.
+     * @param {object} options Optional settings: modelMatrix, the transform from
+     * the mesh's space to world space, maxDistance, the furthest hit to accept,
+     * and cullBackFaces, whether to ignore triangles facing away from the ray.
+     * @return {object} The hit as {faceIndex, distance, point, barycentric, normal},
+     * or null if the ray misses.  barycentric holds the weights of the triangle's
+     * three corners, normal is the interpolated vertex normal (the face normal if
+     * the mesh has no normals), and both point and normal are in the ray's space.
      */
-    static fromObj(fileText) {
-        let mesh = new Mesh();
-        let lines = fileText.split("\n");
-        let vertex = 0;
-        let face = 0;
-        
-        for (let i = 0; i < lines.length; i++) {
-            let line = lines[i];
-            if (line[0] == '#') {
-                /* Skip comments in the file */
-                continue;
-            }
+    raycast(ray, options) {
+        options = options || {};
+        let localRay = ray;
+        if (options.modelMatrix) {
+            let inverse = mat4.create();
+            mat4.invert(inverse, options.modelMatrix);
+            localRay = ray.transform(inverse);
+        }
 
-            let split = line.split(/ +/);
-            if (split[0] == 'v') {
-                mesh.vertices.push(parseFloat(split[1]),
-                                  parseFloat(split[2]),
-                                  parseFloat(split[3]));
-            } else if (split[0] == 'f') {
-                mesh.faces.push(parseInt(split[1]) - 1,
-                                  parseInt(split[2]) - 1,
-                                  parseInt(split[3]) - 1);                
-            }
+        let hit = this.getBVH().raycast(localRay, options);
+        if (hit == null) {
+            return null;
         }
 
-        mesh.numVertices = mesh.vertices.length / 3;
-        mesh.numFaces = mesh.faces.length / 3;
-        mesh.computeAABB();
-        
-        mesh.generateNormals();
-        mesh.generateBuffers();
-        
-        return mesh;
+        let a = this.faces[3 * hit.faceIndex];
+        let b = this.faces[3 * hit.faceIndex + 1];
+        let c = this.faces[3 * hit.faceIndex + 2];
+        let barycentric = vec3.fromValues(1 - hit.u - hit.v, hit.u, hit.v);
+
+        let normal = vec3.create();
+        if (this.normals.length == this.vertices.length) {
+            vec3.scale(normal, this.getNormal(a), barycentric[0]);
+            vec3.scaleAndAdd(normal, normal, this.getNormal(b), barycentric[1]);
+            vec3.scaleAndAdd(normal, normal, this.getNormal(c), barycentric[2]);
+        } else {
+            let e1 = vec3.create(), e2 = vec3.create();
+            vec3.subtract(e1, this.getVertex(b), this.getVertex(a));
+            vec3.subtract(e2, this.getVertex(c), this.getVertex(a));
+            vec3.cross(normal, e1, e2);
+        }
+
+        let point = ray.at(hit.t);
+        if (options.modelMatrix) {
+            let normalMatrix = mat3.create();
+            mat3.normalFromMat4(normalMatrix, options.modelMatrix);
+            vec3.transformMat3(normal, normal, normalMatrix);
+        }
+        vec3.normalize(normal, normal);
+
+        return {
+            faceIndex: hit.faceIndex,
+            distance: hit.t,
+            point: point,
+            barycentric: barycentric,
+            normal: normal
+        };
     }
-    
+
     /**
-     * Generates a plane of size 2 along a given axis.
-     * @param {string} axis "x" || "y" || "z"
-     * @return {Mesh} The plane as a mesh object.
+     * Draws the model using the face index buffer.  When given a shader the
+     * mesh binds its own vertex data, otherwise it assumes that vertex data
+     * has already been sent to the shader.
+     * @param {Shader} shader Optional shader to bind the vertex data to.
+     * @param {object} attributeNames Optional shader attribute names, see bind().
      */
-    static fromPlane(axis) {
-        let mesh = new Mesh();
-
-        if (axis == "z" || axis == "Z") {
-            mesh.vertices.push(-1.0, -1.0, 0.0);
-            mesh.vertices.push(1.0, -1.0, 0.0);
-            mesh.vertices.push(1.0, 1.0, 0.0);
-            mesh.vertices.push(-1.0, 1.0, 0.0);
-
-            mesh.normals.push(0.0, 0.0, 1.0);
-            mesh.normals.push(0.0, 0.0, 1.0);
-            mesh.normals.push(0.0, 0.0, 1.0);
-            mesh.normals.push(0.0, 0.0, 1.0);
-        } else if (axis == "x" || axis == "X") {
-            mesh.vertices.push(0.0, -1.0, -1.0);
-            mesh.vertices.push(0.0, -1.0, 1.0);
-            mesh.vertices.push(0.0, 1.0, 1.0);
-            mesh.vertices.push(0.0, 1.0, -1.0);
-
-            mesh.normals.push(1.0, 0.0, 0.0);
-            mesh.normals.push(1.0, 0.0, 0.0);
-            mesh.normals.push(1.0, 0.0, 0.0);
-            mesh.normals.push(1.0, 0.0, 0.0);
-        } else if (axis == "y" || axis == "Y") {
-            mesh.vertices.push(-1.0, 0.0, -1.0);
-            mesh.vertices.push(1.0, 0.0, -1.0);
-            mesh.vertices.push(1.0, 0.0, 1.0);
-            mesh.vertices.push(-1.0, 0.0, 1.0);
-
-            mesh.normals.push(0.0, 1.0, 0.0);
-            mesh.normals.push(0.0, 1.0, 0.0);
-            mesh.normals.push(0.0, 1.0, 0.0);
-            mesh.normals.push(0.0, 1.0, 0.0);
-        }
-
-        mesh.faces.push(0, 1, 2);
-        mesh.faces.push(0, 2, 3);
-        
-        mesh.numVertices = 4;
-        mesh.numFaces = 2;
-        mesh.computeAABB();
-        
-        mesh.generateNormals();
-        mesh.generateBuffers();
+    draw(shader, attributeNames) {
+        this.drawRange(0, this.indexBuffer.numItems, shader, attributeNames);
+    }
 
-        return mesh;
+    /**
+     * Draws a single submesh, ex: the faces using one material of an OBJ.
+     * @param {object} submesh Entry of this.submeshes to draw.
+     * @param {Shader} shader Optional shader to bind the vertex data to.
+     * @param {object} attributeNames Optional shader attribute names, see bind().
+     */
+    drawSubmesh(submesh, shader, attributeNames) {
+        this.drawRange(submesh.start, submesh.count, shader, attributeNames);
     }
 
     /**
-     * Generates a cube mesh
-     * @param {number} size Size of the cube.  Coordinates will range from -number/2 to number/2.
-     * @return {Mesh} The cube as a mesh object.
+     * Draws a range of the face index buffer.
+     * @param {number} start First index to draw.
+     * @param {number} count Number of indices to draw.
+     * @param {Shader} shader Optional shader to bind the vertex data to.
+     * @param {object} attributeNames Optional shader attribute names, see bind().
      */
-    static fromCube(size) {
-        let mesh = new Mesh();
-        mesh.vertices.push(-0.5,  0.5, -0.5);
-        mesh.vertices.push( 0.5,  0.5, -0.5);
-        mesh.vertices.push( 0.5,  0.5,  0.5);
-        mesh.vertices.push(-0.5,  0.5,  0.5);
-        mesh.vertices.push(-0.5, -0.5, -0.5);
-        mesh.vertices.push( 0.5, -0.5, -0.5);
-        mesh.vertices.push( 0.5, -0.5,  0.5);
-        mesh.vertices.push(-0.5, -0.5,  0.5);
+    drawRange(start, count, shader, attributeNames) {
+        let gl = this.gl;
+        if (shader) {
+            this.bind(shader, attributeNames);
+        } else {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        }
 
-        for (let i = 0; i < mesh.vertices.length; i++) {
-            mesh.vertices[i] *= size;
+        gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_INT, start * 4);
+
+        if (shader) {
+            this.unbind();
         }
-        
-        mesh.faces.push(0, 1, 2, 0, 2, 3);
-        mesh.faces.push(3, 2, 6, 3, 6, 7);
-        mesh.faces.push(5, 4, 6, 4, 7, 6);
-        mesh.faces.push(1, 0, 5, 0, 4, 5);
-        mesh.faces.push(2, 1, 5, 2, 5, 6);
-        mesh.faces.push(0, 3, 7, 0, 7, 4);
-
-        mesh.numVertices = 8;
-        mesh.numFaces = 12;
-        mesh.computeAABB();
+    }
 
-        mesh.generateNormals();
-        mesh.generateBuffers();
+    /**
+     * Draws many copies of the mesh in one call.  Per instance data, ex: a
+     * model matrix or color for each copy, comes from instance attributes
+     * which are bound after the mesh's own and disabled again after drawing.
+     * @param {number} instanceCount Number of copies to draw.
+     * @param {Shader} shader Shader to bind the vertex data to.
+     * @param {object} options Optional settings: attributeNames, see bind();
+     * instanceAttributes, a list of {name, buffer} plus the options of
+     * Shader.bindAttribute(), the divisor defaulting to 1; and start and count,
+     * the range of the face index buffer to draw.
+     * @throws {Error} If the context can't draw instanced.
+     */
+    drawInstanced(instanceCount, shader, options) {
+        options = options || {};
+        let gl = this.gl;
+        if (this.instancingFunctions === undefined) {
+            this.instancingFunctions = getInstancingFunctions(gl);
+        }
+        if (this.instancingFunctions == null) {
+            throw new Error("Instanced drawing needs WebGL2 or ANGLE_instanced_arrays");
+        }
 
-        return mesh;
+        let start = options.start || 0;
+        let count = (options.count === undefined ? this.indexBuffer.numItems - start : options.count);
+        let instanceAttributes = options.instanceAttributes || [];
+
+        this.bind(shader, options.attributeNames);
+        for (let i = 0; i < instanceAttributes.length; i++) {
+            let attribute = instanceAttributes[i];
+            shader.bindAttribute(attribute.name, attribute.buffer, Object.assign({ divisor: 1 }, attribute));
+        }
+
+        this.instancingFunctions.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_INT, start * 4, instanceCount);
+
+        for (let i = 0; i < instanceAttributes.length; i++) {
+            shader.unbindAttribute(instanceAttributes[i].name);
+        }
+        this.unbind();
     }
-    
+
     /**
-     * Send the buffer objects to WebGL for rendering 
+     * Binds the vertex and index buffers of the mesh to the attributes of a
+     * shader.  The bindings are captured in a vertex array object the first
+     * time, so later binds to the same shader are a single call.  Without
+     * VAO support the attribute pointers are specified on every bind.
+     * @param {Shader} shader Shader whose attributes to bind to.
+     * @param {object} attributeNames Optional shader attribute name for each mesh
+     * attribute, merged over Mesh.attributeNames.  Only used the first time a shader is bound.
      */
-    generateBuffers() {
-        /* Specify the vertex coordinates */
-        this.vertexBuffer = gl.createBuffer();
-        this.vertexBuffer.numItems = this.numVertices;
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);      
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.vertices), gl.STATIC_DRAW);
-        
-        /* Specify normals to be able to do lighting calculations */
-        this.normalBuffer = gl.createBuffer();
-        this.normalBuffer.numItems = this.numVertices;
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.normals), gl.STATIC_DRAW);
-        
-        /* Specify faces of the mesh */
-        this.indexBuffer = gl.createBuffer();
-        this.indexBuffer.numItems = this.numFaces * 3;
+    bind(shader, attributeNames) {
+        let gl = this.gl;
+        if (this.vertexArrayFunctions === undefined) {
+            this.vertexArrayFunctions = getVertexArrayFunctions(gl);
+        }
+
+        let vaoFunctions = this.vertexArrayFunctions;
+        if (vaoFunctions != null) {
+            if (this.vertexArrays.has(shader)) {
+                vaoFunctions.bind(this.vertexArrays.get(shader));
+                return;
+            }
+
+            let vao = vaoFunctions.create();
+            vaoFunctions.bind(vao);
+            this.vertexArrays.set(shader, vao);
+        }
+
+        let names = Object.assign({}, Mesh.attributeNames, attributeNames);
+        let layout = this.bufferLayout;
+
+        for (let i = 0; i < layout.attributes.length; i++) {
+            let attribute = layout.attributes[i];
+            let location = (names[attribute.name] ? shader.getAttributeLocation(names[attribute.name]) : -1);
+            if (location < 0) {
+                continue;
+            }
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers[attribute.buffer]);
+            gl.vertexAttribPointer(location, attribute.components, gl[attribute.type],
+                                   attribute.normalized, attribute.stride, attribute.offset);
+            gl.enableVertexAttribArray(location);
+        }
+
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(this.faces), gl.STATIC_DRAW);
     }
-            
+
     /**
-     * Return the x,y,z coords of a vertex at location id
-     * @param {number} the index of the vertex to return
-     * @return {vec3} Vertex returned as a glmatrix vector.
-     */    
-    getVertex(id) {
-        var vid = 3 * id;
-        return vec3.fromValues(this.vertices[vid + 0], this.vertices[vid + 1], this.vertices[vid + 2]);
+     * Unbinds the vertex array object bound by bind(), so that later attribute
+     * changes don't end up captured in it.
+     */
+    unbind() {
+        if (this.vertexArrayFunctions) {
+            this.vertexArrayFunctions.bind(null);
+        }
     }
 
     /**
-     * Compute per-vertex normals for a mesh
-     */   
-    generateNormals() {
-        /* Per vertex normals */
-        this.numNormals = this.numVertices;
-        this.normals = new Array(this.numNormals * 3);
-        
-        for (let i=0; i < this.normals.length; i++) {
-            this.normals[i]=0;
+     * Deletes the vertex array objects made for each shader.
+     */
+    releaseVertexArrays() {
+        if (this.vertexArrayFunctions) {
+            this.vertexArrays.forEach((vao) => this.vertexArrayFunctions.remove(vao));
         }
-        
-        for (let i=0; i < this.numFaces; i++) {
-            /* Get vertex coordinates */
-            let v1 = this.faces[3 * i],
-                v2 = this.faces[3 * i + 1],
-                v3 = this.faces[3 * i + 2]; 
-            let v1Vec = this.getVertex(v1), v2Vec = this.getVertex(v2), v3Vec = this.getVertex(v3);
-            
-            /* Create edge vectors */
-            let e1=vec3.create();
-            let e2=vec3.create();
-            vec3.subtract(e1, v2Vec, v1Vec);
-            vec3.subtract(e2, v3Vec, v1Vec);
-            
-            /* Compute normal */
-            let n = vec3.fromValues(0, 0, 0);
-            vec3.cross(n, e1, e2);
-            
-            /* Accumulate */
-            for (let j = 0; j < 3; j++) {
-                this.normals[3 * v1 + j] += n[j];
-                this.normals[3 * v2 + j] += n[j];
-                this.normals[3 * v3 + j] += n[j];
-            }         
+        this.vertexArrays.clear();
+    }
+
+    /**
+     * Returns the flat data array of a vertex attribute.
+     * @param {string} name Attribute name, ex: "position".
+     * @return {array} The data, or undefined for an unknown attribute.
+     */
+    getAttributeData(name) {
+        return this[MESH_ATTRIBUTE_ARRAYS[name]];
+    }
+
+    /**
+     * Returns the vertex layout of the mesh.  Unless one was set with setLayout()
+     * this has one buffer per attribute for the attributes the mesh has data for.
+     * @return {VertexLayout} The layout.
+     */
+    getLayout() {
+        if (this.layout != null) {
+            return this.layout;
         }
-        
-        for (let i = 0; i < this.numNormals; i++) {
-            let n = vec3.fromValues(this.normals[3 * i],
-                                    this.normals[3 * i + 1],
-                                    this.normals[3 * i + 2]);
-            vec3.normalize(n, n);
-            this.normals[3 * i] = n[0];
-            this.normals[3 * i + 1] = n[1];
-            this.normals[3 * i + 2] = n[2];  
+
+        let attributes = [
+            { name: "position", components: 3 },
+            { name: "normal", components: 3 }
+        ];
+        if (this.texCoords.length > 0) {
+            attributes.push({ name: "texCoord", components: 2 });
         }
-    }    
-}
+        if (this.tangents.length > 0) {
+            attributes.push({ name: "tangent", components: 4 });
+        }
+        return new VertexLayout(attributes);
+    }
+
+    /**
+     * Sets the vertex layout of the mesh, ex: to interleave its attributes,
+     * and re-creates the buffers.
+     * @param {VertexLayout} layout The new layout.
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        this.generateBuffers();
+    }
+
+    /**
+     * Loads a mesh from the url of an OBJ file, along with the MTL material
+     * libraries it references.  See AssetLoader.loadMesh() for the options.
+     * @param {string} url Url of the OBJ file.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional load settings, ex: {signal, timeout, usage}.
+     * @return {promise} Promise to the mesh, rejected with an AssetLoadError on failure.
+     */
+    static fromUrl(url, context, options) {
+        return AssetLoader.shared.loadMesh(url, Object.assign({ cache: false }, options, { context: context }));
+    }
+
+    /**
+     * Load a mesh from OBJ file data.  Vertices are split on unique
+     * position/texcoord/normal index tuples and polygons are fan-triangulated.
+     * Authored normals are kept, and vertices without one get a normal
+     * generated from the faces around them.
+     * @param {string} fileText Text of an OBJ file.
+     * @param {string} mtlText Optional text of the companion MTL file.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} Mesh object created from the OBJ.
+     */
+    static fromObj(fileText, mtlText, context, options) {
+        let mesh = new Mesh(context, options);
+        let lines = fileText.split("\n");
+
+        /* Raw attribute data as it appears in the file */
+        let positions = [];
+        let texCoords = [];
+        let normals = [];
+
+        /* Maps resolved "v/vt/vn" index strings to the index of the split vertex */
+        let tupleIndices = {};
+
+        /* Split vertices whose tuple references no normal */
+        let missingNormals = new Set();
+
+        let groupName = null;
+        let materialName = null;
+        let submesh = null;
+
+        /* Converts an OBJ index, which is 1-based or negative (relative to the end), to 0-based */
+        let resolveIndex = (str, count) => {
+            if (str === undefined || str.length == 0) {
+                return -1;
+            }
+            let idx = parseInt(str);
+            return (idx < 0 ? count + idx : idx - 1);
+        };
+
+        /* Starts a new submesh if the active group or material has changed */
+        let beginSubmesh = () => {
+            if (submesh != null && submesh.count == 0) {
+                submesh.name = groupName;
+                submesh.material = materialName;
+                return;
+            }
+            submesh = {
+                name: groupName,
+                material: materialName,
+                start: mesh.faces.length,
+                count: 0
+            };
+            mesh.submeshes.push(submesh);
+        };
+
+        let getVertexIndex = (tupleText) => {
+            let split = tupleText.split("/");
+            let v = resolveIndex(split[0], positions.length / 3);
+            let vt = resolveIndex(split[1], texCoords.length / 2);
+            let vn = resolveIndex(split[2], normals.length / 3);
+
+            let tuple = v + "/" + vt + "/" + vn;
+            if (tupleIndices.hasOwnProperty(tuple)) {
+                return tupleIndices[tuple];
+            }
+
+            mesh.vertices.push(positions[3 * v], positions[3 * v + 1], positions[3 * v + 2]);
+            if (vt >= 0) {
+                mesh.texCoords.push(texCoords[2 * vt], texCoords[2 * vt + 1]);
+            } else {
+                mesh.texCoords.push(0.0, 0.0);
+            }
+            if (vn >= 0) {
+                mesh.normals.push(normals[3 * vn], normals[3 * vn + 1], normals[3 * vn + 2]);
+            } else {
+                mesh.normals.push(0.0, 0.0, 0.0);
+            }
+
+            let index = mesh.vertices.length / 3 - 1;
+            if (vn < 0) {
+                missingNormals.add(index);
+            }
+            tupleIndices[tuple] = index;
+            return index;
+        };
+
+        beginSubmesh();
+
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i].trim();
+            if (line.length == 0 || line[0] == '#') {
+                /* Skip comments and blank lines in the file */
+                continue;
+            }
+
+            let split = line.split(/\s+/);
+            if (split[0] == 'v') {
+                positions.push(parseFloat(split[1]),
+                               parseFloat(split[2]),
+                               parseFloat(split[3]));
+            } else if (split[0] == 'vt') {
+                texCoords.push(parseFloat(split[1]),
+                               split.length > 2 ? parseFloat(split[2]) : 0.0);
+            } else if (split[0] == 'vn') {
+                normals.push(parseFloat(split[1]),
+                             parseFloat(split[2]),
+                             parseFloat(split[3]));
+            } else if (split[0] == 'f') {
+                let polygon = [];
+                for (let j = 1; j < split.length; j++) {
+                    polygon.push(getVertexIndex(split[j]));
+                }
+
+                /* Fan-triangulate polygons with more than three vertices */
+                for (let j = 1; j < polygon.length - 1; j++) {
+                    mesh.faces.push(polygon[0], polygon[j], polygon[j + 1]);
+                    submesh.count += 3;
+                }
+            } else if (split[0] == 'o' || split[0] == 'g') {
+                groupName = split.slice(1).join(" ");
+                beginSubmesh();
+            } else if (split[0] == 'usemtl') {
+                materialName = split.slice(1).join(" ");
+                beginSubmesh();
+            } else if (split[0] == 'mtllib') {
+                mesh.materialLibraries.push(split.slice(1).join(" "));
+            }
+        }
+
+        /* Drop a trailing empty submesh left over from a group with no faces */
+        if (mesh.submeshes.length > 1 && submesh.count == 0) {
+            mesh.submeshes.pop();
+        }
+
+        /* Don't keep placeholder coordinates for files without any */
+        if (texCoords.length == 0) {
+            mesh.texCoords = [];
+        }
+
+        if (mtlText) {
+            mesh.materials = Mesh.parseMtl(mtlText);
+        }
+
+        mesh.numVertices = mesh.vertices.length / 3;
+        mesh.numFaces = mesh.faces.length / 3;
+        mesh.computeAABB();
+
+        /* Accumulate the area-weighted normals of the faces around each vertex missing one */
+        if (missingNormals.size > 0) {
+            let n = vec3.create();
+            for (let i = 0; i < mesh.numFaces; i++) {
+                let computed = false;
+                for (let j = 0; j < 3; j++) {
+                    let v = mesh.faces[3 * i + j];
+                    if (!missingNormals.has(v)) {
+                        continue;
+                    }
+                    if (!computed) {
+                        faceAreaNormal(mesh.vertices, mesh.faces, i, n);
+                        computed = true;
+                    }
+                    mesh.normals[3 * v] += n[0];
+                    mesh.normals[3 * v + 1] += n[1];
+                    mesh.normals[3 * v + 2] += n[2];
+                }
+            }
+            missingNormals.forEach((v) => {
+                vec3.set(n, mesh.normals[3 * v], mesh.normals[3 * v + 1], mesh.normals[3 * v + 2]);
+                vec3.normalize(n, n);
+                mesh.normals[3 * v] = n[0];
+                mesh.normals[3 * v + 1] = n[1];
+                mesh.normals[3 * v + 2] = n[2];
+            });
+        }
+        if (mesh.texCoords.length > 0) {
+            mesh.generateTangents();
+        }
+        mesh.toTypedArrays();
+        mesh.generateBuffers();
+        
+        return mesh;
+    }
+
+    /**
+     * Parse the text of an MTL material library.
+     * @param {string} fileText Text of an MTL file.
+     * @return {object} Material descriptors keyed by material name.
+     */
+    static parseMtl(fileText) {
+        let materials = {};
+        let material = null;
+        let lines = fileText.split("\n");
+
+        let parseColor = (split) => {
+            return [parseFloat(split[1]), parseFloat(split[2]), parseFloat(split[3])];
+        };
+
+        /* Texture map statements may carry options before the file name, ex: map_Kd -s 2 2 1 wood.png */
+        let parseMap = (split) => {
+            let map = { file: null, options: {} };
+            let i = 1;
+            while (i < split.length && split[i][0] == '-') {
+                let option = split[i].substring(1);
+                let args = [];
+                i++;
+                while (i < split.length - 1 && split[i][0] != '-' && !isNaN(parseFloat(split[i]))) {
+                    args.push(parseFloat(split[i]));
+                    i++;
+                }
+                if (args.length == 0 && i < split.length - 1) {
+                    args.push(split[i]);
+                    i++;
+                }
+                map.options[option] = (args.length == 1 ? args[0] : args);
+            }
+            map.file = split.slice(i).join(" ");
+            return map;
+        };
+
+        const mapNames = {
+            map_ka: "ambient",
+            map_kd: "diffuse",
+            map_ks: "specular",
+            map_ke: "emissive",
+            map_ns: "shininess",
+            map_d: "opacity",
+            map_bump: "bump",
+            bump: "bump",
+            disp: "displacement",
+            norm: "normal"
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i].trim();
+            if (line.length == 0 || line[0] == '#') {
+                continue;
+            }
+
+            let split = line.split(/\s+/);
+            let keyword = split[0].toLowerCase();
+
+            if (keyword == "newmtl") {
+                material = {
+                    name: split.slice(1).join(" "),
+                    ambient: [0.0, 0.0, 0.0],
+                    diffuse: [1.0, 1.0, 1.0],
+                    specular: [0.0, 0.0, 0.0],
+                    emissive: [0.0, 0.0, 0.0],
+                    shininess: 0.0,
+                    opacity: 1.0,
+                    opticalDensity: 1.0,
+                    illum: 2,
+                    maps: {}
+                };
+                materials[material.name] = material;
+            } else if (material == null) {
+                /* Statements before the first newmtl have nothing to apply to */
+                continue;
+            } else if (keyword == "ka") {
+                material.ambient = parseColor(split);
+            } else if (keyword == "kd") {
+                material.diffuse = parseColor(split);
+            } else if (keyword == "ks") {
+                material.specular = parseColor(split);
+            } else if (keyword == "ke") {
+                material.emissive = parseColor(split);
+            } else if (keyword == "ns") {
+                material.shininess = parseFloat(split[1]);
+            } else if (keyword == "d") {
+                material.opacity = parseFloat(split[split.length - 1]);
+            } else if (keyword == "tr") {
+                material.opacity = 1.0 - parseFloat(split[1]);
+            } else if (keyword == "ni") {
+                material.opticalDensity = parseFloat(split[1]);
+            } else if (keyword == "illum") {
+                material.illum = parseInt(split[1]);
+            } else if (mapNames.hasOwnProperty(keyword)) {
+                material.maps[mapNames[keyword]] = parseMap(split);
+            }
+        }
+
+        return materials;
+    }
+    
+    /**
+     * Parse a PLY file, ASCII or binary.  Vertex positions, normals and texture
+     * coordinates are read, polygons are fan-triangulated and other elements
+     * and properties are skipped.
+     * @param {ArrayBuffer} data Contents of the file.  ASCII files may also be given as a string.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The mesh.
+     * @throws {Error} If the file isn't PLY, has no vertex positions or ends early.
+     */
+    static fromPly(data, context, options) {
+        let bytes;
+        if (typeof data == "string") {
+            bytes = new TextEncoder().encode(data);
+        } else if (ArrayBuffer.isView(data)) {
+            bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        } else {
+            bytes = new Uint8Array(data);
+        }
+        let header = parsePlyHeader(bytes);
+
+        /* Reads the next value of the body, of a given type */
+        let read;
+        if (header.format == "ascii") {
+            let tokens = new TextDecoder().decode(bytes.subarray(header.bodyOffset)).split(/\s+/).filter((token) => token.length > 0);
+            let next = 0;
+            read = () => {
+                if (next >= tokens.length) {
+                    throw new Error("PLY file ends early");
+                }
+                return parseFloat(tokens[next++]);
+            };
+        } else {
+            let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            let littleEndian = (header.format == "binary_little_endian");
+            let offset = header.bodyOffset;
+            read = (type) => {
+                let info = PLY_TYPES[type];
+                if (offset + info.size > bytes.length) {
+                    throw new Error("PLY file ends early");
+                }
+                let value = view[info.get](offset, littleEndian);
+                offset += info.size;
+                return value;
+            };
+        }
+
+        let mesh = new Mesh(context, options);
+        let columns = {};
+        header.elements.forEach((element) => {
+            let isVertex = (element.name == "vertex"), isFace = (element.name == "face");
+            if (isVertex) {
+                element.properties.forEach((property) => {
+                    columns[property.name] = new Float64Array(element.count);
+                });
+            }
+
+            for (let i = 0; i < element.count; i++) {
+                for (let j = 0; j < element.properties.length; j++) {
+                    let property = element.properties[j];
+                    if (property.countType === undefined) {
+                        let value = read(property.type);
+                        if (isVertex) {
+                            columns[property.name][i] = value;
+                        }
+                        continue;
+                    }
+
+                    let list = [];
+                    let count = read(property.countType);
+                    for (let k = 0; k < count; k++) {
+                        list.push(read(property.type));
+                    }
+                    if (isFace && (property.name == "vertex_indices" || property.name == "vertex_index")) {
+                        for (let k = 1; k < list.length - 1; k++) {
+                            mesh.faces.push(list[0], list[k], list[k + 1]);
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!columns.x || !columns.y || !columns.z) {
+            throw new Error("PLY file has no vertex positions");
+        }
+        let hasNormals = !!(columns.nx && columns.ny && columns.nz);
+        let texCoordNames = PLY_TEXCOORD_NAMES.find((names) => columns[names[0]] && columns[names[1]]);
+        for (let v = 0; v < columns.x.length; v++) {
+            mesh.vertices.push(columns.x[v], columns.y[v], columns.z[v]);
+            if (hasNormals) {
+                mesh.normals.push(columns.nx[v], columns.ny[v], columns.nz[v]);
+            }
+            if (texCoordNames) {
+                mesh.texCoords.push(columns[texCoordNames[0]][v], columns[texCoordNames[1]][v]);
+            }
+        }
+
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates a plane of size 2 along a given axis.
+     * @param {string} axis "x" || "y" || "z"
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The plane as a mesh object.
+     */
+    static fromPlane(axis, context, options) {
+        return Mesh.fromGrid(2.0, 2.0, 1, 1, axis, context, options);
+    }
+
+    /**
+     * Generates a subdivided plane centered on the origin, facing the positive
+     * side of a given axis.
+     * @param {number} width Size along the first in-plane axis (x, or z for an "x" plane).
+     * @param {number} height Size along the second in-plane axis (y, or z for a "y" plane).
+     * @param {number} widthSegments Number of quads along the width.
+     * @param {number} heightSegments Number of quads along the height.
+     * @param {string} axis "x" || "y" || "z", defaults to "y".
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The grid as a mesh object.
+     */
+    static fromGrid(width, height, widthSegments, heightSegments, axis, context, options) {
+        let mesh = new Mesh(context, options);
+        axis = (axis || "y").toLowerCase();
+
+        if (axis == "x") {
+            appendGridPatch(mesh, [0, 0, 0], [0, 0, -1], [0, 1, 0], width, height, widthSegments, heightSegments);
+        } else if (axis == "z") {
+            appendGridPatch(mesh, [0, 0, 0], [1, 0, 0], [0, 1, 0], width, height, widthSegments, heightSegments);
+        } else {
+            appendGridPatch(mesh, [0, 0, 0], [1, 0, 0], [0, 0, -1], width, height, widthSegments, heightSegments);
+        }
+
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates a cube mesh
+     * @param {number} size Size of the cube.  Coordinates will range from -number/2 to number/2.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The cube as a mesh object.
+     */
+    static fromCube(size, context, options) {
+        return Mesh.fromBox(size, size, size, 1, context, options);
+    }
+
+    /**
+     * Generates a box centered on the origin.  Every face has its own vertices,
+     * so normals stay flat and each face is textured with the full [0, 1] range.
+     * @param {number} width Size along the x axis.
+     * @param {number} height Size along the y axis.
+     * @param {number} depth Size along the z axis.
+     * @param {number} segments Number of quads along each edge of a face.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The box as a mesh object.
+     */
+    static fromBox(width, height, depth, segments, context, options) {
+        let mesh = new Mesh(context, options);
+        let w = width / 2, h = height / 2, d = depth / 2;
+        segments = segments || 1;
+
+        appendGridPatch(mesh, [w, 0, 0], [0, 0, -1], [0, 1, 0], depth, height, segments, segments);
+        appendGridPatch(mesh, [-w, 0, 0], [0, 0, 1], [0, 1, 0], depth, height, segments, segments);
+        appendGridPatch(mesh, [0, h, 0], [1, 0, 0], [0, 0, -1], width, depth, segments, segments);
+        appendGridPatch(mesh, [0, -h, 0], [1, 0, 0], [0, 0, 1], width, depth, segments, segments);
+        appendGridPatch(mesh, [0, 0, d], [1, 0, 0], [0, 1, 0], width, height, segments, segments);
+        appendGridPatch(mesh, [0, 0, -d], [-1, 0, 0], [0, 1, 0], width, height, segments, segments);
+
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates a UV sphere centered on the origin, with its poles on the y axis.
+     * @param {number} radius Radius of the sphere.
+     * @param {number} widthSegments Number of segments around the equator.
+     * @param {number} heightSegments Number of segments from pole to pole.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The sphere as a mesh object.
+     */
+    static fromSphere(radius, widthSegments, heightSegments, context, options) {
+        let mesh = new Mesh(context, options);
+        let profile = [];
+
+        for (let j = 0; j <= heightSegments; j++) {
+            let theta = -Math.PI / 2 + Math.PI * j / heightSegments;
+            profile.push({
+                radius: radius * Math.cos(theta),
+                y: radius * Math.sin(theta),
+                normal: [Math.cos(theta), Math.sin(theta)],
+                v: j / heightSegments
+            });
+        }
+
+        appendLathe(mesh, profile, widthSegments);
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates an icosphere, a sphere made of evenly sized triangles by
+     * subdividing an icosahedron.  Texture coordinates are spherical, with
+     * vertices duplicated along the seam.
+     * @param {number} radius Radius of the sphere.
+     * @param {number} subdivisions Number of times to split every triangle in four.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The icosphere as a mesh object.
+     */
+    static fromIcosphere(radius, subdivisions, context, options) {
+        let mesh = new Mesh(context, options);
+        let t = (1.0 + Math.sqrt(5.0)) / 2.0;
+
+        let points = [
+            [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+            [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+            [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+        ].map((p) => vec3.normalize(vec3.create(), p));
+
+        let triangles = [
+            [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+            [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+            [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+            [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+        ];
+
+        for (let s = 0; s < subdivisions; s++) {
+            let midpoints = {};
+            let midpoint = (a, b) => {
+                let key = (a < b ? a + "_" + b : b + "_" + a);
+                if (!midpoints.hasOwnProperty(key)) {
+                    let m = vec3.create();
+                    vec3.add(m, points[a], points[b]);
+                    vec3.normalize(m, m);
+                    points.push(m);
+                    midpoints[key] = points.length - 1;
+                }
+                return midpoints[key];
+            };
+
+            let split = [];
+            for (let i = 0; i < triangles.length; i++) {
+                let [a, b, c] = triangles[i];
+                let ab = midpoint(a, b), bc = midpoint(b, c), ca = midpoint(c, a);
+                split.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+            }
+            triangles = split;
+        }
+
+        let sphericalU = (p) => 0.5 + Math.atan2(p[0], p[2]) / (2 * Math.PI);
+        let sphericalV = (p) => 0.5 + Math.asin(Math.max(-1, Math.min(1, p[1]))) / Math.PI;
+
+        let addVertex = (p, u) => {
+            mesh.vertices.push(p[0] * radius, p[1] * radius, p[2] * radius);
+            mesh.normals.push(p[0], p[1], p[2]);
+            mesh.texCoords.push(u, sphericalV(p));
+            return mesh.vertices.length / 3 - 1;
+        };
+
+        /* Shared vertices, except where a triangle crosses the seam or touches a pole */
+        let shared = points.map((p) => addVertex(p, sphericalU(p)));
+
+        for (let i = 0; i < triangles.length; i++) {
+            let ids = triangles[i].slice();
+            let p = ids.map((id) => points[id]);
+            let u = p.map(sphericalU);
+            let isPole = p.map((q) => Math.abs(q[1]) > 1.0 - 1e-9);
+
+            /* Wrap corners on the far side of the seam past u = 1 */
+            let uMax = Math.max(...u.filter((x, j) => !isPole[j]));
+            for (let j = 0; j < 3; j++) {
+                if (!isPole[j] && uMax - u[j] > 0.5) {
+                    u[j] += 1.0;
+                }
+            }
+
+            let faceIds = ids.map((id) => shared[id]);
+            for (let j = 0; j < 3; j++) {
+                if (isPole[j]) {
+                    /* Poles take the middle u of the two other corners */
+                    let others = [0, 1, 2].filter((k) => k != j);
+                    faceIds[j] = addVertex(p[j], (u[others[0]] + u[others[1]]) / 2);
+                } else if (u[j] > 1.0) {
+                    faceIds[j] = addVertex(p[j], u[j]);
+                }
+            }
+            mesh.faces.push(faceIds[0], faceIds[1], faceIds[2]);
+        }
+
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates a cylinder centered on the origin along the y axis.  The top
+     * and bottom radius may differ, which gives a truncated cone.
+     * @param {number} radiusTop Radius at the top, y = height / 2.
+     * @param {number} radiusBottom Radius at the bottom, y = -height / 2.
+     * @param {number} height Height of the cylinder.
+     * @param {number} radialSegments Number of segments around the cylinder.
+     * @param {number} heightSegments Number of segments along the height.
+     * @param {boolean} capped Whether to close the ends, defaults to true.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The cylinder as a mesh object.
+     */
+    static fromCylinder(radiusTop, radiusBottom, height, radialSegments, heightSegments, capped, context, options) {
+        let mesh = new Mesh(context, options);
+        let h = height / 2;
+        heightSegments = heightSegments || 1;
+
+        /* Side normals lean according to the slope of the side */
+        let slope = (radiusBottom - radiusTop) / height;
+        let normalLength = Math.sqrt(1 + slope * slope);
+        let side = [];
+        for (let j = 0; j <= heightSegments; j++) {
+            let v = j / heightSegments;
+            side.push({
+                radius: radiusBottom + (radiusTop - radiusBottom) * v,
+                y: -h + height * v,
+                normal: [1 / normalLength, slope / normalLength],
+                v: v
+            });
+        }
+        appendLathe(mesh, side, radialSegments);
+
+        if (capped !== false) {
+            if (radiusBottom > 0) {
+                appendLathe(mesh, [
+                    { radius: 0, y: -h, normal: [0, -1] },
+                    { radius: radiusBottom, y: -h, normal: [0, -1] }
+                ], radialSegments, true);
+            }
+            if (radiusTop > 0) {
+                appendLathe(mesh, [
+                    { radius: radiusTop, y: h, normal: [0, 1] },
+                    { radius: 0, y: h, normal: [0, 1] }
+                ], radialSegments, true);
+            }
+        }
+
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates a cone centered on the origin along the y axis, with its tip at the top.
+     * @param {number} radius Radius of the base.
+     * @param {number} height Height of the cone.
+     * @param {number} radialSegments Number of segments around the cone.
+     * @param {number} heightSegments Number of segments along the height.
+     * @param {boolean} capped Whether to close the base, defaults to true.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The cone as a mesh object.
+     */
+    static fromCone(radius, height, radialSegments, heightSegments, capped, context, options) {
+        return Mesh.fromCylinder(0, radius, height, radialSegments, heightSegments, capped, context, options);
+    }
+
+    /**
+     * Generates a torus centered on the origin, lying in the xz plane.
+     * @param {number} radius Distance from the center to the middle of the tube.
+     * @param {number} tube Radius of the tube.
+     * @param {number} radialSegments Number of segments around the torus.
+     * @param {number} tubularSegments Number of segments around the tube.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The torus as a mesh object.
+     */
+    static fromTorus(radius, tube, radialSegments, tubularSegments, context, options) {
+        let mesh = new Mesh(context, options);
+        let profile = [];
+
+        /* Start from the inside of the tube so the texture seam is hidden there */
+        for (let j = 0; j <= tubularSegments; j++) {
+            let theta = Math.PI + 2 * Math.PI * j / tubularSegments;
+            profile.push({
+                radius: radius + tube * Math.cos(theta),
+                y: tube * Math.sin(theta),
+                normal: [Math.cos(theta), Math.sin(theta)],
+                v: j / tubularSegments
+            });
+        }
+
+        appendLathe(mesh, profile, radialSegments);
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Generates a capsule, a cylinder with hemispherical ends, centered on the
+     * origin along the y axis.
+     * @param {number} radius Radius of the cylinder and hemispheres.
+     * @param {number} height Length of the cylindrical part, the total height is height + 2 * radius.
+     * @param {number} radialSegments Number of segments around the capsule.
+     * @param {number} capSegments Number of segments from each pole to the cylinder.
+     * @param {number} heightSegments Number of segments along the cylindrical part.
+     * @param {WebGLRenderingContext} context Optional context to create the mesh in.
+     * @param {object} options Optional settings: usage, see the constructor.
+     * @return {Mesh} The capsule as a mesh object.
+     */
+    static fromCapsule(radius, height, radialSegments, capSegments, heightSegments, context, options) {
+        let mesh = new Mesh(context, options);
+        let h = height / 2;
+        let profile = [];
+        heightSegments = heightSegments || 1;
+
+        for (let j = 0; j <= capSegments; j++) {
+            let theta = -Math.PI / 2 + (Math.PI / 2) * j / capSegments;
+            profile.push({
+                radius: radius * Math.cos(theta),
+                y: -h + radius * Math.sin(theta),
+                normal: [Math.cos(theta), Math.sin(theta)]
+            });
+        }
+        for (let j = 1; j < heightSegments; j++) {
+            profile.push({
+                radius: radius,
+                y: -h + height * j / heightSegments,
+                normal: [1, 0]
+            });
+        }
+        for (let j = 0; j <= capSegments; j++) {
+            let theta = (Math.PI / 2) * j / capSegments;
+            profile.push({
+                radius: radius * Math.cos(theta),
+                y: h + radius * Math.sin(theta),
+                normal: [Math.cos(theta), Math.sin(theta)]
+            });
+        }
+
+        /* Texture v follows the distance along the profile */
+        let length = 0;
+        profile[0].v = 0;
+        for (let j = 1; j < profile.length; j++) {
+            length += Math.hypot(profile[j].radius - profile[j - 1].radius, profile[j].y - profile[j - 1].y);
+            profile[j].v = length;
+        }
+        for (let j = 0; j < profile.length; j++) {
+            profile[j].v /= length;
+        }
+
+        appendLathe(mesh, profile, radialSegments);
+        mesh.build();
+        return mesh;
+    }
+
+    /**
+     * Merges meshes into one, so they can be drawn with a single call.
+     * Submeshes and materials are kept; when some meshes have submeshes, the
+     * others get one covering their faces.
+     * @param {array} meshes Meshes to merge, left unchanged.
+     * @param {WebGLRenderingContext} context Context the merged mesh's buffers are created in.
+     * @param {object} options Optional settings: matrices, a transform for each
+     * mesh baked into its vertices, and usage, see the constructor.
+     * @return {Mesh} The merged mesh.
+     */
+    static merge(meshes, context, options) {
+        options = options || {};
+        let merged = new Mesh(context, { usage: options.usage });
+        merged.texCoords = [];
+
+        /* Data only some meshes have is filled in or regenerated for the rest */
+        let hasTexCoords = meshes.some((mesh) => mesh.texCoords.length > 0);
+        let hasNormals = meshes.every((mesh) => mesh.normals.length == mesh.vertices.length);
+        let hasTangents = hasTexCoords && meshes.every((mesh) => mesh.tangents.length == mesh.vertices.length / 3 * 4 &&
+                                                                mesh.texCoords.length == mesh.vertices.length / 3 * 2);
+        let hasSubmeshes = meshes.some((mesh) => mesh.submeshes.length > 0);
+
+        let append = (target, source, offset) => {
+            for (let i = 0; i < source.length; i++) {
+                target.push(source[i] + offset);
+            }
+        };
+
+        for (let i = 0; i < meshes.length; i++) {
+            let mesh = meshes[i];
+            let numVertices = mesh.vertices.length / 3;
+            let firstVertex = merged.vertices.length / 3;
+            let firstIndex = merged.faces.length;
+
+            let part = {
+                vertices: Array.from(mesh.vertices),
+                normals: (hasNormals ? Array.from(mesh.normals) : []),
+                tangents: (hasTangents ? Array.from(mesh.tangents) : []),
+                faces: Array.from(mesh.faces)
+            };
+            if (options.matrices && options.matrices[i]) {
+                transformVertexData(part, options.matrices[i]);
+            }
+
+            append(merged.vertices, part.vertices, 0);
+            append(merged.normals, part.normals, 0);
+            append(merged.tangents, part.tangents, 0);
+            append(merged.faces, part.faces, firstVertex);
+            if (hasTexCoords) {
+                append(merged.texCoords, (mesh.texCoords.length == numVertices * 2 ? mesh.texCoords : new Float32Array(numVertices * 2)), 0);
+            }
+
+            if (mesh.submeshes.length > 0) {
+                mesh.submeshes.forEach((submesh) => {
+                    merged.submeshes.push(Object.assign({}, submesh, { start: submesh.start + firstIndex }));
+                });
+            } else if (hasSubmeshes) {
+                merged.submeshes.push({ name: "", material: "", start: firstIndex, count: part.faces.length });
+            }
+            Object.assign(merged.materials, mesh.materials);
+            mesh.materialLibraries.forEach((library) => {
+                if (!merged.materialLibraries.includes(library)) {
+                    merged.materialLibraries.push(library);
+                }
+            });
+        }
+
+        merged.build();
+        return merged;
+    }
+
+    /**
+     * Finishes a mesh whose data arrays have been filled in: updates the
+     * vertex and face counts and the bounding box, generates normals and
+     * tangents when they are missing, moves the data into typed arrays and
+     * sends the buffers to WebGL.
+     */
+    build() {
+        this.numVertices = this.vertices.length / 3;
+        this.numFaces = this.faces.length / 3;
+        this.computeAABB();
+        this.bvh = null;
+        this.vertexFaces = null;
+
+        if (this.normals.length != this.vertices.length) {
+            this.generateNormals();
+        }
+        if (this.texCoords.length > 0 && this.tangents.length != this.numVertices * 4) {
+            this.generateTangents();
+        }
+        this.toTypedArrays();
+        this.generateBuffers();
+    }
+
+    /**
+     * Moves the data arrays into typed arrays, see MESH_TYPED_ARRAYS.  Arrays
+     * that already are of the right type are kept.
+     */
+    toTypedArrays() {
+        for (let name in MESH_TYPED_ARRAYS) {
+            let ArrayType = MESH_TYPED_ARRAYS[name];
+            if (!(this[name] instanceof ArrayType)) {
+                this[name] = ArrayType.from(this[name]);
+            }
+        }
+    }
+    
+    /**
+     * Send the buffer objects to WebGL for rendering, laid out following
+     * getLayout() and with this.usage as the usage hint.  Buffers sent before
+     * are deleted.  Does nothing for meshes without a context, or while the
+     * context is lost.
+     */
+    generateBuffers() {
+        let gl = this.gl;
+        if (gl == null) {
+            return;
+        }
+
+        /* Vertex arrays made for the old buffers are stale */
+        this.releaseVertexArrays();
+        this.releaseBuffers();
+        if (gl.isContextLost()) {
+            return;
+        }
+
+        /* Specify the vertex attributes */
+        let layout = this.getLayout();
+        let contents = layout.pack((name) => this.getAttributeData(name), this.numVertices);
+        this.bufferLayout = layout;
+        for (let i = 0; i < contents.length; i++) {
+            let buffer = gl.createBuffer();
+            buffer.numItems = this.numVertices;
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, contents[i], gl[this.usage]);
+            this.buffers.push(buffer);
+            this.bufferBytes += contents[i].byteLength;
+        }
+
+        /* Meshes expected to change keep their packed data, so updates don't allocate */
+        this.bufferContents = (this.usage != "STATIC_DRAW" ? contents : null);
+
+        /* Per-attribute buffers, for setting shader attributes by hand */
+        let bufferOf = (name) => {
+            let attribute = layout.getAttribute(name);
+            return (attribute != null ? this.buffers[attribute.buffer] : undefined);
+        };
+        this.vertexBuffer = bufferOf("position");
+        this.normalBuffer = bufferOf("normal");
+        this.texCoordBuffer = bufferOf("texCoord");
+        this.tangentBuffer = bufferOf("tangent");
+        
+        /* Specify faces of the mesh */
+        this.indexBuffer = gl.createBuffer();
+        this.indexBuffer.numItems = this.numFaces * 3;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, (this.faces instanceof Uint32Array ? this.faces : Uint32Array.from(this.faces)),
+                      gl[this.usage]);
+        this.bufferBytes += this.numFaces * 3 * 4;
+    }
+
+    /**
+     * Deletes the vertex and index buffers.
+     */
+    releaseBuffers() {
+        let gl = this.gl;
+        for (let i = 0; i < this.buffers.length; i++) {
+            gl.deleteBuffer(this.buffers[i]);
+        }
+        if (this.indexBuffer != null) {
+            gl.deleteBuffer(this.indexBuffer);
+        }
+        this.buffers = [];
+        this.indexBuffer = null;
+        this.vertexBuffer = this.normalBuffer = this.texCoordBuffer = this.tangentBuffer = undefined;
+        this.bufferBytes = 0;
+        this.bufferContents = null;
+    }
+
+    /**
+     * Changes the usage hint of the vertex and index buffers, sending them again if
+     * they were already sent.
+     * @param {string} usage "STATIC_DRAW", "DYNAMIC_DRAW" or "STREAM_DRAW".
+     * @return {Mesh} The mesh.
+     */
+    setUsage(usage) {
+        if (this.gl != null && this.gl[usage] === undefined) {
+            throw new Error("Unknown buffer usage " + usage);
+        }
+        if (usage != this.usage) {
+            this.usage = usage;
+            if (this.buffers.length > 0) {
+                this.generateBuffers();
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Sends a range of moved vertex positions to WebGL, without reallocating
+     * the buffers.  The bounding box grows to include the moved vertices and
+     * the raycast hierarchy is rebuilt on next use.  Normals and tangents are
+     * left as they are, see recomputeNormals() and updateNormals().
+     * @param {object} range Optional {start, count} of the vertices that moved,
+     * defaults to all of them.  The positions in this.vertices must already be updated.
+     */
+    updateVertices(range) {
+        range = this.resolveVertexRange(range);
+        if (range.count == 0) {
+            return;
+        }
+
+        this.bvh = null;
+        if (range.count == this.numVertices) {
+            this.computeAABB();
+        } else {
+            for (let i = 3 * range.start; i < 3 * (range.start + range.count); i += 3) {
+                for (let j = 0; j < 3; j++) {
+                    this.minXYZ[j] = Math.min(this.minXYZ[j], this.vertices[i + j]);
+                    this.maxXYZ[j] = Math.max(this.maxXYZ[j], this.vertices[i + j]);
+                }
+            }
+        }
+        this.uploadRange("position", range);
+    }
+
+    /**
+     * Sends a range of vertex normals to WebGL, without reallocating the buffers.
+     * @param {object} range Optional {start, count} of the vertices whose normals
+     * changed, ex: as returned by recomputeNormals(), defaults to all of them.
+     */
+    updateNormals(range) {
+        range = this.resolveVertexRange(range);
+        if (range.count > 0) {
+            this.uploadRange("normal", range);
+        }
+    }
+
+    /**
+     * Fills in the defaults of a vertex range and clamps it to the mesh.
+     * @param {object} range Optional {start, count}.
+     * @return {object} {start, count} within the mesh.
+     */
+    resolveVertexRange(range) {
+        range = range || {};
+        let start = Math.max(0, Math.min(range.start || 0, this.numVertices));
+        let count = (range.count === undefined ? this.numVertices - start : range.count);
+        return { start: start, count: Math.max(0, Math.min(count, this.numVertices - start)) };
+    }
+
+    /**
+     * Packs a range of one attribute and sends it with bufferSubData.
+     * @param {string} name Attribute name, ex: "position".
+     * @param {object} range {start, count} of the vertices to send.
+     */
+    uploadRange(name, range) {
+        let gl = this.gl;
+        if (gl == null || this.bufferLayout == null || gl.isContextLost()) {
+            return;
+        }
+        let attribute = this.bufferLayout.getAttribute(name);
+        if (attribute == null) {
+            return;
+        }
+
+        /* Static meshes only keep their packed data once they start being updated */
+        if (this.bufferContents == null) {
+            this.bufferContents = this.bufferLayout.pack((attributeName) => this.getAttributeData(attributeName),
+                                                         this.numVertices);
+        }
+        this.bufferLayout.packRange((attributeName) => this.getAttributeData(attributeName), this.bufferContents,
+                                    range.start, range.count, [name]);
+
+        let bytes = this.bufferLayout.getByteRange(attribute, range.start, range.count);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers[attribute.buffer]);
+        gl.bufferSubData(gl.ARRAY_BUFFER, bytes.offset,
+                         new Uint8Array(this.bufferContents[attribute.buffer], bytes.offset, bytes.length));
+    }
+
+    /**
+     * Estimates the GPU memory used by the mesh's buffers.
+     * @return {number} Size in bytes.
+     */
+    getByteSize() {
+        return this.bufferBytes;
+    }
+
+    /**
+     * Deletes the mesh's GL objects.  The CPU-side data is kept, so the mesh
+     * can still be edited, raycast or sent again with generateBuffers().
+     */
+    dispose() {
+        if (this.gl == null) {
+            return;
+        }
+        this.releaseVertexArrays();
+        this.releaseBuffers();
+        ResourceTracker.forContext(this.gl).untrack(this);
+    }
+
+    /**
+     * Re-creates the GL objects after the context was restored.  The old
+     * handles belong to the lost context and are dropped without deleting them.
+     */
+    restore() {
+        let gl = this.gl;
+        this.vertexArrays.clear();
+        this.vertexArrayFunctions = undefined;
+        this.instancingFunctions = undefined;
+        this.buffers = [];
+        this.indexBuffer = null;
+
+        /* Extensions have to be enabled again in the new context */
+        gl.getExtension('OES_element_index_uint');
+        this.generateBuffers();
+    }
+
+    /**
+     * Return the x,y,z coords of a vertex at location id
+     * @param {number} the index of the vertex to return
+     * @return {vec3} Vertex returned as a glmatrix vector.
+     */    
+    getVertex(id) {
+        var vid = 3 * id;
+        return vec3.fromValues(this.vertices[vid + 0], this.vertices[vid + 1], this.vertices[vid + 2]);
+    }
+
+    /**
+     * Return the normal of a vertex at location id
+     * @param {number} id The index of the vertex
+     * @return {vec3} Normal returned as a glmatrix vector.
+     */
+    getNormal(id) {
+        var nid = 3 * id;
+        return vec3.fromValues(this.normals[nid + 0], this.normals[nid + 1], this.normals[nid + 2]);
+    }
+
+    /**
+     * Return the u,v texture coordinates of a vertex at location id
+     * @param {number} id The index of the vertex
+     * @return {vec2} Texture coordinates returned as a glmatrix vector.
+     */
+    getTexCoord(id) {
+        var tid = 2 * id;
+        return vec2.fromValues(this.texCoords[tid + 0], this.texCoords[tid + 1]);
+    }
+
+    /**
+     * Compute per-vertex normals for a mesh
+     */   
+    generateNormals() {
+        /* Per vertex normals */
+        this.numNormals = this.numVertices;
+        this.normals = new Float32Array(this.numNormals * 3);
+
+        /* Accumulate the face normals, weighted by area */
+        let n = vec3.create();
+        for (let i = 0; i < this.numFaces; i++) {
+            faceAreaNormal(this.vertices, this.faces, i, n);
+            for (let j = 0; j < 3; j++) {
+                let v = this.faces[3 * i + j];
+                this.normals[3 * v] += n[0];
+                this.normals[3 * v + 1] += n[1];
+                this.normals[3 * v + 2] += n[2];
+            }
+        }
+
+        for (let i = 0; i < this.numNormals; i++) {
+            vec3.set(n, this.normals[3 * i], this.normals[3 * i + 1], this.normals[3 * i + 2]);
+            vec3.normalize(n, n);
+            this.normals[3 * i] = n[0];
+            this.normals[3 * i + 1] = n[1];
+            this.normals[3 * i + 2] = n[2];
+        }
+    }
+
+    /**
+     * Recomputes the normals affected by moving some vertices: those of every
+     * vertex sharing a face with a moved one.  The result matches
+     * generateNormals() for the whole mesh.
+     * @param {object} range Optional {start, count} of the vertices that moved,
+     * defaults to all of them.
+     * @return {object} {start, count} of the vertices whose normals changed,
+     * to pass to updateNormals().
+     */
+    recomputeNormals(range) {
+        range = this.resolveVertexRange(range);
+        if (range.count == this.numVertices || this.normals.length != this.vertices.length) {
+            this.generateNormals();
+            return { start: 0, count: this.numVertices };
+        }
+        if (range.count == 0) {
+            return range;
+        }
+
+        let adjacency = this.getVertexFaces();
+        let offsets = adjacency.offsets, vertexFaces = adjacency.faces;
+
+        /* Every corner of a face around a moved vertex gets a new normal */
+        let affected = new Set();
+        for (let v = range.start; v < range.start + range.count; v++) {
+            for (let i = offsets[v]; i < offsets[v + 1]; i++) {
+                let face = vertexFaces[i];
+                affected.add(this.faces[3 * face]);
+                affected.add(this.faces[3 * face + 1]);
+                affected.add(this.faces[3 * face + 2]);
+            }
+        }
+
+        let n = vec3.create(), sum = vec3.create();
+        let first = range.start, last = range.start + range.count - 1;
+        affected.forEach((v) => {
+            vec3.set(sum, 0, 0, 0);
+            for (let i = offsets[v]; i < offsets[v + 1]; i++) {
+                vec3.add(sum, sum, faceAreaNormal(this.vertices, this.faces, vertexFaces[i], n));
+            }
+            vec3.normalize(sum, sum);
+            this.normals[3 * v] = sum[0];
+            this.normals[3 * v + 1] = sum[1];
+            this.normals[3 * v + 2] = sum[2];
+            first = Math.min(first, v);
+            last = Math.max(last, v);
+        });
+        return { start: first, count: last - first + 1 };
+    }
+
+    /**
+     * Returns the faces around each vertex, made on first use and kept until
+     * the mesh is built again.  The faces of vertex v are faces[offsets[v]]
+     * up to faces[offsets[v + 1]].
+     * @return {object} {offsets, faces} as Uint32Arrays.
+     */
+    getVertexFaces() {
+        if (this.vertexFaces != null) {
+            return this.vertexFaces;
+        }
+
+        let offsets = new Uint32Array(this.numVertices + 1);
+        for (let i = 0; i < this.numFaces * 3; i++) {
+            offsets[this.faces[i] + 1]++;
+        }
+        for (let v = 0; v < this.numVertices; v++) {
+            offsets[v + 1] += offsets[v];
+        }
+
+        let faces = new Uint32Array(this.numFaces * 3);
+        let next = offsets.slice(0, this.numVertices);
+        for (let i = 0; i < this.numFaces * 3; i++) {
+            faces[next[this.faces[i]]++] = Math.floor(i / 3);
+        }
+
+        this.vertexFaces = { offsets: offsets, faces: faces };
+        return this.vertexFaces;
+    }
+
+    /**
+     * Compute per-vertex tangents for normal mapping from the positions,
+     * normals and texture coordinates.  Face tangents are accumulated weighted
+     * by the corner angle and orthogonalized against the vertex normal, as
+     * MikkTSpace does.  The w component holds the sign of the bitangent,
+     * bitangent = w * cross(normal, tangent).
+     */
+    generateTangents() {
+        this.tangents = new Float32Array(this.numVertices * 4);
+        let tan = new Float32Array(this.numVertices * 3);
+        let bitan = new Float32Array(this.numVertices * 3);
+
+        for (let i = 0; i < this.numFaces; i++) {
+            let ids = [this.faces[3 * i], this.faces[3 * i + 1], this.faces[3 * i + 2]];
+            let p = ids.map((id) => this.getVertex(id));
+            let uv = ids.map((id) => this.getTexCoord(id));
+
+            /* Edge vectors in object and texture space */
+            let e1 = vec3.create(), e2 = vec3.create();
+            vec3.subtract(e1, p[1], p[0]);
+            vec3.subtract(e2, p[2], p[0]);
+            let du1 = uv[1][0] - uv[0][0], dv1 = uv[1][1] - uv[0][1];
+            let du2 = uv[2][0] - uv[0][0], dv2 = uv[2][1] - uv[0][1];
+
+            let det = du1 * dv2 - du2 * dv1;
+            if (Math.abs(det) < 1e-12) {
+                /* Degenerate texture mapping, leave it to the fallback below */
+                continue;
+            }
+            let r = 1.0 / det;
+
+            let t = vec3.create(), b = vec3.create();
+            vec3.scaleAndAdd(t, t, e1, dv2 * r);
+            vec3.scaleAndAdd(t, t, e2, -dv1 * r);
+            vec3.scaleAndAdd(b, b, e1, -du2 * r);
+            vec3.scaleAndAdd(b, b, e2, du1 * r);
+            vec3.normalize(t, t);
+            vec3.normalize(b, b);
+
+            /* Accumulate, weighted by the angle at each corner */
+            for (let j = 0; j < 3; j++) {
+                let a = vec3.create(), c = vec3.create();
+                vec3.subtract(a, p[(j + 1) % 3], p[j]);
+                vec3.subtract(c, p[(j + 2) % 3], p[j]);
+                let angle = vec3.angle(a, c);
+                if (!isFinite(angle)) {
+                    continue;
+                }
+
+                for (let k = 0; k < 3; k++) {
+                    tan[3 * ids[j] + k] += t[k] * angle;
+                    bitan[3 * ids[j] + k] += b[k] * angle;
+                }
+            }
+        }
+
+        for (let i = 0; i < this.numVertices; i++) {
+            let n = this.getNormal(i);
+            let t = vec3.fromValues(tan[3 * i], tan[3 * i + 1], tan[3 * i + 2]);
+            let b = vec3.fromValues(bitan[3 * i], bitan[3 * i + 1], bitan[3 * i + 2]);
+
+            /* Gram-Schmidt orthogonalize against the normal */
+            vec3.scaleAndAdd(t, t, n, -vec3.dot(n, t));
+            if (vec3.length(t) < 1e-6) {
+                /* No usable texture mapping, pick any vector perpendicular to the normal */
+                let axis = (Math.abs(n[0]) < 0.9 ? vec3.fromValues(1, 0, 0) : vec3.fromValues(0, 1, 0));
+                vec3.cross(t, axis, n);
+            }
+            vec3.normalize(t, t);
+
+            let cross = vec3.create();
+            vec3.cross(cross, n, t);
+            let w = (vec3.dot(cross, b) < 0.0 ? -1.0 : 1.0);
+
+            this.tangents[4 * i] = t[0];
+            this.tangents[4 * i + 1] = t[1];
+            this.tangents[4 * i + 2] = t[2];
+            this.tangents[4 * i + 3] = w;
+        }
+    }
+
+    /**
+     * Merges vertices closer together than a tolerance, ex: to share the
+     * vertices of a mesh loaded as separate triangles.  Faces that collapse
+     * are dropped.  Normals, and tangents when there are texture coordinates,
+     * are regenerated smooth; use splitCreases() afterwards to bring back hard edges.
+     * @param {number} tolerance Largest distance between merged vertices, defaults to 1e-6.
+     * @param {object} options Optional settings: texCoords, whether vertices
+     * must also have the same texture coordinates to be merged, which keeps
+     * texture seams (defaults to true).
+     * @return {number} Number of vertices removed.
+     */
+    weld(tolerance, options) {
+        tolerance = (tolerance === undefined ? 1e-6 : tolerance);
+        options = options || {};
+        let numVertices = this.vertices.length / 3;
+        let vertices = this.vertices, texCoords = this.texCoords;
+        let compareTexCoords = (options.texCoords !== false && texCoords.length == numVertices * 2);
+
+        let matches = (v, w) => {
+            let dx = vertices[3 * v] - vertices[3 * w];
+            let dy = vertices[3 * v + 1] - vertices[3 * w + 1];
+            let dz = vertices[3 * v + 2] - vertices[3 * w + 2];
+            if (dx * dx + dy * dy + dz * dz > tolerance * tolerance) {
+                return false;
+            }
+            return !compareTexCoords || (Math.abs(texCoords[2 * v] - texCoords[2 * w]) <= 1e-6 &&
+                                         Math.abs(texCoords[2 * v + 1] - texCoords[2 * w + 1]) <= 1e-6);
+        };
+
+        /* Vertices kept so far, bucketed in a grid of cells at least as large as the tolerance */
+        let cellSize = (tolerance > 0 ? tolerance : 1.0);
+        let cells = new Map();
+        let findMatch = (v, cx, cy, cz) => {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        let bucket = cells.get(hashCell(cx + dx, cy + dy, cz + dz)) || [];
+                        for (let i = 0; i < bucket.length; i++) {
+                            if (matches(v, bucket[i])) {
+                                return bucket[i];
+                            }
+                        }
+                    }
+                }
+            }
+            return -1;
+        };
+
+        let remap = new Uint32Array(numVertices);
+        for (let v = 0; v < numVertices; v++) {
+            let cx = Math.floor(vertices[3 * v] / cellSize);
+            let cy = Math.floor(vertices[3 * v + 1] / cellSize);
+            let cz = Math.floor(vertices[3 * v + 2] / cellSize);
+            let match = findMatch(v, cx, cy, cz);
+            if (match >= 0) {
+                remap[v] = match;
+                continue;
+            }
+
+            remap[v] = v;
+            let key = hashCell(cx, cy, cz);
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(v);
+        }
+
+        for (let i = 0; i < this.faces.length; i++) {
+            this.faces[i] = remap[this.faces[i]];
+        }
+        let faces = this.faces;
+        filterFaces(this, (face) => faces[3 * face] != faces[3 * face + 1] &&
+                                    faces[3 * face + 1] != faces[3 * face + 2] &&
+                                    faces[3 * face + 2] != faces[3 * face]);
+
+        this.normals = [];
+        this.tangents = [];
+        let removed = removeUnusedVertices(this);
+        this.build();
+        return removed;
+    }
+
+    /**
+     * Splits the vertices shared by faces meeting at a sharp angle, so hard
+     * edges get their own normals instead of ones averaged across the edge.
+     * The faces around a vertex stay smooth while they are connected through
+     * edges where the face normals differ by at most the crease angle.
+     * Normals, and tangents when there are texture coordinates, are regenerated.
+     * @param {number} angle Crease angle in degrees, defaults to 30.  0 gives
+     * flat shading and 180 smooth shading.
+     * @return {number} Number of vertices added.
+     */
+    splitCreases(angle) {
+        angle = (angle === undefined ? 30 : angle);
+        let minCos = Math.cos(degToRad(angle)) - 1e-6;
+        let numVertices = this.vertices.length / 3;
+        let numFaces = this.faces.length / 3;
+        let faces = this.faces;
+
+        /* Unit face normals, zero for degenerate faces */
+        let faceNormals = new Float32Array(numFaces * 3);
+        let n = vec3.create();
+        for (let i = 0; i < numFaces; i++) {
+            faceAreaNormal(this.vertices, faces, i, n);
+            vec3.normalize(n, n);
+            faceNormals.set(n, 3 * i);
+        }
+
+        let isDegenerate = (face) => (faceNormals[3 * face] == 0 && faceNormals[3 * face + 1] == 0 &&
+                                      faceNormals[3 * face + 2] == 0);
+
+        /* Face corners, grouped with the corners of their smooth neighbors at the same vertex */
+        let parent = new Uint32Array(numFaces * 3);
+        for (let i = 0; i < parent.length; i++) {
+            parent[i] = i;
+        }
+        let find = (corner) => {
+            while (parent[corner] != corner) {
+                parent[corner] = parent[parent[corner]];
+                corner = parent[corner];
+            }
+            return corner;
+        };
+        let join = (a, b) => {
+            a = find(a);
+            b = find(b);
+            parent[Math.max(a, b)] = Math.min(a, b);
+        };
+        let cornerOf = (face, vertex) => {
+            for (let k = 0; k < 3; k++) {
+                if (faces[3 * face + k] == vertex) {
+                    return 3 * face + k;
+                }
+            }
+            return -1;
+        };
+
+        /* Corners starting each edge, keyed by the edge's vertices */
+        let edges = new Map();
+        for (let corner = 0; corner < numFaces * 3; corner++) {
+            let a = faces[corner], b = faces[corner - corner % 3 + (corner + 1) % 3];
+            let key = Math.min(a, b) * numVertices + Math.max(a, b);
+            if (!edges.has(key)) {
+                edges.set(key, []);
+            }
+            edges.get(key).push(corner);
+        }
+
+        edges.forEach((corners) => {
+            for (let i = 0; i < corners.length; i++) {
+                for (let j = i + 1; j < corners.length; j++) {
+                    let f = Math.floor(corners[i] / 3), g = Math.floor(corners[j] / 3);
+                    let cos = faceNormals[3 * f] * faceNormals[3 * g] + faceNormals[3 * f + 1] * faceNormals[3 * g + 1] +
+                              faceNormals[3 * f + 2] * faceNormals[3 * g + 2];
+                    if (cos < minCos && !isDegenerate(f) && !isDegenerate(g)) {
+                        continue;
+                    }
+
+                    let a = faces[corners[i]], b = faces[corners[i] - corners[i] % 3 + (corners[i] + 1) % 3];
+                    join(corners[i], cornerOf(g, a));
+                    join(cornerOf(f, b), cornerOf(g, b));
+                }
+            }
+        });
+
+        /* The first group of corners around a vertex keeps it, the others get copies */
+        let sources = [];
+        for (let v = 0; v < numVertices; v++) {
+            sources.push(v);
+        }
+        let groupVertex = new Int32Array(numFaces * 3).fill(-1);
+        let claimed = new Uint8Array(numVertices);
+        for (let corner = 0; corner < numFaces * 3; corner++) {
+            let v = faces[corner], group = find(corner);
+            if (groupVertex[group] < 0) {
+                if (claimed[v]) {
+                    groupVertex[group] = sources.length;
+                    sources.push(v);
+                } else {
+                    groupVertex[group] = v;
+                    claimed[v] = 1;
+                }
+            }
+            faces[corner] = groupVertex[group];
+        }
+
+        gatherVertices(this, sources);
+        this.normals = [];
+        this.tangents = [];
+        this.build();
+        return sources.length - numVertices;
+    }
+
+    /**
+     * Transforms the vertices, normals and tangents in place, ex: to bake a
+     * scene node's transform into the mesh.
+     * @param {mat4} matrix The transform.
+     * @return {Mesh} This mesh.
+     */
+    transform(matrix) {
+        transformVertexData(this, matrix);
+        this.build();
+        return this;
+    }
+
+    /**
+     * Moves the mesh so its bounding box is centered on the origin.
+     * @return {mat4} The translation applied.
+     */
+    center() {
+        this.computeAABB();
+        let offset = vec3.create();
+        vec3.add(offset, this.minXYZ, this.maxXYZ);
+        vec3.scale(offset, offset, -0.5);
+
+        let matrix = mat4.create();
+        mat4.fromTranslation(matrix, offset);
+        this.transform(matrix);
+        return matrix;
+    }
+
+    /**
+     * Centers the mesh on the origin and scales it uniformly so the largest
+     * side of its bounding box has a given length.
+     * @param {number} size Length of the largest side, defaults to 1.
+     * @return {mat4} The transform applied.
+     */
+    normalize(size) {
+        size = (size === undefined ? 1.0 : size);
+        this.computeAABB();
+        let extent = Math.max(...this.getSize());
+        let scale = (extent > 0 ? size / extent : 1.0);
+        let offset = vec3.create();
+        vec3.add(offset, this.minXYZ, this.maxXYZ);
+        vec3.scale(offset, offset, -0.5);
+
+        let matrix = mat4.create();
+        mat4.fromScaling(matrix, vec3.fromValues(scale, scale, scale));
+        mat4.translate(matrix, matrix, offset);
+        this.transform(matrix);
+        return matrix;
+    }
+
+    /**
+     * Reduces the number of triangles by collapsing edges, ex: for dense
+     * scans, see MeshSimplifier.  Normals, and tangents when there are
+     * texture coordinates, are regenerated.
+     * @param {number} targetFaces Number of triangles to stop at.  Fewer
+     * collapses are made when more would fold or tear the surface.
+     * @param {object} options Optional settings, see MeshSimplifier.
+     * @return {number} Number of faces removed.
+     */
+    simplify(targetFaces, options) {
+        let numFaces = this.faces.length / 3;
+        let simplifier = new MeshSimplifier(this, options);
+        simplifier.simplify(targetFaces);
+
+        this.vertices = simplifier.positions;
+        if (simplifier.texCoords != null) {
+            this.texCoords = simplifier.texCoords;
+        }
+        this.faces = simplifier.faces;
+        filterFaces(this, (face) => simplifier.faceAlive[face] == 1);
+
+        this.normals = [];
+        this.tangents = [];
+        removeUnusedVertices(this);
+        this.build();
+        return numFaces - this.numFaces;
+    }
+
+    /**
+     * Writes the mesh as Wavefront OBJ text, readable by Mesh.fromObj().
+     * Each submesh becomes a group using its material.  Reading the text back
+     * gives the same faces, with the vertices numbered in the order faces first use them.
+     * @param {object} options Optional settings: normals and texCoords, whether
+     * to write them when the mesh has them (both default to true), and mtllib,
+     * the material library to reference (defaults to the first one the mesh was loaded with).
+     * @return {string} The OBJ text.
+     */
+    toObj(options) {
+        options = options || {};
+        let numVertices = this.vertices.length / 3;
+        let writeNormals = (options.normals !== false && numVertices > 0 && this.normals.length == numVertices * 3);
+        let writeTexCoords = (options.texCoords !== false && numVertices > 0 && this.texCoords.length == numVertices * 2);
+        let mtllib = (options.mtllib !== undefined ? options.mtllib : this.materialLibraries[0]);
+
+        let lines = [];
+        if (mtllib) {
+            lines.push("mtllib " + mtllib);
+        }
+        for (let v = 0; v < numVertices; v++) {
+            lines.push("v " + formatFloat(this.vertices[3 * v]) + " " + formatFloat(this.vertices[3 * v + 1]) + " " +
+                       formatFloat(this.vertices[3 * v + 2]));
+        }
+        for (let v = 0; writeTexCoords && v < numVertices; v++) {
+            lines.push("vt " + formatFloat(this.texCoords[2 * v]) + " " + formatFloat(this.texCoords[2 * v + 1]));
+        }
+        for (let v = 0; writeNormals && v < numVertices; v++) {
+            lines.push("vn " + formatFloat(this.normals[3 * v]) + " " + formatFloat(this.normals[3 * v + 1]) + " " +
+                       formatFloat(this.normals[3 * v + 2]));
+        }
+
+        /* Every vertex has all its data at the same index */
+        let corner = (index) => {
+            let i = String(index + 1);
+            if (writeNormals) {
+                return i + "/" + (writeTexCoords ? i : "") + "/" + i;
+            }
+            return (writeTexCoords ? i + "/" + i : i);
+        };
+
+        /* Faces in index order, starting a group where each submesh starts.  A
+           bare usemtl ends the previous group's material */
+        let groups = new Map();
+        let hadMaterial = false;
+        this.submeshes.forEach((submesh) => {
+            if (submesh.count > 0) {
+                groups.set(submesh.start, submesh);
+            }
+        });
+        for (let i = 0; i < this.faces.length; i += 3) {
+            let submesh = groups.get(i);
+            if (submesh !== undefined) {
+                lines.push("g" + (submesh.name ? " " + submesh.name : ""));
+                if (submesh.material || hadMaterial) {
+                    lines.push("usemtl" + (submesh.material ? " " + submesh.material : ""));
+                }
+                hadMaterial = !!submesh.material;
+            }
+            lines.push("f " + corner(this.faces[i]) + " " + corner(this.faces[i + 1]) + " " + corner(this.faces[i + 2]));
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Writes the mesh as a PLY file, readable by Mesh.fromPly().  Positions
+     * and normals are written as x, y, z and nx, ny, nz, texture coordinates
+     * as s, t.
+     * @param {object} options Optional settings: binary, whether to write a
+     * binary file instead of ASCII text (defaults to false), littleEndian, the
+     * byte order of binary files (defaults to true), and normals and texCoords,
+     * whether to write them when the mesh has them (both default to true).
+     * @return {string|ArrayBuffer} The text of an ASCII file, or the contents of a binary one.
+     */
+    toPly(options) {
+        options = options || {};
+        let numVertices = this.vertices.length / 3;
+        let numFaces = this.faces.length / 3;
+        let columns = [{ names: ["x", "y", "z"], data: this.vertices }];
+        if (options.normals !== false && numVertices > 0 && this.normals.length == numVertices * 3) {
+            columns.push({ names: ["nx", "ny", "nz"], data: this.normals });
+        }
+        if (options.texCoords !== false && numVertices > 0 && this.texCoords.length == numVertices * 2) {
+            columns.push({ names: ["s", "t"], data: this.texCoords });
+        }
+
+        let binary = !!options.binary;
+        let littleEndian = (options.littleEndian !== false);
+        let format = (!binary ? "ascii" : (littleEndian ? "binary_little_endian" : "binary_big_endian"));
+        let header = ["ply", "format " + format + " 1.0", "comment Written by Mesh.toPly", "element vertex " + numVertices];
+        columns.forEach((column) => {
+            column.names.forEach((name) => header.push("property float " + name));
+        });
+        header.push("element face " + numFaces, "property list uchar uint vertex_indices", "end_header");
+        let headerText = header.join("\n") + "\n";
+
+        if (!binary) {
+            let lines = [];
+            for (let v = 0; v < numVertices; v++) {
+                let values = [];
+                columns.forEach((column) => {
+                    let components = column.names.length;
+                    for (let c = 0; c < components; c++) {
+                        values.push(formatFloat(column.data[components * v + c]));
+                    }
+                });
+                lines.push(values.join(" "));
+            }
+            for (let i = 0; i < numFaces; i++) {
+                lines.push("3 " + this.faces[3 * i] + " " + this.faces[3 * i + 1] + " " + this.faces[3 * i + 2]);
+            }
+            return headerText + lines.join("\n") + "\n";
+        }
+
+        let headerBytes = new TextEncoder().encode(headerText);
+        let vertexSize = 4 * columns.reduce((sum, column) => sum + column.names.length, 0);
+        let file = new ArrayBuffer(headerBytes.length + numVertices * vertexSize + numFaces * 13);
+        new Uint8Array(file).set(headerBytes);
+        let view = new DataView(file);
+        let offset = headerBytes.length;
+        for (let v = 0; v < numVertices; v++) {
+            columns.forEach((column) => {
+                let components = column.names.length;
+                for (let c = 0; c < components; c++) {
+                    view.setFloat32(offset, column.data[components * v + c], littleEndian);
+                    offset += 4;
+                }
+            });
+        }
+        for (let i = 0; i < numFaces; i++) {
+            view.setUint8(offset, 3);
+            for (let k = 0; k < 3; k++) {
+                view.setUint32(offset + 1 + 4 * k, this.faces[3 * i + k], littleEndian);
+            }
+            offset += 13;
+        }
+        return file;
+    }
+
+    /**
+     * Writes the mesh as a binary glTF 2.0 file, with one primitive per
+     * submesh.  Texture coordinates are flipped to glTF's top left origin.
+     * Materials become untextured metallic-roughness materials with the
+     * diffuse color and opacity of the MTL material.
+     * @param {object} options Optional settings: name, the name of the node and
+     * mesh, and normals, texCoords and tangents, whether to write them when
+     * the mesh has them (all default to true).
+     * @return {ArrayBuffer} The .glb file.
+     */
+    toGlb(options) {
+        options = options || {};
+        let numVertices = this.vertices.length / 3;
+        let json = {
+            asset: { version: "2.0", generator: "Mesh.toGlb" },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ mesh: 0 }],
+            meshes: [{ primitives: [] }],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        if (options.name) {
+            json.nodes[0].name = json.meshes[0].name = options.name;
+        }
+
+        /* Each array becomes a buffer view, aligned to 4 bytes in the binary chunk */
+        let views = [], byteLength = 0;
+        let addView = (array, target) => {
+            json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target: target });
+            views.push({ offset: byteLength, bytes: new Uint8Array(array.buffer, array.byteOffset, array.byteLength) });
+            byteLength += Math.ceil(array.byteLength / 4) * 4;
+            return json.bufferViews.length - 1;
+        };
+        let addAccessor = (accessor) => {
+            json.accessors.push(accessor);
+            return json.accessors.length - 1;
+        };
+        let addAttribute = (array, type, extra) => {
+            return addAccessor(Object.assign({ bufferView: addView(array, 34962), componentType: 5126, count: numVertices, type: type }, extra));
+        };
+
+        let attributes = {};
+        let positions = Float32Array.from(this.vertices);
+        let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+        attributes.POSITION = addAttribute(positions, "VEC3", (numVertices > 0 ? { min: min, max: max } : {}));
+
+        if (options.normals !== false && numVertices > 0 && this.normals.length == numVertices * 3) {
+            attributes.NORMAL = addAttribute(Float32Array.from(this.normals), "VEC3");
+        }
+        let hasTexCoords = (options.texCoords !== false && numVertices > 0 && this.texCoords.length == numVertices * 2);
+        if (hasTexCoords) {
+            let texCoords = Float32Array.from(this.texCoords);
+            for (let i = 1; i < texCoords.length; i += 2) {
+                texCoords[i] = 1.0 - texCoords[i];
+            }
+            attributes.TEXCOORD_0 = addAttribute(texCoords, "VEC2");
+        }
+        if (hasTexCoords && options.tangents !== false && this.tangents.length == numVertices * 4) {
+            /* Flipping v reverses the bitangents */
+            let tangents = Float32Array.from(this.tangents);
+            for (let i = 3; i < tangents.length; i += 4) {
+                tangents[i] = -tangents[i];
+            }
+            attributes.TANGENT = addAttribute(tangents, "VEC4");
+        }
+
+        let shortIndices = (numVertices <= 65535);
+        let indices = (shortIndices ? Uint16Array.from(this.faces) : Uint32Array.from(this.faces));
+        let indexView = addView(indices, 34963);
+
+        let ranges = this.submeshes.filter((submesh) => submesh.count > 0);
+        if (ranges.length == 0) {
+            ranges = [{ start: 0, count: this.faces.length }];
+        }
+        let materialIndices = {};
+        ranges.forEach((range) => {
+            let primitive = {
+                attributes: attributes,
+                indices: addAccessor({
+                    bufferView: indexView,
+                    byteOffset: range.start * indices.BYTES_PER_ELEMENT,
+                    componentType: (shortIndices ? 5123 : 5125),
+                    count: range.count,
+                    type: "SCALAR"
+                }),
+                mode: 4
+            };
+
+            let material = (range.material ? this.materials[range.material] : undefined);
+            if (material !== undefined) {
+                if (!materialIndices.hasOwnProperty(range.material)) {
+                    json.materials = json.materials || [];
+                    json.materials.push({
+                        name: range.material,
+                        pbrMetallicRoughness: {
+                            baseColorFactor: material.diffuse.concat([material.opacity]),
+                            metallicFactor: 0.0,
+                            roughnessFactor: Math.sqrt(2.0 / (material.shininess + 2.0))
+                        },
+                        emissiveFactor: material.emissive,
+                        alphaMode: (material.opacity < 1.0 ? "BLEND" : "OPAQUE")
+                    });
+                    materialIndices[range.material] = json.materials.length - 1;
+                }
+                primitive.material = materialIndices[range.material];
+            }
+            json.meshes[0].primitives.push(primitive);
+        });
+
+        let binary = new Uint8Array(byteLength);
+        views.forEach((view) => binary.set(view.bytes, view.offset));
+        json.buffers.push({ byteLength: byteLength });
+        return packGlb(json, binary);
+    }
+}
+
+/** Type the mesh is counted under by ResourceTracker.getStats() */
+Mesh.resourceType = "mesh";
+
+/** Default shader attribute name of each mesh attribute, used by Mesh.bind() */
+Mesh.attributeNames = {
+    position: "aVertexPosition",
+    normal: "aVertexNormal",
+    texCoord: "aVertexTexCoord",
+    tangent: "aVertexTangent"
+};
@@ -0,0 +1,271 @@
+/**
+ * @file Bounding volume hierarchy over the triangles of a mesh, for fast ray casts.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Distance along a ray to a box stored in a flat array.
+ * @param {vec3} origin Ray origin.
+ * @param {array} inverseDirection 1 / direction, per component.
+ * @param {Float32Array} bounds Boxes stored as min x, y, z then max x, y, z.
+ * @param {number} offset Index of the box's min x.
+ * @param {number} maxT Largest distance of interest.
+ * @return {number} Entry distance, or Infinity if the box is missed or further than maxT.
+ */
+function rayBoxDistance(origin, inverseDirection, bounds, offset, maxT) {
+    let near = 0, far = maxT;
+    for (let i = 0; i < 3; i++) {
+        let t0 = (bounds[offset + i] - origin[i]) * inverseDirection[i];
+        let t1 = (bounds[offset + 3 + i] - origin[i]) * inverseDirection[i];
+        if (t0 > t1) {
+            let swap = t0;
+            t0 = t1;
+            t1 = swap;
+        }
+        if (t0 > near) {
+            near = t0;
+        }
+        if (t1 < far) {
+            far = t1;
+        }
+        if (near > far) {
+            return Infinity;
+        }
+    }
+    return near;
+}
+
+/**
+ * Computes the bounds of a range of triangles and of their centroids.
+ * @param {Uint32Array} triangles Triangle indices.
+ * @param {Float32Array} triangleBounds Per triangle min x, y, z then max x, y, z.
+ * @param {Float32Array} centroids Per triangle centroid.
+ * @param {number} start First entry of triangles in the range.
+ * @param {number} end One past the last entry.
+ * @param {Float32Array} out Array to store the triangle bounds in.
+ * @param {number} offset Index in out to store them at.
+ * @param {Float32Array} centroidOut Array to store the centroid bounds in.
+ */
+function rangeBounds(triangles, triangleBounds, centroids, start, end, out, offset, centroidOut) {
+    for (let axis = 0; axis < 3; axis++) {
+        out[offset + axis] = centroidOut[axis] = Infinity;
+        out[offset + 3 + axis] = centroidOut[3 + axis] = -Infinity;
+    }
+    for (let i = start; i < end; i++) {
+        let t = 6 * triangles[i], c = 3 * triangles[i];
+        for (let axis = 0; axis < 3; axis++) {
+            out[offset + axis] = Math.min(out[offset + axis], triangleBounds[t + axis]);
+            out[offset + 3 + axis] = Math.max(out[offset + 3 + axis], triangleBounds[t + 3 + axis]);
+            centroidOut[axis] = Math.min(centroidOut[axis], centroids[c + axis]);
+            centroidOut[3 + axis] = Math.max(centroidOut[3 + axis], centroids[c + axis]);
+        }
+    }
+}
+
+/**
+ * Reorders a range of triangles so those with centroids below a split
+ * plane come first.
+ * @param {Uint32Array} triangles Triangle indices.
+ * @param {Float32Array} centroids Per triangle centroid.
+ * @param {number} start First entry of triangles in the range.
+ * @param {number} end One past the last entry.
+ * @param {number} axis Axis the split plane is perpendicular to.
+ * @param {number} split Position of the plane on that axis.
+ * @return {number} Index of the first triangle above the plane.
+ */
+function partitionTriangles(triangles, centroids, start, end, axis, split) {
+    let middle = start;
+    for (let i = start; i < end; i++) {
+        let triangle = triangles[i];
+        if (centroids[3 * triangle + axis] < split) {
+            triangles[i] = triangles[middle];
+            triangles[middle] = triangle;
+            middle++;
+        }
+    }
+    return middle;
+}
+
+/**
+ * Bounding volume hierarchy of a mesh's triangles.  Nodes are stored flat,
+ * depth first, so the left child of an inner node directly follows it.
+ * The tree is a snapshot of the mesh: rebuild it when the vertices or faces change.
+ */
+class MeshBVH {
+    /**
+     * @param {Mesh} mesh Mesh to build the hierarchy over.
+     * @param {object} options Optional settings: maxLeafSize, the number of
+     * triangles at which nodes stop being split (defaults to 8).
+     */
+    constructor(mesh, options) {
+        options = options || {};
+        this.maxLeafSize = options.maxLeafSize || 8;
+
+        this.positions = Float32Array.from(mesh.vertices);
+        this.faces = Uint32Array.from(mesh.faces);
+        let numTriangles = Math.floor(this.faces.length / 3);
+
+        /* Triangle indices, reordered so every leaf covers a contiguous range */
+        this.triangles = new Uint32Array(numTriangles);
+        for (let i = 0; i < numTriangles; i++) {
+            this.triangles[i] = i;
+        }
+
+        /* A binary tree with at most one triangle per leaf has fewer than 2n nodes */
+        let maxNodes = Math.max(1, 2 * numTriangles - 1);
+        this.bounds = new Float32Array(maxNodes * 6);
+        /* Per node: right child index (inner nodes) or first triangle (leaves), then triangle count */
+        this.nodes = new Uint32Array(maxNodes * 2);
+        this.numNodes = 0;
+
+        /* Per triangle bounds and centroids used while building */
+        this.triangleBounds = new Float32Array(numTriangles * 6);
+        this.centroids = new Float32Array(numTriangles * 3);
+        for (let i = 0; i < numTriangles; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                let a = this.positions[3 * this.faces[3 * i] + axis];
+                let b = this.positions[3 * this.faces[3 * i + 1] + axis];
+                let c = this.positions[3 * this.faces[3 * i + 2] + axis];
+                this.triangleBounds[6 * i + axis] = Math.min(a, b, c);
+                this.triangleBounds[6 * i + 3 + axis] = Math.max(a, b, c);
+                this.centroids[3 * i + axis] = (a + b + c) / 3;
+            }
+        }
+
+        this.buildNodes(numTriangles);
+
+        this.triangleBounds = null;
+        this.centroids = null;
+    }
+
+    /**
+     * Builds the tree.  Nodes are made depth first from an explicit stack of
+     * triangle ranges, as deep meshes could overflow a recursive build.
+     * @param {number} numTriangles Number of triangles in the mesh.
+     */
+    buildNodes(numTriangles) {
+        let triangles = this.triangles, triangleBounds = this.triangleBounds, centroids = this.centroids;
+        let bounds = this.bounds, nodes = this.nodes;
+        let centroidBounds = new Float32Array(6);
+
+        /* Ranges still to build as start, end and the parent whose right child they are */
+        let stack = [0, numTriangles, -1];
+        while (stack.length > 0) {
+            let parent = stack.pop(), end = stack.pop(), start = stack.pop();
+            let node = this.numNodes++;
+            let offset = 6 * node;
+            if (parent >= 0) {
+                nodes[2 * parent] = node;
+            }
+
+            rangeBounds(triangles, triangleBounds, centroids, start, end, bounds, offset, centroidBounds);
+
+            let count = end - start;
+            if (count <= this.maxLeafSize) {
+                nodes[2 * node] = start;
+                nodes[2 * node + 1] = count;
+                continue;
+            }
+            nodes[2 * node + 1] = 0;
+
+            /* Split the widest axis of the centroids at its midpoint */
+            let axis = 0;
+            for (let i = 1; i < 3; i++) {
+                if (centroidBounds[3 + i] - centroidBounds[i] > centroidBounds[3 + axis] - centroidBounds[axis]) {
+                    axis = i;
+                }
+            }
+            let split = (centroidBounds[axis] + centroidBounds[3 + axis]) / 2;
+            let middle = partitionTriangles(triangles, centroids, start, end, axis, split);
+
+            /* Coincident centroids can't be separated spatially, halve the range instead */
+            if (middle == start || middle == end) {
+                middle = start + (count >> 1);
+            }
+
+            /* The left child is popped first so it directly follows this node */
+            stack.push(middle, end, node);
+            stack.push(start, middle, -1);
+        }
+    }
+
+    /**
+     * Returns the bounding box of the whole mesh.
+     * @return {object} Box as {min, max}.
+     */
+    getAABB() {
+        return {
+            min: vec3.fromValues(this.bounds[0], this.bounds[1], this.bounds[2]),
+            max: vec3.fromValues(this.bounds[3], this.bounds[4], this.bounds[5])
+        };
+    }
+
+    /**
+     * Finds the nearest triangle hit by a ray.
+     * @param {Ray} ray The ray, in the mesh's space.
+     * @param {object} options Optional settings: maxDistance, the largest ray
+     * parameter to accept, and cullBackFaces, see Ray.intersectTriangle().
+     * @return {object} {faceIndex, t, u, v}, the triangle index in the mesh's
+     * faces, the ray parameter and the weights of the second and third corners,
+     * or null if nothing is hit.
+     */
+    raycast(ray, options) {
+        options = options || {};
+        if (this.triangles.length == 0) {
+            return null;
+        }
+
+        let origin = ray.origin, direction = ray.direction;
+        let inverseDirection = [1.0 / direction[0], 1.0 / direction[1], 1.0 / direction[2]];
+        let positions = this.positions, faces = this.faces;
+        let nearest = null;
+        let maxT = (options.maxDistance === undefined ? Infinity : options.maxDistance);
+
+        let stack = [0];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (rayBoxDistance(origin, inverseDirection, this.bounds, 6 * node, maxT) == Infinity) {
+                continue;
+            }
+
+            let count = this.nodes[2 * node + 1];
+            if (count > 0) {
+                let first = this.nodes[2 * node];
+                for (let i = first; i < first + count; i++) {
+                    let face = this.triangles[i];
+                    let a = 3 * faces[3 * face], b = 3 * faces[3 * face + 1], c = 3 * faces[3 * face + 2];
+                    let hit = intersectRayTriangle(origin, direction,
+                                                   positions[a], positions[a + 1], positions[a + 2],
+                                                   positions[b], positions[b + 1], positions[b + 2],
+                                                   positions[c], positions[c + 1], positions[c + 2],
+                                                   options.cullBackFaces);
+                    if (hit != null && hit.t <= maxT) {
+                        maxT = hit.t;
+                        nearest = { faceIndex: face, t: hit.t, u: hit.u, v: hit.v };
+                    }
+                }
+                continue;
+            }
+
+            /* Visit the nearer child first so the far one is likely culled by maxT */
+            let left = node + 1, right = this.nodes[2 * node];
+            let leftT = rayBoxDistance(origin, inverseDirection, this.bounds, 6 * left, maxT);
+            let rightT = rayBoxDistance(origin, inverseDirection, this.bounds, 6 * right, maxT);
+            if (leftT <= rightT) {
+                if (rightT != Infinity) {
+                    stack.push(right);
+                }
+                if (leftT != Infinity) {
+                    stack.push(left);
+                }
+            } else {
+                if (leftT != Infinity) {
+                    stack.push(left);
+                }
+                stack.push(right);
+            }
+        }
+
+        return nearest;
+    }
+}
@@ -0,0 +1,435 @@
+/**
+ * @file Mesh decimation by edge collapse, guided by quadric error metrics.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Adds the quadric of a plane a * x + b * y + c * z + d = 0 to a vertex.
+ * @param {Float64Array} quadrics Symmetric 4x4 matrices, 10 upper entries per vertex.
+ * @param {number} vertex Index of the vertex.
+ * @param {number} a Plane normal x.
+ * @param {number} b Plane normal y.
+ * @param {number} c Plane normal z.
+ * @param {number} d Plane offset.
+ * @param {number} weight Scale of the quadric, ex: the area of the face on the plane.
+ */
+function addPlaneQuadric(quadrics, vertex, a, b, c, d, weight) {
+    let q = 10 * vertex;
+    quadrics[q] += weight * a * a;
+    quadrics[q + 1] += weight * a * b;
+    quadrics[q + 2] += weight * a * c;
+    quadrics[q + 3] += weight * a * d;
+    quadrics[q + 4] += weight * b * b;
+    quadrics[q + 5] += weight * b * c;
+    quadrics[q + 6] += weight * b * d;
+    quadrics[q + 7] += weight * c * c;
+    quadrics[q + 8] += weight * c * d;
+    quadrics[q + 9] += weight * d * d;
+}
+
+/**
+ * Evaluates a quadric at a point: the weighted sum of squared distances to its planes.
+ * @param {Float64Array} q The 10 upper entries of the quadric.
+ * @param {number} x Point x.
+ * @param {number} y Point y.
+ * @param {number} z Point z.
+ * @return {number} The error.
+ */
+function quadricError(q, x, y, z) {
+    return q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+           q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+           q[7] * z * z + 2 * q[8] * z + q[9];
+}
+
+/**
+ * Adds an entry to a binary min heap ordered by cost.
+ * @param {array} heap The heap.
+ * @param {object} entry Entry with a cost.
+ */
+function heapPush(heap, entry) {
+    let i = heap.length;
+    heap.push(entry);
+    while (i > 0) {
+        let parent = (i - 1) >> 1;
+        if (heap[parent].cost <= entry.cost) {
+            break;
+        }
+        heap[i] = heap[parent];
+        i = parent;
+    }
+    heap[i] = entry;
+}
+
+/**
+ * Removes the cheapest entry of a binary min heap.
+ * @param {array} heap The heap, not empty.
+ * @return {object} The entry.
+ */
+function heapPop(heap) {
+    let top = heap[0];
+    let last = heap.pop();
+    if (heap.length > 0) {
+        let i = 0;
+        for (;;) {
+            let child = 2 * i + 1;
+            if (child >= heap.length) {
+                break;
+            }
+            if (child + 1 < heap.length && heap[child + 1].cost < heap[child].cost) {
+                child++;
+            }
+            if (heap[child].cost >= last.cost) {
+                break;
+            }
+            heap[i] = heap[child];
+            i = child;
+        }
+        heap[i] = last;
+    }
+    return top;
+}
+
+/**
+ * Simplifies a triangle mesh by repeatedly collapsing the edge whose removal
+ * changes the surface least, measured with quadric error metrics (Garland
+ * and Heckbert).  Collapses that would fold a face over or make the surface
+ * non-manifold are skipped.  Open boundaries, texture seams included, are
+ * weighted to keep their shape.
+ *
+ * The simplifier works on a copy of the mesh data; Mesh.simplify() writes
+ * the result back.
+ */
+class MeshSimplifier {
+    /**
+     * @param {Mesh} mesh Mesh to simplify.
+     * @param {object} options Optional settings: borderWeight, how strongly open
+     * boundaries keep their shape compared to the surface (defaults to 1000, 0
+     * lets them move freely), and maxError, the largest error a collapse may
+     * add, stopping early when reached (defaults to Infinity).
+     */
+    constructor(mesh, options) {
+        options = options || {};
+        this.borderWeight = (options.borderWeight === undefined ? 1000 : options.borderWeight);
+        this.maxError = (options.maxError === undefined ? Infinity : options.maxError);
+
+        this.positions = Float64Array.from(mesh.vertices);
+        let numVertices = this.positions.length / 3;
+        this.texCoords = (mesh.texCoords.length == numVertices * 2 && numVertices > 0 ? Float64Array.from(mesh.texCoords) : null);
+        this.faces = Uint32Array.from(mesh.faces);
+        let numFaces = this.faces.length / 3;
+        this.faceAlive = new Uint8Array(numFaces).fill(1);
+        this.liveFaces = numFaces;
+
+        /* Faces around each vertex, pruned of removed faces lazily */
+        this.vertexAlive = new Uint8Array(numVertices).fill(1);
+        this.vertexFaces = [];
+        for (let v = 0; v < numVertices; v++) {
+            this.vertexFaces.push([]);
+        }
+        for (let i = 0; i < numFaces * 3; i++) {
+            this.vertexFaces[this.faces[i]].push(Math.floor(i / 3));
+        }
+
+        /* Bumped on every collapse into a vertex, so queued collapses of its old edges are skipped */
+        this.versions = new Uint32Array(numVertices);
+
+        this.quadrics = new Float64Array(numVertices * 10);
+        this.edgeQuadric = new Float64Array(10);
+        this.heap = [];
+        let edges = this.computeQuadrics();
+        edges.forEach((entry, key) => {
+            this.queueCollapse(Math.floor(key / numVertices), key % numVertices);
+        });
+    }
+
+    /**
+     * Sums the quadrics of the faces around each vertex, weighted by area,
+     * plus those of planes through open edges, perpendicular to their face.
+     * @return {Map} The edges, keyed by their vertices, with the number of faces using them.
+     */
+    computeQuadrics() {
+        let numVertices = this.positions.length / 3;
+        let numFaces = this.faces.length / 3;
+        let n = vec3.create();
+        let edges = new Map();
+
+        for (let f = 0; f < numFaces; f++) {
+            faceAreaNormal(this.positions, this.faces, f, n);
+            let area = vec3.length(n) / 2;
+            vec3.normalize(n, n);
+            let a = this.faces[3 * f];
+            let d = -(n[0] * this.positions[3 * a] + n[1] * this.positions[3 * a + 1] + n[2] * this.positions[3 * a + 2]);
+            for (let k = 0; k < 3; k++) {
+                addPlaneQuadric(this.quadrics, this.faces[3 * f + k], n[0], n[1], n[2], d, area);
+
+                let u = this.faces[3 * f + k], v = this.faces[3 * f + (k + 1) % 3];
+                let key = Math.min(u, v) * numVertices + Math.max(u, v);
+                let entry = edges.get(key);
+                if (entry === undefined) {
+                    edges.set(key, { face: f, corner: k, count: 1 });
+                } else {
+                    entry.count++;
+                }
+            }
+        }
+
+        if (this.borderWeight > 0) {
+            let edge = vec3.create(), side = vec3.create();
+            edges.forEach((entry) => {
+                if (entry.count != 1) {
+                    return;
+                }
+                let u = this.faces[3 * entry.face + entry.corner];
+                let v = this.faces[3 * entry.face + (entry.corner + 1) % 3];
+                faceAreaNormal(this.positions, this.faces, entry.face, n);
+                vec3.set(edge, this.positions[3 * v] - this.positions[3 * u], this.positions[3 * v + 1] - this.positions[3 * u + 1],
+                         this.positions[3 * v + 2] - this.positions[3 * u + 2]);
+                vec3.cross(side, edge, n);
+                vec3.normalize(side, side);
+                let d = -(side[0] * this.positions[3 * u] + side[1] * this.positions[3 * u + 1] + side[2] * this.positions[3 * u + 2]);
+                let weight = this.borderWeight * vec3.squaredLength(edge);
+                addPlaneQuadric(this.quadrics, u, side[0], side[1], side[2], d, weight);
+                addPlaneQuadric(this.quadrics, v, side[0], side[1], side[2], d, weight);
+            });
+        }
+        return edges;
+    }
+
+    /**
+     * Finds where to move the vertices of an edge when collapsing it and
+     * queues the collapse.  The point minimizing the summed quadric is used
+     * when it is well defined and near the edge, otherwise the best of the
+     * endpoints and the midpoint.
+     * @param {number} u Vertex kept by the collapse.
+     * @param {number} v Vertex removed by the collapse.
+     */
+    queueCollapse(u, v) {
+        let q = this.edgeQuadric;
+        for (let i = 0; i < 10; i++) {
+            q[i] = this.quadrics[10 * u + i] + this.quadrics[10 * v + i];
+        }
+
+        let p = this.positions;
+        let ux = p[3 * u], uy = p[3 * u + 1], uz = p[3 * u + 2];
+        let ex = p[3 * v] - ux, ey = p[3 * v + 1] - uy, ez = p[3 * v + 2] - uz;
+        let lengthSquared = ex * ex + ey * ey + ez * ez;
+        let candidates = [
+            [ux, uy, uz],
+            [ux + ex, uy + ey, uz + ez],
+            [ux + 0.5 * ex, uy + 0.5 * ey, uz + 0.5 * ez]
+        ];
+
+        /* Solve A p = -b for the 3x3 part A and the last column b of the quadric */
+        let c0 = q[4] * q[7] - q[5] * q[5];
+        let c1 = q[2] * q[5] - q[1] * q[7];
+        let c2 = q[1] * q[5] - q[2] * q[4];
+        let det = q[0] * c0 + q[1] * c1 + q[2] * c2;
+        let scale = q[0] + q[4] + q[7];
+        if (Math.abs(det) > 1e-9 * scale * scale * scale) {
+            let x = -(c0 * q[3] + c1 * q[6] + c2 * q[8]) / det;
+            let y = -(c1 * q[3] + (q[0] * q[7] - q[2] * q[2]) * q[6] + (q[2] * q[1] - q[0] * q[5]) * q[8]) / det;
+            let z = -(c2 * q[3] + (q[1] * q[2] - q[0] * q[5]) * q[6] + (q[0] * q[4] - q[1] * q[1]) * q[8]) / det;
+            let mx = x - candidates[2][0], my = y - candidates[2][1], mz = z - candidates[2][2];
+            if (mx * mx + my * my + mz * mz <= lengthSquared) {
+                candidates.push([x, y, z]);
+            }
+        }
+
+        let best = null, bestCost = Infinity;
+        for (let i = 0; i < candidates.length; i++) {
+            let cost = quadricError(q, candidates[i][0], candidates[i][1], candidates[i][2]);
+            if (cost < bestCost) {
+                best = candidates[i];
+                bestCost = cost;
+            }
+        }
+
+        /* Where the point falls along the edge, for interpolating texture coordinates */
+        let t = 0;
+        if (lengthSquared > 0) {
+            t = ((best[0] - ux) * ex + (best[1] - uy) * ey + (best[2] - uz) * ez) / lengthSquared;
+            t = Math.min(Math.max(t, 0), 1);
+        }
+
+        heapPush(this.heap, {
+            cost: Math.max(bestCost, 0),
+            u: u,
+            v: v,
+            versionU: this.versions[u],
+            versionV: this.versions[v],
+            position: best,
+            t: t
+        });
+    }
+
+    /**
+     * Collapses edges, cheapest first, until few enough faces are left.
+     * @param {number} targetFaces Number of faces to stop at.
+     * @return {number} Number of faces left.
+     */
+    simplify(targetFaces) {
+        while (this.liveFaces > targetFaces && this.heap.length > 0) {
+            let entry = heapPop(this.heap);
+            let u = entry.u, v = entry.v;
+            if (!this.vertexAlive[u] || !this.vertexAlive[v] ||
+                this.versions[u] != entry.versionU || this.versions[v] != entry.versionV) {
+                continue;
+            }
+            if (entry.cost > this.maxError) {
+                break;
+            }
+            this.collapse(entry);
+        }
+        return this.liveFaces;
+    }
+
+    /**
+     * Counts how many live faces around a vertex use each of its neighbors.
+     * @param {number} vertex The vertex.
+     * @return {Map} Face count keyed by neighbor; a count of 1 marks an open edge.
+     */
+    getNeighbors(vertex) {
+        let neighbors = new Map();
+        let faces = this.vertexFaces[vertex];
+        for (let i = 0; i < faces.length; i++) {
+            if (!this.faceAlive[faces[i]]) {
+                continue;
+            }
+            for (let k = 0; k < 3; k++) {
+                let w = this.faces[3 * faces[i] + k];
+                if (w != vertex) {
+                    neighbors.set(w, (neighbors.get(w) || 0) + 1);
+                }
+            }
+        }
+        return neighbors;
+    }
+
+    /**
+     * Whether collapsing an edge keeps the surface manifold: the vertices may
+     * only share the neighbors across the faces of the edge, an edge between
+     * two boundary vertices must itself be on the boundary, and at least a
+     * triangle's worth of neighbors must remain.
+     * @param {number} u One vertex of the edge.
+     * @param {number} v The other vertex.
+     * @return {boolean} True if the collapse is allowed.
+     */
+    isManifoldCollapse(u, v) {
+        let neighborsU = this.getNeighbors(u), neighborsV = this.getNeighbors(v);
+        let shared = neighborsU.get(v) || 0;
+        if (shared == 0) {
+            return false;
+        }
+
+        let common = 0;
+        neighborsU.forEach((count, w) => {
+            if (w != v && neighborsV.has(w)) {
+                common++;
+            }
+        });
+        if (common != shared || neighborsU.size + neighborsV.size - 2 - common < 3) {
+            return false;
+        }
+
+        let isBoundary = (neighbors) => Array.from(neighbors.values()).includes(1);
+        return shared == 1 || !(isBoundary(neighborsU) && isBoundary(neighborsV));
+    }
+
+    /**
+     * Whether moving a vertex would fold over or squash one of its faces,
+     * ignoring the faces it shares with another vertex.
+     * @param {number} vertex The vertex moved.
+     * @param {number} other Vertex whose shared faces are ignored.
+     * @param {array} position New position of the vertex.
+     * @return {boolean} True if a face would flip or become degenerate.
+     */
+    flipsFaces(vertex, other, position) {
+        let before = vec3.create(), after = vec3.create();
+        let corners = [vec3.create(), vec3.create(), vec3.create()];
+        let faces = this.vertexFaces[vertex];
+        for (let i = 0; i < faces.length; i++) {
+            let f = faces[i];
+            if (!this.faceAlive[f]) {
+                continue;
+            }
+            let ids = [this.faces[3 * f], this.faces[3 * f + 1], this.faces[3 * f + 2]];
+            if (ids.includes(other)) {
+                continue;
+            }
+
+            faceAreaNormal(this.positions, this.faces, f, before);
+            for (let k = 0; k < 3; k++) {
+                if (ids[k] == vertex) {
+                    vec3.copy(corners[k], position);
+                } else {
+                    vec3.set(corners[k], this.positions[3 * ids[k]], this.positions[3 * ids[k] + 1], this.positions[3 * ids[k] + 2]);
+                }
+            }
+            let e1 = vec3.subtract(vec3.create(), corners[1], corners[0]);
+            let e2 = vec3.subtract(vec3.create(), corners[2], corners[0]);
+            vec3.cross(after, e1, e2);
+
+            let lengthBefore = vec3.length(before), lengthAfter = vec3.length(after);
+            if (lengthBefore == 0) {
+                continue;
+            }
+            if (lengthAfter < 1e-12 * lengthBefore || vec3.dot(before, after) < 0.2 * lengthBefore * lengthAfter) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Collapses an edge into its first vertex, unless that would break the surface.
+     * @param {object} entry Queued collapse, see queueCollapse().
+     * @return {boolean} Whether the edge was collapsed.
+     */
+    collapse(entry) {
+        let u = entry.u, v = entry.v;
+        if (!this.isManifoldCollapse(u, v) || this.flipsFaces(u, v, entry.position) ||
+            this.flipsFaces(v, u, entry.position)) {
+            return false;
+        }
+
+        this.positions.set(entry.position, 3 * u);
+        if (this.texCoords != null) {
+            for (let c = 0; c < 2; c++) {
+                let a = this.texCoords[2 * u + c], b = this.texCoords[2 * v + c];
+                this.texCoords[2 * u + c] = a + (b - a) * entry.t;
+            }
+        }
+        for (let i = 0; i < 10; i++) {
+            this.quadrics[10 * u + i] += this.quadrics[10 * v + i];
+        }
+
+        /* Faces on the edge disappear, the other faces of v move to u */
+        let faces = this.vertexFaces[v];
+        for (let i = 0; i < faces.length; i++) {
+            let f = faces[i];
+            if (!this.faceAlive[f]) {
+                continue;
+            }
+            if (this.faces[3 * f] == u || this.faces[3 * f + 1] == u || this.faces[3 * f + 2] == u) {
+                this.faceAlive[f] = 0;
+                this.liveFaces--;
+                continue;
+            }
+            for (let k = 0; k < 3; k++) {
+                if (this.faces[3 * f + k] == v) {
+                    this.faces[3 * f + k] = u;
+                }
+            }
+            this.vertexFaces[u].push(f);
+        }
+        this.vertexFaces[v] = [];
+        this.vertexAlive[v] = 0;
+        this.vertexFaces[u] = this.vertexFaces[u].filter((f) => this.faceAlive[f]);
+        this.versions[u]++;
+
+        this.getNeighbors(u).forEach((count, w) => {
+            this.queueCollapse(u, w);
+        });
+        return true;
+    }
+}
@@ -0,0 +1,583 @@
+/**
+ * @file A recording stand-in for WebGLRenderingContext, so the GL classes
+ * can be exercised headlessly (ex: on CI machines without a GPU).
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** WebGL 1 enum values used by the library and common extensions */
+const MOCK_GL_CONSTANTS = {
+    DEPTH_BUFFER_BIT: 0x00000100,
+    STENCIL_BUFFER_BIT: 0x00000400,
+    COLOR_BUFFER_BIT: 0x00004000,
+
+    POINTS: 0x0000,
+    LINES: 0x0001,
+    LINE_LOOP: 0x0002,
+    LINE_STRIP: 0x0003,
+    TRIANGLES: 0x0004,
+    TRIANGLE_STRIP: 0x0005,
+    TRIANGLE_FAN: 0x0006,
+
+    NEVER: 0x0200,
+    LESS: 0x0201,
+    EQUAL: 0x0202,
+    LEQUAL: 0x0203,
+    GREATER: 0x0204,
+    NOTEQUAL: 0x0205,
+    GEQUAL: 0x0206,
+    ALWAYS: 0x0207,
+
+    ZERO: 0,
+    ONE: 1,
+    SRC_COLOR: 0x0300,
+    ONE_MINUS_SRC_COLOR: 0x0301,
+    SRC_ALPHA: 0x0302,
+    ONE_MINUS_SRC_ALPHA: 0x0303,
+    DST_ALPHA: 0x0304,
+    ONE_MINUS_DST_ALPHA: 0x0305,
+    DST_COLOR: 0x0306,
+    ONE_MINUS_DST_COLOR: 0x0307,
+    FUNC_ADD: 0x8006,
+
+    FRONT: 0x0404,
+    BACK: 0x0405,
+    FRONT_AND_BACK: 0x0408,
+    CW: 0x0900,
+    CCW: 0x0901,
+
+    CULL_FACE: 0x0B44,
+    DEPTH_TEST: 0x0B71,
+    DEPTH_WRITEMASK: 0x0B72,
+    DEPTH_FUNC: 0x0B74,
+    STENCIL_TEST: 0x0B90,
+    BLEND: 0x0BE2,
+    SCISSOR_TEST: 0x0C11,
+    POLYGON_OFFSET_FILL: 0x8037,
+
+    VIEWPORT: 0x0BA2,
+    MAX_TEXTURE_SIZE: 0x0D33,
+    MAX_VERTEX_ATTRIBS: 0x8869,
+    MAX_TEXTURE_IMAGE_UNITS: 0x8872,
+    MAX_COMBINED_TEXTURE_IMAGE_UNITS: 0x8B4D,
+    FRAMEBUFFER_BINDING: 0x8CA6,
+    RENDERBUFFER_BINDING: 0x8CA7,
+
+    BYTE: 0x1400,
+    UNSIGNED_BYTE: 0x1401,
+    SHORT: 0x1402,
+    UNSIGNED_SHORT: 0x1403,
+    INT: 0x1404,
+    UNSIGNED_INT: 0x1405,
+    FLOAT: 0x1406,
+    HALF_FLOAT_OES: 0x8D61,
+
+    DEPTH_COMPONENT: 0x1902,
+    ALPHA: 0x1906,
+    RGB: 0x1907,
+    RGBA: 0x1908,
+    LUMINANCE: 0x1909,
+    LUMINANCE_ALPHA: 0x190A,
+    DEPTH_STENCIL: 0x84F9,
+    UNSIGNED_INT_24_8_WEBGL: 0x84FA,
+    UNSIGNED_SHORT_4_4_4_4: 0x8033,
+    UNSIGNED_SHORT_5_5_5_1: 0x8034,
+    UNSIGNED_SHORT_5_6_5: 0x8363,
+
+    FRAGMENT_SHADER: 0x8B30,
+    VERTEX_SHADER: 0x8B31,
+    COMPILE_STATUS: 0x8B81,
+    LINK_STATUS: 0x8B82,
+    VALIDATE_STATUS: 0x8B83,
+    DELETE_STATUS: 0x8B80,
+    ATTACHED_SHADERS: 0x8B85,
+    ACTIVE_UNIFORMS: 0x8B86,
+    ACTIVE_ATTRIBUTES: 0x8B89,
+    SHADER_TYPE: 0x8B4F,
+    CURRENT_PROGRAM: 0x8B8D,
+
+    FLOAT_VEC2: 0x8B50,
+    FLOAT_VEC3: 0x8B51,
+    FLOAT_VEC4: 0x8B52,
+    INT_VEC2: 0x8B53,
+    INT_VEC3: 0x8B54,
+    INT_VEC4: 0x8B55,
+    BOOL: 0x8B56,
+    BOOL_VEC2: 0x8B57,
+    BOOL_VEC3: 0x8B58,
+    BOOL_VEC4: 0x8B59,
+    FLOAT_MAT2: 0x8B5A,
+    FLOAT_MAT3: 0x8B5B,
+    FLOAT_MAT4: 0x8B5C,
+    SAMPLER_2D: 0x8B5E,
+    SAMPLER_CUBE: 0x8B60,
+
+    ARRAY_BUFFER: 0x8892,
+    ELEMENT_ARRAY_BUFFER: 0x8893,
+    ARRAY_BUFFER_BINDING: 0x8894,
+    ELEMENT_ARRAY_BUFFER_BINDING: 0x8895,
+    STREAM_DRAW: 0x88E0,
+    STATIC_DRAW: 0x88E4,
+    DYNAMIC_DRAW: 0x88E8,
+    BUFFER_SIZE: 0x8764,
+    BUFFER_USAGE: 0x8765,
+
+    TEXTURE_2D: 0x0DE1,
+    TEXTURE: 0x1702,
+    TEXTURE_CUBE_MAP: 0x8513,
+    TEXTURE_BINDING_2D: 0x8069,
+    TEXTURE_BINDING_CUBE_MAP: 0x8514,
+    TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515,
+    TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516,
+    TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+    TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518,
+    TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519,
+    TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851A,
+    MAX_CUBE_MAP_TEXTURE_SIZE: 0x851C,
+    TEXTURE0: 0x84C0,
+    ACTIVE_TEXTURE: 0x84E0,
+
+    TEXTURE_MAG_FILTER: 0x2800,
+    TEXTURE_MIN_FILTER: 0x2801,
+    TEXTURE_WRAP_S: 0x2802,
+    TEXTURE_WRAP_T: 0x2803,
+    NEAREST: 0x2600,
+    LINEAR: 0x2601,
+    NEAREST_MIPMAP_NEAREST: 0x2700,
+    LINEAR_MIPMAP_NEAREST: 0x2701,
+    NEAREST_MIPMAP_LINEAR: 0x2702,
+    LINEAR_MIPMAP_LINEAR: 0x2703,
+    REPEAT: 0x2901,
+    CLAMP_TO_EDGE: 0x812F,
+    MIRRORED_REPEAT: 0x8370,
+
+    UNPACK_ALIGNMENT: 0x0CF5,
+    PACK_ALIGNMENT: 0x0D05,
+    UNPACK_FLIP_Y_WEBGL: 0x9240,
+    UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241,
+    UNPACK_COLORSPACE_CONVERSION_WEBGL: 0x9243,
+
+    FRAMEBUFFER: 0x8D40,
+    RENDERBUFFER: 0x8D41,
+    RGBA4: 0x8056,
+    RGB5_A1: 0x8057,
+    RGB565: 0x8D62,
+    DEPTH_COMPONENT16: 0x81A5,
+    STENCIL_INDEX8: 0x8D48,
+    COLOR_ATTACHMENT0: 0x8CE0,
+    DEPTH_ATTACHMENT: 0x8D00,
+    STENCIL_ATTACHMENT: 0x8D20,
+    DEPTH_STENCIL_ATTACHMENT: 0x821A,
+    NONE: 0,
+    FRAMEBUFFER_COMPLETE: 0x8CD5,
+    FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8CD6,
+    FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT: 0x8CD7,
+    FRAMEBUFFER_INCOMPLETE_DIMENSIONS: 0x8CD9,
+    FRAMEBUFFER_UNSUPPORTED: 0x8CDD,
+
+    NO_ERROR: 0,
+    INVALID_ENUM: 0x0500,
+    INVALID_VALUE: 0x0501,
+    INVALID_OPERATION: 0x0502,
+    OUT_OF_MEMORY: 0x0505,
+    CONTEXT_LOST_WEBGL: 0x9242
+};
+
+/**
+ * Context methods that are only recorded.  Methods that have to return
+ * something meaningful are implemented on the class itself.
+ */
+const MOCK_GL_RECORDED_METHODS = [
+    "activeTexture", "attachShader", "bindAttribLocation", "bindBuffer",
+    "bindRenderbuffer", "bindTexture", "blendColor",
+    "blendEquation", "blendEquationSeparate", "blendFunc", "blendFuncSeparate",
+    "bufferData", "bufferSubData", "clear", "clearColor", "clearDepth",
+    "clearStencil", "colorMask", "compileShader", "compressedTexImage2D",
+    "compressedTexSubImage2D", "copyTexImage2D", "copyTexSubImage2D", "cullFace",
+    "deleteBuffer", "deleteFramebuffer", "deleteProgram", "deleteRenderbuffer",
+    "deleteShader", "deleteTexture", "depthRange",
+    "detachShader", "disableVertexAttribArray", "drawArrays",
+    "drawElements", "enableVertexAttribArray", "finish", "flush",
+    "framebufferRenderbuffer", "framebufferTexture2D", "frontFace",
+    "generateMipmap", "hint", "lineWidth", "linkProgram", "pixelStorei",
+    "polygonOffset", "readPixels", "renderbufferStorage", "sampleCoverage", "scissor",
+    "stencilFunc", "stencilFuncSeparate", "stencilMask",
+    "stencilMaskSeparate", "stencilOp", "stencilOpSeparate", "texImage2D",
+    "texParameterf", "texParameteri", "texSubImage2D", "uniform1f", "uniform1fv",
+    "uniform1i", "uniform1iv", "uniform2f", "uniform2fv", "uniform2i",
+    "uniform2iv", "uniform3f", "uniform3fv", "uniform3i", "uniform3iv",
+    "uniform4f", "uniform4fv", "uniform4i", "uniform4iv", "uniformMatrix2fv",
+    "uniformMatrix3fv", "uniformMatrix4fv", "useProgram", "validateProgram",
+    "vertexAttrib1f", "vertexAttrib2f", "vertexAttrib3f", "vertexAttrib4f",
+    "vertexAttrib1fv", "vertexAttrib2fv", "vertexAttrib3fv", "vertexAttrib4fv",
+    "vertexAttribPointer"
+];
+
+/** Methods of the extensions the mock context can hand out, keyed by extension name */
+const MOCK_GL_EXTENSION_METHODS = {
+    OES_vertex_array_object: [
+        "createVertexArrayOES", "bindVertexArrayOES", "deleteVertexArrayOES", "isVertexArrayOES"
+    ],
+    ANGLE_instanced_arrays: [
+        "drawArraysInstancedANGLE", "drawElementsInstancedANGLE", "vertexAttribDivisorANGLE"
+    ],
+    WEBGL_draw_buffers: [
+        "drawBuffersWEBGL"
+    ]
+};
+
+/** Constants of the extensions the mock context can hand out, keyed by extension name */
+const MOCK_GL_EXTENSION_CONSTANTS = {
+    WEBGL_draw_buffers: {
+        COLOR_ATTACHMENT0_WEBGL: 0x8CE0,
+        MAX_COLOR_ATTACHMENTS_WEBGL: 0x8CDF,
+        MAX_DRAW_BUFFERS_WEBGL: 0x8824
+    },
+    WEBGL_depth_texture: {
+        UNSIGNED_INT_24_8_WEBGL: 0x84FA
+    },
+    OES_texture_half_float: {
+        HALF_FLOAT_OES: 0x8D61
+    },
+    EXT_texture_filter_anisotropic: {
+        TEXTURE_MAX_ANISOTROPY_EXT: 0x84FE,
+        MAX_TEXTURE_MAX_ANISOTROPY_EXT: 0x84FF
+    }
+};
+
+/**
+ * Fake WebGL context that records every call made on it instead of
+ * rendering.  Calls are kept in order in this.calls as {name, args}.
+ */
+class MockGLContext {
+    /**
+     * @param {object} options Optional settings: width and height of the drawing
+     * buffer, extensions, a list of supported extension names, and uniforms and
+     * attributes, lists of {name, type, size} reported as active by every program.
+     * Types may be given as enum names, ex: "FLOAT_VEC3".
+     */
+    constructor(options) {
+        options = options || {};
+
+        Object.assign(this, MOCK_GL_CONSTANTS);
+        this.calls = [];
+        this.nextId = 1;
+        this.contextLost = false;
+
+        this.drawingBufferWidth = options.width || 300;
+        this.drawingBufferHeight = options.height || 150;
+        this.canvas = {
+            width: this.drawingBufferWidth,
+            height: this.drawingBufferHeight,
+            listeners: [],
+            addEventListener(type, listener) {
+                this.listeners.push({ type: type, listener: listener });
+            },
+            removeEventListener(type, listener) {
+                this.listeners = this.listeners.filter((entry) => entry.type != type || entry.listener != listener);
+            },
+            dispatchEvent(event) {
+                this.listeners.filter((entry) => entry.type == event.type).forEach((entry) => entry.listener(event));
+            }
+        };
+
+        this.supportedExtensions = options.extensions || [
+            "OES_element_index_uint",
+            "OES_vertex_array_object"
+        ];
+        this.extensions = {};
+
+        let toActiveInfo = (input) => ({
+            name: input.name,
+            size: input.size || 1,
+            type: (typeof input.type == "string" ? MOCK_GL_CONSTANTS[input.type] : input.type)
+        });
+        this.activeUniforms = (options.uniforms || []).map(toActiveInfo);
+        this.activeAttributes = (options.attributes || []).map(toActiveInfo);
+
+        /* Results to hand back from the status queries, tests can change these */
+        this.shaderCompileStatus = true;
+        this.shaderInfoLog = "";
+        this.programLinkStatus = true;
+        this.programInfoLog = "";
+        this.framebufferStatus = MOCK_GL_CONSTANTS.FRAMEBUFFER_COMPLETE;
+
+        /* State the mock keeps track of so it can be queried back */
+        this.boundFramebuffer = null;
+        this.viewportState = [0, 0, this.drawingBufferWidth, this.drawingBufferHeight];
+        this.enabledCapabilities = new Set();
+        this.depthFuncState = MOCK_GL_CONSTANTS.LESS;
+        this.depthMaskState = true;
+
+        for (let i = 0; i < MOCK_GL_RECORDED_METHODS.length; i++) {
+            let name = MOCK_GL_RECORDED_METHODS[i];
+            this[name] = function() {
+                this.record(name, arguments);
+            };
+            /* Native context methods carry their name, some callers rely on it */
+            Object.defineProperty(this[name], "name", { value: name });
+        }
+    }
+
+    /**
+     * Records a call to the context.
+     * @param {string} name Name of the called method.
+     * @param {arguments} args Arguments the method was called with.
+     */
+    record(name, args) {
+        this.calls.push({ name: name, args: Array.prototype.slice.call(args) });
+    }
+
+    /**
+     * Returns all recorded calls to one method.
+     * @param {string} name Method name, ex: "drawElements".
+     * @return {array} The matching {name, args} entries in call order.
+     */
+    callsTo(name) {
+        return this.calls.filter((call) => call.name == name);
+    }
+
+    /**
+     * Forgets all recorded calls.
+     */
+    reset() {
+        this.calls = [];
+    }
+
+    /**
+     * Creates a fake GL object handle.
+     * @param {string} type Kind of object, ex: "buffer".
+     * @return {object} The handle.
+     */
+    createObject(type) {
+        return { mockType: type, id: this.nextId++ };
+    }
+
+    createBuffer() {
+        this.record("createBuffer", arguments);
+        return this.createObject("buffer");
+    }
+
+    createFramebuffer() {
+        this.record("createFramebuffer", arguments);
+        return this.createObject("framebuffer");
+    }
+
+    bindFramebuffer(target, framebuffer) {
+        this.record("bindFramebuffer", arguments);
+        this.boundFramebuffer = framebuffer;
+    }
+
+    viewport(x, y, width, height) {
+        this.record("viewport", arguments);
+        this.viewportState = [x, y, width, height];
+    }
+
+    enable(capability) {
+        this.record("enable", arguments);
+        this.enabledCapabilities.add(capability);
+    }
+
+    disable(capability) {
+        this.record("disable", arguments);
+        this.enabledCapabilities.delete(capability);
+    }
+
+    isEnabled(capability) {
+        this.record("isEnabled", arguments);
+        return this.enabledCapabilities.has(capability);
+    }
+
+    depthFunc(func) {
+        this.record("depthFunc", arguments);
+        this.depthFuncState = func;
+    }
+
+    depthMask(flag) {
+        this.record("depthMask", arguments);
+        this.depthMaskState = !!flag;
+    }
+
+    createProgram() {
+        this.record("createProgram", arguments);
+        return this.createObject("program");
+    }
+
+    createRenderbuffer() {
+        this.record("createRenderbuffer", arguments);
+        return this.createObject("renderbuffer");
+    }
+
+    createShader(type) {
+        this.record("createShader", arguments);
+        let shader = this.createObject("shader");
+        shader.type = type;
+        return shader;
+    }
+
+    createTexture() {
+        this.record("createTexture", arguments);
+        return this.createObject("texture");
+    }
+
+    shaderSource(shader, source) {
+        this.record("shaderSource", arguments);
+        shader.source = source;
+    }
+
+    getShaderSource(shader) {
+        this.record("getShaderSource", arguments);
+        return shader.source || null;
+    }
+
+    getShaderParameter(shader, pname) {
+        this.record("getShaderParameter", arguments);
+        if (pname == this.COMPILE_STATUS) {
+            return this.shaderCompileStatus;
+        } else if (pname == this.SHADER_TYPE) {
+            return shader.type;
+        }
+        return null;
+    }
+
+    getShaderInfoLog(shader) {
+        this.record("getShaderInfoLog", arguments);
+        return this.shaderInfoLog;
+    }
+
+    getProgramParameter(program, pname) {
+        this.record("getProgramParameter", arguments);
+        if (pname == this.LINK_STATUS) {
+            return this.programLinkStatus;
+        } else if (pname == this.ACTIVE_UNIFORMS) {
+            return this.activeUniforms.length;
+        } else if (pname == this.ACTIVE_ATTRIBUTES) {
+            return this.activeAttributes.length;
+        }
+        return null;
+    }
+
+    getActiveUniform(program, index) {
+        this.record("getActiveUniform", arguments);
+        return this.activeUniforms[index] || null;
+    }
+
+    getActiveAttrib(program, index) {
+        this.record("getActiveAttrib", arguments);
+        return this.activeAttributes[index] || null;
+    }
+
+    getProgramInfoLog(program) {
+        this.record("getProgramInfoLog", arguments);
+        return this.programInfoLog;
+    }
+
+    getUniformLocation(program, name) {
+        this.record("getUniformLocation", arguments);
+        return { mockType: "uniformLocation", program: program, name: name };
+    }
+
+    getAttribLocation(program, name) {
+        this.record("getAttribLocation", arguments);
+        for (let i = 0; i < this.activeAttributes.length; i++) {
+            if (this.activeAttributes[i].name == name) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    getExtension(name) {
+        this.record("getExtension", arguments);
+        if (this.supportedExtensions.indexOf(name) < 0) {
+            return null;
+        }
+        if (!this.extensions.hasOwnProperty(name)) {
+            this.extensions[name] = this.createExtension(name);
+        }
+        return this.extensions[name];
+    }
+
+    /**
+     * Creates a fake extension object whose methods are recorded on this context.
+     * create* methods hand back new object handles.
+     * @param {string} name Extension name.
+     * @return {object} The extension.
+     */
+    createExtension(name) {
+        let ext = Object.assign({ mockType: "extension", name: name }, MOCK_GL_EXTENSION_CONSTANTS[name]);
+        let methods = MOCK_GL_EXTENSION_METHODS[name] || [];
+        let context = this;
+
+        for (let i = 0; i < methods.length; i++) {
+            let method = methods[i];
+            ext[method] = function() {
+                context.record(method, arguments);
+                if (method.startsWith("create")) {
+                    return context.createObject(method.substring(6));
+                }
+            };
+        }
+        return ext;
+    }
+
+    getSupportedExtensions() {
+        return this.supportedExtensions.slice();
+    }
+
+    getParameter(pname) {
+        this.record("getParameter", arguments);
+        if (pname == this.VIEWPORT) {
+            return new Int32Array(this.viewportState);
+        } else if (pname == this.FRAMEBUFFER_BINDING) {
+            return this.boundFramebuffer;
+        } else if (pname == this.DEPTH_FUNC) {
+            return this.depthFuncState;
+        } else if (pname == this.DEPTH_WRITEMASK) {
+            return this.depthMaskState;
+        } else if (pname == 0x8CDF || pname == 0x8824) {
+            /* MAX_COLOR_ATTACHMENTS and MAX_DRAW_BUFFERS */
+            return 4;
+        } else if (pname == 0x84FF) {
+            /* MAX_TEXTURE_MAX_ANISOTROPY_EXT */
+            return 16;
+        } else if (pname == this.MAX_TEXTURE_SIZE || pname == this.MAX_CUBE_MAP_TEXTURE_SIZE) {
+            return 4096;
+        } else if (pname == this.MAX_VERTEX_ATTRIBS || pname == this.MAX_TEXTURE_IMAGE_UNITS) {
+            return 16;
+        } else if (pname == this.MAX_COMBINED_TEXTURE_IMAGE_UNITS) {
+            return 32;
+        }
+        return null;
+    }
+
+    getError() {
+        return this.NO_ERROR;
+    }
+
+    isContextLost() {
+        return this.contextLost;
+    }
+
+    /**
+     * Simulates losing the context, firing webglcontextlost on the canvas.
+     * Enabled extensions are forgotten, as they are on a real context.
+     */
+    loseContext() {
+        this.contextLost = true;
+        this.extensions = {};
+        this.canvas.dispatchEvent({ type: "webglcontextlost", preventDefault() {} });
+    }
+
+    /**
+     * Simulates the context coming back, firing webglcontextrestored on the canvas.
+     */
+    restoreContext() {
+        this.contextLost = false;
+        this.canvas.dispatchEvent({ type: "webglcontextrestored" });
+    }
+
+    checkFramebufferStatus(target) {
+        this.record("checkFramebufferStatus", arguments);
+        return this.framebufferStatus;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * @file Rays for picking, with box and triangle intersection tests.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * A half-line starting at an origin.  Points on the ray are origin + t * direction
+ * for t >= 0, so with a unit direction t is the distance from the origin.
+ */
+class Ray {
+    /**
+     * @param {vec3} origin Start of the ray.
+     * @param {vec3} direction Direction of the ray, normalized by the constructor.
+     */
+    constructor(origin, direction) {
+        this.origin = vec3.clone(origin);
+        this.direction = vec3.create();
+        vec3.normalize(this.direction, direction);
+    }
+
+    /**
+     * Returns the point at a distance along the ray.
+     * @param {number} t Ray parameter.
+     * @param {vec3} out Optional vector to store the result in.
+     * @return {vec3} The point.
+     */
+    at(t, out) {
+        out = out || vec3.create();
+        return vec3.scaleAndAdd(out, this.origin, this.direction, t);
+    }
+
+    /**
+     * Transforms the ray, ex: into the space of a model to test it against
+     * the model's mesh.  The direction is not renormalized, so parameters
+     * along the transformed ray match those along the original one.
+     * @param {mat4} matrix Transform to apply.
+     * @return {Ray} The transformed ray.
+     */
+    transform(matrix) {
+        let ray = new Ray(this.origin, this.direction);
+        vec3.transformMat4(ray.origin, this.origin, matrix);
+
+        let linear = mat3.create();
+        mat3.fromMat4(linear, matrix);
+        vec3.transformMat3(ray.direction, this.direction, linear);
+        return ray;
+    }
+
+    /**
+     * Intersects the ray with an axis-aligned box.
+     * @param {object} aabb Box as {min, max}, ex: from Mesh.getAABB().
+     * @return {number} Ray parameter where the ray enters the box, 0 if it
+     * starts inside, or null if it misses.
+     */
+    intersectAABB(aabb) {
+        let near = 0, far = Infinity;
+        for (let i = 0; i < 3; i++) {
+            let inverse = 1.0 / this.direction[i];
+            let t0 = (aabb.min[i] - this.origin[i]) * inverse;
+            let t1 = (aabb.max[i] - this.origin[i]) * inverse;
+            if (t0 > t1) {
+                let swap = t0;
+                t0 = t1;
+                t1 = swap;
+            }
+
+            /* NaN from 0 * Infinity means the ray lies in a slab plane, which counts as inside */
+            if (t0 > near) {
+                near = t0;
+            }
+            if (t1 < far) {
+                far = t1;
+            }
+            if (near > far) {
+                return null;
+            }
+        }
+        return near;
+    }
+
+    /**
+     * Whether the ray hits an axis-aligned box.
+     * @param {object} aabb Box as {min, max}.
+     * @return {boolean} True if the ray hits or starts inside the box.
+     */
+    intersectsAABB(aabb) {
+        return this.intersectAABB(aabb) !== null;
+    }
+
+    /**
+     * Intersects the ray with a triangle (Möller-Trumbore).
+     * @param {vec3} a First corner.
+     * @param {vec3} b Second corner.
+     * @param {vec3} c Third corner.
+     * @param {boolean} cullBackFaces Whether to ignore triangles wound clockwise
+     * as seen from the ray's origin.
+     * @return {object} {t, u, v}, the ray parameter and the weights of b and c
+     * at the hit point, or null if the ray misses.
+     */
+    intersectTriangle(a, b, c, cullBackFaces) {
+        return intersectRayTriangle(this.origin, this.direction,
+                                    a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2],
+                                    cullBackFaces);
+    }
+}
+
+/**
+ * Ray/triangle test on raw coordinates, shared by Ray and MeshBVH.  The
+ * corners are passed as nine numbers, ax to cz, to avoid allocating vectors
+ * for every triangle tested.
+ * @param {vec3} origin Ray origin.
+ * @param {vec3} direction Ray direction.
+ * @param {boolean} cullBackFaces Whether to ignore back facing triangles.
+ * @return {object} {t, u, v}, or null if the ray misses.
+ */
+function intersectRayTriangle(origin, direction, ax, ay, az, bx, by, bz, cx, cy, cz, cullBackFaces) {
+    let e1x = bx - ax, e1y = by - ay, e1z = bz - az;
+    let e2x = cx - ax, e2y = cy - ay, e2z = cz - az;
+    let dx = direction[0], dy = direction[1], dz = direction[2];
+
+    /* p = direction x e2 */
+    let px = dy * e2z - dz * e2y;
+    let py = dz * e2x - dx * e2z;
+    let pz = dx * e2y - dy * e2x;
+    let det = e1x * px + e1y * py + e1z * pz;
+    if (cullBackFaces ? det < 1e-18 : Math.abs(det) < 1e-18) {
+        return null;
+    }
+    let inverseDet = 1.0 / det;
+
+    let sx = origin[0] - ax, sy = origin[1] - ay, sz = origin[2] - az;
+    let u = (sx * px + sy * py + sz * pz) * inverseDet;
+    if (u < 0 || u > 1) {
+        return null;
+    }
+
+    /* q = s x e1 */
+    let qx = sy * e1z - sz * e1y;
+    let qy = sz * e1x - sx * e1z;
+    let qz = sx * e1y - sy * e1x;
+    let v = (dx * qx + dy * qy + dz * qz) * inverseDet;
+    if (v < 0 || u + v > 1) {
+        return null;
+    }
+
+    let t = (e2x * qx + e2y * qy + e2z * qz) * inverseDet;
+    if (t < 0) {
+        return null;
+    }
+    return { t: t, u: u, v: v };
+}
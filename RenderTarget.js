@@ -0,0 +1,459 @@
+/**
+ * @file Off-screen render targets: a framebuffer with texture attachments.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** Names of the framebuffer status codes, for error messages */
+const FRAMEBUFFER_STATUS_NAMES = [
+    "FRAMEBUFFER_INCOMPLETE_ATTACHMENT",
+    "FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT",
+    "FRAMEBUFFER_INCOMPLETE_DIMENSIONS",
+    "FRAMEBUFFER_UNSUPPORTED",
+    "FRAMEBUFFER_INCOMPLETE_MULTISAMPLE"
+];
+
+/** Thrown when a render target's framebuffer can't be used. */
+class FramebufferError extends Error {
+    /**
+     * @param {string} message Description of the problem.
+     * @param {number} status Status returned by checkFramebufferStatus, if any.
+     * @param {string} statusName Name of the status enum, if known.
+     */
+    constructor(message, status, statusName) {
+        super(message);
+        this.name = "FramebufferError";
+        this.status = status;
+        this.statusName = statusName || null;
+    }
+}
+
+/**
+ * A framebuffer rendering into one or more color textures, with an optional
+ * depth and/or stencil attachment.  The color attachments (and the depth
+ * attachment, when made as a texture) are Textures that can be bound for
+ * sampling in a later pass.
+ */
+class RenderTarget {
+    /**
+     * @param {number} width Width in pixels.
+     * @param {number} height Height in pixels.
+     * @param {object} options Optional settings:
+     * color, the number of color attachments or a list of their settings
+     * {format, type, internalFormat, filter, wrap} (GL enum names, defaulting
+     * to RGBA, UNSIGNED_BYTE, LINEAR and CLAMP_TO_EDGE), defaults to 1;
+     * depth, whether to add a depth attachment, defaults to true;
+     * stencil, whether to add a stencil attachment, defaults to false;
+     * depthTexture, whether to make the depth attachment a Texture that can be
+     * sampled, ex: for shadow maps, instead of a renderbuffer.
+     * @param {WebGLRenderingContext} context Context to create the target in, defaults to the global gl.
+     * @throws {FramebufferError} If the attachments aren't supported together.
+     * @throws {Error} If a format or type is unknown or needs a missing extension.
+     */
+    constructor(width, height, options, context) {
+        this.gl = resolveContext(context);
+        options = options || {};
+
+        this.width = width;
+        this.height = height;
+        this.depth = (options.depth === undefined ? true : !!options.depth);
+        this.stencil = !!options.stencil;
+        this.useDepthTexture = !!options.depthTexture;
+
+        let color = (options.color === undefined ? 1 : options.color);
+        if (typeof color == "number") {
+            color = new Array(color).fill({});
+        }
+        this.colorSettings = color.map((settings) => this.resolveColorSettings(settings));
+
+        this.framebuffer = null;
+        this.colorTextures = [];
+        this.depthTexture = null;
+        this.depthRenderbuffer = null;
+
+        /* Framebuffer and viewport to go back to on unbind() */
+        this.previousFramebuffer = null;
+        this.previousViewport = null;
+
+        this.create();
+        ResourceTracker.forContext(this.gl).track(this);
+    }
+
+    /**
+     * Fills in the defaults of a color attachment's settings and turns their
+     * enum names into values.
+     * @param {object} settings Settings as given to the constructor.
+     * @return {object} {format, type, internalFormat, filter, wrap} as GL enums,
+     * plus typeName and formatName.
+     */
+    resolveColorSettings(settings) {
+        let gl = this.gl;
+        let format = settings.format || "RGBA";
+        let type = settings.type || "UNSIGNED_BYTE";
+
+        let resolved = {
+            format: gl[format],
+            type: resolveTextureType(gl, type),
+            internalFormat: resolveInternalFormat(gl, format, type, settings.internalFormat),
+            filter: gl[settings.filter || "LINEAR"],
+            wrap: gl[settings.wrap || "CLAMP_TO_EDGE"],
+            typeName: type,
+            formatName: format
+        };
+        for (let key in resolved) {
+            if (resolved[key] === undefined) {
+                throw new FramebufferError("Unknown render target " + key + " " + settings[key]);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Creates the framebuffer and its attachments.
+     * @throws {FramebufferError} If the framebuffer is incomplete.
+     */
+    create() {
+        let gl = this.gl;
+        let webgl2 = isWebGL2(gl);
+        let previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+
+        let tracker = ResourceTracker.forContext(gl);
+        let attachments = [];
+        for (let i = 0; i < this.colorSettings.length; i++) {
+            let settings = this.colorSettings[i];
+
+            /* Textures are kept when restoring, so references handed out stay valid */
+            let texture = this.colorTextures[i];
+            if (texture == null) {
+                texture = new Texture(gl);
+                texture.textureType = gl.TEXTURE_2D;
+                texture.format = settings.format;
+                texture.internalFormat = settings.internalFormat;
+                texture.type = settings.type;
+                texture.options.format = settings.formatName;
+                texture.options.type = settings.typeName;
+                texture.options.mipmaps = false;
+                this.colorTextures.push(texture);
+
+                /* The attachments are accounted for and restored as part of the render target */
+                tracker.untrack(texture);
+            }
+
+            gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, settings.filter);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, settings.filter);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, settings.wrap);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, settings.wrap);
+
+            let attachment = gl.COLOR_ATTACHMENT0 + i;
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, attachment, gl.TEXTURE_2D, texture.texture, 0);
+            attachments.push(attachment);
+        }
+
+        if (attachments.length > 1) {
+            let drawBuffers = getDrawBuffersFunction(gl);
+            if (drawBuffers == null) {
+                this.dispose();
+                gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+                throw new FramebufferError("Multiple color attachments need WebGL2 or WEBGL_draw_buffers");
+            }
+            drawBuffers(attachments);
+        }
+
+        if (this.depth || this.stencil) {
+            if (this.useDepthTexture) {
+                if (!webgl2 && gl.getExtension("WEBGL_depth_texture") == null) {
+                    this.dispose();
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+                    throw new FramebufferError("Depth textures need WebGL2 or WEBGL_depth_texture");
+                }
+                if (this.depthTexture == null) {
+                    this.depthTexture = new Texture(gl);
+                    this.depthTexture.textureType = gl.TEXTURE_2D;
+                    this.depthTexture.options.format = (this.stencil ? "DEPTH_STENCIL" : "DEPTH_COMPONENT");
+                    this.depthTexture.options.type = (this.stencil ? "UNSIGNED_INT_24_8" : "UNSIGNED_INT");
+                    this.depthTexture.options.mipmaps = false;
+                    tracker.untrack(this.depthTexture);
+                }
+                gl.bindTexture(gl.TEXTURE_2D, this.depthTexture.texture);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, this.getDepthAttachment(), gl.TEXTURE_2D,
+                                        this.depthTexture.texture, 0);
+            } else {
+                this.depthRenderbuffer = gl.createRenderbuffer();
+                gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthRenderbuffer);
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, this.getDepthAttachment(), gl.RENDERBUFFER,
+                                           this.depthRenderbuffer);
+            }
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+
+        try {
+            this.allocate();
+        } catch (e) {
+            this.dispose();
+            throw e;
+        }
+    }
+
+    /**
+     * Returns the framebuffer attachment point of the depth/stencil attachment.
+     * @return {GLEnum} The attachment point.
+     */
+    getDepthAttachment() {
+        let gl = this.gl;
+        if (this.depth && this.stencil) {
+            return gl.DEPTH_STENCIL_ATTACHMENT;
+        }
+        return (this.stencil ? gl.STENCIL_ATTACHMENT : gl.DEPTH_ATTACHMENT);
+    }
+
+    /**
+     * Allocates storage for every attachment at the current size and checks
+     * that the framebuffer is complete.
+     * @throws {FramebufferError} If the framebuffer is incomplete.
+     */
+    allocate() {
+        let gl = this.gl;
+        let webgl2 = isWebGL2(gl);
+
+        for (let i = 0; i < this.colorTextures.length; i++) {
+            let settings = this.colorSettings[i];
+            let texture = this.colorTextures[i];
+            gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, settings.internalFormat, this.width, this.height, 0,
+                          settings.format, settings.type, null);
+            texture.width = this.width;
+            texture.height = this.height;
+        }
+
+        if (this.depthTexture != null) {
+            let internalFormat, format, type;
+            if (this.stencil) {
+                format = gl.DEPTH_STENCIL;
+                internalFormat = (webgl2 ? gl.DEPTH24_STENCIL8 : format);
+                type = (webgl2 ? gl.UNSIGNED_INT_24_8 : gl.getExtension("WEBGL_depth_texture").UNSIGNED_INT_24_8_WEBGL);
+            } else {
+                format = gl.DEPTH_COMPONENT;
+                internalFormat = (webgl2 ? gl.DEPTH_COMPONENT24 : format);
+                type = gl.UNSIGNED_INT;
+            }
+            gl.bindTexture(gl.TEXTURE_2D, this.depthTexture.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, this.width, this.height, 0, format, type, null);
+            this.depthTexture.width = this.width;
+            this.depthTexture.height = this.height;
+        } else if (this.depthRenderbuffer != null) {
+            let storage;
+            if (this.depth && this.stencil) {
+                storage = (webgl2 ? gl.DEPTH24_STENCIL8 : gl.DEPTH_STENCIL);
+            } else if (this.stencil) {
+                storage = gl.STENCIL_INDEX8;
+            } else {
+                storage = (webgl2 ? gl.DEPTH_COMPONENT24 : gl.DEPTH_COMPONENT16);
+            }
+            gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthRenderbuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, storage, this.width, this.height);
+        }
+
+        this.checkStatus();
+    }
+
+    /**
+     * Checks that the framebuffer can be rendered to.
+     * @throws {FramebufferError} Naming the reason if the framebuffer is incomplete.
+     */
+    checkStatus() {
+        let gl = this.gl;
+        let previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        let status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+
+        if (status == gl.FRAMEBUFFER_COMPLETE) {
+            return;
+        }
+
+        let statusName = FRAMEBUFFER_STATUS_NAMES.find((name) => gl[name] !== undefined && gl[name] == status) ||
+                         "0x" + status.toString(16);
+        let attachments = this.colorSettings.map((settings) => settings.typeName).join(", ");
+        throw new FramebufferError("Render target framebuffer is incomplete (" + statusName + ") at " +
+                                   this.width + "x" + this.height + " with color attachments [" + attachments + "]" +
+                                   (this.depth || this.stencil ? " and a depth/stencil attachment" : ""),
+                                   status, statusName);
+    }
+
+    /**
+     * Returns a color attachment.
+     * @param {number} index Attachment index, defaults to 0.
+     * @return {Texture} The attachment's texture.
+     */
+    getTexture(index) {
+        return this.colorTextures[index || 0];
+    }
+
+    /**
+     * Changes the size of the target, reallocating the attachments.  Their
+     * Texture objects stay the same, but their contents are lost.
+     * @param {number} width New width in pixels.
+     * @param {number} height New height in pixels.
+     * @throws {FramebufferError} If the framebuffer is incomplete at the new size.
+     */
+    resize(width, height) {
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
+        if (width == this.width && height == this.height) {
+            return;
+        }
+        this.width = width;
+        this.height = height;
+        this.allocate();
+
+        if (this.previousViewport != null) {
+            this.gl.viewport(0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * Directs rendering into the target and sets the viewport to cover it.
+     * The framebuffer and viewport in use before are restored by unbind().
+     */
+    bind() {
+        let gl = this.gl;
+        if (this.previousViewport == null) {
+            this.previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+            this.previousViewport = gl.getParameter(gl.VIEWPORT);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Goes back to the framebuffer and viewport in use before bind().
+     */
+    unbind() {
+        let gl = this.gl;
+        if (this.previousViewport == null) {
+            return;
+        }
+        let viewport = this.previousViewport;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.previousFramebuffer);
+        gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+        this.previousFramebuffer = null;
+        this.previousViewport = null;
+    }
+
+    /**
+     * Reads pixels back from a color attachment.  Byte attachments are read
+     * as RGBA bytes, float attachments as RGBA floats.
+     * @param {number} x Left edge of the area to read, defaults to 0.
+     * @param {number} y Bottom edge of the area to read, defaults to 0.
+     * @param {number} width Width of the area, defaults to the whole target.
+     * @param {number} height Height of the area, defaults to the whole target.
+     * @param {ArrayBufferView} out Optional array to read into, of 4 * width * height entries.
+     * @param {number} attachment Color attachment to read, defaults to 0.
+     * @return {ArrayBufferView} The pixels, rows from bottom to top.
+     */
+    readPixels(x, y, width, height, out, attachment) {
+        let gl = this.gl;
+        x = x || 0;
+        y = y || 0;
+        width = (width === undefined ? this.width - x : width);
+        height = (height === undefined ? this.height - y : height);
+        attachment = attachment || 0;
+
+        if (attachment >= this.colorTextures.length) {
+            throw new RangeError("Render target has no color attachment " + attachment);
+        }
+        let webgl2 = isWebGL2(gl);
+        if (attachment > 0 && !webgl2) {
+            throw new FramebufferError("Reading color attachments other than 0 needs WebGL2");
+        }
+
+        let typeName = this.colorSettings[attachment].typeName;
+        let isFloat = (typeName == "FLOAT" || typeName == "HALF_FLOAT");
+        if (!out) {
+            out = (isFloat ? new Float32Array(4 * width * height) : new Uint8Array(4 * width * height));
+        }
+
+        let previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        if (webgl2) {
+            gl.readBuffer(gl.COLOR_ATTACHMENT0 + attachment);
+        }
+        gl.readPixels(x, y, width, height, gl.RGBA, (isFloat ? gl.FLOAT : gl.UNSIGNED_BYTE), out);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+        return out;
+    }
+
+    /**
+     * Estimates the GPU memory used by the attachments.
+     * @return {number} Size in bytes.
+     */
+    getByteSize() {
+        let bytes = 0;
+        for (let i = 0; i < this.colorTextures.length; i++) {
+            bytes += this.colorTextures[i].getByteSize();
+        }
+        if (this.depthTexture != null) {
+            bytes += this.depthTexture.getByteSize();
+        } else if (this.depthRenderbuffer != null) {
+            /* Depth and stencil renderbuffers are taken as 4 bytes per pixel, as most drivers store them */
+            bytes += this.width * this.height * 4;
+        }
+        return bytes;
+    }
+
+    /**
+     * Deletes the framebuffer and its attachments.
+     */
+    dispose() {
+        let gl = this.gl;
+        if (this.framebuffer != null) {
+            gl.deleteFramebuffer(this.framebuffer);
+            this.framebuffer = null;
+        }
+        for (let i = 0; i < this.colorTextures.length; i++) {
+            this.colorTextures[i].dispose();
+        }
+        this.colorTextures = [];
+        if (this.depthTexture != null) {
+            this.depthTexture.dispose();
+            this.depthTexture = null;
+        }
+        if (this.depthRenderbuffer != null) {
+            gl.deleteRenderbuffer(this.depthRenderbuffer);
+            this.depthRenderbuffer = null;
+        }
+        ResourceTracker.forContext(gl).untrack(this);
+    }
+
+    /**
+     * Re-creates the framebuffer and attachments after the context was
+     * restored.  The attachment Textures are kept with new GL textures, and
+     * their contents are lost until rendered again.
+     */
+    restore() {
+        let gl = this.gl;
+        this.framebuffer = null;
+        this.depthRenderbuffer = null;
+        for (let i = 0; i < this.colorTextures.length; i++) {
+            this.colorTextures[i].texture = gl.createTexture();
+        }
+        if (this.depthTexture != null) {
+            this.depthTexture.texture = gl.createTexture();
+        }
+
+        /* Enables the extensions the attachment types need again */
+        this.colorSettings.forEach((settings) => resolveTextureType(gl, settings.typeName));
+        this.create();
+    }
+}
+
+/** Type the render target is counted under by ResourceTracker.getStats() */
+RenderTarget.resourceType = "renderTarget";
@@ -0,0 +1,167 @@
+/**
+ * @file Bookkeeping of the GPU resources made in a context, and their
+ * re-creation after the context is lost.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** Tracker of each context, see ResourceTracker.forContext() */
+const RESOURCE_TRACKERS = new WeakMap();
+
+/**
+ * Keeps the live GPU resources of one context: meshes, textures, shaders and
+ * render targets register themselves when made and unregister when disposed.
+ * Tracked resources implement getByteSize(), dispose() and restore(), the
+ * last re-creating their GL objects from the CPU-side data they keep.
+ *
+ * The tracker listens to the context's canvas, so after webglcontextlost /
+ * webglcontextrestored every live resource is re-created automatically.
+ *
+ * Resources are held strongly until they are disposed, so that they can be
+ * restored: dropping the last reference to a resource does not free it, its
+ * GL objects or the CPU-side data it keeps.  Callers must call dispose() on
+ * every resource they are done with.
+ */
+class ResourceTracker {
+    /**
+     * @param {WebGLRenderingContext} gl Context whose resources to track.
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        /* Live resources, kept until untracked by their dispose() */
+        this.resources = new Set();
+        this.contextLost = false;
+
+        /* Optional callbacks run after the context is lost and after every resource is restored */
+        this.onContextLost = null;
+        this.onContextRestored = null;
+
+        this.canvas = null;
+        this.lostListener = (event) => this.handleContextLost(event);
+        this.restoredListener = (event) => this.handleContextRestored(event);
+        if (gl.canvas && typeof gl.canvas.addEventListener == "function") {
+            this.listen(gl.canvas);
+        }
+    }
+
+    /**
+     * Returns the tracker of a context, making it on first use.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @return {ResourceTracker} The tracker, or null without a context.
+     */
+    static forContext(context) {
+        let gl = resolveContext(context);
+        if (gl == null) {
+            return null;
+        }
+        let tracker = RESOURCE_TRACKERS.get(gl);
+        if (tracker === undefined) {
+            tracker = new ResourceTracker(gl);
+            RESOURCE_TRACKERS.set(gl, tracker);
+        }
+        return tracker;
+    }
+
+    /**
+     * Starts tracking a resource.  The tracker keeps a reference to it until
+     * untrack(), so the resource stays alive until it is disposed.
+     * @param {object} resource Mesh, Texture, Shader or RenderTarget.
+     */
+    track(resource) {
+        this.resources.add(resource);
+    }
+
+    /**
+     * Stops tracking a resource, ex: once it is disposed.
+     * @param {object} resource The resource.
+     */
+    untrack(resource) {
+        this.resources.delete(resource);
+    }
+
+    /**
+     * Counts the live resources and their estimated GPU memory.
+     * @return {object} {count, bytes} for each resource type, ex: "mesh",
+     * "texture", "shader", "renderTarget", and for all of them under total.
+     */
+    getStats() {
+        let stats = { total: { count: 0, bytes: 0 } };
+        this.resources.forEach((resource) => {
+            let type = resource.constructor.resourceType || resource.constructor.name;
+            if (!stats.hasOwnProperty(type)) {
+                stats[type] = { count: 0, bytes: 0 };
+            }
+            let bytes = resource.getByteSize();
+            stats[type].count++;
+            stats[type].bytes += bytes;
+            stats.total.count++;
+            stats.total.bytes += bytes;
+        });
+        return stats;
+    }
+
+    /**
+     * Listens for the context being lost and restored.  Done automatically
+     * for the context's own canvas.
+     * @param {HTMLCanvasElement} canvas Canvas the context belongs to.
+     */
+    listen(canvas) {
+        this.stopListening();
+        this.canvas = canvas;
+        canvas.addEventListener("webglcontextlost", this.lostListener, false);
+        canvas.addEventListener("webglcontextrestored", this.restoredListener, false);
+    }
+
+    /**
+     * Stops listening to the canvas.
+     */
+    stopListening() {
+        if (this.canvas != null) {
+            this.canvas.removeEventListener("webglcontextlost", this.lostListener, false);
+            this.canvas.removeEventListener("webglcontextrestored", this.restoredListener, false);
+            this.canvas = null;
+        }
+    }
+
+    /**
+     * Whether the context is currently lost.
+     * @return {boolean} True between webglcontextlost and webglcontextrestored.
+     */
+    isContextLost() {
+        return this.contextLost || (typeof this.gl.isContextLost == "function" && this.gl.isContextLost());
+    }
+
+    /**
+     * Handles the context being lost.  The default action is prevented, as
+     * otherwise the browser never restores the context.
+     * @param {Event} event The webglcontextlost event.
+     */
+    handleContextLost(event) {
+        if (event && typeof event.preventDefault == "function") {
+            event.preventDefault();
+        }
+        this.contextLost = true;
+        if (this.onContextLost) {
+            this.onContextLost(event);
+        }
+    }
+
+    /**
+     * Handles the context being restored by re-creating every live resource.
+     * Resources are restored in the order they were made.
+     * @param {Event} event The webglcontextrestored event.
+     */
+    handleContextRestored(event) {
+        this.contextLost = false;
+        let resources = Array.from(this.resources);
+        for (let i = 0; i < resources.length; i++) {
+            /* Restoring one resource may dispose of another */
+            if (this.resources.has(resources[i])) {
+                resources[i].restore();
+            }
+        }
+        if (this.onContextRestored) {
+            this.onContextRestored(event);
+        }
+    }
+}
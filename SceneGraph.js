@@ -0,0 +1,413 @@
+/**
+ * @file Scene graph of nodes with hierarchical transforms, and a pass to render it.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Node of a scene graph.  Each node has a transform relative to its parent
+ * and optionally a mesh and material to draw with that transform.
+ *
+ * The position, rotation and scale can be changed through the setter
+ * methods.  If they are modified in place instead, call markDirty() so
+ * the cached matrices get rebuilt.
+ */
+class SceneNode {
+    /**
+     * @param {string} name Name of the node, used by find().
+     * @param {Mesh} mesh Optional mesh to draw at this node.
+     * @param {object} material Optional material to draw the mesh with.
+     */
+    constructor(name, mesh, material) {
+        this.name = name || "";
+        this.mesh = mesh || null;
+        this.material = material || null;
+        this.visible = true;
+
+        this.parent = null;
+        this.children = [];
+
+        this.position = vec3.create();
+        this.rotation = quat.create();
+        this.scale = vec3.fromValues(1.0, 1.0, 1.0);
+
+        this.localMatrix = mat4.create();
+        this.worldMatrix = mat4.create();
+        this.localDirty = false;
+        this.worldDirty = false;
+    }
+
+    /**
+     * Flags the local matrix, and with it the world matrices of this
+     * node and all of its descendants, as needing to be rebuilt.
+     */
+    markDirty() {
+        this.localDirty = true;
+        this.markWorldDirty();
+    }
+
+    /**
+     * Flags the world matrices of this node and its descendants as needing to be rebuilt.
+     */
+    markWorldDirty() {
+        if (this.worldDirty) {
+            /* Descendants of a dirty node are already dirty */
+            return;
+        }
+        this.worldDirty = true;
+        for (let i = 0; i < this.children.length; i++) {
+            this.children[i].markWorldDirty();
+        }
+    }
+
+    /**
+     * Set the position relative to the parent.
+     * @param {number} x New x position.
+     * @param {number} y New y position.
+     * @param {number} z New z position.
+     */
+    setPosition(x, y, z) {
+        vec3.set(this.position, x, y, z);
+        this.markDirty();
+    }
+
+    /**
+     * Translate relative to the parent.
+     * @param {number} x Units to translate on the x axis.
+     * @param {number} y Units to translate on the y axis.
+     * @param {number} z Units to translate on the z axis.
+     */
+    translate(x, y, z) {
+        vec3.add(this.position, this.position, vec3.fromValues(x, y, z));
+        this.markDirty();
+    }
+
+    /**
+     * Set the rotation relative to the parent.
+     * @param {quat} rotation New rotation.
+     */
+    setRotation(rotation) {
+        quat.copy(this.rotation, rotation);
+        this.markDirty();
+    }
+
+    /**
+     * Rotate the node on its local X axis.
+     * @param {number} degrees Angle to rotate by.
+     */
+    rotateX(degrees) {
+        quat.rotateX(this.rotation, this.rotation, degToRad(degrees));
+        this.markDirty();
+    }
+
+    /**
+     * Rotate the node on its local Y axis.
+     * @param {number} degrees Angle to rotate by.
+     */
+    rotateY(degrees) {
+        quat.rotateY(this.rotation, this.rotation, degToRad(degrees));
+        this.markDirty();
+    }
+
+    /**
+     * Rotate the node on its local Z axis.
+     * @param {number} degrees Angle to rotate by.
+     */
+    rotateZ(degrees) {
+        quat.rotateZ(this.rotation, this.rotation, degToRad(degrees));
+        this.markDirty();
+    }
+
+    /**
+     * Set the scale relative to the parent.
+     * @param {number} x Scale on the x axis.
+     * @param {number} y Scale on the y axis, defaults to x.
+     * @param {number} z Scale on the z axis, defaults to x.
+     */
+    setScale(x, y, z) {
+        vec3.set(this.scale, x, (y === undefined ? x : y), (z === undefined ? x : z));
+        this.markDirty();
+    }
+
+    /**
+     * Returns the transform relative to the parent.
+     * @return {mat4} The local matrix.  Don't modify it.
+     */
+    getLocalMatrix() {
+        if (this.localDirty) {
+            mat4.fromRotationTranslationScale(this.localMatrix, this.rotation, this.position, this.scale);
+            this.localDirty = false;
+        }
+        return this.localMatrix;
+    }
+
+    /**
+     * Returns the transform from this node's space to world space.
+     * @return {mat4} The world matrix.  Don't modify it.
+     */
+    getWorldMatrix() {
+        if (this.worldDirty) {
+            if (this.parent != null) {
+                mat4.multiply(this.worldMatrix, this.parent.getWorldMatrix(), this.getLocalMatrix());
+            } else {
+                mat4.copy(this.worldMatrix, this.getLocalMatrix());
+            }
+            this.worldDirty = false;
+        }
+        return this.worldMatrix;
+    }
+
+    /**
+     * Returns the position of the node in world space.
+     * @return {vec3} World position.
+     */
+    getWorldPosition() {
+        let position = vec3.create();
+        mat4.getTranslation(position, this.getWorldMatrix());
+        return position;
+    }
+
+    /**
+     * Adds a child node, removing it from its previous parent.
+     * @param {SceneNode} child The node to add.
+     * @return {SceneNode} The added child.
+     */
+    add(child) {
+        /* Refuse to create cycles */
+        for (let node = this; node != null; node = node.parent) {
+            if (node === child) {
+                throw new Error("Cannot add a node to its own subtree");
+            }
+        }
+
+        if (child.parent != null) {
+            child.parent.remove(child);
+        }
+
+        this.children.push(child);
+        child.parent = this;
+        child.markWorldDirty();
+        return child;
+    }
+
+    /**
+     * Removes a child node.
+     * @param {SceneNode} child The node to remove.
+     * @return {boolean} Whether the node was a child of this node.
+     */
+    remove(child) {
+        let index = this.children.indexOf(child);
+        if (index < 0) {
+            return false;
+        }
+
+        this.children.splice(index, 1);
+        child.parent = null;
+        child.markWorldDirty();
+        return true;
+    }
+
+    /**
+     * Moves this node under another parent.
+     * @param {SceneNode} parent New parent, or null to detach the node.
+     * @param {boolean} keepWorldTransform Whether to adjust the local transform so the
+     * node stays where it is in the world, instead of moving along with the new parent.
+     */
+    setParent(parent, keepWorldTransform) {
+        let world = mat4.clone(this.getWorldMatrix());
+
+        if (parent != null) {
+            parent.add(this);
+        } else if (this.parent != null) {
+            this.parent.remove(this);
+        }
+
+        if (keepWorldTransform) {
+            let local = mat4.create();
+            if (parent != null) {
+                mat4.invert(local, parent.getWorldMatrix());
+            }
+            mat4.multiply(local, local, world);
+
+            mat4.getTranslation(this.position, local);
+            mat4.getScaling(this.scale, local);
+
+            /* Divide the scale out of the basis vectors before extracting the rotation */
+            let basis = mat3.create();
+            mat3.fromMat4(basis, local);
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    basis[3 * i + j] /= this.scale[i];
+                }
+            }
+            quat.fromMat3(this.rotation, basis);
+            quat.normalize(this.rotation, this.rotation);
+            this.markDirty();
+        }
+    }
+
+    /**
+     * Visits this node and its descendants, parents before children.
+     * @param {function} callback Called with each node.  Returning false skips the node's children.
+     */
+    traverse(callback) {
+        if (callback(this) === false) {
+            return;
+        }
+        for (let i = 0; i < this.children.length; i++) {
+            this.children[i].traverse(callback);
+        }
+    }
+
+    /**
+     * Finds the first node with a given name in this subtree.
+     * @param {string} name Name to look for.
+     * @return {SceneNode} The node, or null if there is none.
+     */
+    find(name) {
+        if (this.name == name) {
+            return this;
+        }
+        for (let i = 0; i < this.children.length; i++) {
+            let found = this.children[i].find(name);
+            if (found != null) {
+                return found;
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * A scene graph, holding a root node and drawing the meshes attached to its nodes.
+ */
+class SceneGraph {
+    constructor() {
+        this.root = new SceneNode("root");
+
+        /* Skip meshes whose bounding box is outside the camera's view */
+        this.frustumCulling = true;
+
+        /* Lighting passed to the materials that bind themselves, see Material.bind() */
+        this.lights = [];
+        this.ambientLight = vec3.create();
+        this.environment = null;
+    }
+
+    /**
+     * Adds a node under the root.
+     * @param {SceneNode} node The node to add.
+     * @return {SceneNode} The added node.
+     */
+    add(node) {
+        return this.root.add(node);
+    }
+
+    /**
+     * Finds the first node with a given name.
+     * @param {string} name Name to look for.
+     * @return {SceneNode} The node, or null if there is none.
+     */
+    find(name) {
+        return this.root.find(name);
+    }
+
+    /**
+     * Visits every node, parents before children.
+     * @param {function} callback Called with each node.  Returning false skips the node's children.
+     */
+    traverse(callback) {
+        this.root.traverse(callback);
+    }
+
+    /**
+     * Draws every visible node that has a mesh.  For each node, the model,
+     * view and normal matrices are set on the shader (see SceneGraph.uniformNames),
+     * followed by the uniforms of the node's material, before drawing the mesh.
+     * Materials with a bind() method, see Material, set themselves up instead,
+     * with the scene's lights and environment, and leave their render state applied.
+     * @param {Camera} camera Camera to view the scene from.
+     * @param {Shader} shader Shader used for nodes whose material doesn't have its own.
+     * @param {mat4} projectionMatrix Optional projection matrix, also used for frustum culling,
+     * defaults to the camera's.
+     */
+    render(camera, shader, projectionMatrix) {
+        let names = SceneGraph.uniformNames;
+        let view = mat4.create();
+        camera.getViewMatrix(view);
+
+        if (!projectionMatrix) {
+            projectionMatrix = mat4.create();
+            camera.getProjectionMatrix(projectionMatrix);
+        }
+
+        /* Cull against the projection actually used, which may differ from the camera's own */
+        let planes = null;
+        if (this.frustumCulling) {
+            planes = camera.getFrustumPlanes(mat4.multiply(mat4.create(), projectionMatrix, view));
+        }
+
+        let modelView = mat4.create();
+        let normalMatrix = mat3.create();
+        let current = null;
+        let frame = {
+            view: view,
+            projection: projectionMatrix,
+            model: null,
+            lights: this.lights,
+            ambientLight: this.ambientLight,
+            environment: this.environment
+        };
+
+        this.root.traverse((node) => {
+            if (!node.visible) {
+                return false;
+            }
+            if (node.mesh == null) {
+                return true;
+            }
+
+            if (planes != null && !camera.containsAABB(node.mesh.getAABB(), node.getWorldMatrix(), planes)) {
+                return true;
+            }
+
+            let material = node.material || {};
+            if (typeof material.bind == "function") {
+                frame.model = node.getWorldMatrix();
+                current = material.bind(frame);
+                node.mesh.draw(current);
+                return true;
+            }
+
+            let nodeShader = material.shader || shader;
+            if (nodeShader !== current) {
+                nodeShader.use();
+                nodeShader[names.view] = view;
+                nodeShader[names.projection] = projectionMatrix;
+                current = nodeShader;
+            }
+
+            let model = node.getWorldMatrix();
+            mat4.multiply(modelView, view, model);
+            mat3.normalFromMat4(normalMatrix, modelView);
+
+            nodeShader[names.model] = model;
+            nodeShader[names.normal] = normalMatrix;
+
+            let uniforms = material.uniforms || {};
+            for (let name in uniforms) {
+                nodeShader[name] = uniforms[name];
+            }
+
+            node.mesh.draw(nodeShader);
+            return true;
+        });
+    }
+}
+
+/** Names of the shader uniforms the render pass sets */
+SceneGraph.uniformNames = {
+    model: "uModelMatrix",
+    view: "uViewMatrix",
+    projection: "uProjectionMatrix",
+    normal: "uNormalMatrix"
+};
@@ -21,13 +21,25 @@ function loadDOMScriptSource(elemName) {
     return source;
 }
 
+/**
+ * Fetches a text file.
+ * @param {string} url Url of the file.
+ * @return {promise} Promise to the text, rejected with an AssetLoadError if the request fails.
+ */
+function fetchText(url) {
+    return AssetLoader.shared.loadText(url, { cache: false });
+}
+
 /**
  * Compile a single shader program.
  * @param {String} source The shader source code.
  * @param {gl.VERTEX_SHADER | gl.FRAGMENT_SHADER} type The type of shader.
- * @return {Shader} A compiled shader program on success, null on failure.
+ * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+ * @return {Shader} A compiled shader program.
+ * @throws {ShaderCompileError} If the shader fails to compile.
  */
-function compileShader(source, type) {
+function compileShader(source, type, context) {
+    var gl = resolveContext(context);
     var shader = gl.createShader(type);
     gl.shaderSource(shader, source);
     gl.compileShader(shader);
@@ -47,59 +59,327 @@ function compileShader(source, type) {
             typeName = "unknown";
         }
         
-        alert("Failed to compile " + typeName + " shader!");
-        console.log("Error compiling shader: " + info);
-        return null;
+        gl.deleteShader(shader);
+
+        let error = new ShaderCompileError(typeName, source, info);
+        if (ShaderError.alertOnError) {
+            alert(error.message);
+        }
+        throw error;
     }
     return shader;
 }
 
 /**
- * Link two compiled shaders into a shader program.
+ * Link two compiled shaders into a shader program.  The shaders are
+ * deleted afterwards, whether linking succeeds or not.
  * @param {Shader} vertShader
  * @param {Shader} fragShader
- * @return {Shader Program} A linked shader program on success,
- * otherwise null on failure.
+ * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+ * @return {Shader Program} A linked shader program.
+ * @throws {ShaderLinkError} If the program fails to link.
  */
-function linkShaderProgram(vertShader, fragShader) {
+function linkShaderProgram(vertShader, fragShader, context) {
+    var gl = resolveContext(context);
     var program = gl.createProgram();
     gl.attachShader(program, vertShader);
     gl.attachShader(program, fragShader);
     gl.linkProgram(program);
 
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    let linked = gl.getProgramParameter(program, gl.LINK_STATUS);
+    let sources = null;
+    if (!linked) {
+        sources = {
+            vertex: gl.getShaderSource(vertShader),
+            fragment: gl.getShaderSource(fragShader)
+        };
+    }
+
+    /* The program keeps its own copy of the linked code */
+    gl.detachShader(program, vertShader);
+    gl.detachShader(program, fragShader);
+    gl.deleteShader(vertShader);
+    gl.deleteShader(fragShader);
+
+    if (!linked) {
         let info = gl.getProgramInfoLog(program);
-        alert("Failed to link shader!");
-        console.log("Error linking shader: " + info);
-        return null;
+        gl.deleteProgram(program);
+
+        let error = new ShaderLinkError(sources, info);
+        if (ShaderError.alertOnError) {
+            alert(error.message);
+        }
+        throw error;
     }
     return program;
 }
 
+/**
+ * Compile the output of the shader preprocessor, pointing any compile
+ * errors back at the original files.
+ * @param {object} processed {source, lineMap} returned by ShaderPreprocessor.
+ * @param {gl.VERTEX_SHADER | gl.FRAGMENT_SHADER} type The type of shader.
+ * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+ * @return {Shader} A compiled shader program.
+ * @throws {ShaderCompileError} If the shader fails to compile.
+ */
+function compilePreprocessedShader(processed, type, context) {
+    try {
+        return compileShader(processed.source, type, context);
+    } catch (error) {
+        if (error instanceof ShaderCompileError) {
+            error.setLineMap(processed.lineMap);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Compiles and links preprocessed vertex and fragment shaders into a program.
+ * @param {object} vert {source, lineMap} of the vertex shader.
+ * @param {object} frag {source, lineMap} of the fragment shader.
+ * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+ * @return {WebGLProgram} The linked program.
+ * @throws {ShaderCompileError|ShaderLinkError} If either step fails.
+ */
+function linkPreprocessedProgram(vert, frag, context) {
+    let gl = resolveContext(context);
+    let vertShader = compilePreprocessedShader(vert, gl.VERTEX_SHADER, gl);
+    let fragShader;
+    try {
+        fragShader = compilePreprocessedShader(frag, gl.FRAGMENT_SHADER, gl);
+    } catch (error) {
+        gl.deleteShader(vertShader);
+        throw error;
+    }
+    return linkShaderProgram(vertShader, fragShader, gl);
+}
+
+/**
+ * How each GLSL type is passed to WebGL, keyed by the name of its GL type enum.
+ * components is the number of values per element, setter the gl.uniform* function
+ * that sets it, and columns the number of attribute locations a matrix takes up.
+ */
+const SHADER_TYPES = {
+    FLOAT: { glsl: "float", components: 1, setter: "uniform1fv", columns: 1 },
+    FLOAT_VEC2: { glsl: "vec2", components: 2, setter: "uniform2fv", columns: 1 },
+    FLOAT_VEC3: { glsl: "vec3", components: 3, setter: "uniform3fv", columns: 1 },
+    FLOAT_VEC4: { glsl: "vec4", components: 4, setter: "uniform4fv", columns: 1 },
+    INT: { glsl: "int", components: 1, setter: "uniform1iv", columns: 1 },
+    INT_VEC2: { glsl: "ivec2", components: 2, setter: "uniform2iv", columns: 1 },
+    INT_VEC3: { glsl: "ivec3", components: 3, setter: "uniform3iv", columns: 1 },
+    INT_VEC4: { glsl: "ivec4", components: 4, setter: "uniform4iv", columns: 1 },
+    BOOL: { glsl: "bool", components: 1, setter: "uniform1iv", columns: 1 },
+    BOOL_VEC2: { glsl: "bvec2", components: 2, setter: "uniform2iv", columns: 1 },
+    BOOL_VEC3: { glsl: "bvec3", components: 3, setter: "uniform3iv", columns: 1 },
+    BOOL_VEC4: { glsl: "bvec4", components: 4, setter: "uniform4iv", columns: 1 },
+    FLOAT_MAT2: { glsl: "mat2", components: 4, setter: "uniformMatrix2fv", columns: 2 },
+    FLOAT_MAT3: { glsl: "mat3", components: 9, setter: "uniformMatrix3fv", columns: 3 },
+    FLOAT_MAT4: { glsl: "mat4", components: 16, setter: "uniformMatrix4fv", columns: 4 },
+    SAMPLER_2D: { glsl: "sampler2D", components: 1, setter: "uniform1iv", columns: 1 },
+    SAMPLER_CUBE: { glsl: "samplerCube", components: 1, setter: "uniform1iv", columns: 1 }
+};
+
+/**
+ * Creates a setter for a uniform of a known type.  The last value is cached
+ * so that setting the same value again doesn't reach the GL.
+ * @param {WebGLRenderingContext} gl Context the uniform's program belongs to.
+ * @param {WebGLUniformLocation} location Location of the uniform.
+ * @param {object} typeInfo Entry of SHADER_TYPES for the uniform.
+ * @return {function} Setter taking a number, boolean or array of values.
+ */
+function createUniformSetter(gl, location, typeInfo) {
+    let cached = null;
+    let isMatrix = typeInfo.setter.startsWith("uniformMatrix");
+
+    return function(val) {
+        let values;
+        if (typeof val == "number" || typeof val == "boolean") {
+            values = [Number(val)];
+        } else {
+            values = Array.from(val, Number);
+        }
+
+        if (cached != null && cached.length == values.length &&
+            cached.every((x, i) => x === values[i])) {
+            return;
+        }
+        cached = values;
+
+        if (isMatrix) {
+            gl[typeInfo.setter](location, false, values);
+        } else {
+            gl[typeInfo.setter](location, values);
+        }
+    };
+}
+
+/**
+ * Creates a setter that points an attribute at a vertex buffer, see Shader.bindAttribute().
+ * @param {Shader} shader Shader the attribute belongs to.
+ * @param {string} name Name of the attribute.
+ * @return {function} Setter taking a WebGLBuffer of tightly packed floats.
+ */
+function createAttributeSetter(shader, name) {
+    return function(val) {
+        shader.bindAttribute(name, val);
+    };
+}
+
+/**
+ * Defines a write-only property that forwards to a setter.  Dotted and indexed
+ * paths such as "uLights[1].color" create nested objects/arrays along the way.
+ * @param {object} target Object to define the property on.
+ * @param {string} path Property path.
+ * @param {function} setter Function called with the assigned value.
+ */
+function defineSetterPath(target, path, setter) {
+    let segments = path.split(".");
+    let container = target;
+
+    for (let i = 0; i < segments.length; i++) {
+        let match = /^([^\[]+)(?:\[(\d+)\])?$/.exec(segments[i]);
+        let key = match[1];
+        let isLast = (i == segments.length - 1);
+
+        if (match[2] !== undefined) {
+            if (!Array.isArray(container[key])) {
+                container[key] = [];
+            }
+            container = container[key];
+            key = parseInt(match[2]);
+        }
+
+        if (isLast) {
+            Object.defineProperty(container, key, {
+                configurable: true,
+                enumerable: true,
+                set: setter
+            });
+        } else {
+            if (typeof container[key] != "object" || container[key] == null) {
+                container[key] = {};
+            }
+            container = container[key];
+        }
+    }
+}
+
 /**
  * Represents a shader.  Create by passing in an already made shader handle.
+ * Every active uniform and attribute of the program is exposed as a property
+ * with a typed setter, ex: shader.uModelMatrix = matrix, and described in shader.info.
  */
 class Shader {
-    constructor(shaderProgramHandle) {
+    /**
+     * @param {WebGLProgram} shaderProgramHandle Linked shader program.
+     * @param {WebGLRenderingContext} context Context the program belongs to, defaults to the global gl.
+     */
+    constructor(shaderProgramHandle, context) {
+        this.gl = resolveContext(context);
         this.program = shaderProgramHandle;
+        this.info = { uniforms: {}, attributes: {} };
+
+        /* Typed setter of each active uniform keyed by its full name, see setUniform() */
+        this.uniformSetters = {};
+
+        /* Instanced drawing functions, looked up on first use by attribute divisors */
+        this.instancingFunctions = undefined;
+
+        /* Preprocessed {vertex, fragment} sources the program was linked from, kept to restore it */
+        this.sources = null;
+
+        if (this.program != null) {
+            this.reflect();
+            ResourceTracker.forContext(this.gl).track(this);
+        }
+    }
+
+    /**
+     * Enumerates the active uniforms and attributes of the program, fills in
+     * this.info and enables a property for each of them.  Arrays are exposed
+     * under their base name and set as a whole, struct members as nested properties.
+     */
+    reflect() {
+        let gl = this.gl;
+        let typeNames = {};
+        for (let key in SHADER_TYPES) {
+            typeNames[gl[key]] = key;
+        }
+
+        let numUniforms = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < numUniforms; i++) {
+            let active = gl.getActiveUniform(this.program, i);
+            if (active == null || !typeNames.hasOwnProperty(active.type)) {
+                continue;
+            }
+
+            /* Arrays are reported as "name[0]" */
+            let name = active.name.replace(/\[0\]$/, "");
+            let typeInfo = SHADER_TYPES[typeNames[active.type]];
+            let location = gl.getUniformLocation(this.program, active.name);
+
+            this.info.uniforms[name] = {
+                name: name,
+                type: active.type,
+                glsl: typeInfo.glsl,
+                size: active.size,
+                location: location
+            };
+            this.uniformSetters[name] = createUniformSetter(gl, location, typeInfo);
+            defineSetterPath(this, name, this.uniformSetters[name]);
+        }
+
+        let numAttributes = gl.getProgramParameter(this.program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < numAttributes; i++) {
+            let active = gl.getActiveAttrib(this.program, i);
+            if (active == null || !typeNames.hasOwnProperty(active.type)) {
+                continue;
+            }
+
+            let typeInfo = SHADER_TYPES[typeNames[active.type]];
+            let location = gl.getAttribLocation(this.program, active.name);
+
+            this.info.attributes[active.name] = {
+                name: active.name,
+                type: active.type,
+                glsl: typeInfo.glsl,
+                size: active.size,
+                location: location,
+                components: typeInfo.components,
+                columns: typeInfo.columns,
+                divisor: 0
+            };
+            defineSetterPath(this, active.name, createAttributeSetter(this, active.name));
+        }
     }
 
     /**
      * Enables the use of a shader uniform as a Javascript object property.
+     * Uniforms found by reflection are already enabled with a typed setter,
+     * which is used in place of accessFunc.
      * @param {string} name Name of the GLSL uniform.  This will also be the property name.
      * @param {function} accessFunc Function that is used to set the uniform, ex: gl.uniform1fv.
      */
     enableUniform(name, accessFunc) {
+        let gl = this.gl;
+        if (this.info.uniforms.hasOwnProperty(name)) {
+            return;
+        }
+
         let uniformLocation = gl.getUniformLocation(this.program, name);
+        let isMatrix = (accessFunc === gl.uniformMatrix2fv ||
+                        accessFunc === gl.uniformMatrix3fv ||
+                        accessFunc === gl.uniformMatrix4fv);
         
         Object.defineProperty(this, name, {
             configurable: true,
             enumerable: true,
             set: function(val) {
-                if (accessFunc.name.startsWith("uniformMatrix")) {
-                    gl[accessFunc.name](uniformLocation, false, val);
+                if (isMatrix) {
+                    accessFunc.call(gl, uniformLocation, false, val);
                 } else {
-                    gl[accessFunc.name](uniformLocation, val);
+                    accessFunc.call(gl, uniformLocation, val);
                 }
             }
         });
@@ -111,9 +391,13 @@ class Shader {
      * @param {GLenum} bufferType Type of buffer that will be passed to gl.bindBuffer.
      * @param {number} components Number of components per vertex attribute.
      * @param {GLenum} type Data type of each component.
+     * @param {number} divisor Optional attribute divisor, 1 to advance once per
+     * instance when drawing instanced, defaults to 0 (once per vertex).
      */
-    enableAttribute(name, bufferType, components, type) {
+    enableAttribute(name, bufferType, components, type, divisor) {
+        let gl = this.gl;
         let attribLocation = gl.getAttribLocation(this.program, name);
+        let shader = this;
         
         Object.defineProperty(this, name, {
             configurable: true,
@@ -122,34 +406,279 @@ class Shader {
                 gl.bindBuffer(bufferType, val);
                 gl.vertexAttribPointer(attribLocation, components, type, false, 0, 0);
                 gl.enableVertexAttribArray(attribLocation);
+                if (divisor) {
+                    shader.setLocationDivisor(attribLocation, divisor);
+                }
             }
         });        
     }
 
+    /**
+     * Points an attribute at a vertex buffer.  Matrix attributes are spread
+     * across one location per column.
+     * @param {string} name Name of the GLSL attribute.
+     * @param {WebGLBuffer} buffer Buffer holding the data.
+     * @param {object} options Optional settings, for data that isn't tightly
+     * packed floats: components, the number of values per element (defaults
+     * to the attribute's), type, the GL enum name of each value (defaults to
+     * "FLOAT"), normalized, stride and offset in bytes, and divisor, the number
+     * of instances each element is used for when drawing instanced (defaults
+     * to the one set with setAttributeDivisor(), 0 being once per vertex).
+     * @return {boolean} False if the program doesn't use the attribute.
+     */
+    bindAttribute(name, buffer, options) {
+        options = options || {};
+        let gl = this.gl;
+        let info = this.info.attributes[name];
+        let location = this.getAttributeLocation(name);
+        if (location < 0) {
+            return false;
+        }
+
+        let components = options.components || (info ? info.components : 4);
+        let columns = (info ? info.columns : Math.ceil(components / 4));
+        let columnComponents = components / columns;
+        let type = options.type || "FLOAT";
+        let columnBytes = columnComponents * VERTEX_TYPE_SIZES[type];
+        let stride = (options.stride !== undefined ? options.stride : (columns > 1 ? columns * columnBytes : 0));
+        let offset = options.offset || 0;
+        let divisor = (options.divisor !== undefined ? options.divisor : (info ? info.divisor : 0));
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        for (let i = 0; i < columns; i++) {
+            gl.vertexAttribPointer(location + i, columnComponents, gl[type], !!options.normalized, stride,
+                                   offset + i * columnBytes);
+            gl.enableVertexAttribArray(location + i);
+
+            /* Divisors stick to a location, so put back 0 for per vertex data too */
+            if (divisor > 0 || (info && info.instanced)) {
+                this.setLocationDivisor(location + i, divisor);
+            }
+        }
+        if (info && divisor > 0) {
+            info.instanced = true;
+        }
+        return true;
+    }
+
+    /**
+     * Disables an attribute bound with bindAttribute() and resets its divisor,
+     * so that the locations can be used for per vertex data again.
+     * @param {string} name Name of the GLSL attribute.
+     */
+    unbindAttribute(name) {
+        let gl = this.gl;
+        let info = this.info.attributes[name];
+        let location = this.getAttributeLocation(name);
+        if (location < 0) {
+            return;
+        }
+
+        let columns = (info ? info.columns : 1);
+        for (let i = 0; i < columns; i++) {
+            gl.disableVertexAttribArray(location + i);
+            if (info && info.instanced) {
+                this.setLocationDivisor(location + i, 0);
+            }
+        }
+        if (info) {
+            info.instanced = false;
+        }
+    }
+
+    /**
+     * Sets the divisor used when the attribute is bound through its property
+     * or bindAttribute(), ex: shader.setAttributeDivisor("aOffset", 1) for one
+     * offset per instance.
+     * @param {string} name Name of the GLSL attribute.
+     * @param {number} divisor Number of instances each element is used for, 0 for once per vertex.
+     */
+    setAttributeDivisor(name, divisor) {
+        if (!this.info.attributes.hasOwnProperty(name)) {
+            throw new Error("Shader has no active attribute " + name);
+        }
+        this.info.attributes[name].divisor = divisor;
+    }
+
+    /**
+     * Sets the divisor of one attribute location.
+     * @param {number} location Attribute location.
+     * @param {number} divisor Number of instances each element is used for.
+     * @throws {Error} If the context can't draw instanced.
+     */
+    setLocationDivisor(location, divisor) {
+        if (this.instancingFunctions === undefined) {
+            this.instancingFunctions = getInstancingFunctions(this.gl);
+        }
+        if (this.instancingFunctions == null) {
+            if (divisor == 0) {
+                return;
+            }
+            throw new Error("Instanced attributes need WebGL2 or ANGLE_instanced_arrays");
+        }
+        this.instancingFunctions.divisor(location, divisor);
+    }
+
+    /**
+     * Returns the location of a vertex attribute.
+     * @param {string} name Name of the GLSL attribute.
+     * @return {number} Attribute location, or -1 if the program doesn't use it.
+     */
+    getAttributeLocation(name) {
+        if (this.info.attributes.hasOwnProperty(name)) {
+            return this.info.attributes[name].location;
+        }
+        return this.gl.getAttribLocation(this.program, name);
+    }
+
+    /**
+     * Sets a uniform by its full name, ex: "uLights[1].color".  Unlike
+     * assigning to the property, uniforms that aren't active in the program,
+     * ex: because the compiler removed them, are skipped without an error.
+     * @param {string} name Name of the uniform, as in this.info.uniforms.
+     * @param {number|array} value Value to set.
+     * @return {boolean} True if the uniform is active and was set.
+     */
+    setUniform(name, value) {
+        let setter = this.uniformSetters[name];
+        if (setter === undefined) {
+            return false;
+        }
+        setter(value);
+        return true;
+    }
+
     /**
      * Uses the shader program.
      */
     use() {
-        gl.useProgram(this.program);
+        this.gl.useProgram(this.program);
+    }
+
+    /**
+     * Estimates the memory used by the program.  Drivers don't report the
+     * size of linked programs, so this is the size of the GLSL source.
+     * @return {number} Size in bytes, 0 for programs made from a bare handle.
+     */
+    getByteSize() {
+        if (this.sources == null) {
+            return 0;
+        }
+        return this.sources.vertex.source.length + this.sources.fragment.source.length;
+    }
+
+    /**
+     * Deletes the shader program.
+     */
+    dispose() {
+        if (this.program != null) {
+            this.gl.deleteProgram(this.program);
+            this.program = null;
+        }
+        ResourceTracker.forContext(this.gl).untrack(this);
+    }
+
+    /**
+     * Compiles and links the program again after the context was restored.
+     * Attribute divisors are kept, uniform values have to be set again.  Shaders made from a bare program
+     * handle can't be restored and are left without a program.
+     */
+    restore() {
+        if (this.sources == null) {
+            this.program = null;
+            return;
+        }
+        let divisors = {};
+        for (let name in this.info.attributes) {
+            divisors[name] = this.info.attributes[name].divisor;
+        }
+
+        this.program = linkPreprocessedProgram(this.sources.vertex, this.sources.fragment, this.gl);
+        this.info = { uniforms: {}, attributes: {} };
+        this.uniformSetters = {};
+        this.instancingFunctions = undefined;
+        this.reflect();
+
+        for (let name in divisors) {
+            if (this.info.attributes.hasOwnProperty(name)) {
+                this.info.attributes[name].divisor = divisors[name];
+            }
+        }
     }
     
+    /**
+     * Preprocesses, compiles and links a full shader program from source code.
+     * @param {string} vertSource Source of the vertex shader.
+     * @param {string} fragSource Source of the fragment shader.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @param {object} options Optional settings: defines, an object of macros to
+     * #define in both stages, preprocessor, the ShaderPreprocessor holding the
+     * includes (defaults to ShaderPreprocessor.shared), and vertName/fragName,
+     * the file names shown in errors.
+     * @return {Shader object} A fully linked shader program.
+     * @throws {ShaderPreprocessError|ShaderCompileError|ShaderLinkError} If any step fails.
+     */
+    static fromSource(vertSource, fragSource, context, options) {
+        options = options || {};
+        let gl = resolveContext(context);
+        let preprocessor = options.preprocessor || ShaderPreprocessor.shared;
+
+        let vert = preprocessor.process(vertSource, { name: options.vertName || "vertex", defines: options.defines });
+        let frag = preprocessor.process(fragSource, { name: options.fragName || "fragment", defines: options.defines });
+        return Shader.fromPreprocessed(vert, frag, gl);
+    }
+
+    /**
+     * Compiles and links a full shader program from preprocessed sources.
+     * @param {object} vert {source, lineMap} of the vertex shader, as returned by ShaderPreprocessor.process().
+     * @param {object} frag {source, lineMap} of the fragment shader.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @return {Shader object} A fully linked shader program.
+     * @throws {ShaderCompileError|ShaderLinkError} If compiling or linking fails.
+     */
+    static fromPreprocessed(vert, frag, context) {
+        let gl = resolveContext(context);
+        let shader = new Shader(linkPreprocessedProgram(vert, frag, gl), gl);
+        shader.sources = { vertex: vert, fragment: frag };
+        return shader;
+    }
+
+    /**
+     * Fetches, preprocesses, compiles and links a full shader program.  Includes
+     * that aren't registered are fetched relative to the including file, and
+     * kept for this call only, leaving the preprocessor's registry unchanged.
+     * @param {string} vertUrl Url of the vertex shader.
+     * @param {string} fragUrl Url of the fragment shader.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @param {object} options Same as for fromSource().
+     * @return {promise} Promise to the linked shader, rejected if any step fails.
+     */
+    static async fromUrl(vertUrl, fragUrl, context, options) {
+        options = options || {};
+        let base = options.preprocessor || ShaderPreprocessor.shared;
+        let preprocessor = new ShaderPreprocessor({ includes: base.includes, loader: base.loader || fetchText });
+
+        let sources = await Promise.all([fetchText(vertUrl), fetchText(fragUrl)]);
+        let vert = await preprocessor.processAsync(sources[0], { name: vertUrl, defines: options.defines });
+        let frag = await preprocessor.processAsync(sources[1], { name: fragUrl, defines: options.defines });
+        return Shader.fromPreprocessed(vert, frag, context);
+    }
+
     /**
      * Loads and compiles a full shader program from the DOM.
      * @param {string} vertElem DOM element for the vertex shader.
      * @param {string} fragElem DOM element for the fragment shader.
-     * @return {Shader object} A fully linked shader program on success,
-     * otherwise null on failure.
-     */
-    static fromDOM(vertElem, fragElem) {
-        var vertShader =
-            compileShader(loadDOMScriptSource(vertElem), gl.VERTEX_SHADER);
-        var fragShader =
-            compileShader(loadDOMScriptSource(fragElem), gl.FRAGMENT_SHADER);
-        
-        if (vertShader != null && fragShader != null) {
-            return new Shader(linkShaderProgram(vertShader, fragShader));
-        } else {
-            return null;
-        }       
+     * @param {WebGLRenderingContext} context Optional context, defaults to the global gl.
+     * @return {Shader object} A fully linked shader program.
+     * @throws {ShaderPreprocessError|ShaderCompileError|ShaderLinkError} If any step fails.
+     */
+    static fromDOM(vertElem, fragElem, context) {
+        return Shader.fromSource(loadDOMScriptSource(vertElem),
+                                 loadDOMScriptSource(fragElem),
+                                 context,
+                                 { vertName: vertElem, fragName: fragElem });
     }
 };
+
+/** Type the shader is counted under by ResourceTracker.getStats() */
+Shader.resourceType = "shader";
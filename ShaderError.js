@@ -0,0 +1,221 @@
+/**
+ * @file Errors thrown when a shader fails to compile or link, with the
+ * driver's info log parsed into individual entries.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Parses a shader info log into entries.  Understands the formats used by
+ * ANGLE/Chrome ("ERROR: 0:12: message"), Mesa ("0:12(5): error: message")
+ * and NVIDIA ("0(12) : error C1008: message").  Lines that match none of
+ * them are kept as entries without a location.
+ * @param {string} log Info log returned by the driver.
+ * @return {array} Entries of the form {severity, line, column, message}.
+ * Line and column are 1-based, or null when the driver didn't give one.
+ */
+function parseShaderLog(log) {
+    let entries = [];
+    let lines = (log || "").split("\n");
+
+    for (let i = 0; i < lines.length; i++) {
+        let text = lines[i].replace(/\0/g, "").trim();
+        if (text.length == 0) {
+            continue;
+        }
+
+        let match;
+        if ((match = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i.exec(text)) != null) {
+            entries.push({
+                severity: match[1].toLowerCase(),
+                line: parseInt(match[2]),
+                column: null,
+                message: match[3]
+            });
+        } else if ((match = /^\d+:(\d+)\((\d+)\):\s*(error|warning)\s*:\s*(.*)$/i.exec(text)) != null) {
+            entries.push({
+                severity: match[3].toLowerCase(),
+                line: parseInt(match[1]),
+                column: parseInt(match[2]),
+                message: match[4]
+            });
+        } else if ((match = /^\d+\((\d+)\)\s*:\s*(error|warning)\s*\w*\s*:\s*(.*)$/i.exec(text)) != null) {
+            entries.push({
+                severity: match[2].toLowerCase(),
+                line: parseInt(match[1]),
+                column: null,
+                message: match[3]
+            });
+        } else if ((match = /^(error|warning)\s*:\s*(.*)$/i.exec(text)) != null) {
+            entries.push({
+                severity: match[1].toLowerCase(),
+                line: null,
+                column: null,
+                message: match[2]
+            });
+        } else {
+            entries.push({
+                severity: "error",
+                line: null,
+                column: null,
+                message: text
+            });
+        }
+    }
+
+    return entries;
+}
+
+/** Base class of shader errors. */
+class ShaderError extends Error {
+    /**
+     * @param {string} message Human readable summary.
+     * @param {string} stage "vertex", "fragment" or "link".
+     * @param {string} log Raw info log returned by the driver.
+     */
+    constructor(message, stage, log) {
+        super(message);
+        this.name = "ShaderError";
+        this.stage = stage;
+        this.log = log || "";
+        this.entries = parseShaderLog(this.log);
+    }
+}
+
+/**
+ * Set to true to also show shader errors with alert(), as older
+ * versions of this library did.
+ */
+ShaderError.alertOnError = false;
+
+/** Thrown when a vertex or fragment shader fails to compile. */
+class ShaderCompileError extends ShaderError {
+    /**
+     * @param {string} stage "vertex" or "fragment".
+     * @param {string} source Source code that was compiled.
+     * @param {string} log Raw info log returned by the driver.
+     */
+    constructor(stage, source, log) {
+        super("Failed to compile " + stage + " shader", stage, log);
+        this.name = "ShaderCompileError";
+        this.source = source;
+        this.message = this.summarize();
+    }
+
+    /**
+     * Builds the error message from the first error entry.
+     * @return {string} The summary.
+     */
+    summarize() {
+        let first = this.entries.find((entry) => entry.severity == "error") || this.entries[0];
+        let summary = "Failed to compile " + this.stage + " shader";
+        if (first) {
+            summary += ": " + first.message;
+            if (first.file != null) {
+                summary += " (" + first.file + ":" + first.fileLine + ")";
+            } else if (first.line != null) {
+                summary += " (line " + first.line + ")";
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Points the entries at the files and lines the preprocessed source came
+     * from, adding file and fileLine to every entry that has a line.
+     * @param {array} lineMap Line map returned by ShaderPreprocessor.process().
+     */
+    setLineMap(lineMap) {
+        for (let i = 0; i < this.entries.length; i++) {
+            let entry = this.entries[i];
+            let origin = (entry.line != null ? lineMap[entry.line - 1] : null);
+            if (origin) {
+                entry.file = origin.file;
+                entry.fileLine = origin.line;
+            }
+        }
+        this.message = this.summarize();
+    }
+
+    /**
+     * Formats the errors along with the source lines they point at.
+     * @param {number} contextLines Lines of source to print around each error, defaults to 2.
+     * @return {string} Multi-line description of the errors.
+     */
+    format(contextLines) {
+        if (contextLines === undefined) {
+            contextLines = 2;
+        }
+
+        let sourceLines = (this.source || "").split("\n");
+        let width = String(sourceLines.length).length;
+        let output = ["Failed to compile " + this.stage + " shader:"];
+
+        for (let i = 0; i < this.entries.length; i++) {
+            let entry = this.entries[i];
+            if (entry.line == null || entry.line < 1 || entry.line > sourceLines.length) {
+                output.push(entry.severity + ": " + entry.message);
+                continue;
+            }
+
+            output.push("");
+            if (entry.file != null) {
+                output.push("In " + entry.file + ":" + entry.fileLine);
+            }
+            let first = Math.max(1, entry.line - contextLines);
+            let last = Math.min(sourceLines.length, entry.line + contextLines);
+
+            for (let line = first; line <= last; line++) {
+                let marker = (line == entry.line ? "> " : "  ");
+                output.push(marker + String(line).padStart(width) + " | " + sourceLines[line - 1]);
+
+                if (line == entry.line) {
+                    let indent = " ".repeat(width + 5);
+                    let caret = (entry.column != null ? " ".repeat(entry.column - 1) + "^ " : "");
+                    output.push(indent + caret + entry.severity + ": " + entry.message);
+                }
+            }
+        }
+
+        return output.join("\n");
+    }
+}
+
+/** Thrown when compiled shaders fail to link into a program. */
+class ShaderLinkError extends ShaderError {
+    /**
+     * @param {object} sources Source code of the linked shaders as {vertex, fragment}.
+     * @param {string} log Raw info log returned by the driver.
+     */
+    constructor(sources, log) {
+        super("Failed to link shader program" + (log ? ": " + log.trim() : ""), "link", log);
+        this.name = "ShaderLinkError";
+        this.sources = sources || {};
+    }
+
+    /**
+     * Formats the link log.
+     * @return {string} Multi-line description of the errors.
+     */
+    format() {
+        let output = ["Failed to link shader program:"];
+        for (let i = 0; i < this.entries.length; i++) {
+            output.push(this.entries[i].severity + ": " + this.entries[i].message);
+        }
+        return output.join("\n");
+    }
+}
+
+/** Thrown when a shader's #include directives can't be resolved. */
+class ShaderPreprocessError extends ShaderError {
+    /**
+     * @param {string} message Description of the problem.
+     * @param {string} file Name of the file containing the directive.
+     * @param {number} line Line of the directive in that file.
+     */
+    constructor(message, file, line) {
+        super(message + " (" + file + ":" + line + ")", "preprocess", "");
+        this.name = "ShaderPreprocessError";
+        this.file = file;
+        this.line = line;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * @file A small GLSL preprocessor resolving #include directives and
+ * injecting #defines, keeping track of where every output line came from.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Resolves an include name relative to the file that includes it.
+ * Absolute paths and URLs are left untouched.
+ * @param {string} name Name as written in the #include directive.
+ * @param {string} parent Name of the including file.
+ * @return {string} Resolved name.
+ */
+function resolveIncludePath(name, parent) {
+    if (!parent || name[0] == "/" || /^[a-z][a-z0-9+.-]*:/i.test(name)) {
+        return name;
+    }
+
+    let slash = parent.lastIndexOf("/");
+    if (slash < 0) {
+        return name;
+    }
+
+    /* Collapse "./" and "../" segments */
+    let segments = (parent.substring(0, slash + 1) + name).split("/");
+    let resolved = [];
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i] == ".") {
+            continue;
+        } else if (segments[i] == ".." && resolved.length > 0 && resolved[resolved.length - 1] != "..") {
+            resolved.pop();
+        } else {
+            resolved.push(segments[i]);
+        }
+    }
+    return resolved.join("/");
+}
+
+/** Matches an #include "file" (or <file>) directive */
+const INCLUDE_DIRECTIVE = /^\s*#\s*include\s+["<]([^">]+)[">]/;
+
+/**
+ * GLSL preprocessor.  Included files are looked up in a registry of sources,
+ * and can be fetched on demand with an async loader when using processAsync.
+ */
+class ShaderPreprocessor {
+    /**
+     * @param {object} options Optional settings: includes, an object of
+     * registered sources keyed by name, and loader, a function (name) returning
+     * a promise to the source of an include that isn't registered.
+     */
+    constructor(options) {
+        options = options || {};
+        this.includes = Object.assign({}, options.includes);
+        this.loader = options.loader || null;
+    }
+
+    /**
+     * Registers the source of an includable file.
+     * @param {string} name Name used in #include directives.
+     * @param {string} source GLSL source of the file.
+     */
+    register(name, source) {
+        this.includes[name] = source;
+    }
+
+    /**
+     * Finds the source of an included file in the registry.
+     * @param {string} name Name as written in the #include directive.
+     * @param {string} parent Name of the including file.
+     * @return {object} {name, source} of the include, or null if it isn't registered.
+     */
+    lookup(name, parent) {
+        let resolved = resolveIncludePath(name, parent);
+        if (this.includes.hasOwnProperty(resolved)) {
+            return { name: resolved, source: this.includes[resolved] };
+        } else if (this.includes.hasOwnProperty(name)) {
+            return { name: name, source: this.includes[name] };
+        }
+        return null;
+    }
+
+    /**
+     * Preprocesses a shader whose includes are all registered.
+     * @param {string} source GLSL source code.
+     * @param {object} options Optional settings: name, the file name used in the
+     * line map and for resolving relative includes, and defines, an object of
+     * macro values to #define.  A value of true defines the macro without a value.
+     * @return {object} {source, lineMap} where lineMap[i] is the {file, line}
+     * that line i + 1 of the output came from.
+     * @throws {ShaderPreprocessError} On a missing or circular include.
+     */
+    process(source, options) {
+        options = options || {};
+        let lines = [];
+        let lineMap = [];
+
+        this.expand(source, options.name || "<source>", [], lines, lineMap);
+
+        /* Defines go after #version, which has to be the first line of a shader */
+        let defines = options.defines || {};
+        let insertAt = 0;
+        for (let i = 0; i < lines.length; i++) {
+            if (/^\s*#\s*version\b/.test(lines[i])) {
+                insertAt = i + 1;
+                break;
+            }
+        }
+
+        let defineLines = [];
+        let defineMap = [];
+        for (let key in defines) {
+            if (defines[key] === false || defines[key] === null || defines[key] === undefined) {
+                continue;
+            }
+            defineLines.push("#define " + key + (defines[key] === true ? "" : " " + defines[key]));
+            defineMap.push({ file: "<defines>", line: defineLines.length });
+        }
+
+        lines.splice(insertAt, 0, ...defineLines);
+        lineMap.splice(insertAt, 0, ...defineMap);
+
+        return {
+            source: lines.join("\n"),
+            lineMap: lineMap
+        };
+    }
+
+    /**
+     * Preprocesses a shader, first fetching any includes that aren't registered
+     * with the loader.  Fetched files are added to the registry.
+     * @param {string} source GLSL source code.
+     * @param {object} options Same as for process(), plus loader to use in place of this.loader.
+     * @return {promise} Promise to the {source, lineMap} returned by process().
+     */
+    async processAsync(source, options) {
+        options = options || {};
+        await this.fetchIncludes(source, options.name || "<source>", [], options.loader || this.loader);
+        return this.process(source, options);
+    }
+
+    /**
+     * Recursively loads the unregistered includes of a source.
+     * @param {string} source GLSL source code.
+     * @param {string} file Name of the file the source came from.
+     * @param {array} stack Names of the files currently being included.
+     * @param {function} loader Function returning a promise to the source of an include.
+     */
+    async fetchIncludes(source, file, stack, loader) {
+        let lines = source.split("\n");
+        for (let i = 0; i < lines.length; i++) {
+            let match = INCLUDE_DIRECTIVE.exec(lines[i]);
+            if (match == null) {
+                continue;
+            }
+
+            let include = this.lookup(match[1], file);
+            if (include == null) {
+                if (loader == null) {
+                    throw new ShaderPreprocessError("Unresolved #include \"" + match[1] + "\"", file, i + 1);
+                }
+                let name = resolveIncludePath(match[1], file);
+                this.register(name, await loader(name));
+                include = this.lookup(match[1], file);
+            }
+
+            if (stack.indexOf(include.name) < 0) {
+                await this.fetchIncludes(include.source, include.name, stack.concat([file]), loader);
+            }
+        }
+    }
+
+    /**
+     * Splices the includes of a source into the output lines.
+     * @param {string} source GLSL source code.
+     * @param {string} file Name of the file the source came from.
+     * @param {array} stack Names of the files currently being included.
+     * @param {array} lines Output lines.
+     * @param {array} lineMap Origin of each output line.
+     */
+    expand(source, file, stack, lines, lineMap) {
+        let sourceLines = source.split("\n");
+        stack = stack.concat([file]);
+
+        for (let i = 0; i < sourceLines.length; i++) {
+            let match = INCLUDE_DIRECTIVE.exec(sourceLines[i]);
+            if (match == null) {
+                lines.push(sourceLines[i]);
+                lineMap.push({ file: file, line: i + 1 });
+                continue;
+            }
+
+            let include = this.lookup(match[1], file);
+            if (include == null) {
+                throw new ShaderPreprocessError("Unresolved #include \"" + match[1] + "\"", file, i + 1);
+            }
+            if (stack.indexOf(include.name) >= 0) {
+                throw new ShaderPreprocessError("Circular #include of \"" + include.name + "\"", file, i + 1);
+            }
+            this.expand(include.source, include.name, stack, lines, lineMap);
+        }
+    }
+}
+
+/** Preprocessor used by the Shader factories unless another one is given. */
+ShaderPreprocessor.shared = new ShaderPreprocessor();
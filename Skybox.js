@@ -0,0 +1,115 @@
+/**
+ * @file Skybox drawing a cubemap behind the scene.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/**
+ * Vertex shader of the skybox.  The quad is drawn on the far plane, and each
+ * corner looks up the direction through it with the camera at the origin.
+ */
+const SKYBOX_VERTEX_SOURCE = `
+attribute vec3 aVertexPosition;
+uniform mat4 uInverseViewProjection;
+varying vec3 vDirection;
+
+void main() {
+    vec4 farPoint = uInverseViewProjection * vec4(aVertexPosition.xy, 1.0, 1.0);
+    vDirection = farPoint.xyz / farPoint.w;
+    gl_Position = vec4(aVertexPosition.xy, 1.0, 1.0);
+}
+`;
+
+/** Fragment shader of the skybox */
+const SKYBOX_FRAGMENT_SOURCE = `
+precision mediump float;
+
+uniform samplerCube uEnvironmentMap;
+uniform float uIntensity;
+varying vec3 vDirection;
+
+void main() {
+    gl_FragColor = vec4(textureCube(uEnvironmentMap, vDirection).rgb * uIntensity, 1.0);
+}
+`;
+
+/**
+ * Draws a cubemap, ex: from Texture.cubemapFromUrl() or an EnvironmentMap,
+ * around the camera.  Only the camera's rotation is used, so the sky stays
+ * infinitely far away.  The skybox is drawn at the far plane without writing
+ * depth, so it can be drawn first, or last to skip the pixels the scene
+ * already covers.
+ */
+class Skybox {
+    /**
+     * @param {Texture} texture Cubemap to draw.
+     * @param {WebGLRenderingContext} context Optional context, defaults to the texture's.
+     */
+    constructor(texture, context) {
+        this.gl = resolveContext(context || (texture && texture.gl));
+        this.texture = texture;
+
+        /* Factor the cubemap's colors are scaled by, ex: to show HDR cubemaps */
+        this.intensity = 1.0;
+
+        this.quad = Mesh.fromPlane("z", this.gl);
+        this.shader = Shader.fromSource(SKYBOX_VERTEX_SOURCE, SKYBOX_FRAGMENT_SOURCE, this.gl,
+                                        { vertName: "skybox.vert", fragName: "skybox.frag" });
+    }
+
+    /**
+     * Returns the matrix taking points on the far plane back to directions
+     * from the camera, as the skybox's vertex shader uses.
+     * @param {Camera} camera Camera to view the sky from.
+     * @param {mat4} projectionMatrix Optional projection matrix, defaults to the camera's.
+     * @return {mat4} Inverse of the projection times the camera's rotation.
+     */
+    getInverseViewProjection(camera, projectionMatrix) {
+        let view = mat4.create();
+        camera.getViewMatrix(view);
+        view[12] = view[13] = view[14] = 0.0;
+
+        if (!projectionMatrix) {
+            projectionMatrix = mat4.create();
+            camera.getProjectionMatrix(projectionMatrix);
+        }
+        let inverse = mat4.create();
+        mat4.multiply(inverse, projectionMatrix, view);
+        return mat4.invert(inverse, inverse);
+    }
+
+    /**
+     * Draws the skybox with texture unit 0.  The depth function and depth
+     * mask are restored afterwards.
+     * @param {Camera} camera Camera to view the sky from.
+     * @param {mat4} projectionMatrix Optional projection matrix, defaults to the camera's.
+     */
+    render(camera, projectionMatrix) {
+        let gl = this.gl;
+        if (this.texture == null) {
+            return;
+        }
+
+        let depthFunc = gl.getParameter(gl.DEPTH_FUNC);
+        let depthMask = gl.getParameter(gl.DEPTH_WRITEMASK);
+        gl.depthFunc(gl.LEQUAL);
+        gl.depthMask(false);
+
+        this.shader.use();
+        this.texture.bind(gl.TEXTURE0);
+        this.shader.uEnvironmentMap = 0;
+        this.shader.uInverseViewProjection = this.getInverseViewProjection(camera, projectionMatrix);
+        this.shader.uIntensity = this.intensity;
+        this.quad.draw(this.shader);
+
+        gl.depthFunc(depthFunc);
+        gl.depthMask(depthMask);
+    }
+
+    /**
+     * Deletes the skybox's quad and shader.  The cubemap is left alone.
+     */
+    dispose() {
+        this.quad.dispose();
+        this.shader.dispose();
+    }
+}
@@ -3,11 +3,428 @@
  * @author Nicolas NYtko
  */
 
+/** Sized internal formats WebGL2 needs for each format and type, keyed by GL enum names */
+const TEXTURE_INTERNAL_FORMATS = {
+    RGBA: { UNSIGNED_BYTE: "RGBA8", HALF_FLOAT: "RGBA16F", FLOAT: "RGBA32F" },
+    RGB: { UNSIGNED_BYTE: "RGB8", HALF_FLOAT: "RGB16F", FLOAT: "RGB32F" },
+    RG: { UNSIGNED_BYTE: "RG8", HALF_FLOAT: "RG16F", FLOAT: "RG32F" },
+    RED: { UNSIGNED_BYTE: "R8", HALF_FLOAT: "R16F", FLOAT: "R32F" },
+    DEPTH_COMPONENT: { UNSIGNED_SHORT: "DEPTH_COMPONENT16", UNSIGNED_INT: "DEPTH_COMPONENT24", FLOAT: "DEPTH_COMPONENT32F" },
+    DEPTH_STENCIL: { UNSIGNED_INT_24_8: "DEPTH24_STENCIL8" }
+};
+
+/** Typed array holding raw texture data of each type */
+const TEXTURE_DATA_ARRAYS = {
+    UNSIGNED_BYTE: Uint8Array,
+    UNSIGNED_SHORT: Uint16Array,
+    UNSIGNED_SHORT_5_6_5: Uint16Array,
+    UNSIGNED_SHORT_4_4_4_4: Uint16Array,
+    UNSIGNED_SHORT_5_5_5_1: Uint16Array,
+    UNSIGNED_INT: Uint32Array,
+    UNSIGNED_INT_24_8: Uint32Array,
+    HALF_FLOAT: Uint16Array,
+    FLOAT: Float32Array
+};
+
+/** Number of components in a texel of each format */
+const TEXTURE_FORMAT_COMPONENTS = {
+    RGBA: 4,
+    RGB: 3,
+    RG: 2,
+    RED: 1,
+    LUMINANCE_ALPHA: 2,
+    LUMINANCE: 1,
+    ALPHA: 1,
+    DEPTH_COMPONENT: 1,
+    DEPTH_STENCIL: 1
+};
+
+/** Types packing a whole texel into one value */
+const TEXTURE_PACKED_TYPES = ["UNSIGNED_SHORT_5_6_5", "UNSIGNED_SHORT_4_4_4_4", "UNSIGNED_SHORT_5_5_5_1", "UNSIGNED_INT_24_8"];
+
+/**
+ * Whether a size is a power of two.
+ * @param {number} n Size in pixels.
+ * @return {boolean} True for 1, 2, 4, 8...
+ */
+function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) == 0;
+}
+
+/**
+ * Returns the enum of a texel type, enabling the extension it needs on WebGL1.
+ * @param {WebGLRenderingContext} gl The context.
+ * @param {string} type GL enum name, ex: "FLOAT".
+ * @return {GLenum} The type.
+ * @throws {Error} If the type is unknown or unsupported by the context.
+ */
+function resolveTextureType(gl, type) {
+    let webgl2 = isWebGL2(gl);
+    if (type == "FLOAT") {
+        if (webgl2) {
+            gl.getExtension("EXT_color_buffer_float");
+        } else if (gl.getExtension("OES_texture_float") == null) {
+            throw new Error("Float textures need OES_texture_float");
+        } else {
+            gl.getExtension("WEBGL_color_buffer_float");
+        }
+        return gl.FLOAT;
+    } else if (type == "HALF_FLOAT") {
+        if (webgl2) {
+            gl.getExtension("EXT_color_buffer_float");
+            return gl.HALF_FLOAT;
+        }
+        let ext = gl.getExtension("OES_texture_half_float");
+        if (ext == null) {
+            throw new Error("Half float textures need OES_texture_half_float");
+        }
+        gl.getExtension("EXT_color_buffer_half_float");
+        return ext.HALF_FLOAT_OES;
+    } else if (type == "UNSIGNED_INT_24_8" && !webgl2) {
+        let ext = gl.getExtension("WEBGL_depth_texture");
+        if (ext == null) {
+            throw new Error("Depth textures need WebGL2 or WEBGL_depth_texture");
+        }
+        return ext.UNSIGNED_INT_24_8_WEBGL;
+    }
+
+    if (gl[type] === undefined) {
+        throw new Error("Unknown texture type " + type);
+    }
+    return gl[type];
+}
+
+/**
+ * Returns the internal format to allocate a texture with.
+ * @param {WebGLRenderingContext} gl The context.
+ * @param {string} format GL enum name of the format, ex: "RGBA".
+ * @param {string} type GL enum name of the type, ex: "FLOAT".
+ * @param {string} internalFormat Optional explicit internal format name.
+ * @return {GLenum} The internal format.
+ * @throws {Error} If the format is unknown or unsupported by the context.
+ */
+function resolveInternalFormat(gl, format, type, internalFormat) {
+    let webgl2 = isWebGL2(gl);
+    if ((format == "DEPTH_COMPONENT" || format == "DEPTH_STENCIL") && !webgl2 &&
+        gl.getExtension("WEBGL_depth_texture") == null) {
+        throw new Error("Depth textures need WebGL2 or WEBGL_depth_texture");
+    }
+
+    if (!internalFormat) {
+        /* WebGL1 takes the unsized format, WebGL2 wants a sized one */
+        internalFormat = format;
+        if (webgl2 && TEXTURE_INTERNAL_FORMATS[format]) {
+            internalFormat = TEXTURE_INTERNAL_FORMATS[format][type] || format;
+        }
+    }
+    if (gl[internalFormat] === undefined) {
+        throw new Error("Unknown texture format " + internalFormat);
+    }
+    return gl[internalFormat];
+}
+
+/**
+ * Returns the texture targets of the cubemap faces.
+ * @param {WebGLRenderingContext} gl The context.
+ * @return {array} Targets in the order -X, -Y, -Z, +X, +Y, +Z.
+ */
+function getCubemapFaceTargets(gl) {
+    return [
+        gl.TEXTURE_CUBE_MAP_NEGATIVE_X, gl.TEXTURE_CUBE_MAP_NEGATIVE_Y, gl.TEXTURE_CUBE_MAP_NEGATIVE_Z,
+        gl.TEXTURE_CUBE_MAP_POSITIVE_X, gl.TEXTURE_CUBE_MAP_POSITIVE_Y, gl.TEXTURE_CUBE_MAP_POSITIVE_Z
+    ];
+}
+
+/**
+ * Returns the size of an image, canvas, video or bitmap.
+ * @param {object} source The image source.
+ * @return {object} {width, height} in pixels.
+ */
+function getSourceSize(source) {
+    return {
+        width: source.videoWidth || source.naturalWidth || source.width || 0,
+        height: source.videoHeight || source.naturalHeight || source.height || 0
+    };
+}
+
 /** Class implementing a GL texture */
 class Texture {
-    constructor() {
-        this.texture = gl.createTexture();
+    /**
+     * @param {WebGLRenderingContext} context Context to create the texture in, defaults to the global gl.
+     */
+    constructor(context) {
+        this.gl = resolveContext(context);
+        this.texture = this.gl.createTexture();
         this.textureType = 0;
+        ResourceTracker.forContext(this.gl).track(this);
+
+        this.width = 0;
+        this.height = 0;
+
+        /* Upload settings, see Texture.defaultOptions */
+        this.options = Object.assign({}, Texture.defaultOptions);
+        this.format = 0;
+        this.internalFormat = 0;
+        this.type = 0;
+
+        /* Image, canvas, video or bitmap the texture was made from, re-read by update() */
+        this.source = null;
+        this.hasMipmaps = false;
+
+        /* Number of mip levels uploaded explicitly, more than 1 replaces generated mipmaps */
+        this.levelCount = 1;
+
+        /* Raw texel data or cubemap face images the texture was made from, kept to restore it */
+        this.data = null;
+        this.faceSources = null;
+    }
+
+    /**
+     * Creates a 2D texture from an image url.
+     * @param {string} url Url to load the image from.
+     * @param {object} options Optional upload and sampler settings, see Texture.defaultOptions,
+     * and load settings, see AssetLoader.loadImage().
+     * @param {WebGLRenderingContext} context Optional context to create the texture in.
+     * @return {promise} Promise that when resolved will have a texture object.
+     */
+    static fromUrl(url, options, context) {
+        let gl = resolveContext(context);
+        return Texture.imageFromUrl(url, null, options).then((image) => Texture.fromImage(image, options, gl));
+    }
+
+    /**
+     * Creates a 2D texture from an image, canvas, video or ImageBitmap.  Call
+     * update() to upload the source again, ex: every frame for a video.
+     * @param {object} source The image source.
+     * @param {object} options Optional upload and sampler settings, see Texture.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context to create the texture in.
+     * @return {Texture} The texture.
+     */
+    static fromImage(source, options, context) {
+        let tex = new Texture(context);
+        tex.textureType = tex.gl.TEXTURE_2D;
+        tex.setOptions(options);
+        tex.source = source;
+        tex.update();
+        return tex;
+    }
+
+    /**
+     * Creates a 2D texture from raw texel data.
+     * @param {ArrayBufferView} data Texel data, rows from bottom to top, or null
+     * to only allocate the texture.  Plain arrays are converted to the typed
+     * array matching the type.
+     * @param {number} width Width in pixels.
+     * @param {number} height Height in pixels.
+     * @param {object} options Optional upload and sampler settings, see Texture.defaultOptions.
+     * Raw data also takes format, type and internalFormat, ex: {format: "DEPTH_COMPONENT",
+     * type: "UNSIGNED_INT"}.
+     * @param {WebGLRenderingContext} context Optional context to create the texture in.
+     * @return {Texture} The texture.
+     */
+    static fromData(data, width, height, options, context) {
+        let tex = new Texture(context);
+        tex.textureType = tex.gl.TEXTURE_2D;
+        tex.setOptions(options);
+        tex.setData(data, width, height);
+        return tex;
+    }
+
+    /**
+     * Changes the upload and sampler settings.  Sampler settings apply right
+     * away, upload settings from the next upload on.
+     * @param {object} options Settings to change, see Texture.defaultOptions.
+     */
+    setOptions(options) {
+        let gl = this.gl;
+        Object.assign(this.options, options);
+
+        let o = this.options;
+        this.type = resolveTextureType(gl, o.type);
+        this.format = gl[o.format];
+        if (this.format === undefined) {
+            throw new Error("Unknown texture format " + o.format);
+        }
+        this.internalFormat = resolveInternalFormat(gl, o.format, o.type, o.internalFormat);
+
+        if (this.width > 0) {
+            this.applySampler();
+        }
+    }
+
+    /**
+     * Uploads raw texel data, replacing the texture's contents.
+     * @param {ArrayBufferView} data Texel data, or null to only allocate the texture.
+     * @param {number} width Width in pixels.
+     * @param {number} height Height in pixels.
+     */
+    setData(data, width, height) {
+        let gl = this.gl;
+        let o = this.options;
+
+        if (data != null && !ArrayBuffer.isView(data)) {
+            let ArrayType = TEXTURE_DATA_ARRAYS[o.type] || Uint8Array;
+            data = new ArrayType(data);
+        }
+
+        gl.bindTexture(this.textureType, this.texture);
+        this.setUnpackState(1);
+        gl.texImage2D(this.textureType, 0, this.internalFormat, width, height, 0, this.format, this.type, data);
+        this.width = width;
+        this.height = height;
+        this.source = null;
+        this.data = data;
+        this.levelCount = 1;
+        this.applySampler();
+    }
+
+    /**
+     * Uploads the image source again.  Videos without a frame to show yet are skipped.
+     * @param {object} source Optional new source to use from now on.
+     */
+    update(source) {
+        let gl = this.gl;
+        if (source) {
+            this.source = source;
+            this.data = null;
+        }
+        source = this.source;
+        if (source == null) {
+            return;
+        }
+
+        /* HAVE_CURRENT_DATA */
+        if (source.readyState !== undefined && source.readyState < 2) {
+            if (this.width == 0) {
+                this.setData(null, 1, 1);
+                this.source = source;
+            }
+            return;
+        }
+
+        let size = getSourceSize(source);
+        gl.bindTexture(this.textureType, this.texture);
+        this.setUnpackState(4);
+        if (size.width == this.width && size.height == this.height) {
+            /* Same size, so the sampler settings still hold */
+            gl.texSubImage2D(this.textureType, 0, 0, 0, this.format, this.type, source);
+            if (this.hasMipmaps) {
+                gl.generateMipmap(this.textureType);
+            }
+            return;
+        }
+
+        gl.texImage2D(this.textureType, 0, this.internalFormat, this.format, this.type, source);
+        this.width = size.width;
+        this.height = size.height;
+        this.levelCount = 1;
+        this.applySampler();
+    }
+
+    /**
+     * Sets the pixel store state for an upload from the options.
+     * @param {number} alignment Row alignment of the data in bytes.
+     */
+    setUnpackState(alignment) {
+        let gl = this.gl;
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, alignment);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, !!this.options.flipY);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, !!this.options.premultiplyAlpha);
+    }
+
+    /**
+     * Whether mipmaps can be made for the texture at its current size and format.
+     * WebGL1 can't mipmap non power of two sizes, and float and depth textures
+     * are only mipmapped where they can be filtered.
+     * @return {boolean} True if mipmaps can be generated.
+     */
+    canMipmap() {
+        let gl = this.gl;
+        let o = this.options;
+        if (o.format == "DEPTH_COMPONENT" || o.format == "DEPTH_STENCIL") {
+            return false;
+        }
+        if (!this.isFilterable()) {
+            return false;
+        }
+        return isWebGL2(gl) || (isPowerOfTwo(this.width) && isPowerOfTwo(this.height));
+    }
+
+    /**
+     * Whether the texture can be sampled with linear filtering.
+     * @return {boolean} False for depth textures and float textures without the filtering extension.
+     */
+    isFilterable() {
+        let gl = this.gl;
+        let o = this.options;
+        if (o.format == "DEPTH_COMPONENT" || o.format == "DEPTH_STENCIL") {
+            return false;
+        }
+        if (o.type == "FLOAT") {
+            return gl.getExtension("OES_texture_float_linear") != null;
+        }
+        if (o.type == "HALF_FLOAT" && !isWebGL2(gl)) {
+            return gl.getExtension("OES_texture_half_float_linear") != null;
+        }
+        return true;
+    }
+
+    /**
+     * Applies the filtering, wrapping and anisotropy settings, generating
+     * mipmaps when they are wanted and possible.  Falls back to clamping and
+     * filtering without mipmaps when the size or format doesn't allow more.
+     * Explicitly uploaded mip levels are always used.
+     */
+    applySampler() {
+        let gl = this.gl;
+        let o = this.options;
+        let target = this.textureType;
+        gl.bindTexture(target, this.texture);
+
+        let filterable = this.isFilterable();
+        this.hasMipmaps = this.levelCount > 1 || (!!o.mipmaps && this.canMipmap());
+        if (this.hasMipmaps && this.levelCount == 1) {
+            gl.generateMipmap(target);
+        }
+
+        let magFilter = o.magFilter || o.filter;
+        let minFilter = o.minFilter;
+        if (!filterable) {
+            magFilter = "NEAREST";
+        }
+        if (!minFilter) {
+            minFilter = (this.hasMipmaps ? magFilter + "_MIPMAP_LINEAR" : magFilter);
+            if (this.hasMipmaps && magFilter == "NEAREST") {
+                minFilter = "NEAREST_MIPMAP_NEAREST";
+            }
+        } else if (!this.hasMipmaps) {
+            /* Drop the mipmap part of filters that can't be honored */
+            minFilter = minFilter.split("_MIPMAP_")[0];
+        }
+        if (!filterable) {
+            minFilter = minFilter.replace(/LINEAR/g, "NEAREST");
+        }
+
+        /* WebGL1 only clamps non power of two textures */
+        let wrapS = o.wrapS || o.wrap;
+        let wrapT = o.wrapT || o.wrap;
+        if (!isWebGL2(gl) && !(isPowerOfTwo(this.width) && isPowerOfTwo(this.height))) {
+            wrapS = wrapT = "CLAMP_TO_EDGE";
+        }
+
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl[magFilter]);
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl[minFilter]);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl[wrapS]);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl[wrapT]);
+
+        if (o.anisotropy > 1) {
+            let ext = gl.getExtension("EXT_texture_filter_anisotropic") ||
+                      gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic");
+            if (ext != null) {
+                let max = gl.getParameter(ext.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+                gl.texParameterf(target, ext.TEXTURE_MAX_ANISOTROPY_EXT, Math.min(o.anisotropy, max));
+            }
+        }
     }
 
     /**
@@ -15,6 +432,7 @@ class Texture {
      * @param {GLEnum} number Texture unit to bind to.
      */
     bind(number) {
+        let gl = this.gl;
         if (!number) {
             number = gl.TEXTURE0;
         }
@@ -22,6 +440,134 @@ class Texture {
         gl.bindTexture(this.textureType, this.texture);
     }
 
+    /**
+     * Uploads the 6 faces of a cubemap texture, with the format and type of the options.
+     * @param {array} images Faces in the order -X, -Y, -Z, +X, +Y, +Z.
+     * @param {object} options Optional upload and sampler settings to change first, see Texture.defaultOptions.
+     */
+    setCubemapFaces(images, options) {
+        let gl = this.gl;
+        let targets = getCubemapFaceTargets(gl);
+        if (options) {
+            this.setOptions(options);
+        }
+
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        this.setUnpackState(4);
+        for (let i = 0; i < targets.length; i++) {
+            gl.texImage2D(targets[i], 0, this.internalFormat, this.format, this.type, images[i]);
+        }
+        let size = getSourceSize(images[0]);
+        this.width = size.width;
+        this.height = size.height;
+        this.source = null;
+        this.faceSources = images;
+        this.data = null;
+        this.levelCount = 1;
+        this.applySampler();
+    }
+
+    /**
+     * Uploads raw texel data to the faces of a cubemap texture, replacing its
+     * contents, with the format and type of the options.
+     * @param {array} levels Texel data of each mip level, each a list of the
+     * 6 faces in the order -X, -Y, -Z, +X, +Y, +Z with rows from t = 0 up.
+     * More than one level replaces generated mipmaps, and the levels must
+     * then go all the way down to 1x1.  Pass a number of levels instead to
+     * only allocate them, ex: to render into.
+     * @param {number} size Width and height of the faces of the top level in pixels.
+     * @throws {Error} If the mip chain is incomplete.
+     */
+    setCubemapData(levels, size) {
+        let gl = this.gl;
+        let o = this.options;
+        let targets = getCubemapFaceTargets(gl);
+        let levelCount = (typeof levels == "number" ? levels : levels.length);
+        if (levelCount > 1 && size >> (levelCount - 1) != 1) {
+            throw new Error("Cubemap mip levels must go from " + size + "x" + size + " down to 1x1, got " + levelCount + " levels");
+        }
+
+        let ArrayType = TEXTURE_DATA_ARRAYS[o.type] || Uint8Array;
+        let data = (typeof levels == "number" ? null : levels.map((faces) => faces.map((face) => {
+            return (face == null || ArrayBuffer.isView(face) ? face : new ArrayType(face));
+        })));
+
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        this.setUnpackState(1);
+        for (let level = 0; level < levelCount; level++) {
+            let levelSize = Math.max(1, size >> level);
+            for (let i = 0; i < targets.length; i++) {
+                gl.texImage2D(targets[i], level, this.internalFormat, levelSize, levelSize, 0, this.format, this.type,
+                              (data == null ? null : data[level][i]));
+            }
+        }
+
+        this.width = size;
+        this.height = size;
+        this.source = null;
+        this.faceSources = null;
+        this.data = data;
+        this.levelCount = levelCount;
+        this.applySampler();
+    }
+
+    /**
+     * Estimates the GPU memory used by the texture, including its mipmaps.
+     * @return {number} Size in bytes.
+     */
+    getByteSize() {
+        let o = this.options;
+        let components = TEXTURE_FORMAT_COMPONENTS[o.format] || 4;
+        let ArrayType = TEXTURE_DATA_ARRAYS[o.type] || Uint8Array;
+        let texelBytes = ArrayType.BYTES_PER_ELEMENT * (TEXTURE_PACKED_TYPES.includes(o.type) ? 1 : components);
+
+        let bytes = this.width * this.height * texelBytes;
+        if (this.hasMipmaps) {
+            /* The mip chain adds a third */
+            bytes = Math.ceil(bytes * 4 / 3);
+        }
+        if (this.textureType == this.gl.TEXTURE_CUBE_MAP) {
+            bytes *= 6;
+        }
+        return bytes;
+    }
+
+    /**
+     * Deletes the GL texture.
+     */
+    dispose() {
+        if (this.texture != null) {
+            this.gl.deleteTexture(this.texture);
+            this.texture = null;
+        }
+        ResourceTracker.forContext(this.gl).untrack(this);
+    }
+
+    /**
+     * Re-creates the GL texture after the context was restored, uploading the
+     * image source, face images or raw data it was made from again.  Textures
+     * whose contents were rendered keep their size but lose their contents.
+     */
+    restore() {
+        let gl = this.gl;
+        let width = this.width, height = this.height;
+        this.texture = gl.createTexture();
+        this.width = this.height = 0;
+
+        /* Enables the extensions the type needs again */
+        this.setOptions({});
+
+        if (this.faceSources != null) {
+            this.setCubemapFaces(this.faceSources);
+        } else if (this.textureType == gl.TEXTURE_CUBE_MAP && width > 0) {
+            this.setCubemapData(this.data || this.levelCount, width);
+        } else if (this.source != null) {
+            this.update();
+        } else if (width > 0) {
+            this.setData(this.data, width, height);
+        }
+    }
+
     /**
      * Creates a cubemap texture from 6 image sides.
      * @param {string} negX Url for the -X face.
@@ -30,43 +576,47 @@ class Texture {
      * @param {string} posX Url for the +X face.
      * @param {string} posY Url for the +Y face.
      * @param {string} posZ Url for the +Z face.
-     * @return {promise} Promise that when resolved will have a texture object.
+     * @param {WebGLRenderingContext} context Optional context to create the texture in.
+     * @param {object} options Optional upload and sampler settings, see Texture.defaultOptions,
+     * and load settings, see AssetLoader.loadCubemap().
+     * @return {promise} Promise that when resolved will have a texture object, rejected
+     * with an AssetLoadError if any face fails to load.
      */
+    static cubemapFromUrl(negX, negY, negZ, posX, posY, posZ, context, options) {
+        let gl = resolveContext(context);
+        let urls = [negX, negY, negZ, posX, posY, posZ];
+        return AssetLoader.shared.loadCubemap(urls, Object.assign({ cache: false }, options, { context: gl, texture: options }));
+    }
 
-    static cubemapFromUrl(negX, negY, negZ, posX, posY, posZ) {
-        let promises = [];
-        promises.push(
-            Texture.imageFromUrl(negX, { face: gl.TEXTURE_CUBE_MAP_NEGATIVE_X }));
-        promises.push(
-            Texture.imageFromUrl(negY, { face: gl.TEXTURE_CUBE_MAP_NEGATIVE_Y }));
-        promises.push(
-            Texture.imageFromUrl(negZ, { face: gl.TEXTURE_CUBE_MAP_NEGATIVE_Z }));
-        promises.push(
-            Texture.imageFromUrl(posX, { face: gl.TEXTURE_CUBE_MAP_POSITIVE_X }));
-        promises.push(
-            Texture.imageFromUrl(posY, { face: gl.TEXTURE_CUBE_MAP_POSITIVE_Y }));
-        promises.push(
-            Texture.imageFromUrl(posZ, { face: gl.TEXTURE_CUBE_MAP_POSITIVE_Z }));
-
-        return new Promise((resolve, reject) => {
-            Promise.all(promises).then((values) => {
-                let tex = new Texture();
-                tex.textureType = gl.TEXTURE_CUBE_MAP;
-                gl.bindTexture(gl.TEXTURE_CUBE_MAP, tex.texture);
-                
-                for (let i = 0; i < values.length; i++) {
-                    console.log(values[i]);
-                    gl.texImage2D(values[i].extra.face, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, values[i]);
-                }
-
-                gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-                gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-                gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-                gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-
-                resolve(tex);
-            })
-        });
+    /**
+     * Creates a cubemap texture from 6 loaded images.
+     * @param {array} images Faces in the order -X, -Y, -Z, +X, +Y, +Z.
+     * @param {object} options Optional upload and sampler settings, see Texture.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context to create the texture in.
+     * @return {Texture} The texture.
+     */
+    static fromCubemapImages(images, options, context) {
+        let tex = new Texture(context);
+        tex.textureType = tex.gl.TEXTURE_CUBE_MAP;
+        tex.setOptions(options);
+        tex.setCubemapFaces(images);
+        return tex;
+    }
+
+    /**
+     * Creates a cubemap texture from raw texel data, see setCubemapData().
+     * @param {array} levels Faces of each mip level, or the number of levels to only allocate.
+     * @param {number} size Width and height of the faces of the top level in pixels.
+     * @param {object} options Optional upload and sampler settings, see Texture.defaultOptions.
+     * @param {WebGLRenderingContext} context Optional context to create the texture in.
+     * @return {Texture} The texture.
+     */
+    static fromCubemapData(levels, size, options, context) {
+        let tex = new Texture(context);
+        tex.textureType = tex.gl.TEXTURE_CUBE_MAP;
+        tex.setOptions(options);
+        tex.setCubemapData(levels, size);
+        return tex;
     }
 
     /**
@@ -74,18 +624,41 @@ class Texture {
      * @param {string} url Url to load the image from.
      * @param {object} extra Any extra data to be saved in the returned
      * image object. Useful for storing for example the image id or face id, etc.
-     * @return Promise to a JS image.
+     * @param {object} options Optional load settings, see AssetLoader.loadImage().
+     * @return Promise to a JS image, rejected with an AssetLoadError if the
+     * image can't be loaded or decoded.
      */
-    static imageFromUrl(url, extra) {
-        return new Promise((resolve, reject) => {
-            const image = new Image();
-            image.onload = () => {
-                resolve(image);
-            }
-            image.src = url;
+    static imageFromUrl(url, extra, options) {
+        return AssetLoader.shared.loadImage(url, Object.assign({ cache: false }, options)).then((image) => {
             if (extra) {
                 image.extra = extra;
             }
+            return image;
         });
     }
 }
+
+/** Type the texture is counted under by ResourceTracker.getStats() */
+Texture.resourceType = "texture";
+
+/**
+ * Default upload and sampler settings.  filter and wrap set both axes
+ * unless magFilter/minFilter or wrapS/wrapT are given; the minification
+ * filter gets a mipmap mode added when mipmaps are made.  Filters and wraps
+ * are GL enum names, ex: "NEAREST", "REPEAT".
+ */
+Texture.defaultOptions = {
+    format: "RGBA",
+    type: "UNSIGNED_BYTE",
+    internalFormat: null,
+    filter: "LINEAR",
+    magFilter: null,
+    minFilter: null,
+    wrap: "CLAMP_TO_EDGE",
+    wrapS: null,
+    wrapT: null,
+    mipmaps: true,
+    anisotropy: 1,
+    flipY: false,
+    premultiplyAlpha: false
+};
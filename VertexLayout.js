@@ -0,0 +1,193 @@
+/**
+ * @file Declarative description of how vertex attributes are laid out in buffers.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+/** Size in bytes of each vertex component type, keyed by GL enum name */
+const VERTEX_TYPE_SIZES = {
+    BYTE: 1,
+    UNSIGNED_BYTE: 1,
+    SHORT: 2,
+    UNSIGNED_SHORT: 2,
+    INT: 4,
+    UNSIGNED_INT: 4,
+    FLOAT: 4
+};
+
+/** DataView setter used to write each vertex component type */
+const VERTEX_TYPE_WRITERS = {
+    BYTE: "setInt8",
+    UNSIGNED_BYTE: "setUint8",
+    SHORT: "setInt16",
+    UNSIGNED_SHORT: "setUint16",
+    INT: "setInt32",
+    UNSIGNED_INT: "setUint32",
+    FLOAT: "setFloat32"
+};
+
+/**
+ * Range of values each integer component type holds, keyed by GL enum name.
+ * Normalized types map max to 1.0, and min to -1.0 for signed types.
+ */
+const VERTEX_TYPE_RANGES = {
+    BYTE: { min: -128, max: 127 },
+    UNSIGNED_BYTE: { min: 0, max: 255 },
+    SHORT: { min: -32768, max: 32767 },
+    UNSIGNED_SHORT: { min: 0, max: 65535 },
+    INT: { min: -2147483648, max: 2147483647 },
+    UNSIGNED_INT: { min: 0, max: 4294967295 }
+};
+
+/**
+ * Converts a value to what is stored for a vertex component.  Normalized
+ * values are clamped to [0, 1] or [-1, 1] and scaled to the type's range,
+ * other integers are rounded and clamped to the type's range.
+ * @param {number} value Value of the component.
+ * @param {string} type GL enum name of the component type.
+ * @param {boolean} normalized Whether the type is normalized.
+ * @return {number} Value to write.
+ */
+function encodeVertexComponent(value, type, normalized) {
+    let range = VERTEX_TYPE_RANGES[type];
+    if (range === undefined) {
+        return value;
+    }
+    if (normalized) {
+        let low = (range.min < 0 ? -1.0 : 0.0);
+        return Math.round(Math.min(Math.max(value, low), 1.0) * range.max);
+    }
+    return Math.min(Math.max(Math.round(value), range.min), range.max);
+}
+
+/**
+ * Describes the vertex attributes of a mesh: their component counts, types,
+ * normalized flags and where each one lives, either packed into its own
+ * buffer or interleaved with the others in a single buffer.
+ */
+class VertexLayout {
+    /**
+     * @param {array} attributes List of {name, components, type, normalized}.
+     * name is the mesh attribute, ex: "position", type the GL enum name of each
+     * component (defaults to "FLOAT") and normalized whether integer types are
+     * mapped to [0, 1] or [-1, 1] (defaults to false).
+     * @param {object} options Optional settings: interleaved, whether to pack all
+     * attributes into a single buffer (defaults to false).
+     */
+    constructor(attributes, options) {
+        options = options || {};
+        this.interleaved = !!options.interleaved;
+        this.attributes = [];
+        this.stride = 0;
+
+        for (let i = 0; i < attributes.length; i++) {
+            let attribute = {
+                name: attributes[i].name,
+                components: attributes[i].components,
+                type: attributes[i].type || "FLOAT",
+                normalized: !!attributes[i].normalized,
+                buffer: (this.interleaved ? 0 : i),
+                offset: 0,
+                stride: 0
+            };
+            if (!VERTEX_TYPE_SIZES.hasOwnProperty(attribute.type)) {
+                throw new Error("Unknown vertex component type " + attribute.type);
+            }
+            attribute.size = attribute.components * VERTEX_TYPE_SIZES[attribute.type];
+
+            /* Keep every vertex 4 byte aligned */
+            if (this.interleaved) {
+                attribute.offset = this.stride;
+                this.stride += Math.ceil(attribute.size / 4) * 4;
+            } else {
+                attribute.stride = Math.ceil(attribute.size / 4) * 4;
+            }
+            this.attributes.push(attribute);
+        }
+
+        if (this.interleaved) {
+            for (let i = 0; i < this.attributes.length; i++) {
+                this.attributes[i].stride = this.stride;
+            }
+        }
+
+        this.numBuffers = (this.interleaved ? 1 : this.attributes.length);
+    }
+
+    /**
+     * Finds an attribute by name.
+     * @param {string} name Attribute name, ex: "normal".
+     * @return {object} The attribute, or null if it isn't part of the layout.
+     */
+    getAttribute(name) {
+        return this.attributes.find((attribute) => attribute.name == name) || null;
+    }
+
+    /**
+     * Packs per-vertex data into buffer contents following the layout.
+     * @param {function} getData Function returning the flat array of values of
+     * an attribute, given its name.
+     * @param {number} numVertices Number of vertices to pack.
+     * @return {array} One ArrayBuffer for each buffer of the layout.
+     */
+    pack(getData, numVertices) {
+        let buffers = [];
+        for (let i = 0; i < this.numBuffers; i++) {
+            buffers.push(new ArrayBuffer(this.attributes[i].stride * numVertices));
+        }
+        this.packRange(getData, buffers, 0, numVertices);
+        return buffers;
+    }
+
+    /**
+     * Writes a range of vertices into buffer contents made by pack(), ex: to
+     * update vertices that moved.
+     * @param {function} getData Function returning the flat array of values of
+     * an attribute, given its name.
+     * @param {array} buffers ArrayBuffers returned by pack().
+     * @param {number} start First vertex to write.
+     * @param {number} count Number of vertices to write.
+     * @param {array} names Optional names of the attributes to write, defaults to all.
+     */
+    packRange(getData, buffers, start, count, names) {
+        for (let i = 0; i < this.attributes.length; i++) {
+            let attribute = this.attributes[i];
+            if (names && !names.includes(attribute.name)) {
+                continue;
+            }
+
+            let components = attribute.components;
+            let stride = attribute.stride;
+            let data = getData(attribute.name) || [];
+
+            /* Tightly packed floats are copied as a block */
+            if (attribute.type == "FLOAT" && stride == components * 4 && data.length >= (start + count) * components) {
+                let target = new Float32Array(buffers[attribute.buffer], start * stride, count * components);
+                for (let j = 0; j < count * components; j++) {
+                    target[j] = data[start * components + j];
+                }
+                continue;
+            }
+
+            let view = new DataView(buffers[attribute.buffer]);
+            let writer = VERTEX_TYPE_WRITERS[attribute.type];
+            let componentSize = VERTEX_TYPE_SIZES[attribute.type];
+            for (let v = start; v < start + count; v++) {
+                for (let c = 0; c < components; c++) {
+                    let value = encodeVertexComponent(data[v * components + c] || 0, attribute.type, attribute.normalized);
+                    view[writer](v * stride + attribute.offset + c * componentSize, value, true);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the byte range of a buffer holding a range of vertices.
+     * @param {object} attribute Attribute of the layout.
+     * @param {number} start First vertex.
+     * @param {number} count Number of vertices.
+     * @return {object} {offset, length} in bytes.
+     */
+    getByteRange(attribute, start, count) {
+        return { offset: start * attribute.stride, length: count * attribute.stride };
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * @file Headless checks of the mesh file formats, mesh welding and context
+ * loss recovery, run against MockGLContext.  Run with: node test/headless.js
+ * The library's scripts are browser globals, so they are evaluated in one
+ * shared sandbox along with gl-matrix, which must be installed where node
+ * can require it.
+ * @author Nicolas Nytko <nnytko2@illinois.edu>
+ */
+
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/** Scripts evaluated in the sandbox, in dependency order */
+const SCRIPTS = [
+    "Context.js",
+    "ResourceTracker.js",
+    "MockGLContext.js",
+    "ShaderError.js",
+    "ShaderPreprocessor.js",
+    "Shader.js",
+    "VertexLayout.js",
+    "Mesh.js",
+    "Texture.js",
+    "GLTFModel.js"
+];
+
+const CUBE_OBJ = [
+    "v -1 -1 -1", "v 1 -1 -1", "v 1 1 -1", "v -1 1 -1",
+    "v -1 -1 1", "v 1 -1 1", "v 1 1 1", "v -1 1 1",
+    "f 1 4 3 2", "f 5 6 7 8", "f 1 2 6 5", "f 4 8 7 3", "f 1 5 8 4", "f 2 3 7 6"
+].join("\n") + "\n";
+
+/**
+ * Makes a sandbox with the library's scripts loaded.
+ * @return {object} The sandbox's vm context.
+ */
+function createSandbox() {
+    let glMatrix;
+    try {
+        glMatrix = require("gl-matrix");
+    } catch (error) {
+        console.error("gl-matrix is needed to run the tests: npm install gl-matrix");
+        process.exit(1);
+    }
+
+    let sandbox = Object.assign({
+        console: console,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        /* Provided by the page's utilities in the browser */
+        degToRad: (degrees) => degrees * Math.PI / 180
+    }, glMatrix);
+    let context = vm.createContext(sandbox);
+
+    let root = path.join(__dirname, "..");
+    SCRIPTS.forEach((script) => {
+        let file = path.join(root, script);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    });
+    return context;
+}
+
+const sandbox = createSandbox();
+const Mesh = vm.runInContext("Mesh", sandbox);
+const MockGLContext = vm.runInContext("MockGLContext", sandbox);
+const ResourceTracker = vm.runInContext("ResourceTracker", sandbox);
+const Shader = vm.runInContext("Shader", sandbox);
+const Texture = vm.runInContext("Texture", sandbox);
+const GLTFModel = vm.runInContext("GLTFModel", sandbox);
+
+/**
+ * Asserts two lists of numbers are equal within a tolerance.
+ * @param {array} actual Values found.
+ * @param {array} expected Values wanted.
+ * @param {string} message Description of the values.
+ */
+function assertClose(actual, expected, message) {
+    assert.strictEqual(actual.length, expected.length, message + ": length");
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) < 1e-5, message + "[" + i + "]: " + actual[i] + " != " + expected[i]);
+    }
+}
+
+/**
+ * Describes the faces of a mesh by the position, normal and texture
+ * coordinates of their corners, so meshes can be compared regardless of
+ * how their vertices are numbered.
+ * @param {Mesh} mesh The mesh.
+ * @return {array} One string per face, sorted.
+ */
+function faceKeys(mesh) {
+    let keys = [];
+    for (let i = 0; i < mesh.faces.length; i += 3) {
+        let corners = [];
+        for (let k = 0; k < 3; k++) {
+            let v = mesh.faces[i + k];
+            let values = [
+                mesh.vertices[3 * v], mesh.vertices[3 * v + 1], mesh.vertices[3 * v + 2],
+                mesh.normals[3 * v], mesh.normals[3 * v + 1], mesh.normals[3 * v + 2],
+                mesh.texCoords[2 * v], mesh.texCoords[2 * v + 1]
+            ];
+            corners.push(values.map((x) => (x + 0).toFixed(4)).join(","));
+        }
+        keys.push(corners.sort().join(" "));
+    }
+    return keys.sort();
+}
+
+const tests = [];
+
+/**
+ * Registers a test.
+ * @param {string} name Name shown in the report.
+ * @param {function} run Function throwing on failure.
+ */
+function test(name, run) {
+    tests.push({ name: name, run: run });
+}
+
+test("OBJ round-trip keeps faces, normals and texture coordinates", () => {
+    let gl = new MockGLContext();
+    let mesh = Mesh.fromBox(2, 1, 3, 2, gl);
+    let copy = Mesh.fromObj(mesh.toObj(), null, gl);
+
+    /* Vertices are renumbered in the order faces first use them */
+    assert.strictEqual(copy.vertices.length, mesh.vertices.length);
+    assert.strictEqual(copy.faces.length, mesh.faces.length);
+    assert.deepStrictEqual(faceKeys(copy), faceKeys(mesh));
+});
+
+test("ASCII and binary PLY round-trips keep vertices and faces", () => {
+    let gl = new MockGLContext();
+    let mesh = Mesh.fromSphere(1, 8, 6, gl);
+
+    [{ binary: false }, { binary: true }, { binary: true, littleEndian: false }].forEach((options) => {
+        let copy = Mesh.fromPly(mesh.toPly(options), gl);
+        let label = JSON.stringify(options);
+        assert.deepStrictEqual(Array.from(copy.faces), Array.from(mesh.faces), label + " faces");
+        assertClose(Array.from(copy.vertices), Array.from(mesh.vertices), label + " vertices");
+        assertClose(Array.from(copy.normals), Array.from(mesh.normals), label + " normals");
+        assertClose(Array.from(copy.texCoords), Array.from(mesh.texCoords), label + " texCoords");
+    });
+});
+
+test("GLB round-trip keeps vertices and faces", () => {
+    let gl = new MockGLContext();
+    let mesh = Mesh.fromTorus(1, 0.25, 12, 8, gl);
+    let container = GLTFModel.parseContainer(mesh.toGlb({ name: "torus" }));
+    let model = new GLTFModel(container.json, [container.binary]);
+
+    assert.strictEqual(model.meshes.length, 1);
+    let data = model.meshes[0];
+    assert.strictEqual(data.name, "torus");
+    assert.deepStrictEqual(Array.from(data.faces), Array.from(mesh.faces));
+    assertClose(Array.from(data.vertices), Array.from(mesh.vertices), "vertices");
+    assertClose(Array.from(data.normals), Array.from(mesh.normals), "normals");
+});
+
+test("weld merges the corners of a cube and splitCreases separates its faces again", () => {
+    let gl = new MockGLContext();
+    let mesh = Mesh.fromCube(2, gl);
+    assert.strictEqual(mesh.vertices.length / 3, 24);
+
+    /* Each face has its own corners, which merge when texture seams are ignored */
+    assert.strictEqual(mesh.weld(1e-6, { texCoords: false }), 16);
+    assert.strictEqual(mesh.vertices.length / 3, 8);
+    assert.strictEqual(mesh.faces.length / 3, 12);
+
+    assert.strictEqual(mesh.splitCreases(30), 16);
+    assert.strictEqual(mesh.vertices.length / 3, 24);
+    assert.strictEqual(mesh.splitCreases(30), 0);
+
+    /* Faces meeting at 90 degrees stay smooth under a wider crease angle */
+    let obj = Mesh.fromObj(CUBE_OBJ, null, gl);
+    assert.strictEqual(obj.vertices.length / 3, 8);
+    assert.strictEqual(obj.splitCreases(120), 0);
+    assert.strictEqual(obj.splitCreases(45), 16);
+});
+
+test("context loss and restore re-create tracked resources", () => {
+    let gl = new MockGLContext();
+    let tracker = ResourceTracker.forContext(gl);
+    let mesh = Mesh.fromCube(1, gl);
+    let texture = Texture.fromData(new Uint8Array(4 * 4 * 4), 4, 4, {}, gl);
+    let shader = Shader.fromSource("attribute vec3 position;\nvoid main() { gl_Position = vec4(position, 1.0); }\n",
+                                   "void main() { gl_FragColor = vec4(1.0); }\n", gl);
+
+    let stats = tracker.getStats();
+    assert.strictEqual(stats.total.count, 3);
+    assert.ok(stats.total.bytes > 0);
+
+    let created = (context) => ["createBuffer", "createTexture", "createProgram"].map((name) => context.callsTo(name).length);
+    let initial = created(gl);
+
+    let restoredCalls = 0;
+    tracker.onContextRestored = () => restoredCalls++;
+    gl.loseContext();
+    assert.ok(tracker.isContextLost());
+
+    gl.reset();
+    gl.restoreContext();
+    assert.ok(!tracker.isContextLost());
+    assert.strictEqual(restoredCalls, 1);
+    assert.deepStrictEqual(created(gl), initial);
+    assert.deepStrictEqual(tracker.getStats(), stats);
+
+    gl.reset();
+    mesh.draw(shader);
+    assert.strictEqual(gl.callsTo("drawElements").length, 1);
+
+    /* Disposed resources are no longer tracked nor restored */
+    mesh.dispose();
+    texture.dispose();
+    shader.dispose();
+    assert.strictEqual(tracker.getStats().total.count, 0);
+    gl.loseContext();
+    gl.reset();
+    gl.restoreContext();
+    assert.deepStrictEqual(created(gl), [0, 0, 0]);
+});
+
+let failures = 0;
+tests.forEach((entry) => {
+    try {
+        entry.run();
+        console.log("ok - " + entry.name);
+    } catch (error) {
+        failures++;
+        console.log("not ok - " + entry.name);
+        console.log(error.stack.split("\n").map((line) => "    " + line).join("\n"));
+    }
+});
+console.log(tests.length - failures + "/" + tests.length + " passed");
+process.exitCode = (failures > 0 ? 1 : 0);